@@ -0,0 +1,23 @@
+-- Migration: timed exam sessions
+-- Each attempt records when the student opened the exam and the server-computed deadline
+
+ALTER TABLE exams
+  ADD COLUMN duration_minutes INT NULL AFTER total_marks;
+
+CREATE TABLE IF NOT EXISTS exam_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  exam_id INT NOT NULL,
+  student_id INT NOT NULL,
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  deadline_at DATETIME NOT NULL,
+  submitted_at DATETIME NULL,
+  status ENUM('in_progress', 'submitted', 'expired') NOT NULL DEFAULT 'in_progress',
+  CONSTRAINT fk_attempts_exam
+    FOREIGN KEY (exam_id) REFERENCES exams(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_attempts_student
+    FOREIGN KEY (student_id) REFERENCES students(id)
+    ON DELETE CASCADE,
+  INDEX idx_attempts_student_exam (student_id, exam_id),
+  INDEX idx_attempts_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,8 @@
+-- Migration: availability window for exams
+-- NULL means the exam has no lower/upper bound on when it can be taken
+
+ALTER TABLE exams
+  ADD COLUMN opens_at DATETIME NULL AFTER duration_minutes,
+  ADD COLUMN closes_at DATETIME NULL AFTER opens_at;
+
+CREATE INDEX idx_exams_opens_at ON exams(opens_at);
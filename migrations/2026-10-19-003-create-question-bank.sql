@@ -0,0 +1,47 @@
+-- Migration: trade-scoped question bank shared across exams
+-- Exams can copy bank items as fixed questions or draw N random items per topic/difficulty
+-- when a student starts. Drawn items are copied into `questions` (is_drawn = 1) the first
+-- time they are drawn so answers and results keep referencing a stable question row.
+
+CREATE TABLE IF NOT EXISTS question_bank (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trade VARCHAR(100) NOT NULL,
+  level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NULL,
+  topic VARCHAR(100) NULL,
+  difficulty ENUM('easy', 'medium', 'hard') NOT NULL DEFAULT 'medium',
+  question_text TEXT NOT NULL,
+  type ENUM('MCQ', 'TF') NOT NULL DEFAULT 'MCQ',
+  options JSON DEFAULT NULL,
+  correct_answer VARCHAR(255) NOT NULL,
+  marks INT NOT NULL DEFAULT 1,
+  time_limit INT NOT NULL DEFAULT 30,
+  created_by INT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_bank_trade (trade),
+  INDEX idx_bank_topic (trade, topic),
+  INDEX idx_bank_difficulty (difficulty)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE questions
+  ADD COLUMN bank_question_id INT NULL AFTER exam_id,
+  ADD COLUMN is_drawn TINYINT(1) NOT NULL DEFAULT 0 AFTER bank_question_id,
+  ADD CONSTRAINT fk_questions_bank
+    FOREIGN KEY (bank_question_id) REFERENCES question_bank(id)
+    ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS exam_question_draws (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  exam_id INT NOT NULL,
+  topic VARCHAR(100) NULL,
+  difficulty ENUM('easy', 'medium', 'hard') NULL,
+  question_count INT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_draws_exam
+    FOREIGN KEY (exam_id) REFERENCES exams(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Questions served in an attempt; NULL means every fixed question of the exam
+ALTER TABLE exam_attempts
+  ADD COLUMN question_ids JSON NULL AFTER status;
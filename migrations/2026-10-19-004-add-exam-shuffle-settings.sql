@@ -0,0 +1,5 @@
+-- Migration: per-student shuffling of question order and MCQ option order
+
+ALTER TABLE exams
+  ADD COLUMN shuffle_questions TINYINT(1) NOT NULL DEFAULT 0 AFTER closes_at,
+  ADD COLUMN shuffle_options TINYINT(1) NOT NULL DEFAULT 0 AFTER shuffle_questions;
@@ -0,0 +1,26 @@
+-- Migration: multi-select, short answer, numeric and matching questions with partial credit
+-- MULTI/SHORT keep a JSON list in correct_answer, MATCHING keeps its pairs in options
+
+ALTER TABLE questions
+  MODIFY COLUMN type ENUM('MCQ', 'TF', 'MULTI', 'SHORT', 'NUMERIC', 'MATCHING') NOT NULL DEFAULT 'MCQ',
+  MODIFY COLUMN correct_answer TEXT NOT NULL,
+  ADD COLUMN tolerance DECIMAL(12,4) NULL AFTER correct_answer,
+  ADD COLUMN partial_credit TINYINT(1) NOT NULL DEFAULT 1 AFTER tolerance;
+
+ALTER TABLE question_bank
+  MODIFY COLUMN type ENUM('MCQ', 'TF', 'MULTI', 'SHORT', 'NUMERIC', 'MATCHING') NOT NULL DEFAULT 'MCQ',
+  MODIFY COLUMN correct_answer TEXT NOT NULL,
+  ADD COLUMN tolerance DECIMAL(12,4) NULL AFTER correct_answer,
+  ADD COLUMN partial_credit TINYINT(1) NOT NULL DEFAULT 1 AFTER tolerance;
+
+ALTER TABLE student_answers
+  MODIFY COLUMN answer TEXT NOT NULL,
+  ADD COLUMN marks_awarded DECIMAL(6,2) NOT NULL DEFAULT 0 AFTER is_correct;
+
+-- Existing answers were all-or-nothing
+UPDATE student_answers sa
+  JOIN questions q ON q.id = sa.question_id
+SET sa.marks_awarded = IF(sa.is_correct = 1, q.marks, 0);
+
+ALTER TABLE results
+  MODIFY COLUMN score DECIMAL(8,2) NOT NULL DEFAULT 0;
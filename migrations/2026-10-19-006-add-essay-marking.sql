@@ -0,0 +1,19 @@
+-- Migration: manually graded essay questions
+-- Essay answers are stored with marks_awarded NULL until a teacher marks them;
+-- results stay 'pending' while any answer of the attempt is unmarked
+
+ALTER TABLE questions
+  MODIFY COLUMN type ENUM('MCQ', 'TF', 'MULTI', 'SHORT', 'NUMERIC', 'MATCHING', 'ESSAY') NOT NULL DEFAULT 'MCQ';
+
+ALTER TABLE question_bank
+  MODIFY COLUMN type ENUM('MCQ', 'TF', 'MULTI', 'SHORT', 'NUMERIC', 'MATCHING', 'ESSAY') NOT NULL DEFAULT 'MCQ';
+
+ALTER TABLE student_answers
+  MODIFY COLUMN marks_awarded DECIMAL(6,2) NULL DEFAULT 0,
+  ADD COLUMN marker_comment TEXT NULL AFTER marks_awarded,
+  ADD COLUMN marked_by INT NULL AFTER marker_comment,
+  ADD COLUMN marked_at DATETIME NULL AFTER marked_by,
+  ADD INDEX idx_student_answers_unmarked (marks_awarded);
+
+ALTER TABLE results
+  ADD COLUMN status ENUM('graded', 'pending') NOT NULL DEFAULT 'graded' AFTER score;
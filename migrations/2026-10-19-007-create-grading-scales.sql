@@ -0,0 +1,38 @@
+-- Migration: admin-managed grading scales
+-- A scale may be limited to a trade and/or level; the one with neither is the institution default.
+-- Bands are inclusive lower bounds on the percentage score.
+
+CREATE TABLE IF NOT EXISTS grading_scales (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  trade VARCHAR(100) NULL,
+  level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NULL,
+  pass_mark DECIMAL(5,2) NOT NULL DEFAULT 50,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_grading_scales_scope (trade, level)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS grading_scale_bands (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scale_id INT NOT NULL,
+  grade VARCHAR(20) NOT NULL,
+  min_percentage DECIMAL(5,2) NOT NULL,
+  CONSTRAINT fk_bands_scale
+    FOREIGN KEY (scale_id) REFERENCES grading_scales(id)
+    ON DELETE CASCADE,
+  UNIQUE KEY uniq_band_grade (scale_id, grade)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Default scale matching the bands that were previously hard-coded
+INSERT INTO grading_scales (name, pass_mark) VALUES ('Default', 50);
+
+INSERT INTO grading_scale_bands (scale_id, grade, min_percentage)
+SELECT id, 'A', 80.01 FROM grading_scales WHERE name = 'Default' AND trade IS NULL AND level IS NULL
+UNION ALL
+SELECT id, 'B', 70 FROM grading_scales WHERE name = 'Default' AND trade IS NULL AND level IS NULL
+UNION ALL
+SELECT id, 'C', 50 FROM grading_scales WHERE name = 'Default' AND trade IS NULL AND level IS NULL
+UNION ALL
+SELECT id, 'Fail', 0 FROM grading_scales WHERE name = 'Default' AND trade IS NULL AND level IS NULL;
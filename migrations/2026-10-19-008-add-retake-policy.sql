@@ -0,0 +1,47 @@
+-- Migration: exam retake policy
+-- Each finished attempt keeps its own score; results holds the score that counts
+-- under the exam's policy (best, latest or average of all attempts).
+
+ALTER TABLE exams
+  ADD COLUMN max_attempts INT NOT NULL DEFAULT 1 AFTER shuffle_options,
+  ADD COLUMN retake_cooldown_minutes INT NULL AFTER max_attempts,
+  ADD COLUMN score_policy ENUM('best', 'latest', 'average') NOT NULL DEFAULT 'best' AFTER retake_cooldown_minutes;
+
+ALTER TABLE exam_attempts
+  ADD COLUMN score DECIMAL(8,2) NULL AFTER status,
+  ADD COLUMN result_status ENUM('graded', 'pending') NULL AFTER score;
+
+-- Answers now belong to an attempt, so the same question can be answered once per attempt
+ALTER TABLE student_answers
+  ADD COLUMN attempt_id INT NULL AFTER student_id,
+  ADD INDEX idx_student_answers_student (student_id, question_id),
+  ADD CONSTRAINT fk_answers_attempt
+    FOREIGN KEY (attempt_id) REFERENCES exam_attempts(id)
+    ON DELETE CASCADE;
+
+ALTER TABLE student_answers
+  DROP INDEX uq_student_question,
+  ADD CONSTRAINT uq_attempt_question UNIQUE (attempt_id, question_id);
+
+ALTER TABLE results
+  ADD COLUMN attempt_id INT NULL AFTER exam_id,
+  ADD COLUMN attempt_count INT NOT NULL DEFAULT 1 AFTER attempt_id,
+  ADD CONSTRAINT fk_results_attempt
+    FOREIGN KEY (attempt_id) REFERENCES exam_attempts(id)
+    ON DELETE SET NULL;
+
+-- Until now a student could finish at most one attempt per exam
+UPDATE student_answers sa
+  JOIN questions q ON q.id = sa.question_id
+  JOIN exam_attempts ea ON ea.exam_id = q.exam_id AND ea.student_id = sa.student_id AND ea.status <> 'in_progress'
+SET sa.attempt_id = ea.id;
+
+UPDATE exam_attempts ea
+  JOIN results r ON r.exam_id = ea.exam_id AND r.student_id = ea.student_id
+SET ea.score = r.score,
+    ea.result_status = r.status
+WHERE ea.status <> 'in_progress';
+
+UPDATE results r
+  JOIN exam_attempts ea ON ea.exam_id = r.exam_id AND ea.student_id = r.student_id AND ea.status <> 'in_progress'
+SET r.attempt_id = ea.id;
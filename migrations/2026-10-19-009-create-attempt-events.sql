@@ -0,0 +1,28 @@
+-- Migration: exam proctoring event log
+-- Integrity events posted by the exam client (and a few recorded by the server) per attempt
+
+ALTER TABLE exam_attempts
+  ADD COLUMN ip_address VARCHAR(45) NULL AFTER question_ids,
+  ADD COLUMN user_agent VARCHAR(255) NULL AFTER ip_address;
+
+CREATE TABLE IF NOT EXISTS exam_attempt_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  attempt_id INT NOT NULL,
+  event_type ENUM(
+    'start', 'resume', 'submit',
+    'blur', 'focus',
+    'visibility_hidden', 'visibility_visible',
+    'fullscreen_exit', 'fullscreen_enter',
+    'copy', 'cut', 'paste',
+    'reconnect'
+  ) NOT NULL,
+  details JSON NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  occurred_at DATETIME NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_attempt_events_attempt
+    FOREIGN KEY (attempt_id) REFERENCES exam_attempts(id)
+    ON DELETE CASCADE,
+  INDEX idx_attempt_events_attempt (attempt_id, occurred_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,17 @@
+-- Migration: autosaved exam answers
+-- Draft answers per question for an attempt; submit and auto-submit grade from them
+
+CREATE TABLE IF NOT EXISTS exam_answer_drafts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  attempt_id INT NOT NULL,
+  question_id INT NOT NULL,
+  answer TEXT NOT NULL,
+  saved_at DATETIME NOT NULL,
+  CONSTRAINT fk_drafts_attempt
+    FOREIGN KEY (attempt_id) REFERENCES exam_attempts(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_drafts_question
+    FOREIGN KEY (question_id) REFERENCES questions(id)
+    ON DELETE CASCADE,
+  CONSTRAINT uq_draft_attempt_question UNIQUE (attempt_id, question_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
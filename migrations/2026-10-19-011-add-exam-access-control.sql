@@ -0,0 +1,20 @@
+-- Migration: exam access control
+-- Students only see exams for their own trade and level; teachers can further limit an exam
+-- to an allow-list of students and require the exam code before questions are served.
+
+ALTER TABLE exams
+  ADD COLUMN require_exam_code TINYINT(1) NOT NULL DEFAULT 0 AFTER exam_code,
+  ADD COLUMN use_allow_list TINYINT(1) NOT NULL DEFAULT 0 AFTER require_exam_code;
+
+CREATE TABLE IF NOT EXISTS exam_allowed_students (
+  exam_id INT NOT NULL,
+  student_id INT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (exam_id, student_id),
+  CONSTRAINT fk_allowed_exam
+    FOREIGN KEY (exam_id) REFERENCES exams(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_allowed_student
+    FOREIGN KEY (student_id) REFERENCES students(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
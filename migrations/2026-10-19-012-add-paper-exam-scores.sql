@@ -0,0 +1,12 @@
+-- Migration: paper exam scores
+-- Scores entered by staff for exams sat on paper are stored as attempts with mode 'paper',
+-- so they go through the same retake policy and grading as online submissions.
+
+ALTER TABLE exam_attempts
+  ADD COLUMN mode ENUM('online', 'paper') NOT NULL DEFAULT 'online' AFTER status,
+  ADD COLUMN paper_version CHAR(1) NULL AFTER mode,
+  ADD COLUMN recorded_by INT NULL AFTER paper_version;
+
+-- Mode of the attempt that counts for the result
+ALTER TABLE results
+  ADD COLUMN mode ENUM('online', 'paper') NOT NULL DEFAULT 'online' AFTER status;
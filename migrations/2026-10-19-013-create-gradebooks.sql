@@ -0,0 +1,54 @@
+-- Migration: continuous-assessment gradebooks
+-- A gradebook combines exam results, assignment grades and attendance for one trade/level
+-- and term using weighted components. Final marks are computed live while the gradebook is a
+-- draft and frozen into gradebook_entries when it is locked; students only see published ones.
+
+CREATE TABLE IF NOT EXISTS gradebooks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trade VARCHAR(100) NOT NULL,
+  level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NOT NULL,
+  term VARCHAR(50) NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  status ENUM('draft', 'locked', 'published') NOT NULL DEFAULT 'draft',
+  created_by INT NULL,
+  locked_by INT NULL,
+  locked_at DATETIME NULL,
+  published_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_gradebook_scope (trade, level, term)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- source 'exams' with an exam_id weights that exam alone (e.g. the final exam);
+-- without one it averages every other exam of the cohort held during the term
+CREATE TABLE IF NOT EXISTS gradebook_components (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  gradebook_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  source ENUM('exams', 'assignments', 'attendance') NOT NULL,
+  exam_id INT NULL,
+  weight DECIMAL(5,2) NOT NULL,
+  CONSTRAINT fk_components_gradebook
+    FOREIGN KEY (gradebook_id) REFERENCES gradebooks(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_components_exam
+    FOREIGN KEY (exam_id) REFERENCES exams(id)
+    ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS gradebook_entries (
+  gradebook_id INT NOT NULL,
+  student_id INT NOT NULL,
+  component_scores TEXT NOT NULL,
+  final_mark DECIMAL(5,2) NULL,
+  grade VARCHAR(20) NULL,
+  passed TINYINT(1) NULL,
+  PRIMARY KEY (gradebook_id, student_id),
+  CONSTRAINT fk_entries_gradebook
+    FOREIGN KEY (gradebook_id) REFERENCES gradebooks(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_entries_student
+    FOREIGN KEY (student_id) REFERENCES students(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
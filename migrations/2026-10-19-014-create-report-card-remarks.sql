@@ -0,0 +1,18 @@
+-- Migration: report card remarks
+-- Teacher remarks printed on each student's end-of-term report card. Report cards are built
+-- from a locked or published gradebook, so remarks are kept per gradebook and student.
+
+CREATE TABLE IF NOT EXISTS report_card_remarks (
+  gradebook_id INT NOT NULL,
+  student_id INT NOT NULL,
+  remarks TEXT NOT NULL,
+  author_id INT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (gradebook_id, student_id),
+  CONSTRAINT fk_remarks_gradebook
+    FOREIGN KEY (gradebook_id) REFERENCES gradebooks(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_remarks_student
+    FOREIGN KEY (student_id) REFERENCES students(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
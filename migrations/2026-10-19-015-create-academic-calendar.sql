@@ -0,0 +1,74 @@
+-- Migration: academic years, terms and cohorts
+-- Exams, assignments and gradebooks belong to a term; attendance is matched to terms by date.
+-- A cohort is the class of one trade and level in one academic year, with its own roster so
+-- that last year's students stay with last year's class after they move up a level.
+
+CREATE TABLE IF NOT EXISTS academic_years (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(20) NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  is_current TINYINT(1) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_academic_year_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS terms (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  academic_year_id INT NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_terms_year
+    FOREIGN KEY (academic_year_id) REFERENCES academic_years(id)
+    ON DELETE CASCADE,
+  UNIQUE KEY uniq_term_name (academic_year_id, name),
+  INDEX idx_terms_dates (start_date, end_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS cohorts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  academic_year_id INT NOT NULL,
+  trade VARCHAR(100) NOT NULL,
+  level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NOT NULL,
+  name VARCHAR(100) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_cohorts_year
+    FOREIGN KEY (academic_year_id) REFERENCES academic_years(id)
+    ON DELETE CASCADE,
+  UNIQUE KEY uniq_cohort_scope (academic_year_id, trade, level)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS cohort_students (
+  cohort_id INT NOT NULL,
+  student_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (cohort_id, student_id),
+  CONSTRAINT fk_cohort_students_cohort
+    FOREIGN KEY (cohort_id) REFERENCES cohorts(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_cohort_students_student
+    FOREIGN KEY (student_id) REFERENCES students(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE exams
+  ADD COLUMN term_id INT NULL AFTER level,
+  ADD CONSTRAINT fk_exams_term
+    FOREIGN KEY (term_id) REFERENCES terms(id)
+    ON DELETE SET NULL;
+
+ALTER TABLE assignments
+  ADD COLUMN term_id INT NULL AFTER level,
+  ADD CONSTRAINT fk_assignments_term
+    FOREIGN KEY (term_id) REFERENCES terms(id)
+    ON DELETE SET NULL;
+
+ALTER TABLE gradebooks
+  ADD COLUMN term_id INT NULL AFTER term,
+  ADD CONSTRAINT fk_gradebooks_term
+    FOREIGN KEY (term_id) REFERENCES terms(id)
+    ON DELETE SET NULL;
@@ -0,0 +1,83 @@
+-- Migration: year-end promotion runs and student level history
+-- A promotion run proposes the next level for each active student of an academic year from
+-- their locked gradebook marks and attendance, lets admins override single students and then
+-- applies every decision at once. L5 finishers graduate instead of moving up.
+-- Every level or status change made this way (or by hand) is kept in student_level_history.
+
+ALTER TABLE students
+  MODIFY COLUMN status ENUM('active', 'inactive', 'graduated') DEFAULT 'active',
+  ADD COLUMN graduated_at DATETIME NULL AFTER status;
+
+-- Like grading scales, a rule may be limited to a trade and/or level; the one with neither is the default
+CREATE TABLE IF NOT EXISTS promotion_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trade VARCHAR(100) NULL,
+  level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NULL,
+  min_average DECIMAL(5,2) NOT NULL DEFAULT 50,
+  min_attendance_rate DECIMAL(5,2) NULL DEFAULT 75,
+  require_all_passed TINYINT(1) NOT NULL DEFAULT 0,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_promotion_rules_scope (trade, level)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+INSERT INTO promotion_rules (min_average, min_attendance_rate, require_all_passed) VALUES (50, 75, 0);
+
+CREATE TABLE IF NOT EXISTS promotion_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  academic_year_id INT NULL,
+  trade VARCHAR(100) NULL,
+  level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NULL,
+  status ENUM('draft', 'applied') NOT NULL DEFAULT 'draft',
+  notes VARCHAR(255) NULL,
+  created_by INT NULL,
+  applied_by INT NULL,
+  applied_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_promotion_runs_year
+    FOREIGN KEY (academic_year_id) REFERENCES academic_years(id)
+    ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- final_action starts as the proposal; an override replaces it and records who and why
+CREATE TABLE IF NOT EXISTS promotion_run_students (
+  run_id INT NOT NULL,
+  student_id INT NOT NULL,
+  from_level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NOT NULL,
+  average DECIMAL(5,2) NULL,
+  attendance_rate DECIMAL(5,2) NULL,
+  gradebook_count INT NOT NULL DEFAULT 0,
+  proposed_action ENUM('promote', 'repeat', 'graduate') NOT NULL,
+  final_action ENUM('promote', 'repeat', 'graduate') NOT NULL,
+  reasons TEXT NULL,
+  override_reason VARCHAR(255) NULL,
+  overridden_by INT NULL,
+  PRIMARY KEY (run_id, student_id),
+  CONSTRAINT fk_run_students_run
+    FOREIGN KEY (run_id) REFERENCES promotion_runs(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_run_students_student
+    FOREIGN KEY (student_id) REFERENCES students(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS student_level_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  student_id INT NOT NULL,
+  from_level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NULL,
+  to_level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NULL,
+  action ENUM('promote', 'repeat', 'graduate', 'manual') NOT NULL,
+  run_id INT NULL,
+  reason VARCHAR(255) NULL,
+  changed_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_level_history_student
+    FOREIGN KEY (student_id) REFERENCES students(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_level_history_run
+    FOREIGN KEY (run_id) REFERENCES promotion_runs(id)
+    ON DELETE SET NULL,
+  INDEX idx_level_history_student (student_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,31 @@
+-- Migration: trades/programs catalog
+-- Students, teachers, exams, assignments and applications keep storing the trade name as
+-- text, but new values are now checked against this catalog so typos no longer split cohorts.
+-- `levels` lists the levels a trade is offered at (e.g. 'L3,L4,L5'); empty means all of them.
+-- `capacity` caps the number of active students registered in the trade (NULL means no cap).
+
+CREATE TABLE IF NOT EXISTS trades (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(20) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT NULL,
+  levels VARCHAR(20) NOT NULL DEFAULT 'L1,L2,L3,L4,L5',
+  capacity INT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_trade_code (code),
+  UNIQUE KEY uniq_trade_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Seed the catalog with the trades already in use; codes are derived from the names and
+-- should be reviewed, and near-duplicate spellings merged, before the catalog is published
+INSERT IGNORE INTO trades (code, name)
+SELECT UPPER(LEFT(REPLACE(TRIM(t.trade), ' ', ''), 20)), TRIM(t.trade)
+FROM (
+  SELECT trade FROM students
+  UNION SELECT trade FROM teachers
+  UNION SELECT trade FROM exams
+  UNION SELECT program FROM student_applications
+) t
+WHERE t.trade IS NOT NULL AND TRIM(t.trade) <> '';
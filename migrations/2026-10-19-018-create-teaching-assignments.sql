@@ -0,0 +1,39 @@
+-- Migration: curriculum modules and teaching assignments
+-- A teaching assignment says that a teacher teaches one module to one cohort. Teacher routes
+-- are scoped by the current academic year's assignments: a teacher works with the trades and
+-- levels of the cohorts they teach and with the students on those cohorts' rosters, across
+-- trades if need be. Assignments cannot be seeded here since modules and cohorts are set up
+-- afterwards, so a teacher without assignments this year keeps the old scope of their home
+-- trade (teachers.trade) until an admin assigns them to their classes.
+
+CREATE TABLE IF NOT EXISTS modules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trade VARCHAR(100) NOT NULL,
+  level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NOT NULL,
+  code VARCHAR(30) NOT NULL,
+  name VARCHAR(150) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_module_code (code),
+  INDEX idx_modules_scope (trade, level)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS teaching_assignments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  teacher_id INT NOT NULL,
+  module_id INT NOT NULL,
+  cohort_id INT NOT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_teaching_teacher
+    FOREIGN KEY (teacher_id) REFERENCES teachers(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_teaching_module
+    FOREIGN KEY (module_id) REFERENCES modules(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_teaching_cohort
+    FOREIGN KEY (cohort_id) REFERENCES cohorts(id)
+    ON DELETE CASCADE,
+  UNIQUE KEY uniq_teaching_assignment (teacher_id, module_id, cohort_id),
+  INDEX idx_teaching_cohort (cohort_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
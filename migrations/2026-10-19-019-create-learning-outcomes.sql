@@ -0,0 +1,63 @@
+-- Migration: learning outcomes and competencies
+-- Each module of a trade and level lists the learning outcomes a student has to demonstrate.
+-- Exams and assignments are linked to the outcomes they assess, and a question can be tagged
+-- with the single outcome it assesses. A student is competent in an outcome when their marked
+-- work for it averages at least the module's competent mark, and competent in a module when
+-- they are competent in every one of its outcomes.
+
+ALTER TABLE modules
+  ADD COLUMN description TEXT NULL AFTER name,
+  ADD COLUMN competent_mark DECIMAL(5,2) NOT NULL DEFAULT 70.00 AFTER description;
+
+CREATE TABLE IF NOT EXISTS learning_outcomes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  module_id INT NOT NULL,
+  code VARCHAR(30) NOT NULL,
+  description TEXT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_outcomes_module
+    FOREIGN KEY (module_id) REFERENCES modules(id)
+    ON DELETE CASCADE,
+  UNIQUE KEY uniq_outcome_code (module_id, code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS exam_learning_outcomes (
+  exam_id INT NOT NULL,
+  outcome_id INT NOT NULL,
+  PRIMARY KEY (exam_id, outcome_id),
+  CONSTRAINT fk_exam_outcomes_exam
+    FOREIGN KEY (exam_id) REFERENCES exams(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_exam_outcomes_outcome
+    FOREIGN KEY (outcome_id) REFERENCES learning_outcomes(id)
+    ON DELETE CASCADE,
+  INDEX idx_exam_outcomes_outcome (outcome_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS assignment_learning_outcomes (
+  assignment_id INT NOT NULL,
+  outcome_id INT NOT NULL,
+  PRIMARY KEY (assignment_id, outcome_id),
+  CONSTRAINT fk_assignment_outcomes_assignment
+    FOREIGN KEY (assignment_id) REFERENCES assignments(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_assignment_outcomes_outcome
+    FOREIGN KEY (outcome_id) REFERENCES learning_outcomes(id)
+    ON DELETE CASCADE,
+  INDEX idx_assignment_outcomes_outcome (outcome_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Bank items keep their tag when they are copied into an exam
+ALTER TABLE questions
+  ADD COLUMN outcome_id INT NULL AFTER marks,
+  ADD CONSTRAINT fk_questions_outcome
+    FOREIGN KEY (outcome_id) REFERENCES learning_outcomes(id)
+    ON DELETE SET NULL;
+
+ALTER TABLE question_bank
+  ADD COLUMN outcome_id INT NULL AFTER marks,
+  ADD CONSTRAINT fk_bank_outcome
+    FOREIGN KEY (outcome_id) REFERENCES learning_outcomes(id)
+    ON DELETE SET NULL;
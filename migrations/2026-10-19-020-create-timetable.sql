@@ -0,0 +1,104 @@
+-- Migration: timetable and class sessions
+-- Periods are the school's bell schedule and rooms the places lessons are held in. A timetable
+-- slot puts one module of a cohort, taught by one of the module's teachers, in a period on a
+-- weekday (1 = Monday ... 7 = Sunday). Generating a term turns every slot into one dated
+-- session per matching day of the term; sessions copy the period times so that later changes
+-- to the bell schedule do not rewrite past lessons.
+
+CREATE TABLE IF NOT EXISTS periods (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_period_name (name),
+  INDEX idx_periods_start (start_time)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS rooms (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  capacity INT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_room_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Teachers and rooms can only be in one place per period; that is checked per academic year
+-- when a slot is saved, since last year's slots stay on record
+CREATE TABLE IF NOT EXISTS timetable_slots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cohort_id INT NOT NULL,
+  module_id INT NOT NULL,
+  teacher_id INT NOT NULL,
+  room_id INT NULL,
+  period_id INT NOT NULL,
+  weekday TINYINT NOT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_slots_cohort
+    FOREIGN KEY (cohort_id) REFERENCES cohorts(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_slots_module
+    FOREIGN KEY (module_id) REFERENCES modules(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_slots_teacher
+    FOREIGN KEY (teacher_id) REFERENCES teachers(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_slots_room
+    FOREIGN KEY (room_id) REFERENCES rooms(id)
+    ON DELETE SET NULL,
+  CONSTRAINT fk_slots_period
+    FOREIGN KEY (period_id) REFERENCES periods(id)
+    ON DELETE CASCADE,
+  UNIQUE KEY uniq_slot_cohort_time (cohort_id, weekday, period_id),
+  INDEX idx_slots_teacher_time (teacher_id, weekday, period_id),
+  INDEX idx_slots_room_time (room_id, weekday, period_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- A removed slot keeps its past sessions (slot_id becomes NULL); its upcoming ones are removed
+CREATE TABLE IF NOT EXISTS class_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  term_id INT NOT NULL,
+  slot_id INT NULL,
+  cohort_id INT NOT NULL,
+  module_id INT NOT NULL,
+  teacher_id INT NOT NULL,
+  room_id INT NULL,
+  period_id INT NULL,
+  session_date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  status ENUM('scheduled', 'cancelled') NOT NULL DEFAULT 'scheduled',
+  cancel_reason VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_sessions_term
+    FOREIGN KEY (term_id) REFERENCES terms(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_sessions_slot
+    FOREIGN KEY (slot_id) REFERENCES timetable_slots(id)
+    ON DELETE SET NULL,
+  CONSTRAINT fk_sessions_cohort
+    FOREIGN KEY (cohort_id) REFERENCES cohorts(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_sessions_module
+    FOREIGN KEY (module_id) REFERENCES modules(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_sessions_teacher
+    FOREIGN KEY (teacher_id) REFERENCES teachers(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_sessions_room
+    FOREIGN KEY (room_id) REFERENCES rooms(id)
+    ON DELETE SET NULL,
+  CONSTRAINT fk_sessions_period
+    FOREIGN KEY (period_id) REFERENCES periods(id)
+    ON DELETE SET NULL,
+  UNIQUE KEY uniq_session_slot_date (slot_id, session_date),
+  INDEX idx_sessions_teacher_date (teacher_id, session_date),
+  INDEX idx_sessions_cohort_date (cohort_id, session_date),
+  INDEX idx_sessions_term (term_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
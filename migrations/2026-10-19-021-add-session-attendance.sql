@@ -0,0 +1,24 @@
+-- Migration: attendance per class session
+-- Attendance used to be one row per student per day, so a student who came in the morning and
+-- skipped the afternoon could not be recorded, and two teachers marking the same day overwrote
+-- each other. Registers are now taken per class session: each row belongs to one session and
+-- records the teacher who took it in recorded_by. `date` is kept (copied from the session) so
+-- reports can keep filtering by date, and rates count sessions rather than days.
+-- Rows recorded before this migration keep a NULL session_id and still count as one session;
+-- so do rows whose session is later removed.
+
+ALTER TABLE attendance
+  ADD COLUMN session_id INT NULL AFTER student_id,
+  ADD CONSTRAINT fk_attendance_session
+    FOREIGN KEY (session_id) REFERENCES class_sessions(id)
+    ON DELETE SET NULL;
+
+ALTER TABLE attendance
+  DROP INDEX uq_student_date,
+  ADD UNIQUE KEY uq_student_session (student_id, session_id),
+  ADD INDEX idx_attendance_student_date (student_id, date);
+
+-- Who took the register of a session, and when
+ALTER TABLE class_sessions
+  ADD COLUMN attendance_taken_by INT NULL AFTER cancel_reason,
+  ADD COLUMN attendance_taken_at DATETIME NULL AFTER attendance_taken_by;
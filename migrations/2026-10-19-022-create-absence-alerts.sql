@@ -0,0 +1,66 @@
+-- Migration: chronic absence rules and alerts
+-- Absence rules flag students whose attendance crosses a threshold: `consecutive_absences`
+-- fires after `threshold` absent sessions in a row, `monthly_rate` when the share of sessions
+-- attended this month drops below `threshold` percent (once at least `min_sessions` sessions
+-- were recorded, so the first lesson of the month cannot flag anyone). Like promotion rules, a
+-- rule may be limited to a trade and/or level; per rule type the most specific one applies.
+-- Each time a rule fires an alert is stored, the student and their teachers are notified and
+-- the guardian is sent an SMS. An alert is raised once per streak (keyed by the date of its
+-- first absence) or per month, and stays open until an admin resolves it.
+
+-- Guardian contact used for the SMS alerts, taken from the student's application where the
+-- email matches
+ALTER TABLE students
+  ADD COLUMN guardian_name VARCHAR(100) NULL AFTER phone_number,
+  ADD COLUMN guardian_phone VARCHAR(20) NULL AFTER guardian_name;
+
+UPDATE students s
+JOIN student_applications a ON a.email = s.email
+SET s.guardian_name = a.guardian_name, s.guardian_phone = a.guardian_phone
+WHERE s.guardian_phone IS NULL AND a.guardian_phone IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS absence_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  rule_type ENUM('consecutive_absences', 'monthly_rate') NOT NULL,
+  trade VARCHAR(100) NULL,
+  level ENUM('L1', 'L2', 'L3', 'L4', 'L5') NULL,
+  threshold DECIMAL(5,2) NOT NULL,
+  min_sessions INT NOT NULL DEFAULT 0,
+  notify_guardian TINYINT(1) NOT NULL DEFAULT 1,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_absence_rules_scope (rule_type, trade, level)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+INSERT INTO absence_rules (rule_type, threshold, min_sessions) VALUES
+  ('consecutive_absences', 3, 0),
+  ('monthly_rate', 75, 8);
+
+-- period_key is the date the streak started (YYYY-MM-DD) or the month (YYYY-MM). Alerts are
+-- unique per rule type rather than per rule, so editing or replacing a rule does not alert the
+-- same streak twice, and they outlive a deleted rule.
+CREATE TABLE IF NOT EXISTS absence_alerts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  rule_id INT NULL,
+  student_id INT NOT NULL,
+  rule_type ENUM('consecutive_absences', 'monthly_rate') NOT NULL,
+  period_key VARCHAR(10) NOT NULL,
+  value DECIMAL(5,2) NOT NULL,
+  message VARCHAR(255) NOT NULL,
+  sms_status ENUM('sent', 'failed', 'skipped') NOT NULL DEFAULT 'skipped',
+  status ENUM('open', 'resolved') NOT NULL DEFAULT 'open',
+  resolution_note VARCHAR(255) NULL,
+  resolved_by INT NULL,
+  resolved_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_absence_alerts_rule
+    FOREIGN KEY (rule_id) REFERENCES absence_rules(id)
+    ON DELETE SET NULL,
+  CONSTRAINT fk_absence_alerts_student
+    FOREIGN KEY (student_id) REFERENCES students(id)
+    ON DELETE CASCADE,
+  UNIQUE KEY uniq_absence_alert (student_id, rule_type, period_key),
+  INDEX idx_absence_alerts_status (status, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,19 @@
+-- Migration: scanned answer sheets
+-- Staff can attach scans of a student's marked answer sheet (PDF or image, one file per row)
+-- to the paper attempt their scores were entered for. The files live under uploads/exam-scans;
+-- entering the student's scores again keeps the attempt and so keeps its scans.
+
+CREATE TABLE IF NOT EXISTS exam_attempt_scans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  attempt_id INT NOT NULL,
+  file_path VARCHAR(255) NOT NULL,
+  original_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  file_size INT NOT NULL,
+  uploaded_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_exam_attempt_scans_attempt
+    FOREIGN KEY (attempt_id) REFERENCES exam_attempts(id)
+    ON DELETE CASCADE,
+  INDEX idx_exam_attempt_scans_attempt (attempt_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,319 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  ABSENCE_RULE_TYPES,
+  ALERT_STATUSES,
+  loadAbsenceRules,
+  formatRule,
+  runAbsenceChecks,
+} = require('../services/absenceAlerts');
+
+const ADMIN_ROLES = new Set(['admin', 'super_admin']);
+const LEVELS = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+const ensureAdmin = (req, res, next) => {
+  if (!req.user || !ADMIN_ROLES.has(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Only admins can manage absence alerts' });
+  }
+  next();
+};
+
+const ruleValidators = [
+  body('rule_type').isIn(ABSENCE_RULE_TYPES).withMessage(`rule_type must be one of ${ABSENCE_RULE_TYPES.join(', ')}`),
+  body('trade').optional({ nullable: true }).trim(),
+  body('level').optional({ nullable: true, checkFalsy: true }).isIn(LEVELS).withMessage('Invalid level'),
+  body('threshold')
+    .if(body('rule_type').equals('consecutive_absences'))
+    .isInt({ min: 1, max: 100 }).withMessage('threshold must be a number of absences between 1 and 100').toInt(),
+  body('threshold')
+    .if(body('rule_type').equals('monthly_rate'))
+    .isFloat({ min: 0, max: 100 }).withMessage('threshold must be a percentage between 0 and 100').toFloat(),
+  body('min_sessions').optional({ nullable: true }).isInt({ min: 0 }).withMessage('min_sessions must be 0 or more').toInt(),
+  body('notify_guardian').optional().isBoolean().toBoolean(),
+  body('is_active').optional().isBoolean().toBoolean(),
+];
+
+// Only one rule of a type may cover a given trade/level combination
+const findRuleConflict = async (ruleType, trade, level, excludeId) => {
+  let conflictQuery = supabase.from('absence_rules').select('id').eq('rule_type', ruleType);
+  conflictQuery = trade ? conflictQuery.eq('trade', trade) : conflictQuery.is('trade', null);
+  conflictQuery = level ? conflictQuery.eq('level', level) : conflictQuery.is('level', null);
+  if (excludeId) conflictQuery = conflictQuery.neq('id', excludeId);
+
+  const { data, error } = await conflictQuery.limit(1);
+  if (error) throw error;
+  return data.length > 0;
+};
+
+const ruleFields = (reqBody) => ({
+  rule_type: reqBody.rule_type,
+  trade: reqBody.trade || null,
+  level: reqBody.level || null,
+  threshold: reqBody.threshold,
+  min_sessions: reqBody.min_sessions ?? 0,
+  notify_guardian: reqBody.notify_guardian ?? true,
+  is_active: reqBody.is_active ?? true,
+});
+
+const ALERT_SELECT = `
+  *,
+  rule:absence_rules(id, rule_type, trade, level, threshold),
+  student:students!inner(id, full_name, username, trade, level, phone_number, guardian_name, guardian_phone)
+`;
+
+/* ---------------------------------- Rules --------------------------------- */
+
+router.get('/rules', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, rules: await loadAbsenceRules() });
+  } catch (error) {
+    console.error('List absence rules error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load absence rules' });
+  }
+});
+
+router.post('/rules', authenticateToken, ensureAdmin, ruleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const fields = ruleFields(req.body);
+    if (await findRuleConflict(fields.rule_type, fields.trade, fields.level)) {
+      return res.status(400).json({ success: false, message: 'A rule of this type already exists for this trade and level' });
+    }
+
+    const { data: rule, error } = await supabase
+      .from('absence_rules')
+      .insert([{ ...fields, created_by: req.user.id }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, message: 'Absence rule created', rule: formatRule(rule) });
+  } catch (error) {
+    console.error('Create absence rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create absence rule' });
+  }
+});
+
+router.put('/rules/:id', authenticateToken, ensureAdmin, ruleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const fields = ruleFields(req.body);
+    if (await findRuleConflict(fields.rule_type, fields.trade, fields.level, req.params.id)) {
+      return res.status(400).json({ success: false, message: 'A rule of this type already exists for this trade and level' });
+    }
+
+    const { data: rule, error } = await supabase
+      .from('absence_rules')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Absence rule not found' });
+      throw error;
+    }
+
+    res.json({ success: true, message: 'Absence rule updated', rule: formatRule(rule) });
+  } catch (error) {
+    console.error('Update absence rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update absence rule' });
+  }
+});
+
+// Past alerts of a deleted rule are kept
+router.delete('/rules/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { data: rule, error: fetchError } = await supabase
+      .from('absence_rules')
+      .select('id, trade, level')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Absence rule not found' });
+    }
+
+    if (!rule.trade && !rule.level) {
+      return res.status(400).json({ success: false, message: 'A default absence rule cannot be deleted; deactivate it instead' });
+    }
+
+    const { error } = await supabase.from('absence_rules').delete().eq('id', rule.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Absence rule deleted' });
+  } catch (error) {
+    console.error('Delete absence rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete absence rule' });
+  }
+});
+
+/* --------------------------------- Alerts --------------------------------- */
+
+// Runs the rules over every active student now; registers being taken already run them for their students
+router.post(
+  '/run',
+  authenticateToken,
+  ensureAdmin,
+  [body('asOf').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('asOf must be a date')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const alerts = await runAbsenceChecks({ asOf: req.body.asOf || new Date() });
+
+      res.json({
+        success: true,
+        message: `${alerts.length} new absence alert(s) raised`,
+        alerts,
+      });
+    } catch (error) {
+      console.error('Run absence checks error:', error);
+      res.status(500).json({ success: false, message: 'Failed to run absence checks' });
+    }
+  }
+);
+
+// Students with open alerts, the most recently flagged first
+router.get(
+  '/at-risk',
+  authenticateToken,
+  ensureAdmin,
+  [
+    query('trade').optional().trim(),
+    query('level').optional().isIn(LEVELS),
+    query('ruleType').optional().isIn(ABSENCE_RULE_TYPES),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      let alertsQuery = supabase.from('absence_alerts').select(ALERT_SELECT).eq('status', 'open');
+
+      if (req.query.trade) alertsQuery = alertsQuery.eq('student.trade', req.query.trade);
+      if (req.query.level) alertsQuery = alertsQuery.eq('student.level', req.query.level);
+      if (req.query.ruleType) alertsQuery = alertsQuery.eq('rule_type', req.query.ruleType);
+
+      const { data: alerts, error } = await alertsQuery.order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      const students = new Map();
+      alerts.forEach((alert) => {
+        const key = String(alert.student_id);
+        if (!students.has(key)) students.set(key, { student: alert.student, last_alert_at: alert.created_at, alerts: [] });
+        students.get(key).alerts.push({ ...alert, student: undefined, value: Number(alert.value) });
+      });
+
+      res.json({ success: true, students: [...students.values()] });
+    } catch (error) {
+      console.error('List at-risk students error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load at-risk students' });
+    }
+  }
+);
+
+router.get(
+  '/',
+  authenticateToken,
+  ensureAdmin,
+  [
+    query('status').optional().isIn(ALERT_STATUSES),
+    query('studentId').optional().isInt({ min: 1 }),
+    query('ruleType').optional().isIn(ABSENCE_RULE_TYPES),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      let alertsQuery = supabase.from('absence_alerts').select(ALERT_SELECT);
+
+      if (req.query.status) alertsQuery = alertsQuery.eq('status', req.query.status);
+      if (req.query.studentId) alertsQuery = alertsQuery.eq('student_id', req.query.studentId);
+      if (req.query.ruleType) alertsQuery = alertsQuery.eq('rule_type', req.query.ruleType);
+
+      const { data: alerts, error } = await alertsQuery.order('created_at', { ascending: false }).limit(200);
+
+      if (error) throw error;
+
+      res.json({ success: true, alerts: alerts.map((alert) => ({ ...alert, value: Number(alert.value) })) });
+    } catch (error) {
+      console.error('List absence alerts error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load absence alerts' });
+    }
+  }
+);
+
+// Closes an alert once the school has followed it up
+router.patch(
+  '/:id/resolve',
+  authenticateToken,
+  ensureAdmin,
+  [body('note').optional({ nullable: true }).trim().isLength({ max: 255 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { data: existing, error: fetchError } = await supabase
+        .from('absence_alerts')
+        .select('id, status')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Absence alert not found' });
+      }
+
+      if (existing.status === 'resolved') {
+        return res.status(400).json({ success: false, message: 'This alert has already been resolved' });
+      }
+
+      const { data: alert, error } = await supabase
+        .from('absence_alerts')
+        .update({
+          status: 'resolved',
+          resolution_note: req.body.note || null,
+          resolved_by: req.user.id,
+          resolved_at: new Date().toISOString(),
+        })
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.json({ success: true, message: 'Absence alert resolved', alert });
+    } catch (error) {
+      console.error('Resolve absence alert error:', error);
+      res.status(500).json({ success: false, message: 'Failed to resolve absence alert' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,550 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { toDateString, loadTerm, loadAcademicYear, findTermForDate, loadCohort } = require('../services/academicCalendar');
+const { getTeacherScope, teachesCohort } = require('../services/teachingAssignments');
+const { tradeField, levelOfferedValidator } = require('../services/trades');
+
+const ADMIN_ROLES = new Set(['admin', 'super_admin']);
+const LEVELS = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+const ensureAdmin = (req, res, next) => {
+  if (!req.user || !ADMIN_ROLES.has(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Only admins can manage the academic calendar' });
+  }
+  next();
+};
+
+const ensureStaff = (req, res, next) => {
+  if (!req.user || !(ADMIN_ROLES.has(req.user.role) || req.user.role === 'teacher')) {
+    return res.status(403).json({ success: false, message: 'Only teachers or admins can view cohorts' });
+  }
+  next();
+};
+
+const endAfterStart = (value, { req }) => {
+  if (req.body.start_date && new Date(value) < new Date(req.body.start_date)) {
+    throw new Error('end_date must not be before start_date');
+  }
+  return true;
+};
+
+const periodValidators = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('start_date').isISO8601().withMessage('start_date must be a valid date'),
+  body('end_date').isISO8601().withMessage('end_date must be a valid date').custom(endAfterStart),
+];
+
+const overlaps = (a, b) => toDateString(a.start_date) <= toDateString(b.end_date) && toDateString(b.start_date) <= toDateString(a.end_date);
+
+// Exams and assignments without a term are linked to the term their date falls in
+const linkUntermedRecords = async (term) => {
+  const from = `${toDateString(term.start_date)}T00:00:00.000Z`;
+  const to = `${toDateString(term.end_date)}T23:59:59.999Z`;
+
+  const updates = [
+    supabase.from('exams').update({ term_id: term.id }).is('term_id', null).gte('opens_at', from).lte('opens_at', to),
+    supabase.from('exams').update({ term_id: term.id }).is('term_id', null).is('opens_at', null).gte('created_at', from).lte('created_at', to),
+    supabase.from('assignments').update({ term_id: term.id }).is('term_id', null).gte('deadline', from).lte('deadline', to),
+  ];
+
+  for (const update of updates) {
+    const { error } = await update;
+    if (error) throw error;
+  }
+};
+
+/* ----------------------------- Academic years ----------------------------- */
+
+router.get('/years', authenticateToken, async (req, res) => {
+  try {
+    const { data: years, error } = await supabase
+      .from('academic_years')
+      .select('*, terms(id, name, start_date, end_date)')
+      .order('start_date', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      years: years.map((y) => ({
+        ...y,
+        is_current: Boolean(y.is_current),
+        terms: (y.terms || []).sort((a, b) => new Date(a.start_date) - new Date(b.start_date)),
+      })),
+    });
+  } catch (error) {
+    console.error('List academic years error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load academic years' });
+  }
+});
+
+router.post('/years', authenticateToken, ensureAdmin, periodValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, start_date, end_date } = req.body;
+
+    const { data: existing, error: existingError } = await supabase.from('academic_years').select('id, name, start_date, end_date');
+    if (existingError) throw existingError;
+
+    if (existing.some((y) => y.name === name)) {
+      return res.status(400).json({ success: false, message: 'An academic year with this name already exists' });
+    }
+    if (existing.some((y) => overlaps(y, { start_date, end_date }))) {
+      return res.status(400).json({ success: false, message: 'Academic years cannot overlap' });
+    }
+
+    const { data: year, error } = await supabase
+      .from('academic_years')
+      .insert([{ name, start_date, end_date, is_current: existing.length === 0 }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, message: 'Academic year created', year });
+  } catch (error) {
+    console.error('Create academic year error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create academic year' });
+  }
+});
+
+router.put('/years/:id', authenticateToken, ensureAdmin, periodValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const year = await loadAcademicYear(req.params.id);
+    if (!year) {
+      return res.status(404).json({ success: false, message: 'Academic year not found' });
+    }
+
+    const { name, start_date, end_date } = req.body;
+
+    const { data: others, error: othersError } = await supabase
+      .from('academic_years')
+      .select('id, name, start_date, end_date')
+      .neq('id', year.id);
+    if (othersError) throw othersError;
+
+    if (others.some((y) => y.name === name)) {
+      return res.status(400).json({ success: false, message: 'An academic year with this name already exists' });
+    }
+    if (others.some((y) => overlaps(y, { start_date, end_date }))) {
+      return res.status(400).json({ success: false, message: 'Academic years cannot overlap' });
+    }
+    if ((year.terms || []).some((t) => toDateString(t.start_date) < toDateString(start_date) || toDateString(t.end_date) > toDateString(end_date))) {
+      return res.status(400).json({ success: false, message: 'Every term must stay within the academic year' });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('academic_years')
+      .update({ name, start_date, end_date, updated_at: new Date().toISOString() })
+      .eq('id', year.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Academic year updated', year: updated });
+  } catch (error) {
+    console.error('Update academic year error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update academic year' });
+  }
+});
+
+// Marks the year as the one new records default to
+router.post('/years/:id/current', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const year = await loadAcademicYear(req.params.id);
+    if (!year) {
+      return res.status(404).json({ success: false, message: 'Academic year not found' });
+    }
+
+    const { error: clearError } = await supabase.from('academic_years').update({ is_current: false }).neq('id', year.id);
+    if (clearError) throw clearError;
+
+    const { error } = await supabase.from('academic_years').update({ is_current: true }).eq('id', year.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: `${year.name} is now the current academic year` });
+  } catch (error) {
+    console.error('Set current academic year error:', error);
+    res.status(500).json({ success: false, message: 'Failed to set the current academic year' });
+  }
+});
+
+router.delete('/years/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const year = await loadAcademicYear(req.params.id);
+    if (!year) {
+      return res.status(404).json({ success: false, message: 'Academic year not found' });
+    }
+
+    // Terms and cohorts go with the year; exams and assignments only lose their term link
+    const { error } = await supabase.from('academic_years').delete().eq('id', year.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Academic year deleted' });
+  } catch (error) {
+    console.error('Delete academic year error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete academic year' });
+  }
+});
+
+/* ---------------------------------- Terms --------------------------------- */
+
+router.get('/terms', authenticateToken, [query('academicYearId').optional().isInt()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    let termsQuery = supabase.from('terms').select('*, academic_year:academic_years(id, name, is_current)');
+    if (req.query.academicYearId) termsQuery = termsQuery.eq('academic_year_id', req.query.academicYearId);
+
+    const { data: terms, error } = await termsQuery.order('start_date', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ success: true, terms });
+  } catch (error) {
+    console.error('List terms error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load terms' });
+  }
+});
+
+// The term running today (null between terms)
+router.get('/terms/current', authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, term: await findTermForDate(new Date()) });
+  } catch (error) {
+    console.error('Get current term error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load current term' });
+  }
+});
+
+const checkTermDates = async (yearId, dates, excludeId) => {
+  const year = await loadAcademicYear(yearId);
+  if (!year) return 'Academic year not found';
+
+  if (toDateString(dates.start_date) < toDateString(year.start_date) || toDateString(dates.end_date) > toDateString(year.end_date)) {
+    return 'The term must fall within its academic year';
+  }
+
+  const clash = (year.terms || []).find((t) => String(t.id) !== String(excludeId) && overlaps(t, dates));
+  if (clash) return `The term overlaps ${clash.name}`;
+
+  return null;
+};
+
+router.post(
+  '/terms',
+  authenticateToken,
+  ensureAdmin,
+  [...periodValidators, body('academic_year_id').isInt().withMessage('academic_year_id is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { academic_year_id, name, start_date, end_date } = req.body;
+
+      const datesError = await checkTermDates(academic_year_id, { start_date, end_date });
+      if (datesError) {
+        return res.status(400).json({ success: false, message: datesError });
+      }
+
+      const { data: term, error } = await supabase
+        .from('terms')
+        .insert([{ academic_year_id, name, start_date, end_date }])
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') return res.status(400).json({ success: false, message: 'This year already has a term with that name' });
+        throw error;
+      }
+
+      await linkUntermedRecords(term);
+
+      res.status(201).json({ success: true, message: 'Term created', term });
+    } catch (error) {
+      console.error('Create term error:', error);
+      res.status(500).json({ success: false, message: 'Failed to create term' });
+    }
+  }
+);
+
+router.put('/terms/:id', authenticateToken, ensureAdmin, periodValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const term = await loadTerm(req.params.id);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const { name, start_date, end_date } = req.body;
+
+    const datesError = await checkTermDates(term.academic_year_id, { start_date, end_date }, term.id);
+    if (datesError) {
+      return res.status(400).json({ success: false, message: datesError });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('terms')
+      .update({ name, start_date, end_date, updated_at: new Date().toISOString() })
+      .eq('id', term.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return res.status(400).json({ success: false, message: 'This year already has a term with that name' });
+      throw error;
+    }
+
+    await linkUntermedRecords(updated);
+
+    res.json({ success: true, message: 'Term updated', term: updated });
+  } catch (error) {
+    console.error('Update term error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update term' });
+  }
+});
+
+router.delete('/terms/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const term = await loadTerm(req.params.id);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const { error } = await supabase.from('terms').delete().eq('id', term.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Term deleted' });
+  } catch (error) {
+    console.error('Delete term error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete term' });
+  }
+});
+
+/* --------------------------------- Cohorts -------------------------------- */
+
+router.get(
+  '/cohorts',
+  authenticateToken,
+  ensureStaff,
+  [query('academicYearId').optional().isInt(), query('level').optional().isIn(LEVELS)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      let cohortsQuery = supabase
+        .from('cohorts')
+        .select('*, academic_year:academic_years(id, name, is_current), members:cohort_students(student_id)');
+
+      if (req.query.academicYearId) cohortsQuery = cohortsQuery.eq('academic_year_id', req.query.academicYearId);
+      if (req.query.trade) cohortsQuery = cohortsQuery.eq('trade', req.query.trade);
+      if (req.query.level) cohortsQuery = cohortsQuery.eq('level', req.query.level);
+
+      // Teachers only see the cohorts they teach
+      if (req.user.role === 'teacher') {
+        const scope = await getTeacherScope(req.user.id);
+        cohortsQuery = cohortsQuery.in('id', scope.cohort_ids.length ? scope.cohort_ids : [0]);
+      }
+
+      const { data: cohorts, error } = await cohortsQuery.order('trade', { ascending: true }).order('level', { ascending: true });
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        cohorts: cohorts.map((c) => ({ ...c, members: undefined, student_count: (c.members || []).length })),
+      });
+    } catch (error) {
+      console.error('List cohorts error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load cohorts' });
+    }
+  }
+);
+
+// With `populate` the roster starts with every student currently in the trade and level
+router.post(
+  '/cohorts',
+  authenticateToken,
+  ensureAdmin,
+  [
+    body('academic_year_id').isInt().withMessage('academic_year_id is required'),
+    tradeField('trade'),
+    body('level').isIn(LEVELS).withMessage('Invalid level').bail().custom(levelOfferedValidator()),
+    body('name').optional({ nullable: true }).trim().isLength({ max: 100 }),
+    body('populate').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { academic_year_id, trade, level, name, populate } = req.body;
+
+      const year = await loadAcademicYear(academic_year_id);
+      if (!year) {
+        return res.status(404).json({ success: false, message: 'Academic year not found' });
+      }
+
+      const { data: cohort, error } = await supabase
+        .from('cohorts')
+        .insert([{ academic_year_id, trade, level, name: name || `${trade} ${level} ${year.name}` }])
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') return res.status(400).json({ success: false, message: 'This cohort already exists for the academic year' });
+        throw error;
+      }
+
+      if (populate) {
+        const { data: students, error: studentsError } = await supabase
+          .from('students')
+          .select('id')
+          .eq('trade', trade)
+          .eq('level', level);
+
+        if (studentsError) throw studentsError;
+
+        if (students.length) {
+          const { error: membersError } = await supabase
+            .from('cohort_students')
+            .insert(students.map((s) => ({ cohort_id: cohort.id, student_id: s.id })));
+          if (membersError) throw membersError;
+        }
+      }
+
+      res.status(201).json({ success: true, message: 'Cohort created', cohort: await loadCohort(cohort.id) });
+    } catch (error) {
+      console.error('Create cohort error:', error);
+      res.status(500).json({ success: false, message: 'Failed to create cohort' });
+    }
+  }
+);
+
+router.get('/cohorts/:id', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const cohort = await loadCohort(req.params.id);
+    if (!cohort) {
+      return res.status(404).json({ success: false, message: 'Cohort not found' });
+    }
+
+    if (req.user.role === 'teacher' && !teachesCohort(await getTeacherScope(req.user.id), cohort.id)) {
+      return res.status(403).json({ success: false, message: 'You do not teach this cohort' });
+    }
+
+    let students = [];
+    if (cohort.student_ids.length) {
+      const { data, error } = await supabase
+        .from('students')
+        .select('id, username, full_name, trade, level, status')
+        .in('id', cohort.student_ids)
+        .order('full_name', { ascending: true });
+
+      if (error) throw error;
+      students = data;
+    }
+
+    res.json({ success: true, cohort: { ...cohort, students } });
+  } catch (error) {
+    console.error('Get cohort error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load cohort' });
+  }
+});
+
+// Replaces the roster
+router.put(
+  '/cohorts/:id/students',
+  authenticateToken,
+  ensureAdmin,
+  [
+    body('student_ids').isArray().withMessage('student_ids must be an array'),
+    body('student_ids.*').isInt({ min: 1 }).withMessage('Each student id must be a positive integer').toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const cohort = await loadCohort(req.params.id);
+      if (!cohort) {
+        return res.status(404).json({ success: false, message: 'Cohort not found' });
+      }
+
+      const studentIds = [...new Set(req.body.student_ids)];
+      if (studentIds.length) {
+        const { data: students, error: studentsError } = await supabase.from('students').select('id').in('id', studentIds);
+        if (studentsError) throw studentsError;
+
+        const found = new Set(students.map((s) => String(s.id)));
+        const unknown = studentIds.filter((id) => !found.has(String(id)));
+        if (unknown.length) {
+          return res.status(400).json({ success: false, message: 'Some students do not exist', unknown_student_ids: unknown });
+        }
+      }
+
+      const { error: deleteError } = await supabase.from('cohort_students').delete().eq('cohort_id', cohort.id);
+      if (deleteError) throw deleteError;
+
+      if (studentIds.length) {
+        const { error: insertError } = await supabase
+          .from('cohort_students')
+          .insert(studentIds.map((studentId) => ({ cohort_id: cohort.id, student_id: studentId })));
+        if (insertError) throw insertError;
+      }
+
+      res.json({ success: true, message: 'Cohort students updated', cohort: await loadCohort(cohort.id) });
+    } catch (error) {
+      console.error('Update cohort students error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update cohort students' });
+    }
+  }
+);
+
+router.delete('/cohorts/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const cohort = await loadCohort(req.params.id);
+    if (!cohort) {
+      return res.status(404).json({ success: false, message: 'Cohort not found' });
+    }
+
+    const { error } = await supabase.from('cohorts').delete().eq('id', cohort.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Cohort deleted' });
+  } catch (error) {
+    console.error('Delete cohort error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete cohort' });
+  }
+});
+
+module.exports = router;
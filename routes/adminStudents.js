@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { loadCohort } = require('../services/academicCalendar');
+const { recordLevelChange } = require('../services/promotions');
 
 // Middleware to ensure user is an admin
 const ensureAdmin = (req, res, next) => {
@@ -14,10 +16,19 @@ const ensureAdmin = (req, res, next) => {
 // Get all students
 router.get('/', authenticateToken, ensureAdmin, async (req, res) => {
     try {
-        const { data: students, error } = await supabase
+        let studentsQuery = supabase
             .from('students')
-            .select('id, full_name, username, email, phone_number, trade, level, status, created_at')
-            .order('created_at', { ascending: false });
+            .select('id, full_name, username, email, phone_number, guardian_name, guardian_phone, trade, level, status, created_at');
+
+        if (req.query.cohortId) {
+            const cohort = await loadCohort(req.query.cohortId);
+            if (!cohort) {
+                return res.status(404).json({ success: false, message: 'Cohort not found' });
+            }
+            studentsQuery = studentsQuery.in('id', cohort.student_ids.length ? cohort.student_ids : [0]);
+        }
+
+        const { data: students, error } = await studentsQuery.order('created_at', { ascending: false });
 
         if (error) throw error;
 
@@ -61,6 +72,102 @@ router.patch('/:id/status', authenticateToken, ensureAdmin, async (req, res) =>
     }
 });
 
+// Correct a student's level outside a promotion run; the change is kept in the level history
+router.patch('/:id/level', authenticateToken, ensureAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { level, reason } = req.body;
+
+        if (!['L1', 'L2', 'L3', 'L4', 'L5'].includes(level)) {
+            return res.status(400).json({ success: false, message: 'Invalid level' });
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ success: false, message: 'A reason is required' });
+        }
+
+        const { data: student, error: fetchError } = await supabase
+            .from('students')
+            .select('id, level')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!student) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+
+        if (student.level === level) {
+            return res.status(400).json({ success: false, message: `Student is already in ${level}` });
+        }
+
+        const { data, error } = await supabase
+            .from('students')
+            .update({ level })
+            .eq('id', id)
+            .select('id, full_name, username, trade, level, status')
+            .single();
+
+        if (error) throw error;
+
+        await recordLevelChange({
+            studentId: student.id,
+            fromLevel: student.level,
+            toLevel: level,
+            action: 'manual',
+            reason: String(reason).trim().slice(0, 255),
+            changedBy: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: `Student level changed to ${level}`,
+            student: data
+        });
+    } catch (error) {
+        console.error('Update student level error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update student level' });
+    }
+});
+
+// Update the guardian contact used for absence alerts
+router.patch('/:id/guardian', authenticateToken, ensureAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const guardianName = req.body.guardian_name ? String(req.body.guardian_name).trim() : '';
+        const guardianPhone = req.body.guardian_phone ? String(req.body.guardian_phone).trim() : '';
+
+        if (guardianName.length > 100) {
+            return res.status(400).json({ success: false, message: 'Guardian name too long' });
+        }
+
+        if (guardianPhone && (guardianPhone.length < 7 || guardianPhone.length > 20)) {
+            return res.status(400).json({ success: false, message: 'Invalid guardian phone number' });
+        }
+
+        const { data, error } = await supabase
+            .from('students')
+            .update({ guardian_name: guardianName || null, guardian_phone: guardianPhone || null })
+            .eq('id', id)
+            .select('id, full_name, username, guardian_name, guardian_phone')
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Student not found' });
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Guardian contact updated',
+            student: data
+        });
+    } catch (error) {
+        console.error('Update student guardian error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update guardian contact' });
+    }
+});
+
 // Delete student
 router.delete('/:id', authenticateToken, ensureAdmin, async (req, res) => {
     try {
@@ -8,6 +8,7 @@ const { supabase } = require('../config/database');
 const { authenticateToken: authMiddleware } = require('../middleware/auth');
 const smsService = require('../services/sms');
 const emailService = require('../services/email');
+const { tradeField } = require('../services/trades');
 
 // Configure multer for file uploads
 const uploadDir = path.join(__dirname, '../uploads/applications');
@@ -175,7 +176,7 @@ router.post('/',
     body('date_of_birth').isISO8601().toDate().withMessage('Valid date of birth is required'),
     body('gender').isIn(['Male', 'Female', 'Other']).withMessage('Valid gender is required'),
     body('address').trim().notEmpty().withMessage('Address is required'),
-    body('program').trim().notEmpty().withMessage('Program is required')
+    tradeField('program', { label: 'Program' })
   ],
   async (req, res) => {
     try {
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { LEVELS } = require('../services/trades');
+const { loadCohort } = require('../services/academicCalendar');
+const { getTeacherScope, teachesClass, teachesStudent } = require('../services/teachingAssignments');
+const { buildCompetencyMatrices, buildStudentCompetencies } = require('../services/competencies');
+
+const STAFF_ROLES = new Set(['admin', 'super_admin']);
+
+const ensureStaff = (req, res, next) => {
+  if (!req.user || !(STAFF_ROLES.has(req.user.role) || req.user.role === 'teacher')) {
+    return res.status(403).json({ success: false, message: 'Only teachers or admins can view competencies' });
+  }
+  next();
+};
+
+// Module decisions for every student of a class (or of one cohort of it)
+router.get(
+  '/class',
+  authenticateToken,
+  ensureStaff,
+  [
+    query('trade').trim().notEmpty().withMessage('trade is required'),
+    query('level').isIn(LEVELS).withMessage('Invalid level'),
+    query('cohortId').optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { trade, level, cohortId } = req.query;
+
+      if (req.user.role === 'teacher' && !teachesClass(await getTeacherScope(req.user.id), trade, level)) {
+        return res.status(403).json({ success: false, message: 'You can only view classes you teach' });
+      }
+
+      let studentsQuery = supabase
+        .from('students')
+        .select('id, username, full_name')
+        .eq('trade', trade)
+        .eq('level', level)
+        .eq('status', 'active');
+
+      if (cohortId) {
+        const cohort = await loadCohort(cohortId);
+        if (!cohort) {
+          return res.status(404).json({ success: false, message: 'Cohort not found' });
+        }
+        studentsQuery = studentsQuery.in('id', cohort.student_ids.length ? cohort.student_ids : [0]);
+      }
+
+      const { data: students, error } = await studentsQuery.order('full_name', { ascending: true });
+      if (error) throw error;
+
+      const { modules, matrices } = await buildCompetencyMatrices({ trade, level, studentIds: students.map((s) => s.id) });
+
+      res.json({
+        success: true,
+        trade,
+        level,
+        modules: modules.map((m) => ({
+          id: m.id,
+          code: m.code,
+          name: m.name,
+          competent_mark: m.competent_mark,
+          outcomes_total: m.outcomes.length,
+        })),
+        students: students.map((student) => {
+          const matrix = matrices.get(String(student.id));
+          return {
+            ...student,
+            summary: matrix.summary,
+            modules: matrix.modules.map((m) => ({
+              module_id: m.module_id,
+              status: m.status,
+              percent: m.percent,
+              outcomes_competent: m.outcomes_competent,
+            })),
+          };
+        }),
+      });
+    } catch (error) {
+      console.error('Class competencies error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load competencies' });
+    }
+  }
+);
+
+// One student's matrix with the evidence behind each outcome; ?level= shows an earlier level
+router.get(
+  '/students/:studentId',
+  authenticateToken,
+  ensureStaff,
+  [query('level').optional().isIn(LEVELS).withMessage('Invalid level')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { data: student, error } = await supabase
+        .from('students')
+        .select('id, username, full_name, trade, level')
+        .eq('id', req.params.studentId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!student) {
+        return res.status(404).json({ success: false, message: 'Student not found' });
+      }
+
+      if (req.user.role === 'teacher' && !teachesStudent(await getTeacherScope(req.user.id), student.id)) {
+        return res.status(403).json({ success: false, message: 'You can only view students you teach' });
+      }
+
+      const competencies = await buildStudentCompetencies(student, req.query.level || student.level);
+
+      res.json({ success: true, student, ...competencies });
+    } catch (error) {
+      console.error('Student competencies error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load competencies' });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,8 +1,50 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  safeParseOptions,
+  parseStoredAnswer,
+  serializeQuestionFields,
+  copyQuestionFields,
+  parseCorrectAnswer,
+  normalizeQuestion,
+  getQuestionUpdateError,
+  questionValidators,
+  questionUpdateValidators,
+  buildQuestionUpdate,
+  scoreAnswer,
+  arrangeQuestionsForStudent,
+} = require('../services/questions');
+const { getGradingScale, describeScore, SCORE_POLICIES, syncExamResult } = require('../services/grading');
+const { loadTerm, findTermForDate, loadCohort, resolvePeriod, termIdsFilter } = require('../services/academicCalendar');
+const { tradeField, levelOfferedValidator } = require('../services/trades');
+const { getTeacherScope, teachesClass } = require('../services/teachingAssignments');
+const { fetchStudentCohort, loadAllowListedExamIds, getStudentExamAccess } = require('../services/examAccess');
+const { analyzeItems } = require('../services/itemAnalysis');
+const { getOutcomesError, loadOutcomeLinks, replaceOutcomeLinks } = require('../services/competencies');
+const {
+  CLIENT_EVENT_TYPES,
+  getClientInfo,
+  recordAttemptEvents,
+  recordAttemptEvent,
+  summarizeAttemptEvents,
+  loadAttemptEvents,
+  formatAttemptEvent,
+} = require('../services/proctoring');
+const {
+  FORMATS: QUESTION_FORMATS,
+  detectFormat,
+  parseQuestions,
+  exportQuestions,
+} = require('../services/questionFormats');
+const { PAPER_DOCUMENTS, PAPER_VERSION_LABELS, arrangePaperVersion, renderExamDocument } = require('../services/examPaper');
+const { parseScoreCsv, parseScoreJson, scoreGridRow } = require('../services/paperScores');
+const { loadBranding, sendPdf } = require('../services/pdf');
 
 const STAFF_ROLES = new Set(['admin', 'super_admin']);
 
@@ -21,17 +63,77 @@ const ensureStaff = (req, res, next) => {
   next();
 };
 
-const safeParseOptions = (value, fallback = []) => {
-  if (!value) {
-    return fallback;
-  }
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
 
-  try {
-    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
-    return Array.isArray(parsed) ? parsed : fallback;
-  } catch (error) {
-    return fallback;
+// Scanned answer sheets of paper attempts
+const scanDir = path.join(__dirname, '../uploads/exam-scans');
+if (!fs.existsSync(scanDir)) {
+  fs.mkdirSync(scanDir, { recursive: true });
+}
+
+const SCAN_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_SCANS_PER_UPLOAD = 10;
+
+const scanUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, scanDir),
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'scan-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    },
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (SCAN_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new Error('Scans must be PDF, JPEG or PNG files'));
+  },
+}).array('scans', MAX_SCANS_PER_UPLOAD);
+
+const handleScanUpload = (req, res, next) => {
+  scanUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      let message = 'File upload error';
+      if (err.code === 'LIMIT_FILE_SIZE') message = 'File too large. Maximum file size is 10MB.';
+      else if (err.code === 'LIMIT_UNEXPECTED_FILE') message = `Upload up to ${MAX_SCANS_PER_UPLOAD} files in the \`scans\` field`;
+      return res.status(400).json({ success: false, message, code: err.code });
+    }
+    if (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    next();
+  });
+};
+
+const removeFiles = (files = []) => {
+  files.forEach((file) => {
+    fs.unlink(file.path, (unlinkErr) => {
+      if (unlinkErr) console.error('Error cleaning up file:', unlinkErr);
+    });
+  });
+};
+
+const loadAttemptScans = async (attemptIds) => {
+  const { data, error } = await supabase
+    .from('exam_attempt_scans')
+    .select('id, attempt_id, file_path, original_name, mime_type, file_size, uploaded_by, created_at')
+    .in('attempt_id', attemptIds.length ? attemptIds : [0])
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+// Runs the single-question validators against one imported question
+const validateQuestionPayload = async (payload) => {
+  const fakeReq = { body: { ...payload } };
+  for (const validator of questionValidators) {
+    await validator.run(fakeReq);
   }
+  const fieldErrors = validationResult(fakeReq).array().map((e) => ({ field: e.path, message: e.msg }));
+  return { body: fakeReq.body, fieldErrors };
 };
 
 const generateExamCode = () => {
@@ -40,34 +142,463 @@ const generateExamCode = () => {
   return `EX-${timestamp}-${randomPart}`;
 };
 
-const normalizeQuestion = (row, includeAnswer = true) => ({
-  id: row.id,
-  question_text: row.question_text,
-  type: row.type,
-  options: row.type === 'TF' ? ['True', 'False'] : safeParseOptions(row.options, []),
-  correct_answer: includeAnswer ? row.correct_answer : undefined,
-  marks: row.marks,
-  time_limit: row.time_limit || 30,
+// 'upcoming' before opens_at, 'closed' after closes_at, otherwise 'open'
+const getExamAvailability = (exam, now = new Date()) => {
+  if (exam.opens_at && now < new Date(exam.opens_at)) return 'upcoming';
+  if (exam.closes_at && now > new Date(exam.closes_at)) return 'closed';
+  return 'open';
+};
+
+const scheduleValidators = [
+  body('opens_at').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('opens_at must be a valid date'),
+  body('closes_at')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('closes_at must be a valid date')
+    .custom((value, { req }) => {
+      if (req.body.opens_at && new Date(value) <= new Date(req.body.opens_at)) {
+        throw new Error('closes_at must be after opens_at');
+      }
+      return true;
+    }),
+];
+
+const shuffleValidators = [
+  body('shuffle_questions').optional().isBoolean().withMessage('shuffle_questions must be boolean').toBoolean(),
+  body('shuffle_options').optional().isBoolean().withMessage('shuffle_options must be boolean').toBoolean(),
+];
+
+const retakeValidators = [
+  body('max_attempts').optional().isInt({ min: 1, max: 20 }).withMessage('Attempts must be between 1 and 20').toInt(),
+  body('retake_cooldown_minutes').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Cooldown must be zero or more minutes').toInt(),
+  body('score_policy').optional().isIn(SCORE_POLICIES).withMessage(`Score policy must be one of ${SCORE_POLICIES.join(', ')}`),
+];
+
+const accessValidators = [
+  body('require_exam_code').optional().isBoolean().withMessage('require_exam_code must be boolean').toBoolean(),
+  body('use_allow_list').optional().isBoolean().withMessage('use_allow_list must be boolean').toBoolean(),
+];
+
+const termValidators = [
+  body('term_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('term_id must be a term id').toInt(),
+];
+
+const listFilterValidators = [
+  queryParam('termId').optional().isInt({ min: 1 }),
+  queryParam('academicYearId').optional().isInt({ min: 1 }),
+  queryParam('cohortId').optional().isInt({ min: 1 }),
+];
+
+// An explicit term must exist; otherwise the exam joins the term it opens in (or today's)
+const resolveExamTerm = async (termId, opensAt) => {
+  if (termId) {
+    const term = await loadTerm(termId);
+    return term ? { termId: term.id } : { error: 'Term not found' };
+  }
+  const term = await findTermForDate(opensAt ? new Date(opensAt) : new Date());
+  return { termId: term ? term.id : null };
+};
+
+const hasText = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+const toISOStringOrNull = (value) => (value ? new Date(value).toISOString() : null);
+
+// Allow a little slack for network latency between the client timer and the server
+const SUBMISSION_GRACE_SECONDS = 30;
+
+// Exams without an explicit duration fall back to the sum of the per-question time limits
+const getExamDurationSeconds = (exam, questions) => {
+  if (exam.duration_minutes && exam.duration_minutes > 0) {
+    return exam.duration_minutes * 60;
+  }
+  return questions.reduce((sum, q) => sum + (q.time_limit || 30), 0);
+};
+
+const isAttemptExpired = (attempt, now = new Date()) =>
+  now.getTime() > new Date(attempt.deadline_at).getTime() + SUBMISSION_GRACE_SECONDS * 1000;
+
+const formatAttempt = (attempt) => ({
+  id: attempt.id,
+  exam_id: attempt.exam_id,
+  status: attempt.status,
+  started_at: attempt.started_at,
+  deadline_at: attempt.deadline_at,
+  submitted_at: attempt.submitted_at,
+  remaining_seconds: Math.max(0, Math.floor((new Date(attempt.deadline_at).getTime() - Date.now()) / 1000)),
+  server_time: new Date().toISOString(),
 });
 
-router.get('/', authenticateToken, async (req, res) => {
+const findOpenAttempt = async (examId, studentId) => {
+  const { data: attempt, error } = await supabase
+    .from('exam_attempts')
+    .select('*')
+    .eq('exam_id', examId)
+    .eq('student_id', studentId)
+    .eq('status', 'in_progress')
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return attempt;
+};
+
+const isExamCodeValid = (exam, code) =>
+  !exam.require_exam_code || (Boolean(code) && String(code).trim().toUpperCase() === String(exam.exam_code || '').toUpperCase());
+
+// The exam code is the entry password, so it is never sent to students
+const hideExamCode = (exam) => ({ ...exam, exam_code: undefined });
+
+// Whether the student may open another attempt under the exam's retake policy
+const getRetakeStatus = async (exam, studentId, now = new Date()) => {
+  const { data: attempts, error } = await supabase
+    .from('exam_attempts')
+    .select('id, submitted_at')
+    .eq('exam_id', exam.id)
+    .eq('student_id', studentId)
+    .neq('status', 'in_progress')
+    .order('submitted_at', { ascending: false });
+
+  if (error) throw error;
+
+  // Submissions made before attempts were tracked only have a result row
+  let attemptsUsed = attempts.length;
+  if (!attemptsUsed) {
+    const { data: result } = await supabase
+      .from('results')
+      .select('id')
+      .eq('student_id', studentId)
+      .eq('exam_id', exam.id)
+      .maybeSingle();
+    if (result) attemptsUsed = 1;
+  }
+
+  const maxAttempts = exam.max_attempts || 1;
+  const status = {
+    allowed: true,
+    max_attempts: maxAttempts,
+    attempts_used: attemptsUsed,
+    attempts_remaining: Math.max(0, maxAttempts - attemptsUsed),
+    next_attempt_at: null,
+    message: null,
+  };
+
+  if (attemptsUsed >= maxAttempts) {
+    status.allowed = false;
+    status.message = maxAttempts === 1
+      ? 'You have already submitted this exam and cannot retake it.'
+      : `You have used all ${maxAttempts} attempts for this exam.`;
+    return status;
+  }
+
+  const lastSubmittedAt = attempts[0]?.submitted_at;
+  if (exam.retake_cooldown_minutes && lastSubmittedAt) {
+    const nextAttemptAt = new Date(new Date(lastSubmittedAt).getTime() + exam.retake_cooldown_minutes * 60 * 1000);
+    if (nextAttemptAt > now) {
+      status.allowed = false;
+      status.next_attempt_at = nextAttemptAt.toISOString();
+      status.message = `You can retake this exam after ${nextAttemptAt.toISOString()}`;
+    }
+  }
+
+  return status;
+};
+
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Outcomes linked to an exam or its questions must come from modules of the exam's trade and level
+const getExamOutcomesError = async (examId, outcomeIds) => {
+  const { data: exam, error } = await supabase
+    .from('exams')
+    .select('id, trade, level')
+    .eq('id', examId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!exam) return 'Exam not found';
+  return getOutcomesError(outcomeIds, exam);
+};
+
+const fetchDraws = async (examId) => {
+  const { data: draws, error } = await supabase
+    .from('exam_question_draws')
+    .select('id, topic, difficulty, question_count')
+    .eq('exam_id', examId)
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return draws;
+};
+
+// Questions served in an attempt: the recorded selection when the exam draws from the bank,
+// otherwise every fixed question of the exam
+const loadAttemptQuestions = async (examId, attempt, columns = '*') => {
+  let questionQuery = supabase.from('questions').select(columns).eq('exam_id', examId);
+
+  const questionIds = attempt ? safeParseOptions(attempt.question_ids, null) : null;
+  if (questionIds) {
+    questionQuery = questionQuery.in('id', questionIds);
+  } else {
+    questionQuery = questionQuery.eq('is_drawn', false);
+  }
+
+  const { data: questions, error } = await questionQuery.order('id', { ascending: true });
+
+  if (error) throw error;
+  return questions;
+};
+
+// Picks random bank items for each draw rule and returns the ids of their exam copies.
+// Copies are created the first time an item is drawn for the exam, so later edits in the
+// bank do not change questions a student has already answered.
+const drawQuestionsForAttempt = async (exam, draws) => {
+  const selectedBankIds = [];
+
+  for (const rule of draws) {
+    let bankQuery = supabase
+      .from('question_bank')
+      .select('id')
+      .eq('trade', exam.trade)
+      .or(`level.is.null,level.eq.${exam.level}`);
+
+    if (rule.topic) bankQuery = bankQuery.eq('topic', rule.topic);
+    if (rule.difficulty) bankQuery = bankQuery.eq('difficulty', rule.difficulty);
+
+    const { data: candidates, error } = await bankQuery;
+    if (error) throw error;
+
+    shuffle(candidates.filter((c) => !selectedBankIds.includes(c.id)))
+      .slice(0, rule.question_count)
+      .forEach((c) => selectedBankIds.push(c.id));
+  }
+
+  if (!selectedBankIds.length) return [];
+
+  const { data: existingCopies, error: copyError } = await supabase
+    .from('questions')
+    .select('id, bank_question_id')
+    .eq('exam_id', exam.id)
+    .eq('is_drawn', true)
+    .in('bank_question_id', selectedBankIds);
+
+  if (copyError) throw copyError;
+
+  const copiedBankIds = new Set(existingCopies.map((q) => q.bank_question_id));
+  const missingBankIds = selectedBankIds.filter((id) => !copiedBankIds.has(id));
+  let newCopies = [];
+
+  if (missingBankIds.length) {
+    const { data: bankRows, error: bankError } = await supabase
+      .from('question_bank')
+      .select('*')
+      .in('id', missingBankIds);
+
+    if (bankError) throw bankError;
+
+    const { data: inserted, error: insertError } = await supabase
+      .from('questions')
+      .insert(bankRows.map((row) => ({
+        exam_id: exam.id,
+        bank_question_id: row.id,
+        is_drawn: true,
+        ...copyQuestionFields(row)
+      })))
+      .select('id, bank_question_id');
+
+    if (insertError) throw insertError;
+    newCopies = inserted;
+  }
+
+  return [...existingCopies, ...newCopies].map((q) => q.id);
+};
+
+const gradeAnswers = (questions, answerMap) => {
+  let score = 0;
+  let pendingCount = 0;
+  const feedback = [];
+  const answers = [];
+
+  for (const q of questions) {
+    const providedAnswer = answerMap.get(String(q.id)) ?? null;
+    const { answer, isCorrect, marksAwarded, needsMarking } = scoreAnswer(q, providedAnswer);
+    score += marksAwarded || 0;
+    if (needsMarking) pendingCount++;
+
+    feedback.push({
+      questionId: q.id,
+      questionText: q.question_text,
+      type: q.type,
+      studentAnswer: answer === null ? null : providedAnswer,
+      correctAnswer: parseCorrectAnswer(q),
+      isCorrect,
+      marks: q.marks,
+      marksAwarded,
+      pending: Boolean(needsMarking),
+    });
+
+    if (answer !== null) {
+      answers.push({ question_id: q.id, answer, is_correct: isCorrect, marks_awarded: marksAwarded });
+    }
+  }
+
+  return { score: Math.round(score * 100) / 100, pendingCount, feedback, answers };
+};
+
+// Autosaved answers for an attempt, keyed by question id
+const loadDraftAnswers = async (attemptId) => {
+  const { data: drafts, error } = await supabase
+    .from('exam_answer_drafts')
+    .select('question_id, answer, saved_at')
+    .eq('attempt_id', attemptId);
+
+  if (error) throw error;
+
+  const draftMap = new Map();
+  drafts.forEach((d) => {
+    let value = d.answer;
+    try {
+      value = JSON.parse(d.answer);
+    } catch (parseError) {
+      // Stored as plain text
+    }
+    draftMap.set(String(d.question_id), { answer: value, saved_at: d.saved_at });
+  });
+  return draftMap;
+};
+
+// Grades the answers, stores them against the attempt and closes it, then updates the
+// score that counts under the exam's retake policy.
+// Autosaved drafts fill in any question missing from `answerMap`, so an auto-submit or a
+// submit whose payload was cut short still grades everything the student saved.
+// `status` is 'submitted' for normal submissions and 'expired' for auto-submits.
+// Attempts with essay answers stay 'pending' until every answer has been marked.
+const finalizeAttempt = async ({ attempt, exam, questions, studentId, answerMap, status = 'submitted' }) => {
+  const drafts = await loadDraftAnswers(attempt.id);
+  const mergedAnswers = new Map([...drafts].map(([questionId, draft]) => [questionId, draft.answer]));
+  answerMap.forEach((value, questionId) => mergedAnswers.set(questionId, value));
+
+  const { score, pendingCount, feedback, answers } = gradeAnswers(questions, mergedAnswers);
+  const resultStatus = pendingCount > 0 ? 'pending' : 'graded';
+  const submittedAt = new Date().toISOString();
+
+  // Cleanup old answers
+  await supabase.from('student_answers').delete().eq('attempt_id', attempt.id);
+
+  // Batch insert new answers
+  if (answers.length) {
+    const { error: batchError } = await supabase
+      .from('student_answers')
+      .insert(answers.map((a) => ({ ...a, student_id: studentId, attempt_id: attempt.id })));
+    if (batchError) throw batchError;
+  }
+
+  const { error: attemptError } = await supabase
+    .from('exam_attempts')
+    .update({ status, submitted_at: submittedAt, score, result_status: resultStatus })
+    .eq('id', attempt.id);
+
+  if (attemptError) throw attemptError;
+
+  const { error: draftError } = await supabase.from('exam_answer_drafts').delete().eq('attempt_id', attempt.id);
+  if (draftError) throw draftError;
+
+  const counted = await syncExamResult(exam, studentId);
+
+  const totalMarks = exam.total_marks || questions.reduce((sum, q) => sum + (q.marks || 0), 0);
+  const scale = await getGradingScale({ trade: exam.trade, level: exam.level });
+  const { percentage, grade, passed } = describeScore(scale, score, totalMarks, resultStatus);
+
+  return {
+    score,
+    status: resultStatus,
+    pending_count: pendingCount,
+    total_marks: totalMarks,
+    percentage,
+    grade,
+    passed,
+    score_policy: exam.score_policy || 'best',
+    counted_score: counted.score,
+    attempt_count: counted.attempt_count,
+    feedback,
+  };
+};
+
+router.get('/', authenticateToken, listFilterValidators, async (req, res) => {
   try {
-    const { teacherId } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { teacherId, termId, academicYearId, cohortId } = req.query;
+    const isStudent = req.user && req.user.role === 'student';
 
     let query = supabase
       .from('exams')
-      .select('*, questions(id)');
+      .select('*, questions(id, is_drawn), exam_question_draws(question_count)');
 
     if (teacherId) {
       query = query.eq('teacher_id', teacherId);
     }
 
+    // A cohort stands for its trade and level within its academic year
+    let cohort = null;
+    if (cohortId) {
+      cohort = await loadCohort(cohortId);
+      if (!cohort) {
+        return res.status(404).json({ success: false, message: 'Cohort not found' });
+      }
+      query = query.eq('trade', cohort.trade).eq('level', cohort.level);
+    }
+
+    const { period, error: periodError } = await resolvePeriod({
+      termId,
+      academicYearId: academicYearId || (cohort && cohort.academic_year_id),
+    });
+    if (periodError) {
+      return res.status(404).json({ success: false, message: periodError });
+    }
+    if (period) {
+      query = query.in('term_id', termIdsFilter(period));
+    }
+
+    // Students only see their own cohort's exams; teachers those of the classes they teach
+    let allowListed = new Set();
+    let teacherScope = null;
+    if (isStudent) {
+      const student = await fetchStudentCohort(req.user.id);
+      query = query.eq('trade', student.trade).eq('level', student.level);
+      allowListed = await loadAllowListedExamIds(req.user.id);
+    } else if (req.user.role === 'teacher') {
+      teacherScope = await getTeacherScope(req.user.id);
+    } else if (!STAFF_ROLES.has(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
     const { data: exams, error } = await query.order('created_at', { ascending: false });
 
     if (error) throw error;
 
-    const formattedExams = await Promise.all(exams.map(async (e) => {
+    const now = new Date();
+
+    // Students only see exams once their window has opened, and allow-listed exams only if listed
+    let visibleExams = exams;
+    if (isStudent) {
+      visibleExams = exams.filter((e) => getExamAvailability(e, now) !== 'upcoming' && (!e.use_allow_list || allowListed.has(String(e.id))));
+    } else if (teacherScope) {
+      visibleExams = exams.filter((e) => e.teacher_id === req.user.id || teachesClass(teacherScope, e.trade, e.level));
+    }
+
+    const formattedExams = await Promise.all(visibleExams.map(async (e) => {
       let already_taken = false;
+      let retake = null;
       if (req.user && req.user.role === 'student') {
         const { data: result } = await supabase
           .from('results')
@@ -75,13 +606,24 @@ router.get('/', authenticateToken, async (req, res) => {
           .eq('student_id', req.user.id)
           .eq('exam_id', e.id)
           .maybeSingle();
-        if (result) already_taken = true;
+        if (result) {
+          already_taken = true;
+          retake = await getRetakeStatus(e, req.user.id, now);
+        }
       }
 
+      const fixedCount = (e.questions || []).filter((q) => !q.is_drawn).length;
+      const drawnCount = (e.exam_question_draws || []).reduce((sum, d) => sum + d.question_count, 0);
+
       return {
-        ...e,
-        question_count: e.questions?.length || 0,
-        already_taken
+        ...(isStudent ? hideExamCode(e) : e),
+        questions: undefined,
+        exam_question_draws: undefined,
+        question_count: fixedCount + drawnCount,
+        availability: getExamAvailability(e, now),
+        already_taken,
+        can_retake: retake ? retake.allowed : false,
+        retake
       };
     }));
 
@@ -106,9 +648,15 @@ router.post(
     body('title').trim().notEmpty().withMessage('Title is required'),
     body('description').optional().isString(),
     body('total_marks').optional().isInt({ min: 0 }).toInt(),
+    body('duration_minutes').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Duration must be at least 1 minute').toInt(),
     body('exam_code').optional().trim().isLength({ min: 3, max: 20 }).withMessage('Exam code must be 3-20 characters'),
-    body('level').isIn(['L1', 'L2', 'L3', 'L4', 'L5']).withMessage('Invalid level'),
-    body('trade').trim().notEmpty().withMessage('Trade is required'),
+    body('level').isIn(['L1', 'L2', 'L3', 'L4', 'L5']).withMessage('Invalid level').bail().custom(levelOfferedValidator()),
+    tradeField('trade'),
+    ...scheduleValidators,
+    ...shuffleValidators,
+    ...retakeValidators,
+    ...accessValidators,
+    ...termValidators,
   ],
   async (req, res) => {
     try {
@@ -117,24 +665,37 @@ router.post(
         return res.status(400).json({ success: false, errors: errors.array() });
       }
 
-      const { title, description, total_marks = 0, exam_code, level, trade } = req.body;
+      const {
+        title,
+        description,
+        total_marks = 0,
+        duration_minutes,
+        opens_at,
+        closes_at,
+        shuffle_questions = false,
+        shuffle_options = false,
+        max_attempts = 1,
+        retake_cooldown_minutes,
+        score_policy = 'best',
+        require_exam_code = false,
+        use_allow_list = false,
+        exam_code,
+        level,
+        trade
+      } = req.body;
       const teacherId = req.user.id;
 
-      // If user is a teacher, ensure they can only create exams for their own trade
-      if (req.user?.role === 'teacher') {
-        const { data: teacher, error: teacherError } = await supabase
-          .from('teachers')
-          .select('trade')
-          .eq('id', teacherId)
-          .single();
-
-        if (teacherError) throw teacherError;
-        if (teacher.trade !== trade) {
-          return res.status(403).json({
-            success: false,
-            message: 'You can only create exams for your assigned trade'
-          });
-        }
+      const { termId, error: termError } = await resolveExamTerm(req.body.term_id, opens_at);
+      if (termError) {
+        return res.status(400).json({ success: false, message: termError });
+      }
+
+      // If user is a teacher, ensure they can only create exams for the classes they teach
+      if (req.user?.role === 'teacher' && !teachesClass(await getTeacherScope(teacherId), trade, level)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only create exams for classes you teach'
+        });
       }
 
       let finalExamCode = exam_code?.toUpperCase() || null;
@@ -165,7 +726,7 @@ router.post(
 
       const { data: result, error: insertError } = await supabase
         .from('exams')
-        .insert([{ title, exam_code: finalExamCode, description: description || null, total_marks, teacher_id: teacherId, trade, level }])
+        .insert([{ title, exam_code: finalExamCode, description: description || null, total_marks, duration_minutes: duration_minutes || null, opens_at: toISOStringOrNull(opens_at), closes_at: toISOStringOrNull(closes_at), shuffle_questions, shuffle_options, max_attempts, retake_cooldown_minutes: retake_cooldown_minutes || null, score_policy, require_exam_code, use_allow_list, teacher_id: teacherId, trade, level, term_id: termId }])
         .select()
         .single();
 
@@ -191,8 +752,14 @@ router.put(
     body('title').trim().notEmpty().withMessage('Title is required'),
     body('description').optional().isString(),
     body('total_marks').optional().isInt({ min: 0 }).toInt(),
-    body('level').isIn(['L1', 'L2', 'L3', 'L4', 'L5']).withMessage('Invalid level'),
-    body('trade').trim().notEmpty().withMessage('Trade is required'),
+    body('duration_minutes').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Duration must be at least 1 minute').toInt(),
+    body('level').isIn(['L1', 'L2', 'L3', 'L4', 'L5']).withMessage('Invalid level').bail().custom(levelOfferedValidator()),
+    tradeField('trade'),
+    ...scheduleValidators,
+    ...shuffleValidators,
+    ...retakeValidators,
+    ...accessValidators,
+    ...termValidators,
   ],
   async (req, res) => {
     try {
@@ -202,7 +769,13 @@ router.put(
       }
 
       const examId = req.params.id;
-      const { title, description, total_marks = 0, level, trade } = req.body;
+      const {
+        title,
+        description,
+        total_marks = 0,
+        level,
+        trade
+      } = req.body;
 
       // Check existence and ownership/permissions
       const { data: existingExam, error: fetchError } = await supabase
@@ -216,17 +789,32 @@ router.put(
         throw fetchError;
       }
 
+      let termId = existingExam.term_id;
+      if (req.body.term_id !== undefined) {
+        const resolved = req.body.term_id ? await resolveExamTerm(req.body.term_id) : { termId: null };
+        if (resolved.error) {
+          return res.status(400).json({ success: false, message: resolved.error });
+        }
+        termId = resolved.termId;
+      }
+
+      // The window is kept unless the request changes it, so it is checked as it will be stored
+      const opensAt = req.body.opens_at !== undefined ? toISOStringOrNull(req.body.opens_at) : existingExam.opens_at;
+      const closesAt = req.body.closes_at !== undefined ? toISOStringOrNull(req.body.closes_at) : existingExam.closes_at;
+      if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+        return res.status(400).json({ success: false, message: 'closes_at must be after opens_at' });
+      }
+
       // If user is a teacher, ensure they can only update their own exams
       if (req.user?.role === 'teacher') {
         if (existingExam.teacher_id !== req.user.id) {
           return res.status(403).json({ success: false, message: 'You can only update your own exams' });
         }
 
-        const { data: teacher } = await supabase.from('teachers').select('trade').eq('id', req.user.id).single();
-        if (teacher && teacher.trade !== trade) {
+        if (!teachesClass(await getTeacherScope(req.user.id), trade, level)) {
           return res.status(403).json({
             success: false,
-            message: 'You can only assign exams to your own trade'
+            message: 'You can only assign exams to classes you teach'
           });
         }
       }
@@ -237,8 +825,25 @@ router.put(
           title,
           description: description || null,
           total_marks,
+          // An explicit null removes the time limit; leaving the field out keeps it
+          duration_minutes: req.body.duration_minutes !== undefined
+            ? (req.body.duration_minutes || null)
+            : existingExam.duration_minutes,
+          opens_at: opensAt,
+          closes_at: closesAt,
+          // Shuffle and retake settings are kept unless the request changes them
+          shuffle_questions: req.body.shuffle_questions ?? existingExam.shuffle_questions,
+          shuffle_options: req.body.shuffle_options ?? existingExam.shuffle_options,
+          max_attempts: req.body.max_attempts ?? existingExam.max_attempts,
+          retake_cooldown_minutes: req.body.retake_cooldown_minutes !== undefined
+            ? (req.body.retake_cooldown_minutes || null)
+            : existingExam.retake_cooldown_minutes,
+          score_policy: req.body.score_policy || existingExam.score_policy,
+          require_exam_code: req.body.require_exam_code ?? existingExam.require_exam_code,
+          use_allow_list: req.body.use_allow_list ?? existingExam.use_allow_list,
           trade,
           level,
+          term_id: termId,
           updated_at: new Date().toISOString()
         })
         .eq('id', examId)
@@ -292,7 +897,139 @@ router.delete('/:id', authenticateToken, ensureStaff, async (req, res) => {
   }
 });
 
-router.get('/:id/questions', async (req, res) => {
+const fetchAllowedStudents = async (examId) => {
+  const { data, error } = await supabase
+    .from('exam_allowed_students')
+    .select('student_id, created_at, student:students(full_name, username, trade, level)')
+    .eq('exam_id', examId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  return data.map((row) => ({
+    student_id: row.student_id,
+    full_name: row.student?.full_name,
+    username: row.student?.username,
+    trade: row.student?.trade,
+    level: row.student?.level,
+    added_at: row.created_at,
+  }));
+};
+
+router.get('/:id/allowed-students', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const { data: exam, error: examError } = await supabase
+      .from('exams')
+      .select('id, teacher_id, use_allow_list')
+      .eq('id', req.params.id)
+      .single();
+
+    if (examError) {
+      if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+      throw examError;
+    }
+
+    if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only view your own exams' });
+    }
+
+    res.json({
+      success: true,
+      use_allow_list: Boolean(exam.use_allow_list),
+      students: await fetchAllowedStudents(exam.id),
+    });
+  } catch (error) {
+    console.error('Get allowed students error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load allowed students' });
+  }
+});
+
+// Replaces the allow-list; it only takes effect while use_allow_list is switched on
+router.put(
+  '/:id/allowed-students',
+  authenticateToken,
+  ensureStaff,
+  [
+    body('student_ids').isArray().withMessage('student_ids must be an array'),
+    body('student_ids.*').isInt({ min: 1 }).withMessage('Each student id must be a positive integer').toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { data: exam, error: examError } = await supabase
+        .from('exams')
+        .select('id, teacher_id, trade, level, use_allow_list')
+        .eq('id', req.params.id)
+        .single();
+
+      if (examError) {
+        if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+        throw examError;
+      }
+
+      if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You can only update your own exams' });
+      }
+
+      const studentIds = [...new Set(req.body.student_ids)];
+
+      if (studentIds.length) {
+        const { data: students, error: studentsError } = await supabase
+          .from('students')
+          .select('id, trade, level')
+          .in('id', studentIds);
+
+        if (studentsError) throw studentsError;
+
+        const found = new Map(students.map((s) => [String(s.id), s]));
+        const unknown = studentIds.filter((id) => !found.has(String(id)));
+        const outsideCohort = students
+          .filter((s) => s.trade !== exam.trade || s.level !== exam.level)
+          .map((s) => s.id);
+
+        if (unknown.length || outsideCohort.length) {
+          return res.status(400).json({
+            success: false,
+            message: 'Every student must exist and belong to the exam\'s trade and level',
+            unknown_student_ids: unknown,
+            outside_cohort_student_ids: outsideCohort,
+          });
+        }
+      }
+
+      const { error: deleteError } = await supabase
+        .from('exam_allowed_students')
+        .delete()
+        .eq('exam_id', exam.id);
+
+      if (deleteError) throw deleteError;
+
+      if (studentIds.length) {
+        const { error: insertError } = await supabase
+          .from('exam_allowed_students')
+          .insert(studentIds.map((studentId) => ({ exam_id: exam.id, student_id: studentId })));
+
+        if (insertError) throw insertError;
+      }
+
+      res.json({
+        success: true,
+        message: 'Allowed students updated',
+        use_allow_list: Boolean(exam.use_allow_list),
+        students: await fetchAllowedStudents(exam.id),
+      });
+    } catch (error) {
+      console.error('Update allowed students error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update allowed students' });
+    }
+  }
+);
+
+router.get('/:id/questions', authenticateToken, async (req, res) => {
   try {
     const examId = req.params.id;
 
@@ -307,38 +1044,97 @@ router.get('/:id/questions', async (req, res) => {
       throw examError;
     }
 
-    const { data: questionRows, error: qError } = await supabase
-      .from('questions')
-      .select('id, question_text, type, options, correct_answer, marks')
-      .eq('exam_id', examId)
-      .order('id', { ascending: true });
+    const availability = getExamAvailability(exam);
+    if (availability !== 'open') {
+      return res.status(403).json({
+        success: false,
+        availability,
+        message: availability === 'upcoming' ? 'This exam is not open yet' : 'This exam is closed',
+      });
+    }
+
+    const isStudent = req.user.role === 'student';
+    if (!isStudent && !isStaffUser(req.user)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
 
-    if (qError) throw qError;
+    if (isStudent) {
+      const access = await getStudentExamAccess(exam, await fetchStudentCohort(req.user.id));
+      if (!access.allowed) {
+        return res.status(403).json({ success: false, message: access.message });
+      }
+    }
+
+    const attempt = isStudent ? await findOpenAttempt(examId, req.user.id) : null;
+
+    // With an entry code, questions are only served to an attempt started with that code
+    if (isStudent && !attempt && exam.require_exam_code) {
+      return res.status(403).json({
+        success: false,
+        requires_start: true,
+        requires_code: true,
+        message: 'Enter the exam code to start this exam',
+      });
+    }
+
+    // Exams that draw from the bank only have a question set once the attempt has started
+    if (!attempt) {
+      const draws = await fetchDraws(examId);
+      if (draws.length) {
+        return res.status(400).json({
+          success: false,
+          requires_start: true,
+          message: 'Start the exam to receive your questions',
+        });
+      }
+    }
 
-    const questions = questionRows.map((row) => normalizeQuestion(row, false));
+    const questionRows = await loadAttemptQuestions(examId, attempt, 'id, question_text, type, options, marks, time_limit');
+    const normalized = questionRows.map((row) => normalizeQuestion(row, false));
+    let questions = isStudent
+      ? arrangeQuestionsForStudent(normalized, exam, req.user.id)
+      : normalized;
+
+    // A student reconnecting to a running attempt gets back what was autosaved
+    let draftSavedAt = null;
+    if (attempt) {
+      const drafts = await loadDraftAnswers(attempt.id);
+      questions = questions.map((q) => ({ ...q, draft_answer: drafts.get(String(q.id))?.answer ?? null }));
+      drafts.forEach((d) => {
+        if (!draftSavedAt || new Date(d.saved_at) > new Date(draftSavedAt)) draftSavedAt = d.saved_at;
+      });
+    }
     const totalMarks =
       exam.total_marks && exam.total_marks > 0
         ? exam.total_marks
         : questionRows.reduce((sum, q) => sum + (q.marks || 0), 0);
 
     let already_taken = false;
-    if (req.user && req.user.role === 'student') {
+    let retake = null;
+    if (isStudent) {
       const { data: result } = await supabase
         .from('results')
         .select('id')
         .eq('student_id', req.user.id)
         .eq('exam_id', examId)
         .maybeSingle();
-      if (result) already_taken = true;
+      if (result) {
+        already_taken = true;
+        retake = await getRetakeStatus(exam, req.user.id);
+      }
     }
 
     res.json({
       success: true,
       exam: {
-        ...exam,
+        ...(isStudent ? hideExamCode(exam) : exam),
         total_marks: totalMarks,
+        availability,
         already_taken,
+        can_retake: retake ? retake.allowed : false,
+        retake,
       },
+      attempt: attempt ? { ...formatAttempt(attempt), draft_saved_at: draftSavedAt } : null,
       questions,
     });
   } catch (error) {
@@ -362,20 +1158,35 @@ router.get('/:id/manage', authenticateToken, ensureStaff, async (req, res) => {
       throw examError;
     }
 
-    const { data: questionRows, error: qError } = await supabase
-      .from('questions')
-      .select('id, question_text, type, options, correct_answer, marks, time_limit')
-      .eq('exam_id', examId)
-      .order('id', { ascending: true });
+    const questionRows = await loadAttemptQuestions(examId, null, 'id, bank_question_id, question_text, type, options, correct_answer, tolerance, partial_credit, marks, time_limit, outcome_id');
+    const questions = questionRows.map((row) => ({
+      ...normalizeQuestion(row, true),
+      bank_question_id: row.bank_question_id,
+    }));
+    const draws = await fetchDraws(examId);
+    const outcomes = (await loadOutcomeLinks('exams', [examId])).get(String(examId));
+
+    // ?format=csv|gift|xml downloads the fixed questions for import into another exam
+    const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+    if (format) {
+      if (!QUESTION_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, message: `Format must be one of ${QUESTION_FORMATS.join(', ')}` });
+      }
 
-    if (qError) throw qError;
+      const { body: fileBody, contentType, extension } = exportQuestions(format, questionRows);
+      const filename = `${(exam.exam_code || `exam-${exam.id}`).replace(/[^A-Za-z0-9_-]/g, '_')}-questions.${extension}`;
 
-    const questions = questionRows.map((row) => normalizeQuestion(row, true));
+      res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(fileBody);
+    }
 
     res.json({
       success: true,
       exam,
       questions,
+      draws,
+      outcomes,
     });
   } catch (error) {
     console.error('Manage exam load error:', error);
@@ -383,58 +1194,775 @@ router.get('/:id/manage', authenticateToken, ensureStaff, async (req, res) => {
   }
 });
 
+// Printable PDFs for sitting the exam on paper: ?document=paper|answer_key|answer_sheet.
+// ?versions=2..4 adds shuffled versions B-D, each with its own key and sheet.
+router.get('/:id/paper', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const document = req.query.document ? String(req.query.document).toLowerCase() : 'paper';
+    if (!PAPER_DOCUMENTS.includes(document)) {
+      return res.status(400).json({ success: false, message: `Document must be one of ${PAPER_DOCUMENTS.join(', ')}` });
+    }
+
+    const versionCount = req.query.versions === undefined ? 1 : Number(req.query.versions);
+    if (!Number.isInteger(versionCount) || versionCount < 1 || versionCount > PAPER_VERSION_LABELS.length) {
+      return res.status(400).json({ success: false, message: `Versions must be between 1 and ${PAPER_VERSION_LABELS.length}` });
+    }
+
+    const { data: exam, error: examError } = await supabase
+      .from('exams')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (examError) {
+      if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+      throw examError;
+    }
+
+    if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only print your own exams' });
+    }
+
+    // A paper has to be the same for the whole class, so bank draws cannot be printed
+    const draws = await fetchDraws(exam.id);
+    if (draws.length) {
+      return res.status(400).json({ success: false, message: 'Exams that draw questions from the bank cannot be printed' });
+    }
+
+    const questionRows = await loadAttemptQuestions(exam.id, null);
+    if (!questionRows.length) {
+      return res.status(400).json({ success: false, message: 'This exam has no questions to print' });
+    }
+
+    const pdf = await renderExamDocument({
+      document,
+      exam,
+      questions: questionRows.map((row) => normalizeQuestion(row, true)),
+      branding: await loadBranding(),
+      versionCount,
+    });
+
+    const filename = `${(exam.exam_code || `exam-${exam.id}`).replace(/[^A-Za-z0-9_-]/g, '_')}-${document.replace('_', '-')}.pdf`;
+    sendPdf(res, pdf, filename);
+  } catch (error) {
+    console.error('Print exam error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate exam PDF' });
+  }
+});
+
+// Scores for an exam sat on paper, from a CSV upload (`file`/`content`) or a JSON `rows` grid.
+// Each row becomes a 'paper' attempt graded like an online one; entering a student again
+// replaces their paper attempt. Per-question columns follow the printed version's numbering.
 router.post(
-  '/:id/questions',
+  '/:id/paper-scores',
   authenticateToken,
   ensureStaff,
-  [
-    body('question_text').trim().notEmpty().withMessage('Question text is required'),
-    body('type').isIn(['MCQ', 'TF']).withMessage('Type must be MCQ or TF'),
-    body('options')
-      .optional()
-      .custom((value, { req }) => {
-        if (req.body.type === 'TF') return true;
-        return Array.isArray(value) && value.length >= 2;
-      })
-      .withMessage('MCQ questions require at least two options'),
-    body('correct_answer').trim().notEmpty().withMessage('Correct answer is required'),
-    body('marks').isInt({ min: 1 }).withMessage('Marks must be at least 1'),
-    body('time_limit').optional().isInt({ min: 5 }).withMessage('Time limit must be at least 5 seconds'),
-  ],
+  importUpload.single('file'),
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ success: false, errors: errors.array() });
+      const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+      if (!req.body.rows && !(content && String(content).trim())) {
+        return res.status(400).json({ success: false, message: 'Upload a CSV file or send the score rows' });
       }
 
-      const examId = req.params.id;
-      const { question_text, type, options, correct_answer, marks, time_limit = 30 } = req.body;
+      const satAt = req.body.sat_at ? new Date(req.body.sat_at) : new Date();
+      if (Number.isNaN(satAt.getTime()) || satAt > new Date()) {
+        return res.status(400).json({ success: false, message: 'sat_at must be a valid date that is not in the future' });
+      }
 
-      const { data, error } = await supabase
-        .from('questions')
-        .insert([{
-          exam_id: examId,
-          question_text,
-          type,
-          options: type === 'MCQ' ? (typeof options === 'string' ? options : JSON.stringify(options)) : null,
-          correct_answer,
-          marks,
-          time_limit
+      const { data: exam, error: examError } = await supabase
+        .from('exams')
+        .select('*')
+        .eq('id', req.params.id)
+        .single();
+
+      if (examError) {
+        if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+        throw examError;
+      }
+
+      if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You can only enter scores for your own exams' });
+      }
+
+      const draws = await fetchDraws(exam.id);
+      if (draws.length) {
+        return res.status(400).json({ success: false, message: 'Exams that draw questions from the bank cannot be sat on paper' });
+      }
+
+      const questionRows = await loadAttemptQuestions(exam.id, null);
+      if (!questionRows.length) {
+        return res.status(400).json({ success: false, message: 'This exam has no questions' });
+      }
+
+      const questions = questionRows.map((row) => normalizeQuestion(row, true));
+      const totalMarks = exam.total_marks || questions.reduce((sum, q) => sum + (q.marks || 0), 0);
+
+      const isTrue = (value) => value === true || value === 'true' || value === '1';
+      const dryRun = isTrue(req.body.dry_run ?? req.query.dry_run);
+      const skipInvalid = isTrue(req.body.skip_invalid ?? req.query.skip_invalid);
+
+      const parsed = req.body.rows ? parseScoreJson(req.body.rows) : parseScoreCsv(content);
+      const rowErrors = parsed.errors.map((e) => ({ row: e.row, student: null, errors: [{ field: null, message: e.message }] }));
+
+      const ids = parsed.rows.filter((r) => hasText(r.student_id)).map((r) => String(r.student_id).trim());
+      const usernames = parsed.rows.filter((r) => !hasText(r.student_id) && hasText(r.username)).map((r) => String(r.username).trim());
+
+      const students = [];
+      if (ids.length) {
+        const { data, error } = await supabase.from('students').select('id, username, full_name, trade, level').in('id', ids);
+        if (error) throw error;
+        students.push(...data);
+      }
+      if (usernames.length) {
+        const { data, error } = await supabase.from('students').select('id, username, full_name, trade, level').in('username', usernames);
+        if (error) throw error;
+        students.push(...data);
+      }
+
+      const studentsById = new Map(students.map((st) => [String(st.id), st]));
+      const studentsByUsername = new Map(students.map((st) => [String(st.username).toLowerCase(), st]));
+
+      const { data: existingAttempts, error: attemptsError } = await supabase
+        .from('exam_attempts')
+        .select('id, student_id, status, mode')
+        .eq('exam_id', exam.id)
+        .in('student_id', students.length ? students.map((st) => st.id) : [0]);
+
+      if (attemptsError) throw attemptsError;
+
+      const seen = new Set();
+      const validRows = [];
+
+      for (const entry of parsed.rows) {
+        const label = hasText(entry.student_id) ? String(entry.student_id).trim() : (hasText(entry.username) ? String(entry.username).trim() : null);
+        const fail = (field, message) => rowErrors.push({ row: entry.row, student: label, errors: [{ field, message }] });
+
+        const student = hasText(entry.student_id)
+          ? studentsById.get(String(entry.student_id).trim())
+          : hasText(entry.username) ? studentsByUsername.get(String(entry.username).trim().toLowerCase()) : null;
+
+        if (!label) { fail('student_id', 'student_id or username is required'); continue; }
+        if (!student) { fail('student_id', 'Student not found'); continue; }
+        if (seen.has(String(student.id))) { fail('student_id', 'Student appears more than once in the grid'); continue; }
+        seen.add(String(student.id));
+
+        const access = await getStudentExamAccess(exam, student);
+        if (!access.allowed) { fail('student_id', 'Student is not in this exam\'s class or allow-list'); continue; }
+
+        const version = hasText(entry.version) ? String(entry.version).trim().toUpperCase() : PAPER_VERSION_LABELS[0];
+        if (!PAPER_VERSION_LABELS.includes(version)) { fail('version', `Version must be one of ${PAPER_VERSION_LABELS.join(', ')}`); continue; }
+
+        const studentAttempts = existingAttempts.filter((a) => String(a.student_id) === String(student.id));
+        if (studentAttempts.some((a) => a.status === 'in_progress')) { fail('student_id', 'Student has an online attempt in progress'); continue; }
+
+        const paperAttempt = studentAttempts.find((a) => a.mode === 'paper') || null;
+        if (!paperAttempt) {
+          const retake = await getRetakeStatus(exam, student.id, satAt);
+          if (retake.attempts_remaining <= 0) { fail('student_id', 'Student has no attempts left for this exam'); continue; }
+        }
+
+        const versionQuestions = arrangePaperVersion(questions, exam, version);
+        const { fieldErrors, score, answers } = scoreGridRow(entry, { questions: versionQuestions, totalMarks });
+        if (fieldErrors.length) {
+          rowErrors.push({ row: entry.row, student: label, errors: fieldErrors });
+          continue;
+        }
+
+        validRows.push({ row: entry.row, student, version, score, answers, paperAttempt });
+      }
+
+      rowErrors.sort((a, b) => (a.row || 0) - (b.row || 0));
+
+      if (!validRows.length && !rowErrors.length) {
+        return res.status(400).json({ success: false, message: 'No score rows found' });
+      }
+
+      if (rowErrors.length && !skipInvalid) {
+        return res.status(400).json({
+          success: false,
+          message: 'No scores were saved because some rows are invalid',
+          valid_count: validRows.length,
+          errors: rowErrors,
+        });
+      }
+
+      const scale = await getGradingScale({ trade: exam.trade, level: exam.level });
+      const preview = (r) => ({
+        row: r.row,
+        student_id: r.student.id,
+        username: r.student.username,
+        full_name: r.student.full_name,
+        version: r.version,
+        score: r.score,
+        total_marks: totalMarks,
+        ...describeScore(scale, r.score, totalMarks, 'graded'),
+        replaces_previous: Boolean(r.paperAttempt),
+      });
+
+      if (dryRun || !validRows.length) {
+        return res.json({
+          success: true,
+          dry_run: dryRun,
+          valid_count: validRows.length,
+          saved: 0,
+          errors: rowErrors,
+          results: validRows.map(preview),
+        });
+      }
+
+      const saved = [];
+      for (const r of validRows) {
+        const attemptFields = {
+          status: 'submitted',
+          mode: 'paper',
+          paper_version: r.version,
+          recorded_by: req.user.id,
+          question_ids: JSON.stringify(questions.map((q) => q.id)),
+          started_at: satAt.toISOString(),
+          deadline_at: satAt.toISOString(),
+          submitted_at: satAt.toISOString(),
+          score: r.score,
+          result_status: 'graded',
+        };
+
+        let attemptId = r.paperAttempt?.id;
+        if (attemptId) {
+          const { error: updateError } = await supabase.from('exam_attempts').update(attemptFields).eq('id', attemptId);
+          if (updateError) throw updateError;
+
+          const { error: deleteError } = await supabase.from('student_answers').delete().eq('attempt_id', attemptId);
+          if (deleteError) throw deleteError;
+        } else {
+          const { data: attempt, error: insertError } = await supabase
+            .from('exam_attempts')
+            .insert([{ exam_id: exam.id, student_id: r.student.id, ...attemptFields }])
+            .select('id')
+            .single();
+          if (insertError) throw insertError;
+          attemptId = attempt.id;
+        }
+
+        if (r.answers) {
+          const { error: answersError } = await supabase
+            .from('student_answers')
+            .insert(r.answers.map((a) => ({ ...a, student_id: r.student.id, attempt_id: attemptId })));
+          if (answersError) throw answersError;
+        }
+
+        const counted = await syncExamResult(exam, r.student.id);
+        saved.push({ ...preview(r), attempt_id: attemptId, counted_score: counted.score });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `${saved.length} paper score(s) saved`,
+        saved: saved.length,
+        skipped: rowErrors.length,
+        errors: rowErrors,
+        results: saved,
+      });
+    } catch (error) {
+      console.error('Enter paper scores error:', error);
+      res.status(500).json({ success: false, message: 'Failed to save paper scores' });
+    }
+  }
+);
+
+// The exam and one of its attempts, for the scan routes
+const loadExamAttempt = async (examId, attemptId) => {
+  const { data: exam, error: examError } = await supabase
+    .from('exams')
+    .select('id, teacher_id')
+    .eq('id', examId)
+    .maybeSingle();
+
+  if (examError) throw examError;
+  if (!exam) return { exam: null, attempt: null };
+
+  const { data: attempt, error: attemptError } = await supabase
+    .from('exam_attempts')
+    .select('id, exam_id, student_id, mode')
+    .eq('id', attemptId)
+    .eq('exam_id', exam.id)
+    .maybeSingle();
+
+  if (attemptError) throw attemptError;
+  return { exam, attempt };
+};
+
+// Scanned answer sheets (`scans`, PDF/JPEG/PNG) for a paper attempt entered with /paper-scores
+router.post(
+  '/:id/attempts/:attemptId/scans',
+  authenticateToken,
+  ensureStaff,
+  handleScanUpload,
+  async (req, res) => {
+    const files = req.files || [];
+    try {
+      if (!files.length) {
+        return res.status(400).json({ success: false, message: 'Upload at least one scan' });
+      }
+
+      const { exam, attempt } = await loadExamAttempt(req.params.id, req.params.attemptId);
+      if (!exam || !attempt) {
+        removeFiles(files);
+        return res.status(404).json({ success: false, message: exam ? 'Attempt not found for this exam' : 'Exam not found' });
+      }
+
+      if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+        removeFiles(files);
+        return res.status(403).json({ success: false, message: 'You can only attach scans to your own exams' });
+      }
+
+      if (attempt.mode !== 'paper') {
+        removeFiles(files);
+        return res.status(400).json({ success: false, message: 'Scans can only be attached to paper attempts' });
+      }
+
+      const { data: scans, error } = await supabase
+        .from('exam_attempt_scans')
+        .insert(files.map((file) => ({
+          attempt_id: attempt.id,
+          file_path: `/uploads/exam-scans/${file.filename}`,
+          original_name: file.originalname.slice(0, 255),
+          mime_type: file.mimetype,
+          file_size: file.size,
+          uploaded_by: req.user.id,
+        })))
+        .select();
+
+      if (error) throw error;
+
+      res.status(201).json({ success: true, message: `${scans.length} scan(s) attached`, scans });
+    } catch (error) {
+      console.error('Upload answer sheet scans error:', error);
+      removeFiles(files);
+      res.status(500).json({ success: false, message: 'Failed to upload scans' });
+    }
+  }
+);
+
+router.get('/:id/attempts/:attemptId/scans', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const { exam, attempt } = await loadExamAttempt(req.params.id, req.params.attemptId);
+    if (!exam || !attempt) {
+      return res.status(404).json({ success: false, message: exam ? 'Attempt not found for this exam' : 'Exam not found' });
+    }
+
+    if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only view scans of your own exams' });
+    }
+
+    res.json({ success: true, scans: await loadAttemptScans([attempt.id]) });
+  } catch (error) {
+    console.error('List answer sheet scans error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load scans' });
+  }
+});
+
+router.delete('/:id/attempts/:attemptId/scans/:scanId', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const { exam, attempt } = await loadExamAttempt(req.params.id, req.params.attemptId);
+    if (!exam || !attempt) {
+      return res.status(404).json({ success: false, message: exam ? 'Attempt not found for this exam' : 'Exam not found' });
+    }
+
+    if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only remove scans from your own exams' });
+    }
+
+    const { data: scan, error: fetchError } = await supabase
+      .from('exam_attempt_scans')
+      .select('id, file_path')
+      .eq('id', req.params.scanId)
+      .eq('attempt_id', attempt.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!scan) {
+      return res.status(404).json({ success: false, message: 'Scan not found for this attempt' });
+    }
+
+    const { error } = await supabase.from('exam_attempt_scans').delete().eq('id', scan.id);
+    if (error) throw error;
+
+    removeFiles([{ path: path.join(scanDir, path.basename(scan.file_path)) }]);
+
+    res.json({ success: true, message: 'Scan removed' });
+  } catch (error) {
+    console.error('Delete answer sheet scan error:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove scan' });
+  }
+});
+
+// Bulk import from an uploaded file (`file`) or a `content` string.
+// Every row is checked with the same validators as POST /:id/questions; unless
+// `skip_invalid` is set, nothing is imported while any row has errors.
+router.post(
+  '/:id/questions/import',
+  authenticateToken,
+  ensureStaff,
+  importUpload.single('file'),
+  async (req, res) => {
+    try {
+      const examId = req.params.id;
+      const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+
+      if (!content || !String(content).trim()) {
+        return res.status(400).json({ success: false, message: 'Upload a file or send its content' });
+      }
+
+      const format = String(req.body.format || req.query.format || detectFormat(req.file?.originalname, content)).toLowerCase();
+      if (!QUESTION_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, message: `Format must be one of ${QUESTION_FORMATS.join(', ')}` });
+      }
+
+      const { data: exam, error: examError } = await supabase
+        .from('exams')
+        .select('id, teacher_id')
+        .eq('id', examId)
+        .single();
+
+      if (examError) {
+        if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+        throw examError;
+      }
+
+      if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You can only import questions into your own exams' });
+      }
+
+      const isTrue = (value) => value === true || value === 'true' || value === '1';
+      const dryRun = isTrue(req.body.dry_run ?? req.query.dry_run);
+      const skipInvalid = isTrue(req.body.skip_invalid ?? req.query.skip_invalid);
+
+      const parsed = parseQuestions(format, content);
+      const rowErrors = parsed.errors.map((e) => ({ row: e.row, question_text: null, errors: [{ field: null, message: e.message }] }));
+      const validRows = [];
+
+      for (const payload of parsed.questions) {
+        const { row, ...questionBody } = payload;
+        const { body: checked, fieldErrors } = await validateQuestionPayload(questionBody);
+        if (fieldErrors.length) {
+          rowErrors.push({ row, question_text: questionBody.question_text || null, errors: fieldErrors });
+        } else {
+          validRows.push(checked);
+        }
+      }
+
+      rowErrors.sort((a, b) => a.row - b.row);
+
+      if (!validRows.length && !rowErrors.length) {
+        return res.status(400).json({ success: false, message: 'No questions found in the file' });
+      }
+
+      if (rowErrors.length && !skipInvalid) {
+        return res.status(400).json({
+          success: false,
+          message: 'No questions were imported because some rows are invalid',
+          format,
+          valid_count: validRows.length,
+          errors: rowErrors,
+        });
+      }
+
+      if (dryRun || !validRows.length) {
+        return res.json({
+          success: true,
+          dry_run: dryRun,
+          format,
+          valid_count: validRows.length,
+          imported: 0,
+          errors: rowErrors,
+        });
+      }
+
+      const { data: inserted, error: insertError } = await supabase
+        .from('questions')
+        .insert(validRows.map((q) => ({
+          exam_id: examId,
+          question_text: q.question_text,
+          type: q.type,
+          ...serializeQuestionFields(q),
+          marks: q.marks,
+          time_limit: q.time_limit || 30
+        })))
+        .select();
+
+      if (insertError) throw insertError;
+
+      res.status(201).json({
+        success: true,
+        message: `${inserted.length} question(s) imported`,
+        format,
+        imported: inserted.length,
+        skipped: rowErrors.length,
+        errors: rowErrors,
+        questions: inserted.map((row) => normalizeQuestion(row, true)),
+      });
+    } catch (error) {
+      console.error('Import questions error:', error);
+      res.status(500).json({ success: false, message: 'Failed to import questions' });
+    }
+  }
+);
+
+router.post(
+  '/:id/questions',
+  authenticateToken,
+  ensureStaff,
+  questionValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const examId = req.params.id;
+      const { question_text, type, marks, time_limit = 30, outcome_id = null } = req.body;
+
+      if (outcome_id) {
+        const outcomeError = await getExamOutcomesError(examId, [outcome_id]);
+        if (outcomeError) {
+          return res.status(400).json({ success: false, message: outcomeError });
+        }
+      }
+
+      const { data, error } = await supabase
+        .from('questions')
+        .insert([{
+          exam_id: examId,
+          question_text,
+          type,
+          ...serializeQuestionFields(req.body),
+          marks,
+          time_limit,
+          outcome_id
         }])
         .select()
         .single();
 
-      if (error) throw error;
+      if (error) throw error;
+
+      res.status(201).json({
+        success: true,
+        message: 'Question added successfully',
+        question: normalizeQuestion(data, true),
+      });
+    } catch (error) {
+      console.error('Add question error:', error);
+      res.status(500).json({ success: false, message: 'Failed to add question' });
+    }
+  }
+);
+
+// Copy bank items into the exam as fixed questions
+router.post(
+  '/:id/questions/from-bank',
+  authenticateToken,
+  ensureStaff,
+  [
+    body('bank_question_ids').isArray({ min: 1 }).withMessage('Select at least one bank question'),
+    body('bank_question_ids.*').isInt({ min: 1 }).withMessage('Invalid bank question id').toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const examId = req.params.id;
+
+      const { data: exam, error: examError } = await supabase
+        .from('exams')
+        .select('id, trade, teacher_id')
+        .eq('id', examId)
+        .single();
+
+      if (examError) {
+        if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+        throw examError;
+      }
+
+      if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You can only add questions to your own exams' });
+      }
+
+      const { data: bankRows, error: bankError } = await supabase
+        .from('question_bank')
+        .select('*')
+        .in('id', req.body.bank_question_ids)
+        .eq('trade', exam.trade);
+
+      if (bankError) throw bankError;
+
+      if (!bankRows.length) {
+        return res.status(400).json({ success: false, message: "No matching bank questions for this exam's trade" });
+      }
+
+      const { data: inserted, error: insertError } = await supabase
+        .from('questions')
+        .insert(bankRows.map((row) => ({
+          exam_id: examId,
+          bank_question_id: row.id,
+          ...copyQuestionFields(row)
+        })))
+        .select();
+
+      if (insertError) throw insertError;
+
+      res.status(201).json({
+        success: true,
+        message: `${inserted.length} question(s) added from the bank`,
+        questions: inserted.map((row) => normalizeQuestion(row, true)),
+      });
+    } catch (error) {
+      console.error('Add bank questions error:', error);
+      res.status(500).json({ success: false, message: 'Failed to add questions from bank' });
+    }
+  }
+);
+
+// Replace the random draw rules of an exam; an empty list turns random draws off
+router.put(
+  '/:id/draws',
+  authenticateToken,
+  ensureStaff,
+  [
+    body('draws').isArray().withMessage('Draws must be an array'),
+    body('draws.*.topic').optional({ nullable: true }).trim().isLength({ max: 100 }),
+    body('draws.*.difficulty').optional({ nullable: true, checkFalsy: true }).isIn(['easy', 'medium', 'hard']),
+    body('draws.*.question_count').isInt({ min: 1 }).withMessage('Each draw needs a question count of at least 1').toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const examId = req.params.id;
+
+      const { data: exam, error: examError } = await supabase
+        .from('exams')
+        .select('id, teacher_id')
+        .eq('id', examId)
+        .single();
+
+      if (examError) {
+        if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+        throw examError;
+      }
+
+      if (req.user?.role === 'teacher' && exam.teacher_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You can only update your own exams' });
+      }
+
+      const { error: deleteError } = await supabase
+        .from('exam_question_draws')
+        .delete()
+        .eq('exam_id', examId);
+
+      if (deleteError) throw deleteError;
+
+      if (req.body.draws.length) {
+        const { error: insertError } = await supabase
+          .from('exam_question_draws')
+          .insert(req.body.draws.map((draw) => ({
+            exam_id: examId,
+            topic: draw.topic || null,
+            difficulty: draw.difficulty || null,
+            question_count: draw.question_count
+          })));
+
+        if (insertError) throw insertError;
+      }
+
+      res.json({
+        success: true,
+        message: 'Draw rules updated successfully',
+        draws: await fetchDraws(examId),
+      });
+    } catch (error) {
+      console.error('Update exam draws error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update draw rules' });
+    }
+  }
+);
+
+router.get('/:id/outcomes', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const examId = req.params.id;
+
+    const { data: exam, error: examError } = await supabase
+      .from('exams')
+      .select('id')
+      .eq('id', examId)
+      .maybeSingle();
+
+    if (examError) throw examError;
+    if (!exam) {
+      return res.status(404).json({ success: false, message: 'Exam not found' });
+    }
+
+    res.json({ success: true, outcomes: (await loadOutcomeLinks('exams', [exam.id])).get(String(exam.id)) });
+  } catch (error) {
+    console.error('Get exam outcomes error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load learning outcomes' });
+  }
+});
+
+// Replace the learning outcomes the whole exam assesses; questions can also be tagged one by one
+router.put(
+  '/:id/outcomes',
+  authenticateToken,
+  ensureStaff,
+  [
+    body('outcome_ids').isArray().withMessage('outcome_ids must be an array'),
+    body('outcome_ids.*').isInt({ min: 1 }).withMessage('Invalid learning outcome id').toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const examId = req.params.id;
+
+      const { data: exam, error: examError } = await supabase
+        .from('exams')
+        .select('id, teacher_id, trade, level')
+        .eq('id', examId)
+        .single();
+
+      if (examError) {
+        if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+        throw examError;
+      }
 
-      res.status(201).json({
+      if (req.user?.role === 'teacher' && exam.teacher_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You can only update your own exams' });
+      }
+
+      const outcomeError = await getOutcomesError(req.body.outcome_ids, exam);
+      if (outcomeError) {
+        return res.status(400).json({ success: false, message: outcomeError });
+      }
+
+      await replaceOutcomeLinks('exams', exam.id, req.body.outcome_ids);
+
+      res.json({
         success: true,
-        message: 'Question added successfully',
-        question: normalizeQuestion(data, true),
+        message: 'Learning outcomes updated successfully',
+        outcomes: (await loadOutcomeLinks('exams', [exam.id])).get(String(exam.id)),
       });
     } catch (error) {
-      console.error('Add question error:', error);
-      res.status(500).json({ success: false, message: 'Failed to add question' });
+      console.error('Update exam outcomes error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update learning outcomes' });
     }
   }
 );
@@ -443,18 +1971,7 @@ router.put(
   '/questions/:questionId',
   authenticateToken,
   ensureStaff,
-  [
-    body('question_text').optional().trim().notEmpty(),
-    body('type').optional().isIn(['MCQ', 'TF']),
-    body('time_limit').optional().isInt({ min: 5 }),
-    body('options')
-      .optional()
-      .custom((value, { req }) => {
-        if (req.body.type === 'TF') return true;
-        return Array.isArray(value) ? value.length >= 2 : true;
-      }),
-    body('marks').optional().isInt({ min: 1 }),
-  ],
+  questionUpdateValidators,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -475,16 +1992,19 @@ router.put(
         throw fetchError;
       }
 
-      const type = req.body.type || existing.type;
-      const updatedData = {
-        question_text: req.body.question_text || existing.question_text,
-        type,
-        correct_answer: req.body.correct_answer || existing.correct_answer,
-        marks: req.body.marks || existing.marks,
-        time_limit: req.body.time_limit || existing.time_limit,
-        options: type === 'MCQ' ? (req.body.options ? JSON.stringify(req.body.options) : existing.options) : null,
-        updated_at: new Date().toISOString()
-      };
+      const shapeError = getQuestionUpdateError(existing, req.body);
+      if (shapeError) {
+        return res.status(400).json({ success: false, message: shapeError });
+      }
+
+      if (req.body.outcome_id) {
+        const outcomeError = await getExamOutcomesError(existing.exam_id, [req.body.outcome_id]);
+        if (outcomeError) {
+          return res.status(400).json({ success: false, message: outcomeError });
+        }
+      }
+
+      const updatedData = buildQuestionUpdate(existing, req.body);
 
       const { data: updated, error: updateError } = await supabase
         .from('questions')
@@ -524,13 +2044,227 @@ router.delete('/questions/:questionId', authenticateToken, ensureStaff, async (r
   }
 });
 
+router.post('/:id/start', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user || req.user.role !== 'student') {
+      return res.status(403).json({ success: false, message: 'Only students can start exams' });
+    }
+
+    const examId = req.params.id;
+    const studentId = req.user.id;
+
+    const { data: exam, error: examError } = await supabase
+      .from('exams')
+      .select('*')
+      .eq('id', examId)
+      .single();
+
+    if (examError) {
+      if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+      throw examError;
+    }
+
+    const access = await getStudentExamAccess(exam, await fetchStudentCohort(studentId));
+    if (!access.allowed) {
+      return res.status(403).json({ success: false, message: access.message });
+    }
+
+    // Reloading the page resumes the running attempt instead of restarting the clock
+    const openAttempt = await findOpenAttempt(examId, studentId);
+    if (openAttempt) {
+      if (isAttemptExpired(openAttempt)) {
+        const attemptQuestions = await loadAttemptQuestions(examId, openAttempt);
+        await finalizeAttempt({ attempt: openAttempt, exam, questions: attemptQuestions, studentId, answerMap: new Map(), status: 'expired' });
+        return res.status(400).json({
+          success: false,
+          expired: true,
+          message: 'Time limit exceeded. Your attempt was submitted automatically with your saved answers when the time ran out.'
+        });
+      }
+
+      await recordAttemptEvent(openAttempt.id, 'resume', getClientInfo(req));
+
+      return res.json({
+        success: true,
+        message: 'Exam attempt resumed',
+        attempt: formatAttempt(openAttempt),
+      });
+    }
+
+    const retake = await getRetakeStatus(exam, studentId);
+    if (!retake.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: retake.message,
+        retake,
+      });
+    }
+
+    const availability = getExamAvailability(exam);
+    if (availability !== 'open') {
+      return res.status(403).json({
+        success: false,
+        availability,
+        message: availability === 'upcoming' ? 'This exam is not open yet' : 'This exam is closed',
+      });
+    }
+
+    if (!isExamCodeValid(exam, req.body.exam_code)) {
+      return res.status(403).json({
+        success: false,
+        requires_code: true,
+        message: req.body.exam_code ? 'Incorrect exam code' : 'Enter the exam code to start this exam',
+      });
+    }
+
+    const fixedQuestions = await loadAttemptQuestions(examId, null);
+    const draws = await fetchDraws(examId);
+    let questions = fixedQuestions;
+    let questionIds = null;
+
+    if (draws.length) {
+      const drawnIds = await drawQuestionsForAttempt(exam, draws);
+      questionIds = [...fixedQuestions.map((q) => q.id), ...drawnIds];
+      questions = await loadAttemptQuestions(examId, { question_ids: questionIds });
+    }
+
+    if (!questions.length) return res.status(400).json({ success: false, message: 'No questions for this exam' });
+
+    // The attempt can never run past the close of the exam window
+    const startedAt = new Date();
+    let deadlineAt = new Date(startedAt.getTime() + getExamDurationSeconds(exam, questions) * 1000);
+    if (exam.closes_at && new Date(exam.closes_at) < deadlineAt) {
+      deadlineAt = new Date(exam.closes_at);
+    }
+
+    const clientInfo = getClientInfo(req);
+    const { data: attempt, error: insertError } = await supabase
+      .from('exam_attempts')
+      .insert([{
+        exam_id: examId,
+        student_id: studentId,
+        started_at: startedAt.toISOString(),
+        deadline_at: deadlineAt.toISOString(),
+        status: 'in_progress',
+        question_ids: questionIds ? JSON.stringify(questionIds) : null,
+        ip_address: clientInfo.ip_address,
+        user_agent: clientInfo.user_agent
+      }])
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+
+    await recordAttemptEvent(attempt.id, 'start', clientInfo);
+
+    res.status(201).json({
+      success: true,
+      message: 'Exam attempt started',
+      attempt: {
+        ...formatAttempt(attempt),
+        attempt_number: retake.attempts_used + 1,
+        max_attempts: retake.max_attempts,
+      },
+    });
+  } catch (error) {
+    console.error('Start exam error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start exam' });
+  }
+});
+
+// Autosave: stores draft answers for the running attempt. An empty answer clears the draft.
+router.put(
+  '/:id/drafts',
+  authenticateToken,
+  [
+    body('answers').isArray({ min: 1 }).withMessage('Answers must be a non-empty array'),
+    body('answers.*.questionId').notEmpty().withMessage('Question id is required'),
+  ],
+  async (req, res) => {
+    try {
+      if (!req.user || req.user.role !== 'student') {
+        return res.status(403).json({ success: false, message: 'Only students can save answers' });
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+      const examId = req.params.id;
+      const attempt = await findOpenAttempt(examId, req.user.id);
+      if (!attempt) {
+        return res.status(400).json({ success: false, message: 'You must start the exam before saving answers.' });
+      }
+
+      // Drafts saved after the deadline would let a student keep working past the time limit
+      if (isAttemptExpired(attempt)) {
+        return res.status(400).json({ success: false, expired: true, message: 'Time limit exceeded. Answers can no longer be saved.' });
+      }
+
+      const questions = await loadAttemptQuestions(examId, attempt, 'id');
+      const allowedIds = new Set(questions.map((q) => String(q.id)));
+      const unknown = req.body.answers.filter((item) => !allowedIds.has(String(item.questionId)));
+      if (unknown.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some answers are for questions that are not part of this attempt',
+          question_ids: unknown.map((item) => item.questionId),
+        });
+      }
+
+      const savedAt = new Date().toISOString();
+      const isBlank = (value) => value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+
+      const toSave = req.body.answers.filter((item) => !isBlank(item.answer));
+      const toClear = req.body.answers.filter((item) => isBlank(item.answer));
+
+      if (toSave.length) {
+        const { error: upsertError } = await supabase
+          .from('exam_answer_drafts')
+          .upsert(toSave.map((item) => ({
+            attempt_id: attempt.id,
+            question_id: item.questionId,
+            answer: JSON.stringify(item.answer),
+            saved_at: savedAt,
+          })), { onConflict: 'attempt_id,question_id' });
+
+        if (upsertError) throw upsertError;
+      }
+
+      if (toClear.length) {
+        const { error: deleteError } = await supabase
+          .from('exam_answer_drafts')
+          .delete()
+          .eq('attempt_id', attempt.id)
+          .in('question_id', toClear.map((item) => item.questionId));
+
+        if (deleteError) throw deleteError;
+      }
+
+      res.json({
+        success: true,
+        saved: toSave.length,
+        cleared: toClear.length,
+        saved_at: savedAt,
+        attempt: formatAttempt(attempt),
+      });
+    } catch (error) {
+      console.error('Save exam drafts error:', error);
+      res.status(500).json({ success: false, message: 'Failed to save answers' });
+    }
+  }
+);
+
 router.post(
   '/:id/submit',
   authenticateToken,
   [
-    body('answers').isArray().withMessage('Answers must be an array'),
+    // Answers may be omitted; the autosaved drafts are graded instead
+    body('answers').optional().isArray().withMessage('Answers must be an array'),
     body('answers.*.questionId').notEmpty().withMessage('Question id is required'),
-    body('answers.*.answer').not().isEmpty().withMessage('Answer value is required'),
+    body('answers.*.answer')
+      .custom((value) => value !== undefined && value !== null && value !== '')
+      .withMessage('Answer value is required'),
   ],
   async (req, res) => {
     try {
@@ -543,100 +2277,49 @@ router.post(
 
       const examId = req.params.id;
       const studentId = req.user.id;
-      const answersPayload = req.body.answers;
+      const answersPayload = req.body.answers || [];
 
-      // Check if student already took this exam
-      const { data: existingResult } = await supabase
-        .from('results')
-        .select('id')
-        .eq('student_id', studentId)
-        .eq('exam_id', examId)
-        .maybeSingle();
-
-      if (existingResult) {
+      // Only an attempt opened through /start (which enforces the retake policy) can be submitted
+      const attempt = await findOpenAttempt(examId, studentId);
+      if (!attempt) {
         return res.status(400).json({
           success: false,
-          message: 'You have already submitted this exam and cannot retake it.'
+          message: 'You must start the exam before submitting answers.'
         });
       }
 
       const { data: exam, error: examError } = await supabase.from('exams').select('*').eq('id', examId).single();
       if (examError) throw examError;
 
-      const { data: questions, error: qError } = await supabase.from('questions').select('*').eq('exam_id', examId);
-      if (qError) throw qError;
+      const questions = await loadAttemptQuestions(examId, attempt);
 
       if (!questions.length) return res.status(400).json({ success: false, message: 'No questions for this exam' });
 
-      const answerMap = new Map();
-      answersPayload.forEach((item) => answerMap.set(String(item.questionId), String(item.answer).trim()));
-
-      let score = 0;
-      const feedback = [];
-      const studentAnswersToInsert = [];
-
-      for (const q of questions) {
-        const providedAnswer = answerMap.get(String(q.id)) ?? null;
-        const isCorrect = providedAnswer !== null && providedAnswer.toLowerCase() === String(q.correct_answer).toLowerCase();
-        if (isCorrect) score += q.marks;
-
-        feedback.push({
-          questionId: q.id,
-          questionText: q.question_text,
-          studentAnswer: providedAnswer,
-          correctAnswer: q.correct_answer,
-          isCorrect,
-          marks: q.marks,
-          marksAwarded: isCorrect ? q.marks : 0,
-        });
-
-        if (providedAnswer !== null) {
-          studentAnswersToInsert.push({
-            student_id: studentId,
-            question_id: q.id,
-            answer: providedAnswer,
-            is_correct: isCorrect
-          });
-        }
-      }
-
-      // Cleanup old answers
-      await supabase.from('student_answers').delete().eq('student_id', studentId).in('question_id', questions.map(q => q.id));
+      await recordAttemptEvent(attempt.id, 'submit', getClientInfo(req));
 
-      // Batch insert new answers
-      if (studentAnswersToInsert.length) {
-        const { error: batchError } = await supabase.from('student_answers').insert(studentAnswersToInsert);
-        if (batchError) throw batchError;
+      // Late submissions are not graded; the attempt is closed as if the timer ran out.
+      // Deadlines are capped at closes_at when the attempt starts, so this also enforces the exam window.
+      if (isAttemptExpired(attempt)) {
+        const outcome = await finalizeAttempt({ attempt, exam, questions, studentId, answerMap: new Map(), status: 'expired' });
+        return res.status(400).json({
+          success: false,
+          expired: true,
+          message: 'Time limit exceeded. Your attempt was submitted automatically with your saved answers when the time ran out.',
+          ...outcome,
+        });
       }
 
-      // Upsert result
-      const { error: resultError } = await supabase
-        .from('results')
-        .upsert({
-          student_id: studentId,
-          exam_id: examId,
-          score,
-          submitted_at: new Date().toISOString()
-        }, { onConflict: 'student_id,exam_id' });
-
-      if (resultError) throw resultError;
-
-      const totalMarks = exam.total_marks || questions.reduce((sum, q) => sum + (q.marks || 0), 0);
-      const percentage = totalMarks > 0 ? (score / totalMarks) * 100 : 0;
+      const answerMap = new Map();
+      answersPayload.forEach((item) => answerMap.set(String(item.questionId), item.answer));
 
-      let grade = 'Fail';
-      if (percentage > 80) grade = 'A';
-      else if (percentage >= 70) grade = 'B';
-      else if (percentage >= 50) grade = 'C';
+      const outcome = await finalizeAttempt({ attempt, exam, questions, studentId, answerMap });
 
       res.json({
         success: true,
-        message: 'Exam submitted successfully',
-        score,
-        total_marks: totalMarks,
-        percentage: Math.round(percentage),
-        grade,
-        feedback,
+        message: outcome.status === 'pending'
+          ? 'Exam submitted successfully. Some answers are awaiting marking by your teacher.'
+          : 'Exam submitted successfully',
+        ...outcome,
       });
     } catch (error) {
       console.error('Submit exam error:', error);
@@ -645,33 +2328,213 @@ router.post(
   }
 );
 
+// Integrity events from the exam client (focus loss, fullscreen exit, copy/paste, reconnects)
+router.post(
+  '/:id/events',
+  authenticateToken,
+  [
+    body('events').isArray({ min: 1, max: 100 }).withMessage('Events must be an array of 1 to 100 items'),
+    body('events.*.type').isIn(CLIENT_EVENT_TYPES).withMessage(`Event type must be one of ${CLIENT_EVENT_TYPES.join(', ')}`),
+    body('events.*.occurred_at').optional().isISO8601().withMessage('occurred_at must be an ISO 8601 date'),
+    body('events.*.details').optional({ nullable: true }).isObject().withMessage('details must be an object'),
+  ],
+  async (req, res) => {
+    try {
+      if (!req.user || req.user.role !== 'student') {
+        return res.status(403).json({ success: false, message: 'Only students can report exam events' });
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+      const attempt = await findOpenAttempt(req.params.id, req.user.id);
+      if (!attempt) {
+        return res.status(404).json({ success: false, message: 'No exam attempt in progress' });
+      }
+
+      const recorded = await recordAttemptEvents(attempt.id, req.body.events, getClientInfo(req));
+
+      res.status(201).json({ success: true, recorded: recorded.length });
+    } catch (error) {
+      console.error('Record exam events error:', error);
+      res.status(500).json({ success: false, message: 'Failed to record exam events' });
+    }
+  }
+);
+
+// Per-student integrity timeline; ?studentId= narrows it to one student
+router.get('/:id/proctoring', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const examId = req.params.id;
+
+    const { data: exam, error: examError } = await supabase
+      .from('exams')
+      .select('id, teacher_id')
+      .eq('id', examId)
+      .single();
+
+    if (examError) {
+      if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+      throw examError;
+    }
+
+    if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only review your own exams' });
+    }
+
+    let attemptQuery = supabase
+      .from('exam_attempts')
+      .select('id, student_id, status, started_at, submitted_at, ip_address, user_agent, student:students(full_name, username)')
+      .eq('exam_id', examId);
+
+    if (req.query.studentId) attemptQuery = attemptQuery.eq('student_id', req.query.studentId);
+
+    const { data: attempts, error: attemptsError } = await attemptQuery.order('started_at', { ascending: true });
+
+    if (attemptsError) throw attemptsError;
+
+    const events = await loadAttemptEvents(attempts.map((a) => a.id));
+
+    const students = new Map();
+    attempts.forEach((attempt) => {
+      const key = String(attempt.student_id);
+      if (!students.has(key)) {
+        students.set(key, {
+          student_id: attempt.student_id,
+          full_name: attempt.student?.full_name,
+          username: attempt.student?.username,
+          suspicious: false,
+          attempts: [],
+        });
+      }
+
+      const attemptEvents = events.filter((e) => e.attempt_id === attempt.id);
+      const integrity = summarizeAttemptEvents(attempt, attemptEvents);
+      const entry = students.get(key);
+
+      entry.suspicious = entry.suspicious || integrity.suspicious;
+      entry.attempts.push({
+        id: attempt.id,
+        attempt_number: entry.attempts.length + 1,
+        status: attempt.status,
+        started_at: attempt.started_at,
+        submitted_at: attempt.submitted_at,
+        ...integrity,
+        timeline: attemptEvents.map(formatAttemptEvent),
+      });
+    });
+
+    const timeline = [...students.values()];
+
+    res.json({
+      success: true,
+      students: timeline,
+      suspicious_count: timeline.filter((s) => s.suspicious).length,
+    });
+  } catch (error) {
+    console.error('Load proctoring log error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load proctoring log' });
+  }
+});
+
 router.get('/:id/results', authenticateToken, ensureStaff, async (req, res) => {
   try {
     const examId = req.params.id;
 
     const { data: exam, error: examError } = await supabase.from('exams').select('*').eq('id', examId).single();
-    if (examError) throw examError;
+    if (examError) {
+      if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+      throw examError;
+    }
+
+    if (
+      req.user.role === 'teacher' &&
+      exam.teacher_id !== req.user.id &&
+      !teachesClass(await getTeacherScope(req.user.id), exam.trade, exam.level)
+    ) {
+      return res.status(403).json({ success: false, message: 'You can only view results of your own exams or classes you teach' });
+    }
 
     const { data: results, error: resError } = await supabase
       .from('results')
-      .select('id, student_id, score, submitted_at, student:students(full_name, username)')
+      .select('id, student_id, attempt_id, attempt_count, score, status, mode, submitted_at, student:students(full_name, username)')
       .eq('exam_id', examId)
       .order('submitted_at', { ascending: false });
 
     if (resError) throw resError;
 
+    // Per-question marks and marker comments, grouped by attempt
+    // (answers saved before attempts were tracked are grouped by student)
+    const { data: answerRows, error: answersError } = await supabase
+      .from('student_answers')
+      .select('student_id, attempt_id, question_id, answer, is_correct, marks_awarded, marker_comment, question:questions!inner(exam_id, question_text, type, marks)')
+      .eq('question.exam_id', examId)
+      .order('question_id', { ascending: true });
+
+    if (answersError) throw answersError;
+
+    const answerKey = (attemptId, studentId) => (attemptId ? `a:${attemptId}` : `s:${studentId}`);
+    const answersByAttempt = new Map();
+    answerRows.forEach((row) => {
+      const key = answerKey(row.attempt_id, row.student_id);
+      if (!answersByAttempt.has(key)) answersByAttempt.set(key, []);
+      answersByAttempt.get(key).push({
+        questionId: row.question_id,
+        questionText: row.question?.question_text,
+        type: row.question?.type,
+        studentAnswer: parseStoredAnswer(row.question?.type, row.answer),
+        isCorrect: Boolean(row.is_correct),
+        marks: row.question?.marks,
+        marksAwarded: row.marks_awarded === null ? null : Number(row.marks_awarded),
+        pending: row.marks_awarded === null,
+        markerComment: row.marker_comment || null,
+      });
+    });
+
     let totalMarks = exam.total_marks;
     if (!totalMarks) {
-      const { data: qMarks } = await supabase.from('questions').select('marks').eq('exam_id', examId);
+      const { data: qMarks } = await supabase.from('questions').select('marks').eq('exam_id', examId).eq('is_drawn', false);
       totalMarks = qMarks.reduce((sum, q) => sum + (q.marks || 0), 0);
     }
 
+    const scale = await getGradingScale({ trade: exam.trade, level: exam.level });
+
+    const { data: attemptRows, error: attemptsError } = await supabase
+      .from('exam_attempts')
+      .select('id, student_id, status, mode, paper_version, score, result_status, started_at, submitted_at, ip_address, user_agent')
+      .eq('exam_id', examId)
+      .neq('status', 'in_progress')
+      .order('started_at', { ascending: true });
+
+    if (attemptsError) throw attemptsError;
+
+    const attemptEvents = await loadAttemptEvents(attemptRows.map((a) => a.id));
+    const attemptScans = await loadAttemptScans(attemptRows.filter((a) => a.mode === 'paper').map((a) => a.id));
+
+    const attemptsByStudent = new Map();
+    attemptRows.forEach((a) => {
+      const key = String(a.student_id);
+      if (!attemptsByStudent.has(key)) attemptsByStudent.set(key, []);
+      const history = attemptsByStudent.get(key);
+      history.push({
+        id: a.id,
+        attempt_number: history.length + 1,
+        status: a.status,
+        mode: a.mode || 'online',
+        paper_version: a.paper_version || null,
+        score: a.score,
+        ...describeScore(scale, a.score, totalMarks, a.result_status || 'graded'),
+        result_status: a.result_status || 'graded',
+        started_at: a.started_at,
+        submitted_at: a.submitted_at,
+        integrity: summarizeAttemptEvents(a, attemptEvents.filter((e) => e.attempt_id === a.id)),
+        scans: attemptScans.filter((scan) => scan.attempt_id === a.id),
+      });
+    });
+
     const resultsWithGrades = results.map(row => {
-      const percentage = totalMarks > 0 ? (row.score / totalMarks) * 100 : 0;
-      let grade = 'Fail';
-      if (percentage > 80) grade = 'A';
-      else if (percentage >= 70) grade = 'B';
-      else if (percentage >= 50) grade = 'C';
+      const status = row.status || 'graded';
+      const { percentage, grade, passed } = describeScore(scale, row.score, totalMarks, status);
 
       return {
         id: row.id,
@@ -679,28 +2542,41 @@ router.get('/:id/results', authenticateToken, ensureStaff, async (req, res) => {
         full_name: row.student?.full_name,
         username: row.student?.username,
         score: row.score,
+        status,
+        mode: row.mode || 'online',
         submitted_at: row.submitted_at,
         total_marks: totalMarks,
-        percentage: Math.round(percentage),
-        grade
+        percentage,
+        grade,
+        passed,
+        attempt_count: row.attempt_count || 1,
+        suspicious: (attemptsByStudent.get(String(row.student_id)) || []).some((a) => a.integrity.suspicious),
+        attempts: (attemptsByStudent.get(String(row.student_id)) || []).map((a) => ({ ...a, counted: a.id === row.attempt_id })),
+        answers: answersByAttempt.get(answerKey(row.attempt_id, row.student_id)) || []
       };
     });
 
-    // Calculate Statistics
+    // Calculate Statistics; results awaiting marking are left out until they are final
+    const gradedResults = resultsWithGrades.filter(r => r.status !== 'pending');
     const totalSubmissions = resultsWithGrades.length;
-    const passCount = resultsWithGrades.filter(r => r.percentage >= 50).length;
-    const failCount = totalSubmissions - passCount;
-    const winningRate = totalSubmissions > 0 ? Math.round((passCount / totalSubmissions) * 100) : 0;
-    const averageScore = totalSubmissions > 0
-      ? Math.round(resultsWithGrades.reduce((sum, r) => sum + r.percentage, 0) / totalSubmissions)
+    const pendingCount = totalSubmissions - gradedResults.length;
+    const passCount = gradedResults.filter(r => r.passed).length;
+    const failCount = gradedResults.length - passCount;
+    const winningRate = gradedResults.length > 0 ? Math.round((passCount / gradedResults.length) * 100) : 0;
+    const averageScore = gradedResults.length > 0
+      ? Math.round(gradedResults.reduce((sum, r) => sum + r.percentage, 0) / gradedResults.length)
       : 0;
 
     res.json({
       success: true,
       exam_title: exam.title,
+      grading_scale: scale,
+      score_policy: exam.score_policy || 'best',
       results: resultsWithGrades,
       stats: {
         total_submissions: totalSubmissions,
+        pending_count: pendingCount,
+        suspicious_count: resultsWithGrades.filter(r => r.suspicious).length,
         pass_count: passCount,
         fail_count: failCount,
         winning_rate: winningRate,
@@ -713,5 +2589,89 @@ router.get('/:id/results', authenticateToken, ensureStaff, async (req, res) => {
   }
 });
 
+// Per-question statistics from the counted attempt of every student
+router.get('/:id/item-analysis', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const examId = req.params.id;
+
+    const { data: exam, error: examError } = await supabase.from('exams').select('*').eq('id', examId).single();
+    if (examError) {
+      if (examError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Exam not found' });
+      throw examError;
+    }
+
+    if (req.user.role === 'teacher' && exam.teacher_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only analyse your own exams' });
+    }
+
+    const { data: results, error: resError } = await supabase
+      .from('results')
+      .select('student_id, attempt_id, score')
+      .eq('exam_id', examId);
+
+    if (resError) throw resError;
+
+    const { data: questions, error: questionsError } = await supabase
+      .from('questions')
+      .select('*')
+      .eq('exam_id', examId)
+      .order('id', { ascending: true });
+
+    if (questionsError) throw questionsError;
+
+    const attemptIds = results.map((r) => r.attempt_id).filter(Boolean);
+    let attempts = [];
+    if (attemptIds.length) {
+      const { data: attemptRows, error: attemptsError } = await supabase
+        .from('exam_attempts')
+        .select('id, question_ids')
+        .in('id', attemptIds);
+
+      if (attemptsError) throw attemptsError;
+      attempts = attemptRows;
+    }
+
+    const { data: answerRows, error: answersError } = await supabase
+      .from('student_answers')
+      .select('student_id, attempt_id, question_id, answer, is_correct, marks_awarded, question:questions!inner(exam_id)')
+      .eq('question.exam_id', examId);
+
+    if (answersError) throw answersError;
+
+    const fixedIds = questions.filter((q) => !q.is_drawn).map((q) => String(q.id));
+    const attemptMap = new Map(attempts.map((a) => [String(a.id), a]));
+
+    const candidates = results.map((r) => {
+      const attempt = r.attempt_id ? attemptMap.get(String(r.attempt_id)) : null;
+      const servedIds = attempt ? safeParseOptions(attempt.question_ids, null) : null;
+
+      const answers = new Map();
+      answerRows
+        .filter((a) => String(a.student_id) === String(r.student_id) && String(a.attempt_id || '') === String(r.attempt_id || ''))
+        .forEach((a) => answers.set(String(a.question_id), a));
+
+      return {
+        student_id: r.student_id,
+        score: r.score,
+        question_ids: new Set(servedIds ? servedIds.map(String) : fixedIds),
+        answers,
+      };
+    });
+
+    const { summary, items } = analyzeItems({ questions, candidates });
+
+    res.json({
+      success: true,
+      exam: { id: exam.id, title: exam.title },
+      summary,
+      // Drawn bank items nobody was served have nothing to report
+      items: items.filter((item) => item.responses > 0 || !questions.find((q) => q.id === item.question_id)?.is_drawn),
+    });
+  } catch (error) {
+    console.error('Item analysis error:', error);
+    res.status(500).json({ success: false, message: 'Failed to build item analysis' });
+  }
+});
+
 module.exports = router;
 
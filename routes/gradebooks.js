@@ -0,0 +1,469 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  GRADEBOOK_STATUSES,
+  getComponentsError,
+  loadGradebook,
+  replaceComponents,
+  computeGradebook,
+  loadGradebookEntries,
+  saveGradebookEntries,
+} = require('../services/gradebook');
+const { getGradingScale } = require('../services/grading');
+const { loadTerm, toDateString } = require('../services/academicCalendar');
+const { getTeacherScope, teachesClass, canAccessClass } = require('../services/teachingAssignments');
+const { tradeField, levelOfferedValidator } = require('../services/trades');
+
+const STAFF_ROLES = new Set(['admin', 'super_admin']);
+const LEVELS = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+const ensureStaff = (req, res, next) => {
+  if (!req.user || !(STAFF_ROLES.has(req.user.role) || req.user.role === 'teacher')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only teachers or admins can manage gradebooks',
+    });
+  }
+  next();
+};
+
+const ensureAdmin = (req, res, next) => {
+  if (!req.user || !STAFF_ROLES.has(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Only admins can unlock gradebooks' });
+  }
+  next();
+};
+
+const componentsValidator = (components) => {
+  const message = getComponentsError(components);
+  if (message) throw new Error(message);
+  return true;
+};
+
+const termDatesValidator = (value, { req }) => {
+  if (new Date(value) < new Date(req.body.start_date)) {
+    throw new Error('end_date must not be before start_date');
+  }
+  return true;
+};
+
+const termIdValidator = body('term_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('term_id must be a term id').toInt();
+
+// A gradebook created for a calendar term takes its name and dates from it; an invalid
+// term_id is left for the route to report with the other validation errors
+const applyTermDates = async (req, res, next) => {
+  if (!req.body.term_id || !validationResult(req).isEmpty()) return next();
+
+  try {
+    const term = await loadTerm(req.body.term_id);
+    if (!term) {
+      return res.status(400).json({ success: false, message: 'Term not found' });
+    }
+
+    req.body.term = `${term.academic_year ? `${term.academic_year.name} ` : ''}${term.name}`.slice(0, 50);
+    req.body.start_date = toDateString(term.start_date);
+    req.body.end_date = toDateString(term.end_date);
+    req.body.term_id = term.id;
+    next();
+  } catch (error) {
+    console.error('Load gradebook term error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load term' });
+  }
+};
+
+const gradebookValidators = [
+  tradeField('trade'),
+  body('level').isIn(LEVELS).withMessage('Invalid level').bail().custom(levelOfferedValidator()),
+  body('term').trim().notEmpty().isLength({ max: 50 }).withMessage('Term is required (50 characters or less)'),
+  body('start_date').isISO8601().withMessage('start_date must be a valid date'),
+  body('end_date').isISO8601().withMessage('end_date must be a valid date').custom(termDatesValidator),
+  body('components').custom(componentsValidator),
+];
+
+const gradebookUpdateValidators = [
+  body('term').optional().trim().notEmpty().isLength({ max: 50 }).withMessage('Term must be 50 characters or less'),
+  body('start_date').optional().isISO8601().withMessage('start_date must be a valid date'),
+  body('end_date').optional().isISO8601().withMessage('end_date must be a valid date'),
+  body('components').optional().custom(componentsValidator),
+];
+
+// Named exams must belong to the gradebook's cohort
+const findForeignExams = async (components, trade, level) => {
+  const examIds = components.filter((c) => c.exam_id).map((c) => c.exam_id);
+  if (!examIds.length) return [];
+
+  const { data: exams, error } = await supabase
+    .from('exams')
+    .select('id, trade, level')
+    .in('id', examIds);
+
+  if (error) throw error;
+
+  const valid = new Set(exams.filter((e) => e.trade === trade && e.level === level).map((e) => String(e.id)));
+  return examIds.filter((id) => !valid.has(String(id)));
+};
+
+// Drafts are computed live; locked and published gradebooks show their frozen marks
+const buildGradebookView = async (gradebook) => {
+  if (gradebook.status === 'draft') {
+    const computed = await computeGradebook(gradebook);
+    return { ...gradebook, ...computed };
+  }
+
+  return {
+    ...gradebook,
+    students: await loadGradebookEntries(gradebook.id),
+    grading_scale: await getGradingScale({ trade: gradebook.trade, level: gradebook.level }),
+  };
+};
+
+router.get(
+  '/',
+  authenticateToken,
+  ensureStaff,
+  [
+    query('level').optional().isIn(LEVELS),
+    query('status').optional().isIn(GRADEBOOK_STATUSES),
+    query('termId').optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      let listQuery = supabase
+        .from('gradebooks')
+        .select('*, components:gradebook_components(id, name, source, exam_id, weight)');
+
+      if (req.query.trade) listQuery = listQuery.eq('trade', req.query.trade);
+      if (req.query.level) listQuery = listQuery.eq('level', req.query.level);
+      if (req.query.term) listQuery = listQuery.eq('term', req.query.term);
+      if (req.query.status) listQuery = listQuery.eq('status', req.query.status);
+      if (req.query.termId) listQuery = listQuery.eq('term_id', req.query.termId);
+
+      const { data: gradebooks, error } = await listQuery.order('start_date', { ascending: false });
+
+      if (error) throw error;
+
+      // Teachers work with the gradebooks of the classes they teach
+      const scope = req.user.role === 'teacher' ? await getTeacherScope(req.user.id) : null;
+
+      res.json({
+        success: true,
+        gradebooks: scope ? gradebooks.filter((g) => teachesClass(scope, g.trade, g.level)) : gradebooks,
+      });
+    } catch (error) {
+      console.error('List gradebooks error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load gradebooks' });
+    }
+  }
+);
+
+router.post('/', authenticateToken, ensureStaff, termIdValidator, applyTermDates, gradebookValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { trade, level, term, start_date, end_date, components } = req.body;
+
+    if (!(await canAccessClass(req.user, trade, level))) {
+      return res.status(403).json({ success: false, message: 'You can only create gradebooks for classes you teach' });
+    }
+
+    const foreignExams = await findForeignExams(components, trade, level);
+    if (foreignExams.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Named exams must belong to the same trade and level',
+        exam_ids: foreignExams,
+      });
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('gradebooks')
+      .select('id')
+      .eq('trade', trade)
+      .eq('level', level)
+      .eq('term', term)
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+    if (existing) {
+      return res.status(400).json({ success: false, message: 'A gradebook already exists for this trade, level and term' });
+    }
+
+    const { data: gradebook, error } = await supabase
+      .from('gradebooks')
+      .insert([{ trade, level, term, term_id: req.body.term_id || null, start_date, end_date, created_by: req.user.id }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await replaceComponents(gradebook.id, components);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gradebook created',
+      gradebook: await buildGradebookView(await loadGradebook(gradebook.id)),
+    });
+  } catch (error) {
+    console.error('Create gradebook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create gradebook' });
+  }
+});
+
+router.get('/:id', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const gradebook = await loadGradebook(req.params.id);
+    if (!gradebook) {
+      return res.status(404).json({ success: false, message: 'Gradebook not found' });
+    }
+
+    if (!(await canAccessClass(req.user, gradebook.trade, gradebook.level))) {
+      return res.status(403).json({ success: false, message: 'You can only view gradebooks for classes you teach' });
+    }
+
+    res.json({ success: true, gradebook: await buildGradebookView(gradebook) });
+  } catch (error) {
+    console.error('Get gradebook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load gradebook' });
+  }
+});
+
+router.put('/:id', authenticateToken, ensureStaff, termIdValidator, applyTermDates, gradebookUpdateValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const gradebook = await loadGradebook(req.params.id);
+    if (!gradebook) {
+      return res.status(404).json({ success: false, message: 'Gradebook not found' });
+    }
+
+    if (!(await canAccessClass(req.user, gradebook.trade, gradebook.level))) {
+      return res.status(403).json({ success: false, message: 'You can only update gradebooks for classes you teach' });
+    }
+
+    if (gradebook.status !== 'draft') {
+      return res.status(400).json({ success: false, message: 'Unlock the gradebook before changing it' });
+    }
+
+    // A gradebook following a calendar term keeps its name and dates; it is moved by sending
+    // another term_id, or detached with term_id: null
+    const termId = req.body.term_id !== undefined ? (req.body.term_id || null) : gradebook.term_id;
+    if (termId && req.body.term_id === undefined && ['term', 'start_date', 'end_date'].some((f) => req.body[f] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This gradebook follows a calendar term; send a term_id to change its term or dates',
+      });
+    }
+
+    const updates = {
+      term: req.body.term || gradebook.term,
+      start_date: req.body.start_date || gradebook.start_date,
+      end_date: req.body.end_date || gradebook.end_date,
+      term_id: termId,
+    };
+
+    if (new Date(updates.end_date) < new Date(updates.start_date)) {
+      return res.status(400).json({ success: false, message: 'end_date must not be before start_date' });
+    }
+
+    if (updates.term !== gradebook.term) {
+      const { data: clash, error: clashError } = await supabase
+        .from('gradebooks')
+        .select('id')
+        .eq('trade', gradebook.trade)
+        .eq('level', gradebook.level)
+        .eq('term', updates.term)
+        .neq('id', gradebook.id)
+        .maybeSingle();
+
+      if (clashError) throw clashError;
+      if (clash) {
+        return res.status(400).json({ success: false, message: 'A gradebook already exists for this trade, level and term' });
+      }
+    }
+
+    if (req.body.components) {
+      const foreignExams = await findForeignExams(req.body.components, gradebook.trade, gradebook.level);
+      if (foreignExams.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Named exams must belong to the same trade and level',
+          exam_ids: foreignExams,
+        });
+      }
+    }
+
+    const { error } = await supabase
+      .from('gradebooks')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', gradebook.id);
+
+    if (error) throw error;
+
+    if (req.body.components) await replaceComponents(gradebook.id, req.body.components);
+
+    res.json({
+      success: true,
+      message: 'Gradebook updated',
+      gradebook: await buildGradebookView(await loadGradebook(gradebook.id)),
+    });
+  } catch (error) {
+    console.error('Update gradebook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update gradebook' });
+  }
+});
+
+router.delete('/:id', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const gradebook = await loadGradebook(req.params.id);
+    if (!gradebook) {
+      return res.status(404).json({ success: false, message: 'Gradebook not found' });
+    }
+
+    if (!(await canAccessClass(req.user, gradebook.trade, gradebook.level))) {
+      return res.status(403).json({ success: false, message: 'You can only delete gradebooks for classes you teach' });
+    }
+
+    if (gradebook.status !== 'draft') {
+      return res.status(400).json({ success: false, message: 'Only draft gradebooks can be deleted' });
+    }
+
+    const { error } = await supabase.from('gradebooks').delete().eq('id', gradebook.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Gradebook deleted' });
+  } catch (error) {
+    console.error('Delete gradebook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete gradebook' });
+  }
+});
+
+// Freezes the current marks; later result changes no longer affect the gradebook
+router.post('/:id/lock', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const gradebook = await loadGradebook(req.params.id);
+    if (!gradebook) {
+      return res.status(404).json({ success: false, message: 'Gradebook not found' });
+    }
+
+    if (!(await canAccessClass(req.user, gradebook.trade, gradebook.level))) {
+      return res.status(403).json({ success: false, message: 'You can only lock gradebooks for classes you teach' });
+    }
+
+    if (gradebook.status !== 'draft') {
+      return res.status(400).json({ success: false, message: 'The gradebook is already locked' });
+    }
+
+    const computed = await computeGradebook(gradebook);
+    const pending = computed.students.filter((s) => s.status === 'pending');
+    if (pending.length) {
+      return res.status(400).json({
+        success: false,
+        message: `${pending.length} student(s) still have work awaiting marking`,
+        student_ids: pending.map((s) => s.student_id),
+      });
+    }
+
+    await saveGradebookEntries(gradebook.id, computed.students);
+
+    const { error } = await supabase
+      .from('gradebooks')
+      .update({ status: 'locked', locked_by: req.user.id, locked_at: new Date().toISOString() })
+      .eq('id', gradebook.id);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      message: 'Gradebook locked',
+      gradebook: await buildGradebookView(await loadGradebook(gradebook.id)),
+    });
+  } catch (error) {
+    console.error('Lock gradebook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to lock gradebook' });
+  }
+});
+
+// Published gradebooks become visible to students
+router.post('/:id/publish', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const gradebook = await loadGradebook(req.params.id);
+    if (!gradebook) {
+      return res.status(404).json({ success: false, message: 'Gradebook not found' });
+    }
+
+    if (!(await canAccessClass(req.user, gradebook.trade, gradebook.level))) {
+      return res.status(403).json({ success: false, message: 'You can only publish gradebooks for classes you teach' });
+    }
+
+    if (gradebook.status !== 'locked') {
+      return res.status(400).json({
+        success: false,
+        message: gradebook.status === 'draft' ? 'Lock the gradebook before publishing it' : 'The gradebook is already published',
+      });
+    }
+
+    const { error } = await supabase
+      .from('gradebooks')
+      .update({ status: 'published', published_at: new Date().toISOString() })
+      .eq('id', gradebook.id);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      message: 'Gradebook published',
+      gradebook: await buildGradebookView(await loadGradebook(gradebook.id)),
+    });
+  } catch (error) {
+    console.error('Publish gradebook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to publish gradebook' });
+  }
+});
+
+// Returns a locked or published gradebook to draft so marks are computed live again
+router.post('/:id/unlock', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const gradebook = await loadGradebook(req.params.id);
+    if (!gradebook) {
+      return res.status(404).json({ success: false, message: 'Gradebook not found' });
+    }
+
+    if (gradebook.status === 'draft') {
+      return res.status(400).json({ success: false, message: 'The gradebook is not locked' });
+    }
+
+    await saveGradebookEntries(gradebook.id, []);
+
+    const { error } = await supabase
+      .from('gradebooks')
+      .update({ status: 'draft', locked_by: null, locked_at: null, published_at: null })
+      .eq('id', gradebook.id);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      message: 'Gradebook unlocked',
+      gradebook: await buildGradebookView(await loadGradebook(gradebook.id)),
+    });
+  } catch (error) {
+    console.error('Unlock gradebook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to unlock gradebook' });
+  }
+});
+
+module.exports = router;
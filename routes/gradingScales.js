@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { loadGradingScales, resolveGradingScale } = require('../services/grading');
+
+const ADMIN_ROLES = new Set(['admin', 'super_admin']);
+const LEVELS = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+const ensureAdmin = (req, res, next) => {
+  if (!req.user || !ADMIN_ROLES.has(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Only admins can manage grading scales' });
+  }
+  next();
+};
+
+const bandsValidator = (bands) => {
+  if (!Array.isArray(bands) || bands.length < 2) {
+    throw new Error('A grading scale needs at least two bands');
+  }
+  if (bands.some((b) => !b || !String(b.grade || '').trim())) {
+    throw new Error('Every band needs a grade');
+  }
+  if (bands.some((b) => !Number.isFinite(Number(b.min_percentage)) || Number(b.min_percentage) < 0 || Number(b.min_percentage) > 100)) {
+    throw new Error('Band minimums must be between 0 and 100');
+  }
+  if (new Set(bands.map((b) => String(b.grade).trim().toLowerCase())).size !== bands.length) {
+    throw new Error('Grades must be unique within a scale');
+  }
+  if (!bands.some((b) => Number(b.min_percentage) === 0)) {
+    throw new Error('The lowest band must start at 0%');
+  }
+  return true;
+};
+
+const scaleValidators = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('trade').optional({ nullable: true }).trim(),
+  body('level').optional({ nullable: true, checkFalsy: true }).isIn(LEVELS).withMessage('Invalid level'),
+  body('pass_mark').optional().isFloat({ min: 0, max: 100 }).withMessage('Pass mark must be between 0 and 100'),
+  body('bands').custom(bandsValidator),
+];
+
+// Only one scale may cover a given trade/level combination
+const findScopeConflict = async (trade, level, excludeId) => {
+  let conflictQuery = supabase.from('grading_scales').select('id');
+  conflictQuery = trade ? conflictQuery.eq('trade', trade) : conflictQuery.is('trade', null);
+  conflictQuery = level ? conflictQuery.eq('level', level) : conflictQuery.is('level', null);
+  if (excludeId) conflictQuery = conflictQuery.neq('id', excludeId);
+
+  const { data, error } = await conflictQuery.limit(1);
+  if (error) throw error;
+  return data.length > 0;
+};
+
+const replaceBands = async (scaleId, bands) => {
+  const { error: deleteError } = await supabase.from('grading_scale_bands').delete().eq('scale_id', scaleId);
+  if (deleteError) throw deleteError;
+
+  const { error: insertError } = await supabase
+    .from('grading_scale_bands')
+    .insert(bands.map((b) => ({
+      scale_id: scaleId,
+      grade: String(b.grade).trim(),
+      min_percentage: Number(b.min_percentage),
+    })));
+  if (insertError) throw insertError;
+};
+
+const fetchScale = async (id) => {
+  const scales = await loadGradingScales();
+  return scales.find((s) => String(s.id) === String(id)) || null;
+};
+
+// Any signed-in user can read the scales so that grades can be explained to students
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const scales = await loadGradingScales();
+    res.json({ success: true, scales });
+  } catch (error) {
+    console.error('List grading scales error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load grading scales' });
+  }
+});
+
+// The scale that applies to a trade/level
+router.get('/resolve', authenticateToken, async (req, res) => {
+  try {
+    const scales = await loadGradingScales();
+    const scale = resolveGradingScale(scales, { trade: req.query.trade, level: req.query.level });
+    res.json({ success: true, scale });
+  } catch (error) {
+    console.error('Resolve grading scale error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load grading scale' });
+  }
+});
+
+router.post('/', authenticateToken, ensureAdmin, scaleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, pass_mark = 50, bands } = req.body;
+    const trade = req.body.trade || null;
+    const level = req.body.level || null;
+
+    if (await findScopeConflict(trade, level)) {
+      return res.status(400).json({ success: false, message: 'A grading scale already exists for this trade and level' });
+    }
+
+    const { data: scale, error } = await supabase
+      .from('grading_scales')
+      .insert([{ name, trade, level, pass_mark, created_by: req.user.id }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await replaceBands(scale.id, bands);
+
+    res.status(201).json({
+      success: true,
+      message: 'Grading scale created',
+      scale: await fetchScale(scale.id),
+    });
+  } catch (error) {
+    console.error('Create grading scale error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create grading scale' });
+  }
+});
+
+router.put('/:id', authenticateToken, ensureAdmin, scaleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const existing = await fetchScale(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Grading scale not found' });
+    }
+
+    const { name, pass_mark = existing.pass_mark, bands } = req.body;
+    const trade = req.body.trade || null;
+    const level = req.body.level || null;
+
+    if (await findScopeConflict(trade, level, existing.id)) {
+      return res.status(400).json({ success: false, message: 'A grading scale already exists for this trade and level' });
+    }
+
+    const { error } = await supabase
+      .from('grading_scales')
+      .update({ name, trade, level, pass_mark, updated_at: new Date().toISOString() })
+      .eq('id', existing.id);
+
+    if (error) throw error;
+
+    await replaceBands(existing.id, bands);
+
+    res.json({
+      success: true,
+      message: 'Grading scale updated',
+      scale: await fetchScale(existing.id),
+    });
+  } catch (error) {
+    console.error('Update grading scale error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update grading scale' });
+  }
+});
+
+router.delete('/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const existing = await fetchScale(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Grading scale not found' });
+    }
+
+    // Results fall back to the built-in bands if the institution default is removed
+    const { error } = await supabase.from('grading_scales').delete().eq('id', existing.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Grading scale deleted' });
+  } catch (error) {
+    console.error('Delete grading scale error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete grading scale' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { recalculateResult } = require('../services/grading');
+
+const STAFF_ROLES = new Set(['admin', 'super_admin']);
+
+const ensureStaff = (req, res, next) => {
+  if (!req.user || !(STAFF_ROLES.has(req.user.role) || req.user.role === 'teacher')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only teachers or admins can perform this action',
+    });
+  }
+  next();
+};
+
+const ANSWER_COLUMNS = `
+  id,
+  student_id,
+  attempt_id,
+  question_id,
+  answer,
+  marks_awarded,
+  marker_comment,
+  marked_by,
+  marked_at,
+  student:students (full_name, username),
+  question:questions!inner (
+    id,
+    exam_id,
+    question_text,
+    type,
+    correct_answer,
+    marks,
+    exam:exams!inner (id, title, teacher_id)
+  )
+`;
+
+const formatAnswer = (row) => ({
+  id: row.id,
+  student_id: row.student_id,
+  attempt_id: row.attempt_id,
+  full_name: row.student?.full_name,
+  username: row.student?.username,
+  exam_id: row.question?.exam_id,
+  exam_title: row.question?.exam?.title,
+  question_id: row.question_id,
+  question_text: row.question?.question_text,
+  marking_notes: row.question?.correct_answer || null,
+  answer: row.answer,
+  marks: row.question?.marks,
+  marks_awarded: row.marks_awarded,
+  marker_comment: row.marker_comment,
+  marked_by: row.marked_by,
+  marked_at: row.marked_at,
+});
+
+// Answers waiting for a teacher; teachers only see their own exams
+router.get(
+  '/queue',
+  authenticateToken,
+  ensureStaff,
+  [
+    query('examId').optional().isInt(),
+    query('status').optional().isIn(['pending', 'marked']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { examId, status = 'pending' } = req.query;
+
+      let queueQuery = supabase
+        .from('student_answers')
+        .select(ANSWER_COLUMNS)
+        .eq('question.type', 'ESSAY');
+
+      queueQuery = status === 'pending'
+        ? queueQuery.is('marks_awarded', null)
+        : queueQuery.not('marks_awarded', 'is', null);
+
+      if (examId) queueQuery = queueQuery.eq('question.exam_id', examId);
+      if (req.user.role === 'teacher') queueQuery = queueQuery.eq('question.exam.teacher_id', req.user.id);
+
+      const { data: rows, error } = await queueQuery.order('id', { ascending: true });
+
+      if (error) throw error;
+
+      res.json({ success: true, answers: rows.map(formatAnswer) });
+    } catch (error) {
+      console.error('Load marking queue error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load marking queue' });
+    }
+  }
+);
+
+router.put(
+  '/answers/:answerId',
+  authenticateToken,
+  ensureStaff,
+  [
+    body('marks').isFloat({ min: 0 }).withMessage('Marks must be zero or more'),
+    body('comment').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('Comment must be 2000 characters or less'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { data: existing, error: fetchError } = await supabase
+        .from('student_answers')
+        .select(ANSWER_COLUMNS)
+        .eq('id', req.params.answerId)
+        .single();
+
+      if (fetchError) {
+        if (fetchError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Answer not found' });
+        throw fetchError;
+      }
+
+      if (existing.question.type !== 'ESSAY') {
+        return res.status(400).json({ success: false, message: 'Only essay answers are marked manually' });
+      }
+
+      if (req.user.role === 'teacher' && existing.question.exam.teacher_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You can only mark answers for your own exams' });
+      }
+
+      const marks = Number(req.body.marks);
+      if (marks > existing.question.marks) {
+        return res.status(400).json({
+          success: false,
+          message: `Marks cannot exceed ${existing.question.marks} for this question`,
+        });
+      }
+
+      const { data: updated, error: updateError } = await supabase
+        .from('student_answers')
+        .update({
+          marks_awarded: marks,
+          is_correct: marks === Number(existing.question.marks),
+          marker_comment: req.body.comment ? req.body.comment.trim() : null,
+          marked_by: req.user.id,
+          marked_at: new Date().toISOString(),
+        })
+        .eq('id', existing.id)
+        .select(ANSWER_COLUMNS)
+        .single();
+
+      if (updateError) throw updateError;
+
+      const result = await recalculateResult(existing.student_id, existing.question.exam_id, existing.attempt_id);
+
+      res.json({
+        success: true,
+        message: 'Answer marked successfully',
+        answer: formatAnswer(updated),
+        result,
+      });
+    } catch (error) {
+      console.error('Mark answer error:', error);
+      res.status(500).json({ success: false, message: 'Failed to mark answer' });
+    }
+  }
+);
+
+module.exports = router;
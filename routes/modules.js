@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { tradeField, levelOfferedValidator } = require('../services/trades');
+const { loadModule } = require('../services/competencies');
+
+const ADMIN_ROLES = new Set(['admin', 'super_admin']);
+const LEVELS = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+const ensureStaff = (req, res, next) => {
+  if (!req.user || !(ADMIN_ROLES.has(req.user.role) || req.user.role === 'teacher')) {
+    return res.status(403).json({ success: false, message: 'Only teachers or admins can view modules' });
+  }
+  next();
+};
+
+const ensureAdmin = (req, res, next) => {
+  if (!req.user || !ADMIN_ROLES.has(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Only admins can manage modules' });
+  }
+  next();
+};
+
+const moduleValidators = [
+  body('code').trim().notEmpty().isLength({ max: 30 }).withMessage('Code is required (30 characters or less)')
+    .customSanitizer((value) => value.toUpperCase()),
+  body('name').trim().notEmpty().isLength({ max: 150 }).withMessage('Name is required (150 characters or less)'),
+  body('level').isIn(LEVELS).withMessage('Invalid level').bail().custom(levelOfferedValidator()),
+  tradeField('trade'),
+  body('description').optional({ nullable: true }).trim(),
+  body('competent_mark').optional().isFloat({ min: 0, max: 100 }).withMessage('Competent mark must be between 0 and 100').toFloat(),
+];
+
+const outcomeValidators = [
+  body('code').trim().notEmpty().isLength({ max: 30 }).withMessage('Code is required (30 characters or less)')
+    .customSanitizer((value) => value.toUpperCase()),
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a positive number').toInt(),
+];
+
+const findCodeConflict = async (code, excludeId) => {
+  let conflictQuery = supabase.from('modules').select('id').eq('code', code);
+  if (excludeId) conflictQuery = conflictQuery.neq('id', excludeId);
+
+  const { data, error } = await conflictQuery.limit(1);
+  if (error) throw error;
+  return data.length > 0;
+};
+
+// Outcome codes only have to be unique within their module
+const findOutcomeConflict = async (moduleId, code, excludeId) => {
+  let conflictQuery = supabase.from('learning_outcomes').select('id').eq('module_id', moduleId).eq('code', code);
+  if (excludeId) conflictQuery = conflictQuery.neq('id', excludeId);
+
+  const { data, error } = await conflictQuery.limit(1);
+  if (error) throw error;
+  return data.length > 0;
+};
+
+router.get(
+  '/',
+  authenticateToken,
+  ensureStaff,
+  [query('level').optional().isIn(LEVELS)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      let modulesQuery = supabase.from('modules').select('*');
+      if (req.query.trade) modulesQuery = modulesQuery.eq('trade', req.query.trade);
+      if (req.query.level) modulesQuery = modulesQuery.eq('level', req.query.level);
+
+      const { data: modules, error } = await modulesQuery
+        .order('trade', { ascending: true })
+        .order('level', { ascending: true })
+        .order('code', { ascending: true });
+
+      if (error) throw error;
+
+      res.json({ success: true, modules });
+    } catch (error) {
+      console.error('List modules error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load modules' });
+    }
+  }
+);
+
+// A module with its learning outcomes
+router.get('/:id', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const module = await loadModule(req.params.id);
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    res.json({ success: true, module });
+  } catch (error) {
+    console.error('Get module error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load module' });
+  }
+});
+
+router.post('/', authenticateToken, ensureAdmin, moduleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { code, name, trade, level, description, competent_mark = 70 } = req.body;
+
+    if (await findCodeConflict(code)) {
+      return res.status(400).json({ success: false, message: 'A module with this code already exists' });
+    }
+
+    const { data: module, error } = await supabase
+      .from('modules')
+      .insert([{ code, name, trade, level, description: description || null, competent_mark }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, message: 'Module created', module });
+  } catch (error) {
+    console.error('Create module error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create module' });
+  }
+});
+
+router.put('/:id', authenticateToken, ensureAdmin, moduleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { code, name, trade, level, description, competent_mark } = req.body;
+
+    if (await findCodeConflict(code, req.params.id)) {
+      return res.status(400).json({ success: false, message: 'A module with this code already exists' });
+    }
+
+    const updates = { code, name, trade, level, updated_at: new Date().toISOString() };
+    if (description !== undefined) updates.description = description || null;
+    if (competent_mark !== undefined) updates.competent_mark = competent_mark;
+
+    const { data: module, error } = await supabase
+      .from('modules')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Module not found' });
+      throw error;
+    }
+
+    res.json({ success: true, message: 'Module updated', module });
+  } catch (error) {
+    console.error('Update module error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update module' });
+  }
+});
+
+// Removing a module also removes its learning outcomes and the teaching assignments for it
+router.delete('/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { data: module, error: fetchError } = await supabase
+      .from('modules')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const { error } = await supabase.from('modules').delete().eq('id', module.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Module deleted' });
+  } catch (error) {
+    console.error('Delete module error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete module' });
+  }
+});
+
+router.post('/:id/outcomes', authenticateToken, ensureAdmin, outcomeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const module = await loadModule(req.params.id);
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const { code, description } = req.body;
+
+    if (await findOutcomeConflict(module.id, code)) {
+      return res.status(400).json({ success: false, message: 'This module already has an outcome with this code' });
+    }
+
+    // New outcomes go last unless a position is given
+    const position = req.body.position ?? module.outcomes.reduce((max, o) => Math.max(max, o.position + 1), 0);
+
+    const { data: outcome, error } = await supabase
+      .from('learning_outcomes')
+      .insert([{ module_id: module.id, code, description, position }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, message: 'Learning outcome added', outcome });
+  } catch (error) {
+    console.error('Create learning outcome error:', error);
+    res.status(500).json({ success: false, message: 'Failed to add learning outcome' });
+  }
+});
+
+router.put('/outcomes/:outcomeId', authenticateToken, ensureAdmin, outcomeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('learning_outcomes')
+      .select('id, module_id, position')
+      .eq('id', req.params.outcomeId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Learning outcome not found' });
+    }
+
+    const { code, description, position = existing.position } = req.body;
+
+    if (await findOutcomeConflict(existing.module_id, code, existing.id)) {
+      return res.status(400).json({ success: false, message: 'This module already has an outcome with this code' });
+    }
+
+    const { data: outcome, error } = await supabase
+      .from('learning_outcomes')
+      .update({ code, description, position, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Learning outcome updated', outcome });
+  } catch (error) {
+    console.error('Update learning outcome error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update learning outcome' });
+  }
+});
+
+// Exams, assignments and questions lose their link to a removed outcome
+router.delete('/outcomes/:outcomeId', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { error, count } = await supabase
+      .from('learning_outcomes')
+      .delete({ count: 'exact' })
+      .eq('id', req.params.outcomeId);
+
+    if (error) throw error;
+    if (count === 0) return res.status(404).json({ success: false, message: 'Learning outcome not found' });
+
+    res.json({ success: true, message: 'Learning outcome deleted' });
+  } catch (error) {
+    console.error('Delete learning outcome error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete learning outcome' });
+  }
+});
+
+module.exports = router;
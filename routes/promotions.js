@@ -0,0 +1,418 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { loadAcademicYear } = require('../services/academicCalendar');
+const {
+  PROMOTION_ACTIONS,
+  PROMOTION_RUN_STATUSES,
+  NEXT_LEVEL,
+  loadPromotionRules,
+  buildProposals,
+  saveProposals,
+  formatRunStudent,
+  loadRunStudents,
+  summarizeRun,
+  applyRun,
+} = require('../services/promotions');
+
+const ADMIN_ROLES = new Set(['admin', 'super_admin']);
+const LEVELS = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+const ensureAdmin = (req, res, next) => {
+  if (!req.user || !ADMIN_ROLES.has(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Only admins can manage promotions' });
+  }
+  next();
+};
+
+const ruleValidators = [
+  body('trade').optional({ nullable: true }).trim(),
+  body('level').optional({ nullable: true, checkFalsy: true }).isIn(LEVELS).withMessage('Invalid level'),
+  body('min_average').isFloat({ min: 0, max: 100 }).withMessage('min_average must be between 0 and 100').toFloat(),
+  body('min_attendance_rate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('min_attendance_rate must be between 0 and 100').toFloat(),
+  body('require_all_passed').optional().isBoolean().toBoolean(),
+];
+
+// Only one rule may cover a given trade/level combination
+const findRuleConflict = async (trade, level, excludeId) => {
+  let conflictQuery = supabase.from('promotion_rules').select('id');
+  conflictQuery = trade ? conflictQuery.eq('trade', trade) : conflictQuery.is('trade', null);
+  conflictQuery = level ? conflictQuery.eq('level', level) : conflictQuery.is('level', null);
+  if (excludeId) conflictQuery = conflictQuery.neq('id', excludeId);
+
+  const { data, error } = await conflictQuery.limit(1);
+  if (error) throw error;
+  return data.length > 0;
+};
+
+const ruleFields = (reqBody) => ({
+  trade: reqBody.trade || null,
+  level: reqBody.level || null,
+  min_average: reqBody.min_average,
+  min_attendance_rate: reqBody.min_attendance_rate ?? null,
+  require_all_passed: Boolean(reqBody.require_all_passed),
+});
+
+const loadRun = async (id) => {
+  const { data, error } = await supabase
+    .from('promotion_runs')
+    .select('*, academic_year:academic_years(id, name, start_date, end_date)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const loadDraftRun = async (id, res) => {
+  const run = await loadRun(id);
+  if (!run) {
+    res.status(404).json({ success: false, message: 'Promotion run not found' });
+    return null;
+  }
+  if (run.status !== 'draft') {
+    res.status(400).json({ success: false, message: 'This promotion run has already been applied' });
+    return null;
+  }
+  return run;
+};
+
+const buildRunView = async (run) => {
+  const rows = await loadRunStudents(run.id);
+  return { ...run, summary: summarizeRun(rows), students: rows.map(formatRunStudent) };
+};
+
+/* ---------------------------------- Rules --------------------------------- */
+
+router.get('/rules', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, rules: await loadPromotionRules() });
+  } catch (error) {
+    console.error('List promotion rules error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load promotion rules' });
+  }
+});
+
+router.post('/rules', authenticateToken, ensureAdmin, ruleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const fields = ruleFields(req.body);
+    if (await findRuleConflict(fields.trade, fields.level)) {
+      return res.status(400).json({ success: false, message: 'A promotion rule already exists for this trade and level' });
+    }
+
+    const { data: rule, error } = await supabase
+      .from('promotion_rules')
+      .insert([{ ...fields, created_by: req.user.id }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, message: 'Promotion rule created', rule });
+  } catch (error) {
+    console.error('Create promotion rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create promotion rule' });
+  }
+});
+
+router.put('/rules/:id', authenticateToken, ensureAdmin, ruleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const fields = ruleFields(req.body);
+    if (await findRuleConflict(fields.trade, fields.level, req.params.id)) {
+      return res.status(400).json({ success: false, message: 'A promotion rule already exists for this trade and level' });
+    }
+
+    const { data: rule, error } = await supabase
+      .from('promotion_rules')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Promotion rule not found' });
+      throw error;
+    }
+
+    res.json({ success: true, message: 'Promotion rule updated', rule });
+  } catch (error) {
+    console.error('Update promotion rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update promotion rule' });
+  }
+});
+
+router.delete('/rules/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { data: rule, error: fetchError } = await supabase
+      .from('promotion_rules')
+      .select('id, trade, level')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Promotion rule not found' });
+    }
+
+    if (!rule.trade && !rule.level) {
+      return res.status(400).json({ success: false, message: 'The default promotion rule cannot be deleted' });
+    }
+
+    const { error } = await supabase.from('promotion_rules').delete().eq('id', rule.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Promotion rule deleted' });
+  } catch (error) {
+    console.error('Delete promotion rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete promotion rule' });
+  }
+});
+
+/* ---------------------------------- Runs ---------------------------------- */
+
+router.get(
+  '/runs',
+  authenticateToken,
+  ensureAdmin,
+  [query('status').optional().isIn(PROMOTION_RUN_STATUSES), query('academicYearId').optional().isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      let runsQuery = supabase
+        .from('promotion_runs')
+        .select('*, academic_year:academic_years(id, name), students:promotion_run_students(final_action)');
+
+      if (req.query.status) runsQuery = runsQuery.eq('status', req.query.status);
+      if (req.query.academicYearId) runsQuery = runsQuery.eq('academic_year_id', req.query.academicYearId);
+
+      const { data: runs, error } = await runsQuery.order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        runs: runs.map((r) => ({ ...r, students: undefined, summary: summarizeRun(r.students || []) })),
+      });
+    } catch (error) {
+      console.error('List promotion runs error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load promotion runs' });
+    }
+  }
+);
+
+// Creates a draft run and proposes an action for every active student in scope
+router.post(
+  '/runs',
+  authenticateToken,
+  ensureAdmin,
+  [
+    body('academic_year_id').isInt({ min: 1 }).withMessage('academic_year_id is required').toInt(),
+    body('trade').optional({ nullable: true }).trim(),
+    body('level').optional({ nullable: true, checkFalsy: true }).isIn(LEVELS).withMessage('Invalid level'),
+    body('notes').optional({ nullable: true }).trim().isLength({ max: 255 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const year = await loadAcademicYear(req.body.academic_year_id);
+      if (!year) {
+        return res.status(404).json({ success: false, message: 'Academic year not found' });
+      }
+
+      const { data: run, error } = await supabase
+        .from('promotion_runs')
+        .insert([{
+          academic_year_id: year.id,
+          trade: req.body.trade || null,
+          level: req.body.level || null,
+          notes: req.body.notes || null,
+          created_by: req.user.id,
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await saveProposals(run.id, await buildProposals(run, year));
+
+      res.status(201).json({
+        success: true,
+        message: 'Promotion run created',
+        run: await buildRunView(await loadRun(run.id)),
+      });
+    } catch (error) {
+      console.error('Create promotion run error:', error);
+      res.status(500).json({ success: false, message: 'Failed to create promotion run' });
+    }
+  }
+);
+
+router.get('/runs/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const run = await loadRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'Promotion run not found' });
+    }
+
+    res.json({ success: true, run: await buildRunView(run) });
+  } catch (error) {
+    console.error('Get promotion run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load promotion run' });
+  }
+});
+
+// Recomputes the proposals after marks or rules change; overrides are kept
+router.post('/runs/:id/refresh', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const run = await loadDraftRun(req.params.id, res);
+    if (!run) return;
+
+    if (!run.academic_year) {
+      return res.status(400).json({ success: false, message: 'The academic year of this run no longer exists' });
+    }
+
+    const existing = await loadRunStudents(run.id);
+    await saveProposals(run.id, await buildProposals(run, run.academic_year, existing));
+
+    res.json({ success: true, message: 'Proposals refreshed', run: await buildRunView(run) });
+  } catch (error) {
+    console.error('Refresh promotion run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to refresh promotion run' });
+  }
+});
+
+// Overrides one student's decision; an empty action goes back to the proposal
+router.put(
+  '/runs/:id/students/:studentId',
+  authenticateToken,
+  ensureAdmin,
+  [
+    body('action').optional({ nullable: true, checkFalsy: true }).isIn(PROMOTION_ACTIONS).withMessage(`Action must be one of ${PROMOTION_ACTIONS.join(', ')}`),
+    body('reason').optional({ nullable: true }).trim().isLength({ max: 255 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const run = await loadDraftRun(req.params.id, res);
+      if (!run) return;
+
+      const { data: row, error: rowError } = await supabase
+        .from('promotion_run_students')
+        .select('*')
+        .eq('run_id', run.id)
+        .eq('student_id', req.params.studentId)
+        .maybeSingle();
+
+      if (rowError) throw rowError;
+      if (!row) {
+        return res.status(404).json({ success: false, message: 'Student is not part of this promotion run' });
+      }
+
+      const { action, reason } = req.body;
+
+      if (action === 'promote' && !NEXT_LEVEL[row.from_level]) {
+        return res.status(400).json({ success: false, message: `${row.from_level} students graduate rather than move up` });
+      }
+      if (action === 'graduate' && NEXT_LEVEL[row.from_level]) {
+        return res.status(400).json({ success: false, message: 'Only L5 students can graduate' });
+      }
+      if (action && !reason) {
+        return res.status(400).json({ success: false, message: 'A reason is required when overriding a proposal' });
+      }
+
+      const { error } = await supabase
+        .from('promotion_run_students')
+        .update(action
+          ? { final_action: action, override_reason: reason, overridden_by: req.user.id }
+          : { final_action: row.proposed_action, override_reason: null, overridden_by: null })
+        .eq('run_id', run.id)
+        .eq('student_id', row.student_id);
+
+      if (error) throw error;
+
+      res.json({ success: true, message: action ? 'Decision overridden' : 'Override removed', run: await buildRunView(run) });
+    } catch (error) {
+      console.error('Override promotion error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update promotion decision' });
+    }
+  }
+);
+
+router.post('/runs/:id/apply', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const run = await loadDraftRun(req.params.id, res);
+    if (!run) return;
+
+    const { applied, skipped } = await applyRun(run, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Promoted ${applied.promote}, graduated ${applied.graduate}, kept ${applied.repeat} at their level`,
+      applied,
+      skipped,
+    });
+  } catch (error) {
+    console.error('Apply promotion run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to apply promotion run' });
+  }
+});
+
+router.delete('/runs/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const run = await loadDraftRun(req.params.id, res);
+    if (!run) return;
+
+    const { error } = await supabase.from('promotion_runs').delete().eq('id', run.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Promotion run deleted' });
+  } catch (error) {
+    console.error('Delete promotion run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete promotion run' });
+  }
+});
+
+/* --------------------------------- History -------------------------------- */
+
+router.get('/students/:studentId/history', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { data: history, error } = await supabase
+      .from('student_level_history')
+      .select('*, run:promotion_runs(id, academic_year_id)')
+      .eq('student_id', req.params.studentId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('Get level history error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load level history' });
+  }
+});
+
+module.exports = router;
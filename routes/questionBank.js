@@ -0,0 +1,312 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  serializeQuestionFields,
+  normalizeQuestion,
+  getQuestionUpdateError,
+  questionValidators,
+  questionUpdateValidators,
+  buildQuestionUpdate,
+} = require('../services/questions');
+const { getTeacherScope } = require('../services/teachingAssignments');
+const { getOutcomesError } = require('../services/competencies');
+
+const STAFF_ROLES = new Set(['admin', 'super_admin']);
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const ensureStaff = (req, res, next) => {
+  if (!req.user || !(STAFF_ROLES.has(req.user.role) || req.user.role === 'teacher')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only teachers or admins can perform this action',
+    });
+  }
+  next();
+};
+
+// Teachers are limited to the banks of the trades they teach; admins can see every trade
+const getTeacherTrades = async (user) => {
+  if (user.role !== 'teacher') return null;
+  return (await getTeacherScope(user.id)).trades;
+};
+
+const filterByTrade = (bankQuery, teacherTrades, trade) => {
+  if (trade) return bankQuery.eq('trade', trade);
+  if (teacherTrades) return bankQuery.in('trade', teacherTrades.length ? teacherTrades : ['']);
+  return bankQuery;
+};
+
+const formatBankQuestion = (row) => ({
+  ...normalizeQuestion(row, true),
+  trade: row.trade,
+  level: row.level,
+  topic: row.topic,
+  difficulty: row.difficulty,
+  created_by: row.created_by,
+  created_at: row.created_at,
+});
+
+const fetchBankQuestion = async (id) => {
+  const { data, error } = await supabase
+    .from('question_bank')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+router.get(
+  '/',
+  authenticateToken,
+  ensureStaff,
+  [
+    query('difficulty').optional().isIn(DIFFICULTIES),
+    query('level').optional().isIn(['L1', 'L2', 'L3', 'L4', 'L5']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const teacherTrades = await getTeacherTrades(req.user);
+      const { trade, topic, difficulty, level, search } = req.query;
+
+      if (teacherTrades && trade && !teacherTrades.includes(trade)) {
+        return res.status(403).json({ success: false, message: 'You can only browse the bank of trades you teach' });
+      }
+
+      let bankQuery = filterByTrade(supabase.from('question_bank').select('*'), teacherTrades, trade);
+
+      if (topic) bankQuery = bankQuery.eq('topic', topic);
+      if (difficulty) bankQuery = bankQuery.eq('difficulty', difficulty);
+      if (level) bankQuery = bankQuery.eq('level', level);
+      if (search) bankQuery = bankQuery.ilike('question_text', `%${search}%`);
+
+      const { data: rows, error } = await bankQuery.order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      res.json({ success: true, questions: rows.map(formatBankQuestion) });
+    } catch (error) {
+      console.error('List question bank error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load question bank' });
+    }
+  }
+);
+
+// Topics with item counts per difficulty, used to build draw rules
+router.get('/topics', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const teacherTrades = await getTeacherTrades(req.user);
+    const { trade } = req.query;
+
+    if (teacherTrades && trade && !teacherTrades.includes(trade)) {
+      return res.status(403).json({ success: false, message: 'You can only browse the bank of trades you teach' });
+    }
+
+    const { data: rows, error } = await filterByTrade(supabase.from('question_bank').select('topic, difficulty'), teacherTrades, trade);
+
+    if (error) throw error;
+
+    const topicMap = {};
+    rows.forEach((row) => {
+      const key = row.topic || '';
+      if (!topicMap[key]) {
+        topicMap[key] = { topic: row.topic, total: 0, easy: 0, medium: 0, hard: 0 };
+      }
+      topicMap[key].total++;
+      topicMap[key][row.difficulty]++;
+    });
+
+    res.json({
+      success: true,
+      topics: Object.values(topicMap).sort((a, b) => String(a.topic).localeCompare(String(b.topic))),
+    });
+  } catch (error) {
+    console.error('List bank topics error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load topics' });
+  }
+});
+
+router.post(
+  '/',
+  authenticateToken,
+  ensureStaff,
+  [
+    ...questionValidators,
+    body('trade').optional().trim().notEmpty(),
+    body('level').optional({ nullable: true, checkFalsy: true }).isIn(['L1', 'L2', 'L3', 'L4', 'L5']).withMessage('Invalid level'),
+    body('topic').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Topic must be 100 characters or less'),
+    body('difficulty').optional().isIn(DIFFICULTIES).withMessage('Difficulty must be easy, medium or hard'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      // Teachers of a single trade can leave it out
+      const teacherTrades = await getTeacherTrades(req.user);
+      const trade = req.body.trade || (teacherTrades && teacherTrades.length === 1 ? teacherTrades[0] : null);
+
+      if (!trade) {
+        return res.status(400).json({ success: false, message: 'Trade is required' });
+      }
+
+      if (teacherTrades && !teacherTrades.includes(trade)) {
+        return res.status(403).json({ success: false, message: 'You can only add questions for trades you teach' });
+      }
+
+      const {
+        question_text,
+        type,
+        marks,
+        time_limit = 30,
+        level,
+        topic,
+        difficulty = 'medium',
+        outcome_id = null
+      } = req.body;
+
+      if (outcome_id) {
+        const outcomeError = await getOutcomesError([outcome_id], { trade, level });
+        if (outcomeError) {
+          return res.status(400).json({ success: false, message: outcomeError });
+        }
+      }
+
+      const { data, error } = await supabase
+        .from('question_bank')
+        .insert([{
+          trade,
+          level: level || null,
+          topic: topic || null,
+          difficulty,
+          question_text,
+          type,
+          ...serializeQuestionFields(req.body),
+          marks,
+          time_limit,
+          outcome_id,
+          created_by: req.user.id
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.status(201).json({
+        success: true,
+        message: 'Question added to bank',
+        question: formatBankQuestion(data),
+      });
+    } catch (error) {
+      console.error('Add bank question error:', error);
+      res.status(500).json({ success: false, message: 'Failed to add question to bank' });
+    }
+  }
+);
+
+router.put(
+  '/:id',
+  authenticateToken,
+  ensureStaff,
+  [
+    ...questionUpdateValidators,
+    body('level').optional({ nullable: true, checkFalsy: true }).isIn(['L1', 'L2', 'L3', 'L4', 'L5']),
+    body('topic').optional({ nullable: true }).trim().isLength({ max: 100 }),
+    body('difficulty').optional().isIn(DIFFICULTIES),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const existing = await fetchBankQuestion(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Question not found' });
+      }
+
+      const teacherTrades = await getTeacherTrades(req.user);
+      if (teacherTrades && !teacherTrades.includes(existing.trade)) {
+        return res.status(403).json({ success: false, message: 'You can only edit questions for trades you teach' });
+      }
+
+      const shapeError = getQuestionUpdateError(existing, req.body);
+      if (shapeError) {
+        return res.status(400).json({ success: false, message: shapeError });
+      }
+
+      const updatedData = {
+        ...buildQuestionUpdate(existing, req.body),
+        level: req.body.level !== undefined ? (req.body.level || null) : existing.level,
+        topic: req.body.topic !== undefined ? (req.body.topic || null) : existing.topic,
+        difficulty: req.body.difficulty || existing.difficulty,
+      };
+
+      if (updatedData.outcome_id) {
+        const outcomeError = await getOutcomesError([updatedData.outcome_id], { trade: existing.trade, level: updatedData.level });
+        if (outcomeError) {
+          return res.status(400).json({ success: false, message: outcomeError });
+        }
+      }
+
+      const { data: updated, error } = await supabase
+        .from('question_bank')
+        .update(updatedData)
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        message: 'Question updated successfully',
+        question: formatBankQuestion(updated),
+      });
+    } catch (error) {
+      console.error('Update bank question error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update question' });
+    }
+  }
+);
+
+router.delete('/:id', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const existing = await fetchBankQuestion(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const teacherTrades = await getTeacherTrades(req.user);
+    if (teacherTrades && !teacherTrades.includes(existing.trade)) {
+      return res.status(403).json({ success: false, message: 'You can only delete questions for trades you teach' });
+    }
+
+    // Exam copies keep their text; their bank_question_id is cleared by the FK
+    const { error } = await supabase
+      .from('question_bank')
+      .delete()
+      .eq('id', existing.id);
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Question removed from bank' });
+  } catch (error) {
+    console.error('Delete bank question error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete question' });
+  }
+});
+
+module.exports = router;
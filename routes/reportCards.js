@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { loadGradebook } = require('../services/gradebook');
+const { buildReportCards, renderReportCardsPdf, buildReportCardZip, reportCardFilename, safeFilePart } = require('../services/reportCards');
+const { loadBranding, sendPdf } = require('../services/pdf');
+const { canAccessClass } = require('../services/teachingAssignments');
+
+const ADMIN_ROLES = new Set(['admin', 'super_admin']);
+
+const ensureStaff = (req, res, next) => {
+  if (!req.user || !(ADMIN_ROLES.has(req.user.role) || req.user.role === 'teacher')) {
+    return res.status(403).json({ success: false, message: 'Only teachers or admins can write report card remarks' });
+  }
+  next();
+};
+
+const ensureAdmin = (req, res, next) => {
+  if (!req.user || !ADMIN_ROLES.has(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Only admins can download report cards' });
+  }
+  next();
+};
+
+// Report cards print frozen marks, so drafts have none yet
+const loadReportableGradebook = async (id, res) => {
+  const gradebook = await loadGradebook(id);
+  if (!gradebook) {
+    res.status(404).json({ success: false, message: 'Gradebook not found' });
+    return null;
+  }
+  if (gradebook.status === 'draft') {
+    res.status(400).json({ success: false, message: 'Lock the gradebook before generating report cards' });
+    return null;
+  }
+  return gradebook;
+};
+
+router.get('/:gradebookId/remarks', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const gradebook = await loadGradebook(req.params.gradebookId);
+    if (!gradebook) {
+      return res.status(404).json({ success: false, message: 'Gradebook not found' });
+    }
+
+    if (!(await canAccessClass(req.user, gradebook.trade, gradebook.level))) {
+      return res.status(403).json({ success: false, message: 'You can only view remarks for classes you teach' });
+    }
+
+    const { data: remarks, error } = await supabase
+      .from('report_card_remarks')
+      .select('student_id, remarks, author_id, updated_at, student:students(full_name, username)')
+      .eq('gradebook_id', gradebook.id);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      remarks: remarks.map((r) => ({
+        student_id: r.student_id,
+        full_name: r.student?.full_name,
+        username: r.student?.username,
+        remarks: r.remarks,
+        author_id: r.author_id,
+        updated_at: r.updated_at,
+      })),
+    });
+  } catch (error) {
+    console.error('List report card remarks error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load remarks' });
+  }
+});
+
+router.put(
+  '/:gradebookId/remarks/:studentId',
+  authenticateToken,
+  ensureStaff,
+  [body('remarks').isString().trim().isLength({ max: 2000 }).withMessage('Remarks must be 2000 characters or less')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const gradebook = await loadGradebook(req.params.gradebookId);
+      if (!gradebook) {
+        return res.status(404).json({ success: false, message: 'Gradebook not found' });
+      }
+
+      if (!(await canAccessClass(req.user, gradebook.trade, gradebook.level))) {
+        return res.status(403).json({ success: false, message: 'You can only write remarks for classes you teach' });
+      }
+
+      const { data: student, error: studentError } = await supabase
+        .from('students')
+        .select('id, trade, level')
+        .eq('id', req.params.studentId)
+        .maybeSingle();
+
+      if (studentError) throw studentError;
+      if (!student) {
+        return res.status(404).json({ success: false, message: 'Student not found' });
+      }
+
+      if (student.trade !== gradebook.trade || student.level !== gradebook.level) {
+        return res.status(400).json({ success: false, message: 'Student is not in this gradebook\'s class' });
+      }
+
+      // Clearing the text removes the remark
+      if (!req.body.remarks) {
+        const { error } = await supabase
+          .from('report_card_remarks')
+          .delete()
+          .eq('gradebook_id', gradebook.id)
+          .eq('student_id', student.id);
+
+        if (error) throw error;
+        return res.json({ success: true, message: 'Remarks removed', remarks: null });
+      }
+
+      const { data: saved, error } = await supabase
+        .from('report_card_remarks')
+        .upsert({
+          gradebook_id: gradebook.id,
+          student_id: student.id,
+          remarks: req.body.remarks,
+          author_id: req.user.id,
+          updated_at: new Date().toISOString(),
+        }, { onConflict: 'gradebook_id,student_id' })
+        .select('student_id, remarks, author_id, updated_at')
+        .single();
+
+      if (error) throw error;
+
+      res.json({ success: true, message: 'Remarks saved', remarks: saved });
+    } catch (error) {
+      console.error('Save report card remarks error:', error);
+      res.status(500).json({ success: false, message: 'Failed to save remarks' });
+    }
+  }
+);
+
+router.get('/:gradebookId/students/:studentId', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const gradebook = await loadReportableGradebook(req.params.gradebookId, res);
+    if (!gradebook) return;
+
+    const [card] = await buildReportCards(gradebook, [req.params.studentId]);
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Student is not in this gradebook' });
+    }
+
+    if (req.query.format === 'json') {
+      return res.json({ success: true, report_card: card });
+    }
+
+    sendPdf(res, await renderReportCardsPdf([card], await loadBranding()), reportCardFilename(card));
+  } catch (error) {
+    console.error('Generate report card error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate report card' });
+  }
+});
+
+// Every card of the class: ?format=zip (default) gives one PDF per student, ?format=pdf one
+// combined file for printing
+router.get('/:gradebookId/download', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const format = req.query.format ? String(req.query.format).toLowerCase() : 'zip';
+    if (!['zip', 'pdf'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be zip or pdf' });
+    }
+
+    const gradebook = await loadReportableGradebook(req.params.gradebookId, res);
+    if (!gradebook) return;
+
+    const cards = await buildReportCards(gradebook);
+    if (!cards.length) {
+      return res.status(400).json({ success: false, message: 'This gradebook has no students' });
+    }
+
+    const branding = await loadBranding();
+    const basename = `${safeFilePart(gradebook.trade)}-${gradebook.level}-${safeFilePart(gradebook.term)}-report-cards`;
+
+    if (format === 'pdf') {
+      return sendPdf(res, await renderReportCardsPdf(cards, branding), `${basename}.pdf`);
+    }
+
+    const zip = await buildReportCardZip(cards, branding);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}.zip"`);
+    res.send(zip);
+  } catch (error) {
+    console.error('Download report cards error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate report cards' });
+  }
+});
+
+module.exports = router;
@@ -2,29 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { safeParseOptions, normalizeQuestion, parseStoredAnswer } = require('../services/questions');
+const { loadGradingScales, resolveGradingScale, getGradingScale, describeScore } = require('../services/grading');
+const { resolvePeriod, termIdsFilter } = require('../services/academicCalendar');
+const { loadExamTotals } = require('../services/gradebook');
+const { getTeacherScope, teachesClass, teachesStudent } = require('../services/teachingAssignments');
 
 const STAFF_ROLES = new Set(['admin', 'super_admin']);
 
-const safeParseOptions = (value, fallback = []) => {
-  if (!value) {
-    return fallback;
-  }
-
-  try {
-    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
-    return Array.isArray(parsed) ? parsed : fallback;
-  } catch (error) {
-    return fallback;
-  }
-};
-
-const getGrade = (percentage) => {
-  if (percentage > 80) return 'A';
-  if (percentage >= 70) return 'B';
-  if (percentage >= 50) return 'C';
-  return 'Fail';
-};
-
 router.get('/history', authenticateToken, async (req, res) => {
   try {
     if (req.user.role !== 'student') {
@@ -33,35 +18,97 @@ router.get('/history', authenticateToken, async (req, res) => {
 
     const studentId = req.user.id;
 
-    const { data: results, error } = await supabase
+    const { period, error: periodError } = await resolvePeriod({
+      termId: req.query.termId,
+      academicYearId: req.query.academicYearId,
+    });
+    if (periodError) {
+      return res.status(404).json({ success: false, message: periodError });
+    }
+
+    let resultsQuery = supabase
       .from('results')
       .select(`
         id,
         exam_id,
+        attempt_id,
+        attempt_count,
         score,
+        status,
+        mode,
         submitted_at,
-        exam:exams (
+        exam:exams${period ? '!inner' : ''} (
           title,
-          total_marks
+          total_marks,
+          trade,
+          level,
+          term_id,
+          max_attempts,
+          score_policy
         )
       `)
-      .eq('student_id', studentId)
-      .order('submitted_at', { ascending: false });
+      .eq('student_id', studentId);
+
+    if (period) {
+      resultsQuery = resultsQuery.in('exam.term_id', termIdsFilter(period));
+    }
+
+    const { data: results, error } = await resultsQuery.order('submitted_at', { ascending: false });
 
     if (error) throw error;
 
+    const { data: attemptRows, error: attemptsError } = await supabase
+      .from('exam_attempts')
+      .select('id, exam_id, status, mode, paper_version, score, result_status, started_at, submitted_at')
+      .eq('student_id', studentId)
+      .neq('status', 'in_progress')
+      .order('started_at', { ascending: true });
+
+    if (attemptsError) throw attemptsError;
+
+    const attemptsByExam = new Map();
+    attemptRows.forEach((a) => {
+      const key = String(a.exam_id);
+      if (!attemptsByExam.has(key)) attemptsByExam.set(key, []);
+      attemptsByExam.get(key).push(a);
+    });
+
+    const scales = await loadGradingScales();
+    // Exams without an explicit total are out of the sum of their question marks, as staff see them
+    const examTotals = await loadExamTotals(results.map(row => ({ id: row.exam_id, total_marks: row.exam?.total_marks })));
+
     const formattedResults = results.map(row => {
-      const total_marks = row.exam?.total_marks || 0;
-      const percentage = total_marks > 0 ? (row.score / total_marks) * 100 : 0;
+      const total_marks = examTotals.get(String(row.exam_id)) || 0;
+      const scale = resolveGradingScale(scales, { trade: row.exam?.trade, level: row.exam?.level });
+      const { percentage, grade, passed } = describeScore(scale, row.score, total_marks, row.status || 'graded');
       return {
         id: row.id,
         examId: row.exam_id,
         examTitle: row.exam?.title || 'Unknown Exam',
         score: row.score,
         totalMarks: total_marks,
-        percentage: Math.round(percentage),
-        grade: getGrade(percentage),
-        submittedAt: row.submitted_at
+        percentage,
+        status: row.status || 'graded',
+        grade,
+        passed,
+        mode: row.mode || 'online',
+        termId: row.exam?.term_id || null,
+        submittedAt: row.submitted_at,
+        scorePolicy: row.exam?.score_policy || 'best',
+        maxAttempts: row.exam?.max_attempts || 1,
+        attemptCount: row.attempt_count || 1,
+        attempts: (attemptsByExam.get(String(row.exam_id)) || []).map((a, index) => ({
+          id: a.id,
+          attemptNumber: index + 1,
+          status: a.status,
+          mode: a.mode || 'online',
+          paperVersion: a.paper_version || null,
+          score: a.score,
+          ...describeScore(scale, a.score, total_marks, a.result_status || 'graded'),
+          startedAt: a.started_at,
+          submittedAt: a.submitted_at,
+          counted: a.id === row.attempt_id,
+        })),
       };
     });
 
@@ -99,9 +146,18 @@ router.get('/:studentId/:examId', authenticateToken, async (req, res) => {
       throw examError;
     }
 
+    // Teachers see results of their own exams or their classes' exams, and only for students they teach
+    if (req.user.role === 'teacher') {
+      const scope = await getTeacherScope(req.user.id);
+      const canSeeExam = exam.teacher_id === req.user.id || teachesClass(scope, exam.trade, exam.level);
+      if (!canSeeExam || !teachesStudent(scope, studentId)) {
+        return res.status(403).json({ success: false, message: 'Access denied for this result' });
+      }
+    }
+
     const { data: result, error: resultError } = await supabase
       .from('results')
-      .select('score, submitted_at')
+      .select('score, status, attempt_id, attempt_count, submitted_at')
       .eq('student_id', studentId)
       .eq('exam_id', examId)
       .maybeSingle();
@@ -111,7 +167,29 @@ router.get('/:studentId/:examId', authenticateToken, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Result not found for this student' });
     }
 
-    const { data: answers, error: answersError } = await supabase
+    // Shows the counted attempt unless a specific one is requested with ?attemptId=
+    let attemptQuery = supabase
+      .from('exam_attempts')
+      .select('id, question_ids, status, score, result_status, started_at, submitted_at')
+      .eq('student_id', studentId)
+      .eq('exam_id', examId)
+      .neq('status', 'in_progress');
+
+    const attemptId = req.query.attemptId || result.attempt_id;
+    attemptQuery = attemptId
+      ? attemptQuery.eq('id', attemptId)
+      : attemptQuery.order('started_at', { ascending: false }).limit(1);
+
+    const { data: attempt, error: attemptError } = await attemptQuery.maybeSingle();
+
+    if (attemptError) throw attemptError;
+    if (req.query.attemptId && !attempt) {
+      return res.status(404).json({ success: false, message: 'Attempt not found for this student' });
+    }
+
+    const attemptQuestionIds = attempt ? safeParseOptions(attempt.question_ids, null) : null;
+
+    let answersQuery = supabase
       .from('questions')
       .select(`
         id,
@@ -119,30 +197,51 @@ router.get('/:studentId/:examId', authenticateToken, async (req, res) => {
         type,
         options,
         correct_answer,
+        tolerance,
+        partial_credit,
         marks,
         student_answers!left (
           answer,
-          is_correct
+          is_correct,
+          marks_awarded,
+          marker_comment
         )
       `)
       .eq('exam_id', examId)
-      .eq('student_answers.student_id', studentId)
-      .order('id');
+      .eq('student_answers.student_id', studentId);
+
+    // Every attempt answers the questions afresh; answers saved before attempts were tracked have none
+    answersQuery = attempt
+      ? answersQuery.eq('student_answers.attempt_id', attempt.id)
+      : answersQuery.is('student_answers.attempt_id', null);
+
+    answersQuery = attemptQuestionIds
+      ? answersQuery.in('id', attemptQuestionIds)
+      : answersQuery.eq('is_drawn', false);
+
+    const { data: answers, error: answersError } = await answersQuery.order('id');
 
     if (answersError) throw answersError;
 
     const formattedAnswers = answers.map((row) => {
       const sa = row.student_answers?.[0] || {};
+      const question = normalizeQuestion(row, true);
       return {
         questionId: row.id,
         questionText: row.question_text,
         type: row.type,
-        options: row.type === 'TF' ? ['True', 'False'] : safeParseOptions(row.options, []),
-        studentAnswer: sa.answer,
-        correctAnswer: row.correct_answer,
+        options: question.options,
+        prompts: question.prompts,
+        studentAnswer: parseStoredAnswer(row.type, sa.answer),
+        correctAnswer: question.correct_answer,
+        tolerance: question.tolerance,
         isCorrect: Boolean(sa.is_correct),
         marks: row.marks,
-        marksAwarded: sa.is_correct ? row.marks : 0,
+        marksAwarded: sa.marks_awarded === null
+          ? null
+          : (sa.marks_awarded !== undefined ? Number(sa.marks_awarded) : (sa.is_correct ? row.marks : 0)),
+        pending: sa.marks_awarded === null,
+        markerComment: sa.marker_comment || null,
       };
     });
 
@@ -151,6 +250,9 @@ router.get('/:studentId/:examId', authenticateToken, async (req, res) => {
         ? exam.total_marks
         : formattedAnswers.reduce((sum, row) => sum + (row.marks || 0), 0);
 
+    const resultStatus = result.status || 'graded';
+    const scale = await getGradingScale({ trade: exam.trade, level: exam.level });
+
     res.json({
       success: true,
       exam: {
@@ -163,14 +265,22 @@ router.get('/:studentId/:examId', authenticateToken, async (req, res) => {
         student_id: studentId,
         exam_id: examId,
         score: result.score,
+        status: resultStatus,
         total_marks: totalMarks,
-        percentage: Math.round(totalMarks > 0 ? (result.score / totalMarks) * 100 : 0),
-        grade: (() => {
-          const p = totalMarks > 0 ? (result.score / totalMarks) * 100 : 0;
-          return getGrade(p);
-        })(),
+        ...describeScore(scale, result.score, totalMarks, resultStatus),
         submitted_at: result.submitted_at,
+        score_policy: exam.score_policy || 'best',
+        attempt_count: result.attempt_count || 1,
       },
+      attempt: attempt ? {
+        id: attempt.id,
+        status: attempt.status,
+        score: attempt.score,
+        ...describeScore(scale, attempt.score, totalMarks, attempt.result_status || 'graded'),
+        started_at: attempt.started_at,
+        submitted_at: attempt.submitted_at,
+        counted: attempt.id === result.attempt_id,
+      } : null,
       answers: formattedAnswers,
     });
   } catch (error) {
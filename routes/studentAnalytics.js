@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { resolvePeriod, termIdsFilter } = require('../services/academicCalendar');
+const { summarizeAttendance } = require('../services/attendance');
+const { ATTENDED_STATUSES } = require('../services/gradebook');
 
 // Get student overall statistics
 router.get('/stats', authenticateToken, async (req, res) => {
@@ -12,17 +15,32 @@ router.get('/stats', authenticateToken, async (req, res) => {
 
         const studentId = req.user.id;
 
-        // 1. Attendance Rate
-        const { data: attendanceRows, error: attError } = await supabase
+        const { period, error: periodError } = await resolvePeriod({
+            termId: req.query.termId,
+            academicYearId: req.query.academicYearId
+        });
+        if (periodError) {
+            return res.status(404).json({ success: false, message: periodError });
+        }
+
+        // 1. Attendance Rate (share of class sessions attended)
+        let attendanceQuery = supabase
             .from('attendance')
-            .select('status')
+            .select('status, date')
             .eq('student_id', studentId);
 
+        if (period) {
+            attendanceQuery = attendanceQuery.gte('date', period.start_date).lte('date', period.end_date);
+        }
+
+        const { data: attendanceRows, error: attError } = await attendanceQuery;
+
         if (attError) throw attError;
 
-        const totalDays = attendanceRows.length;
-        const presentDays = attendanceRows.filter(r => ['present', 'late', 'excused'].includes(r.status)).length;
-        const attendanceRate = totalDays > 0 ? Math.round((presentDays / totalDays) * 100) : 0;
+        const attendance = summarizeAttendance(attendanceRows);
+        const attendanceRate = attendance.sessions > 0 ? Math.round((attendance.attended / attendance.sessions) * 100) : 0;
+        // Days on which the student attended at least one session
+        const presentDays = summarizeAttendance(attendanceRows.filter(r => ATTENDED_STATUSES.includes(r.status))).days;
 
         // 2. Assignment Completion
         const { data: student, error: sError } = await supabase
@@ -37,30 +55,48 @@ router.get('/stats', authenticateToken, async (req, res) => {
         const { trade, level } = student;
 
         // Total assignments for their trade/level
-        const { count: totalAssignments, error: aError } = await supabase
+        let assignmentsQuery = supabase
             .from('assignments')
             .select('*', { count: 'exact', head: true })
             .eq('trade', trade)
             .eq('level', level);
 
+        if (period) {
+            assignmentsQuery = assignmentsQuery.in('term_id', termIdsFilter(period));
+        }
+
+        const { count: totalAssignments, error: aError } = await assignmentsQuery;
+
         if (aError) throw aError;
 
         // Submitted assignments
-        const { count: submittedAssignments, error: subError } = await supabase
+        let submissionsQuery = supabase
             .from('student_assignment_submissions')
-            .select('*', { count: 'exact', head: true })
+            .select(period ? '*, assignment:assignments!inner(term_id)' : '*', { count: 'exact', head: true })
             .eq('student_id', studentId);
 
+        if (period) {
+            submissionsQuery = submissionsQuery.in('assignment.term_id', termIdsFilter(period));
+        }
+
+        const { count: submittedAssignments, error: subError } = await submissionsQuery;
+
         if (subError) throw subError;
 
         assignmentCompletion = totalAssignments > 0 ? Math.round((submittedAssignments / totalAssignments) * 100) : 0;
 
         // 3. Average Grades (Exams)
-        const { data: gradeRows, error: gError } = await supabase
+        let gradesQuery = supabase
             .from('results')
-            .select('score')
+            .select(period ? 'score, mode, exam:exams!inner(term_id)' : 'score, mode')
             .eq('student_id', studentId);
 
+        if (period) {
+            gradesQuery = gradesQuery.in('exam.term_id', termIdsFilter(period));
+        }
+
+        const { data: gradeRows, error: gError } = await gradesQuery;
+
         if (gError) throw gError;
 
         const scores = gradeRows.map(r => r.score);
@@ -72,8 +108,11 @@ router.get('/stats', authenticateToken, async (req, res) => {
                 attendance: attendanceRate,
                 assignments: assignmentCompletion,
                 grades: averageGrade,
-                total_attendance_days: totalDays,
-                present_attendance_days: presentDays
+                paper_exams: gradeRows.filter(r => r.mode === 'paper').length,
+                total_attendance_days: attendance.days,
+                present_attendance_days: presentDays,
+                total_attendance_sessions: attendance.sessions,
+                attended_sessions: attendance.attended
             }
         });
 
@@ -92,11 +131,25 @@ router.get('/performance', authenticateToken, async (req, res) => {
 
         const studentId = req.user.id;
 
+        const { period, error: periodError } = await resolvePeriod({
+            termId: req.query.termId,
+            academicYearId: req.query.academicYearId
+        });
+        if (periodError) {
+            return res.status(404).json({ success: false, message: periodError });
+        }
+
         // Get exam results ordered by date
-        const { data: results, error } = await supabase
+        let resultsQuery = supabase
             .from('results')
-            .select('score, submitted_at, exam:exams(title)')
-            .eq('student_id', studentId)
+            .select(period ? 'score, mode, submitted_at, exam:exams!inner(title, term_id)' : 'score, mode, submitted_at, exam:exams(title)')
+            .eq('student_id', studentId);
+
+        if (period) {
+            resultsQuery = resultsQuery.in('exam.term_id', termIdsFilter(period));
+        }
+
+        const { data: results, error } = await resultsQuery
             .order('submitted_at', { ascending: true })
             .limit(10);
 
@@ -105,6 +158,7 @@ router.get('/performance', authenticateToken, async (req, res) => {
         const formattedResults = results.map(r => ({
             exam_name: r.exam?.title,
             score: r.score,
+            mode: r.mode || 'online',
             date: r.submitted_at
         }));
 
@@ -54,12 +54,17 @@ router.get('/', authenticateToken, async (req, res) => {
 
         // Get assignments for this trade/level, including submission status
         // Using inner join on teachers and left join on submissions
-        const { data: assignments, error: aError } = await supabase
+        let assignmentsQuery = supabase
             .from('assignments')
             .select('*, submissions:student_assignment_submissions!left(*), teacher:teachers(full_name)')
             .eq('trade', trade)
-            .eq('level', level)
-            .order('deadline', { ascending: true });
+            .eq('level', level);
+
+        if (req.query.termId) {
+            assignmentsQuery = assignmentsQuery.eq('term_id', req.query.termId);
+        }
+
+        const { data: assignments, error: aError } = await assignmentsQuery.order('deadline', { ascending: true });
 
         if (aError) throw aError;
 
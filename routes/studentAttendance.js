@@ -2,8 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { resolvePeriod } = require('../services/academicCalendar');
+const { ATTENDANCE_SESSION_SELECT, summarizeAttendance } = require('../services/attendance');
 
-// Get attendance history
+// Get attendance history, one row per class session with the lesson it was taken in
 router.get('/', authenticateToken, async (req, res) => {
     try {
         if (!req.user || req.user.role !== 'student') {
@@ -11,9 +13,18 @@ router.get('/', authenticateToken, async (req, res) => {
         }
 
         const { month, year } = req.query;
+
+        const { period, error: periodError } = await resolvePeriod({
+            termId: req.query.termId,
+            academicYearId: req.query.academicYearId
+        });
+        if (periodError) {
+            return res.status(404).json({ success: false, message: periodError });
+        }
+
         let query = supabase
             .from('attendance')
-            .select('*')
+            .select(`*, ${ATTENDANCE_SESSION_SELECT}`)
             .eq('student_id', req.user.id);
 
         if (month && year) {
@@ -23,6 +34,10 @@ router.get('/', authenticateToken, async (req, res) => {
             query = query.gte('date', startDate).lte('date', endDate);
         }
 
+        if (period) {
+            query = query.gte('date', period.start_date).lte('date', period.end_date);
+        }
+
         const { data: rows, error } = await query.order('date', { ascending: false });
 
         if (error) throw error;
@@ -37,36 +52,37 @@ router.get('/', authenticateToken, async (req, res) => {
     }
 });
 
-// Get attendance summary
+// Get attendance summary, counted per session across all lessons
 router.get('/summary', authenticateToken, async (req, res) => {
     try {
         if (!req.user || req.user.role !== 'student') {
             return res.status(403).json({ success: false, message: 'Access denied' });
         }
 
-        const { data: rows, error } = await supabase
+        const { period, error: periodError } = await resolvePeriod({
+            termId: req.query.termId,
+            academicYearId: req.query.academicYearId
+        });
+        if (periodError) {
+            return res.status(404).json({ success: false, message: periodError });
+        }
+
+        let query = supabase
             .from('attendance')
-            .select('status')
+            .select('status, date')
             .eq('student_id', req.user.id);
 
-        if (error) throw error;
+        if (period) {
+            query = query.gte('date', period.start_date).lte('date', period.end_date);
+        }
 
-        const summary = {
-            present: 0,
-            absent: 0,
-            late: 0,
-            excused: 0
-        };
-
-        rows.forEach(row => {
-            if (summary.hasOwnProperty(row.status)) {
-                summary[row.status]++;
-            }
-        });
+        const { data: rows, error } = await query;
+
+        if (error) throw error;
 
         res.json({
             success: true,
-            summary
+            summary: summarizeAttendance(rows)
         });
 
     } catch (error) {
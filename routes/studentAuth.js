@@ -5,6 +5,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { tradeField, findTrade, countTradeStudents } = require('../services/trades');
 require('dotenv').config();
 
 const STUDENT_JWT_EXPIRY = '30d';
@@ -21,7 +22,7 @@ router.post('/register',
       .withMessage('Phone number is required')
       .isLength({ min: 7, max: 20 })
       .withMessage('Phone number length looks invalid'),
-    body('trade').trim().notEmpty().withMessage('Trade is required'),
+    tradeField('trade'),
   ],
   async (req, res) => {
     try {
@@ -44,6 +45,11 @@ router.post('/register',
         return res.status(400).json({ success: false, message: 'Username or email already in use' });
       }
 
+      const catalogTrade = await findTrade(trade);
+      if (catalogTrade.capacity !== null && (await countTradeStudents(catalogTrade.name)) >= catalogTrade.capacity) {
+        return res.status(400).json({ success: false, message: `${catalogTrade.name} is full for now` });
+      }
+
       const salt = await bcrypt.genSalt(10);
       const hashedPassword = await bcrypt.hash(password, salt);
 
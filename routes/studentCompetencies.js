@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { buildStudentCompetencies } = require('../services/competencies');
+
+const LEVELS = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+// The student's competency matrix for their current level, or an earlier one with ?level=
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        if (!req.user || req.user.role !== 'student') {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        if (req.query.level && !LEVELS.includes(req.query.level)) {
+            return res.status(400).json({ success: false, message: 'Invalid level' });
+        }
+
+        const { data: student, error } = await supabase
+            .from('students')
+            .select('id, trade, level')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) throw error;
+
+        const competencies = await buildStudentCompetencies(student, req.query.level || student.level);
+
+        res.json({ success: true, ...competencies });
+    } catch (error) {
+        console.error('Student competencies error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load competencies' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+
+const formatEntry = (row) => {
+    let scores = {};
+    try {
+        scores = JSON.parse(row.component_scores) || {};
+    } catch (error) {
+        scores = {};
+    }
+
+    const gradebook = row.gradebook;
+    return {
+        gradebook_id: gradebook.id,
+        term: gradebook.term,
+        trade: gradebook.trade,
+        level: gradebook.level,
+        start_date: gradebook.start_date,
+        end_date: gradebook.end_date,
+        published_at: gradebook.published_at,
+        components: (gradebook.components || [])
+            .sort((a, b) => a.id - b.id)
+            .map(c => ({
+                id: c.id,
+                name: c.name,
+                source: c.source,
+                weight: Number(c.weight),
+                score: scores[c.id] ?? null
+            })),
+        final_mark: row.final_mark === null ? null : Number(row.final_mark),
+        grade: row.grade,
+        passed: row.passed === null ? null : Boolean(row.passed)
+    };
+};
+
+// Read-only view of the student's published gradebooks, newest term first
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        if (!req.user || req.user.role !== 'student') {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        let query = supabase
+            .from('gradebook_entries')
+            .select(`
+                component_scores,
+                final_mark,
+                grade,
+                passed,
+                gradebook:gradebooks!inner (
+                    id, term, trade, level, start_date, end_date, status, published_at,
+                    components:gradebook_components (id, name, source, weight)
+                )
+            `)
+            .eq('student_id', req.user.id)
+            .eq('gradebook.status', 'published');
+
+        if (req.query.term) query = query.eq('gradebook.term', req.query.term);
+
+        const { data: rows, error } = await query;
+
+        if (error) throw error;
+
+        const gradebooks = rows
+            .map(formatEntry)
+            .sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
+
+        res.json({ success: true, gradebooks });
+    } catch (error) {
+        console.error('Get student gradebook error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load gradebook' });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,11 @@ const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const bcrypt = require('bcryptjs');
+const { loadGradingScales, resolveGradingScale, describeScore } = require('../services/grading');
+const { loadGradebook, loadExamTotals } = require('../services/gradebook');
+const { buildReportCards, renderReportCardsPdf, reportCardFilename } = require('../services/reportCards');
+const { loadBranding, sendPdf } = require('../services/pdf');
+const { loadAllowListedExamIds, canStudentAccessExam } = require('../services/examAccess');
 
 // Get student profile
 router.get('/profile', authenticateToken, async (req, res) => {
@@ -190,13 +195,20 @@ router.get('/stats', authenticateToken, async (req, res) => {
     // Get exam statistics
     const { data: results, error: resError } = await supabase
       .from('results')
-      .select('score')
+      .select('score, status, exam_id, exam:exams(total_marks, trade, level)')
       .eq('student_id', studentId);
 
     if (resError) throw resError;
 
+    // Pass/fail follows the grading scale for the exam's trade and level, not raw marks; exams
+    // without an explicit total are out of the sum of their question marks
+    const scales = await loadGradingScales();
+    const examTotals = await loadExamTotals(results.map((r) => ({ id: r.exam_id, total_marks: r.exam?.total_marks })));
     const total_exams = results.length;
-    const passed_exams = results.filter(r => r.score >= 50).length;
+    const passed_exams = results.filter((r) => {
+      const scale = resolveGradingScale(scales, { trade: r.exam?.trade, level: r.exam?.level });
+      return describeScore(scale, r.score, examTotals.get(String(r.exam_id)) || 0, r.status || 'graded').passed === true;
+    }).length;
     const scores = results.map(r => r.score);
     const average_score = scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
     const highest_score = scores.length ? Math.max(...scores) : 0;
@@ -205,7 +217,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
     // Get recent activity (exams and assignments)
     const { data: recentExams, error: revError } = await supabase
       .from('results')
-      .select('score, submitted_at, exam:exams(title, total_marks)')
+      .select('score, submitted_at, exam_id, exam:exams(title, total_marks)')
       .eq('student_id', studentId)
       .order('submitted_at', { ascending: false })
       .limit(10);
@@ -228,7 +240,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
         type: 'exam',
         title: r.exam?.title,
         score: r.score,
-        total_marks: r.exam?.total_marks,
+        total_marks: examTotals.get(String(r.exam_id)) ?? r.exam?.total_marks,
         date: r.submitted_at
       })),
       ...assignments.map(a => ({
@@ -240,16 +252,38 @@ router.get('/stats', authenticateToken, async (req, res) => {
       }))
     ].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 10);
 
-    // Get upcoming exams
-    const { data: upcomingExams, error: upError } = await supabase
-      .from('exams') // Assuming 'exams' is used for online exams too
-      .select('id, title, description, total_marks, created_at')
-      .filter('trade', 'eq', req.user.trade)
-      .order('created_at', { ascending: true })
-      .limit(5);
+    // Get upcoming exams: scheduled for the student's cohort and not yet closed
+    const { data: student, error: sError } = await supabase
+      .from('students')
+      .select('trade, level')
+      .eq('id', studentId)
+      .single();
+
+    if (sError) throw sError;
+
+    const nowIso = new Date().toISOString();
+    const { data: scheduledExams, error: upError } = await supabase
+      .from('exams')
+      .select('id, title, description, total_marks, duration_minutes, opens_at, closes_at, created_at, trade, level, use_allow_list')
+      .eq('trade', student.trade)
+      .eq('level', student.level)
+      .not('opens_at', 'is', null)
+      .or(`closes_at.is.null,closes_at.gte.${nowIso}`)
+      .order('opens_at', { ascending: true });
 
     if (upError) throw upError;
 
+    // Only exams the student may start: allow-listed exams are left out unless they are listed
+    const allowListed = await loadAllowListedExamIds(studentId);
+    const takenExamIds = new Set(results.map(r => String(r.exam_id)));
+    const upcomingExams = scheduledExams
+      .filter(e => !takenExamIds.has(String(e.id)) && canStudentAccessExam(e, student, allowListed))
+      .slice(0, 5)
+      .map(({ use_allow_list, ...e }) => ({
+        ...e,
+        is_open: new Date(e.opens_at) <= new Date(nowIso)
+      }));
+
     res.json({
       success: true,
       stats: {
@@ -261,7 +295,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
           lowest_score
         },
         recentActivity: activity,
-        upcomingExams: upcomingExams || []
+        upcomingExams
       }
     });
   } catch (error) {
@@ -270,4 +304,69 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// Report cards are available once the term's gradebook has been published
+router.get('/report-cards', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user || req.user.role !== 'student') {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const { data: entries, error } = await supabase
+      .from('gradebook_entries')
+      .select('final_mark, grade, passed, gradebook:gradebooks!inner(id, term, trade, level, start_date, end_date, status, published_at)')
+      .eq('student_id', req.user.id)
+      .eq('gradebook.status', 'published');
+
+    if (error) throw error;
+
+    const reportCards = entries
+      .map((e) => ({
+        gradebook_id: e.gradebook.id,
+        term: e.gradebook.term,
+        trade: e.gradebook.trade,
+        level: e.gradebook.level,
+        start_date: e.gradebook.start_date,
+        end_date: e.gradebook.end_date,
+        published_at: e.gradebook.published_at,
+        final_mark: e.final_mark === null ? null : Number(e.final_mark),
+        grade: e.grade,
+        passed: e.passed === null ? null : Boolean(e.passed),
+      }))
+      .sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
+
+    res.json({ success: true, report_cards: reportCards });
+  } catch (error) {
+    console.error('List report cards error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load report cards' });
+  }
+});
+
+// ?format=json returns the card data instead of the PDF
+router.get('/report-cards/:gradebookId', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user || req.user.role !== 'student') {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const gradebook = await loadGradebook(req.params.gradebookId);
+    if (!gradebook || gradebook.status !== 'published') {
+      return res.status(404).json({ success: false, message: 'Report card not found' });
+    }
+
+    const [card] = await buildReportCards(gradebook, [req.user.id]);
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Report card not found' });
+    }
+
+    if (req.query.format === 'json') {
+      return res.json({ success: true, report_card: card });
+    }
+
+    sendPdf(res, await renderReportCardsPdf([card], await loadBranding()), reportCardFilename(card));
+  } catch (error) {
+    console.error('Get report card error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load report card' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { loadSessions, loadStudentCohortIds, weekBounds, groupByWeekday } = require('../services/timetable');
+
+// GET /?date=YYYY-MM-DD - The student's lessons for the week containing the date (this week by default)
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        if (!req.user || req.user.role !== 'student') {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        const { date } = req.query;
+        if (date && Number.isNaN(new Date(date).getTime())) {
+            return res.status(400).json({ success: false, message: 'Invalid date' });
+        }
+
+        const { start, end } = weekBounds(date || new Date());
+        const cohortIds = await loadStudentCohortIds(req.user.id);
+        const sessions = await loadSessions({ cohortIds, from: start, to: end });
+
+        res.json({ success: true, week_start: start, week_end: end, days: groupByWeekday(sessions, start) });
+    } catch (error) {
+        console.error('Student timetable error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch timetable' });
+    }
+});
+
+module.exports = router;
@@ -6,6 +6,9 @@ const fs = require('fs');
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
+const { loadTerm, findTermForDate } = require('../services/academicCalendar');
+const { getTeacherScope } = require('../services/teachingAssignments');
+const { getOutcomesError, loadOutcomeLinks, replaceOutcomeLinks } = require('../services/competencies');
 
 // Configuration for Multer (File Uploads) - Local storage for now as original
 const storage = multer.diskStorage({
@@ -34,22 +37,39 @@ const ensureTeacher = (req, res, next) => {
     next();
 };
 
+// Multipart forms send outcome ids as repeated fields or as one comma-separated value
+const outcomeIdsValidators = [
+    body('outcome_ids').optional().customSanitizer(value => (Array.isArray(value) ? value : String(value).split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean)),
+    body('outcome_ids.*').isInt({ min: 1 }).withMessage('Invalid learning outcome id').toInt(),
+];
+
 // GET / - List assignments created by the teacher
 router.get('/', authenticateToken, ensureTeacher, async (req, res) => {
     try {
         const teacherId = req.user.id;
+        const { term_id } = req.query;
 
-        const { data: assignments, error } = await supabase
+        let assignmentsQuery = supabase
             .from('assignments')
             .select('*, submissions:student_assignment_submissions(id)')
-            .eq('teacher_id', teacherId)
-            .order('created_at', { ascending: false });
+            .eq('teacher_id', teacherId);
+
+        if (term_id) {
+            assignmentsQuery = assignmentsQuery.eq('term_id', term_id);
+        }
+
+        const { data: assignments, error } = await assignmentsQuery.order('created_at', { ascending: false });
 
         if (error) throw error;
 
+        const outcomes = await loadOutcomeLinks('assignments', assignments.map(a => a.id));
+
         const formatted = assignments.map(a => ({
             ...a,
-            submission_count: a.submissions?.length || 0
+            submission_count: a.submissions?.length || 0,
+            outcomes: outcomes.get(String(a.id)) || []
         }));
 
         res.json({ success: true, assignments: formatted });
@@ -64,7 +84,10 @@ router.post('/', authenticateToken, ensureTeacher, upload.single('file'), [
     body('title').trim().notEmpty().withMessage('Title is required'),
     body('description').trim().notEmpty().withMessage('Description is required'),
     body('deadline').isISO8601().toDate().withMessage('Valid deadline is required'),
+    body('trade').optional().trim(),
     body('level').optional().isIn(['L1', 'L2', 'L3', 'L4', 'L5']),
+    body('term_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).toInt(),
+    ...outcomeIdsValidators,
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -76,22 +99,38 @@ router.post('/', authenticateToken, ensureTeacher, upload.single('file'), [
         const { title, description, deadline, level } = req.body;
         const filePath = req.file ? req.file.path : null;
 
-        // Get teacher trade
-        const { data: teacher, error: tError } = await supabase
-            .from('teachers')
-            .select('trade')
-            .eq('id', teacherId)
-            .single();
+        // The class must be one the teacher teaches; it can be left out when they teach only one
+        const scope = await getTeacherScope(teacherId);
+        const candidates = scope.classes.filter(c => (!req.body.trade || c.trade === req.body.trade) && (!level || c.level === level));
+        if (!candidates.length) {
+            return res.status(403).json({ success: false, message: 'You can only set assignments for classes you teach' });
+        }
+        if (candidates.length > 1 && !(req.body.trade && level)) {
+            return res.status(400).json({ success: false, message: 'Choose the trade and level of the class this assignment is for' });
+        }
+        const { trade: classTrade, level: classLevel } = candidates[0];
 
-        if (tError) throw tError;
+        // Outcomes must come from the class's modules
+        const outcomeIds = req.body.outcome_ids || [];
+        const outcomeError = await getOutcomesError(outcomeIds, { trade: classTrade, level: classLevel });
+        if (outcomeError) {
+            return res.status(400).json({ success: false, message: outcomeError });
+        }
+
+        // Without an explicit term the assignment belongs to the term its deadline falls in
+        const term = req.body.term_id ? await loadTerm(req.body.term_id) : await findTermForDate(deadline);
+        if (req.body.term_id && !term) {
+            return res.status(400).json({ success: false, message: 'Term not found' });
+        }
 
         const { data: result, error: insertError } = await supabase
             .from('assignments')
             .insert([{
                 title,
                 description,
-                trade: teacher.trade,
-                level: level || 'L1',
+                trade: classTrade,
+                level: classLevel,
+                term_id: term ? term.id : null,
                 deadline,
                 teacher_id: teacherId,
                 file_path: filePath
@@ -101,6 +140,8 @@ router.post('/', authenticateToken, ensureTeacher, upload.single('file'), [
 
         if (insertError) throw insertError;
 
+        await replaceOutcomeLinks('assignments', result.id, outcomeIds);
+
         res.status(201).json({
             success: true,
             message: 'Assignment created successfully',
@@ -113,6 +154,47 @@ router.post('/', authenticateToken, ensureTeacher, upload.single('file'), [
     }
 });
 
+// PUT /:id/outcomes - Replace the learning outcomes an assignment assesses
+router.put('/:id/outcomes', authenticateToken, ensureTeacher, [
+    body('outcome_ids').isArray().withMessage('outcome_ids must be an array'),
+    body('outcome_ids.*').isInt({ min: 1 }).withMessage('Invalid learning outcome id').toInt(),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { data: assignment, error: fetchError } = await supabase
+            .from('assignments')
+            .select('id, trade, level')
+            .eq('id', req.params.id)
+            .eq('teacher_id', req.user.id)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!assignment) {
+            return res.status(404).json({ success: false, message: 'Assignment not found or access denied' });
+        }
+
+        const outcomeError = await getOutcomesError(req.body.outcome_ids, assignment);
+        if (outcomeError) {
+            return res.status(400).json({ success: false, message: outcomeError });
+        }
+
+        await replaceOutcomeLinks('assignments', assignment.id, req.body.outcome_ids);
+
+        res.json({
+            success: true,
+            message: 'Learning outcomes updated successfully',
+            outcomes: (await loadOutcomeLinks('assignments', [assignment.id])).get(String(assignment.id))
+        });
+    } catch (error) {
+        console.error('Update assignment outcomes error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update learning outcomes' });
+    }
+});
+
 // GET /:id/submissions - Get all submissions for a specific assignment
 router.get('/:id/submissions', authenticateToken, ensureTeacher, async (req, res) => {
     try {
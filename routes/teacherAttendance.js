@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { toDateString, resolvePeriod, loadCohort } = require('../services/academicCalendar');
+const { getTeacherScope, teachesCohort, scopeStudentIds } = require('../services/teachingAssignments');
+const { loadSession } = require('../services/timetable');
+const { ATTENDANCE_SESSION_SELECT, loadSessionRegister } = require('../services/attendance');
+const { runAbsenceChecks } = require('../services/absenceAlerts');
 const { body, validationResult } = require('express-validator');
 
 const ensureTeacher = (req, res, next) => {
@@ -11,9 +16,34 @@ const ensureTeacher = (req, res, next) => {
     next();
 };
 
-// POST / - Mark attendance for multiple students
+// The session's own teacher can take its register, and so can another teacher of the cohort
+// covering the lesson
+const canTakeRegister = (scope, session, teacherId) =>
+    String(session.teacher_id) === String(teacherId) || teachesCohort(scope, session.cohort_id);
+
+// GET /sessions/:sessionId - Register of a class session: the cohort roster with any marks taken
+router.get('/sessions/:sessionId', authenticateToken, ensureTeacher, async (req, res) => {
+    try {
+        const session = await loadSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        const scope = await getTeacherScope(req.user.id);
+        if (!canTakeRegister(scope, session, req.user.id)) {
+            return res.status(403).json({ success: false, message: 'You do not teach this session' });
+        }
+
+        res.json({ success: true, session, register: await loadSessionRegister(session) });
+    } catch (error) {
+        console.error('Get session register error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch the register' });
+    }
+});
+
+// POST / - Take the register of a class session
 router.post('/', authenticateToken, ensureTeacher, [
-    body('date').isISO8601().toDate().withMessage('Valid date is required'),
+    body('session_id').isInt({ min: 1 }).withMessage('Session ID is required').toInt(),
     body('attendance').isArray().withMessage('Attendance data must be an array'),
     body('attendance.*.student_id').notEmpty().withMessage('Student ID is required'),
     body('attendance.*.status').isIn(['present', 'absent', 'late', 'excused']),
@@ -26,13 +56,42 @@ router.post('/', authenticateToken, ensureTeacher, [
         }
 
         const teacherId = req.user.id;
-        const { date, attendance } = req.body;
+        const { session_id, attendance } = req.body;
+
+        const session = await loadSession(session_id);
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
 
-        const dateStr = date.toISOString().slice(0, 10); // Use YYYY-MM-DD for attendance uniqueness usually
+        const scope = await getTeacherScope(teacherId);
+        if (!canTakeRegister(scope, session, teacherId)) {
+            return res.status(403).json({ success: false, message: 'You do not teach this session' });
+        }
+
+        if (session.status === 'cancelled') {
+            return res.status(400).json({ success: false, message: 'This session was cancelled' });
+        }
+
+        if (session.session_date > toDateString(new Date())) {
+            return res.status(400).json({ success: false, message: 'The register cannot be taken before the session' });
+        }
+
+        // Only the students of the session's cohort can be marked
+        const cohort = await loadCohort(session.cohort_id);
+        const roster = new Set((cohort ? cohort.student_ids : []).map(String));
+        const outsideCohort = attendance.filter(record => !roster.has(String(record.student_id))).map(record => record.student_id);
+        if (outsideCohort.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some students are not in this session\'s cohort',
+                student_ids: outsideCohort
+            });
+        }
 
         const upsertPayload = attendance.map(record => ({
             student_id: record.student_id,
-            date: dateStr,
+            session_id: session.id,
+            date: session.session_date,
             status: record.status,
             remarks: record.remarks || null,
             recorded_by: teacherId
@@ -40,10 +99,21 @@ router.post('/', authenticateToken, ensureTeacher, [
 
         const { error } = await supabase
             .from('attendance')
-            .upsert(upsertPayload, { onConflict: 'student_id,date' });
+            .upsert(upsertPayload, { onConflict: 'student_id,session_id' });
 
         if (error) throw error;
 
+        const { error: sessionError } = await supabase
+            .from('class_sessions')
+            .update({ attendance_taken_by: teacherId, attendance_taken_at: new Date().toISOString() })
+            .eq('id', session.id);
+
+        if (sessionError) throw sessionError;
+
+        // Flag chronic absence in the background so the register is not held up by SMS sending
+        runAbsenceChecks({ studentIds: attendance.map(record => record.student_id) })
+            .catch(err => console.error('Absence check error:', err));
+
         res.json({ success: true, message: 'Attendance recorded successfully' });
 
     } catch (error) {
@@ -55,21 +125,23 @@ router.post('/', authenticateToken, ensureTeacher, [
 // GET /history - Get attendance history for teacher's view
 router.get('/history', authenticateToken, ensureTeacher, async (req, res) => {
     try {
-        const { date, student_id } = req.query;
+        const { date, student_id, cohortId, sessionId } = req.query;
 
-        // Filter by teacher's trade (security so they don't see others)
-        const { data: teacher, error: tError } = await supabase
-            .from('teachers')
-            .select('trade')
-            .eq('id', req.user.id)
-            .single();
+        // Only the students of the cohorts the teacher teaches (security so they don't see others)
+        const scope = await getTeacherScope(req.user.id);
 
-        if (tError) throw tError;
+        const { period, error: periodError } = await resolvePeriod({
+            termId: req.query.termId,
+            academicYearId: req.query.academicYearId
+        });
+        if (periodError) {
+            return res.status(404).json({ success: false, message: periodError });
+        }
 
         let query = supabase
             .from('attendance')
-            .select('*, student:students!inner(full_name, trade)')
-            .eq('student.trade', teacher.trade);
+            .select(`*, student:students!inner(full_name, trade), ${ATTENDANCE_SESSION_SELECT}`)
+            .in('student_id', scopeStudentIds(scope));
 
         if (date) {
             query = query.eq('date', date);
@@ -79,6 +151,28 @@ router.get('/history', authenticateToken, ensureTeacher, async (req, res) => {
             query = query.eq('student_id', student_id);
         }
 
+        if (sessionId) {
+            query = query.eq('session_id', sessionId);
+        }
+
+        if (period) {
+            query = query.gte('date', period.start_date).lte('date', period.end_date);
+        }
+
+        if (cohortId) {
+            if (!teachesCohort(scope, cohortId)) {
+                return res.status(403).json({ success: false, message: 'You do not teach this cohort' });
+            }
+
+            const { data: members, error: membersError } = await supabase
+                .from('cohort_students')
+                .select('student_id')
+                .eq('cohort_id', cohortId);
+
+            if (membersError) throw membersError;
+            query = query.in('student_id', members.length ? members.map(m => m.student_id) : [0]);
+        }
+
         const { data: rows, error } = await query.order('date', { ascending: false });
 
         if (error) throw error;
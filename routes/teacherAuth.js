@@ -6,6 +6,7 @@ const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { sendTeacherStatusUpdate } = require('../services/email');
+const { tradeField } = require('../services/trades');
 require('dotenv').config();
 
 const TEACHER_JWT_EXPIRY = '7d';
@@ -22,7 +23,7 @@ router.post(
     body('username').trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
     body('email').isEmail().withMessage('Please provide a valid email'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('trade').trim().notEmpty().withMessage('Trade/subject is required'),
+    tradeField('trade', { label: 'Trade/subject' }),
   ],
   async (req, res) => {
     try {
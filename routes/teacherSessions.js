@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { toDateString } = require('../services/academicCalendar');
+const { loadSessions, weekBounds, groupByWeekday } = require('../services/timetable');
+
+// Helper to ensure user is a teacher
+const ensureTeacher = (req, res, next) => {
+    if (!req.user || req.user.role !== 'teacher') {
+        return res.status(403).json({ success: false, message: 'Access denied. Teachers only.' });
+    }
+    next();
+};
+
+// GET /today - The teacher's sessions for today, in timetable order
+router.get('/today', authenticateToken, ensureTeacher, async (req, res) => {
+    try {
+        const today = toDateString(new Date());
+        const sessions = await loadSessions({ teacherId: req.user.id, from: today, to: today });
+
+        res.json({ success: true, date: today, sessions });
+    } catch (error) {
+        console.error('Teacher sessions today error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch today\'s sessions' });
+    }
+});
+
+// GET /week?date=YYYY-MM-DD - The teacher's sessions for the week containing the date
+router.get('/week', authenticateToken, ensureTeacher, async (req, res) => {
+    try {
+        const { date } = req.query;
+        if (date && Number.isNaN(new Date(date).getTime())) {
+            return res.status(400).json({ success: false, message: 'Invalid date' });
+        }
+
+        const { start, end } = weekBounds(date || new Date());
+        const sessions = await loadSessions({ teacherId: req.user.id, from: start, to: end });
+
+        res.json({ success: true, week_start: start, week_end: end, days: groupByWeekday(sessions, start) });
+    } catch (error) {
+        console.error('Teacher weekly sessions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch sessions' });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { getTeacherScope } = require('../services/teachingAssignments');
 
 // Helper to ensure user is a teacher
 const ensureTeacher = (req, res, next) => {
@@ -15,27 +16,11 @@ router.get('/stats', authenticateToken, ensureTeacher, async (req, res) => {
     try {
         const teacherId = req.user.id;
 
-        // Get teacher's trade to filter relevant students
-        const { data: teacher, error: teacherError } = await supabase
-            .from('teachers')
-            .select('trade')
-            .eq('id', teacherId)
-            .single();
+        // Classes and students come from the teacher's teaching assignments
+        const scope = await getTeacherScope(teacherId);
 
-        if (teacherError) {
-            if (teacherError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Teacher not found' });
-            throw teacherError;
-        }
-
-        const trade = teacher.trade;
-
-        // 1. Total Students (in same trade)
-        const { count: totalStudents, error: sError } = await supabase
-            .from('students')
-            .select('*', { count: 'exact', head: true })
-            .eq('trade', trade);
-
-        if (sError) throw sError;
+        // 1. Total Students (on the rosters of the cohorts taught)
+        const totalStudents = scope.student_ids.length;
 
         // 2. Total Assignments (created by this teacher)
         const { count: totalAssignments, error: aError } = await supabase
@@ -69,7 +54,8 @@ router.get('/stats', authenticateToken, ensureTeacher, async (req, res) => {
                 totalAssignments: totalAssignments || 0,
                 pendingGrading: pendingGrading || 0,
                 totalExams: totalExams || 0,
-                trade // beneficial for frontend to know which trade data is being shown
+                trade: scope.trades.join(', '), // beneficial for frontend to know which trade data is being shown
+                classes: scope.classes
             }
         });
 
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { getTeacherScope, teachesCohort, teachesStudent, scopeStudentIds } = require('../services/teachingAssignments');
 
 const ensureTeacher = (req, res, next) => {
     if (!req.user || req.user.role !== 'teacher') {
@@ -10,32 +11,32 @@ const ensureTeacher = (req, res, next) => {
     next();
 };
 
-// Get all students (filtered by teacher's trade)
+// Get all students (on the rosters of the cohorts the teacher teaches)
 router.get('/', authenticateToken, ensureTeacher, async (req, res) => {
     try {
-        const teacherId = req.user.id;
+        const scope = await getTeacherScope(req.user.id);
 
-        // Get teacher's trade
-        const { data: teacher, error: teacherError } = await supabase
-            .from('teachers')
-            .select('trade')
-            .eq('id', teacherId)
-            .single();
-
-        if (teacherError) {
-            if (teacherError.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Teacher profile error' });
-            throw teacherError;
-        }
-
-        const trade = teacher.trade;
-
-        // Get students in that trade
         // Excluding sensitive fields like password
-        const { data: students, error: studentError } = await supabase
+        let studentsQuery = supabase
             .from('students')
             .select('id, full_name, email, phone_number, trade, level, status, created_at')
-            .eq('trade', trade)
-            .order('full_name', { ascending: true });
+            .in('id', scopeStudentIds(scope));
+
+        if (req.query.cohortId) {
+            if (!teachesCohort(scope, req.query.cohortId)) {
+                return res.status(403).json({ success: false, message: 'You do not teach this cohort' });
+            }
+
+            const { data: members, error: membersError } = await supabase
+                .from('cohort_students')
+                .select('student_id')
+                .eq('cohort_id', req.query.cohortId);
+
+            if (membersError) throw membersError;
+            studentsQuery = studentsQuery.in('id', members.length ? members.map(m => m.student_id) : [0]);
+        }
+
+        const { data: students, error: studentError } = await studentsQuery.order('full_name', { ascending: true });
 
         if (studentError) throw studentError;
 
@@ -61,6 +62,11 @@ router.get('/:id', authenticateToken, ensureTeacher, async (req, res) => {
     try {
         const studentId = req.params.id;
 
+        const scope = await getTeacherScope(req.user.id);
+        if (!teachesStudent(scope, studentId)) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+
         const { data: student, error } = await supabase
             .from('students')
             .select('id, full_name, email, phone_number, trade, level, status, created_at')
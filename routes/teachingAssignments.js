@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { loadCohort } = require('../services/academicCalendar');
+const { loadTeachingAssignments, getTeacherScope } = require('../services/teachingAssignments');
+
+const ADMIN_ROLES = new Set(['admin', 'super_admin']);
+
+const ensureAdmin = (req, res, next) => {
+  if (!req.user || !ADMIN_ROLES.has(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Only admins can manage teaching assignments' });
+  }
+  next();
+};
+
+const ensureTeacher = (req, res, next) => {
+  if (!req.user || req.user.role !== 'teacher') {
+    return res.status(403).json({ success: false, message: 'Access denied. Teachers only.' });
+  }
+  next();
+};
+
+router.get(
+  '/',
+  authenticateToken,
+  ensureAdmin,
+  [
+    query('teacherId').optional().isInt({ min: 1 }),
+    query('moduleId').optional().isInt({ min: 1 }),
+    query('cohortId').optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { teacherId, moduleId, cohortId } = req.query;
+      res.json({ success: true, assignments: await loadTeachingAssignments({ teacherId, moduleId, cohortId }) });
+    } catch (error) {
+      console.error('List teaching assignments error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load teaching assignments' });
+    }
+  }
+);
+
+// The signed-in teacher's modules, cohorts and the classes they cover
+router.get('/mine', authenticateToken, ensureTeacher, async (req, res) => {
+  try {
+    const scope = await getTeacherScope(req.user.id);
+
+    res.json({
+      success: true,
+      assignments: scope.assignments,
+      classes: scope.classes,
+      trade_fallback: scope.fallback,
+      student_count: scope.student_ids.length,
+    });
+  } catch (error) {
+    console.error('Get my teaching assignments error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load teaching assignments' });
+  }
+});
+
+router.post(
+  '/',
+  authenticateToken,
+  ensureAdmin,
+  [
+    body('teacher_id').isInt({ min: 1 }).withMessage('teacher_id is required').toInt(),
+    body('module_id').isInt({ min: 1 }).withMessage('module_id is required').toInt(),
+    body('cohort_id').isInt({ min: 1 }).withMessage('cohort_id is required').toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { teacher_id, module_id, cohort_id } = req.body;
+
+      const { data: teacher, error: teacherError } = await supabase
+        .from('teachers')
+        .select('id, status')
+        .eq('id', teacher_id)
+        .maybeSingle();
+
+      if (teacherError) throw teacherError;
+      if (!teacher) {
+        return res.status(404).json({ success: false, message: 'Teacher not found' });
+      }
+      if (teacher.status !== 'approved') {
+        return res.status(400).json({ success: false, message: 'Only approved teachers can be assigned to classes' });
+      }
+
+      const { data: module, error: moduleError } = await supabase
+        .from('modules')
+        .select('id, trade, level')
+        .eq('id', module_id)
+        .maybeSingle();
+
+      if (moduleError) throw moduleError;
+      if (!module) {
+        return res.status(404).json({ success: false, message: 'Module not found' });
+      }
+
+      const cohort = await loadCohort(cohort_id);
+      if (!cohort) {
+        return res.status(404).json({ success: false, message: 'Cohort not found' });
+      }
+
+      if (module.trade !== cohort.trade || module.level !== cohort.level) {
+        return res.status(400).json({ success: false, message: 'The module belongs to a different trade or level than the cohort' });
+      }
+
+      const { data: existing, error: existingError } = await supabase
+        .from('teaching_assignments')
+        .select('id')
+        .eq('teacher_id', teacher_id)
+        .eq('module_id', module_id)
+        .eq('cohort_id', cohort_id)
+        .maybeSingle();
+
+      if (existingError) throw existingError;
+      if (existing) {
+        return res.status(400).json({ success: false, message: 'The teacher already teaches this module to this cohort' });
+      }
+
+      const { data: assignment, error } = await supabase
+        .from('teaching_assignments')
+        .insert([{ teacher_id, module_id, cohort_id, created_by: req.user.id }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.status(201).json({ success: true, message: 'Teaching assignment created', assignment });
+    } catch (error) {
+      console.error('Create teaching assignment error:', error);
+      res.status(500).json({ success: false, message: 'Failed to create teaching assignment' });
+    }
+  }
+);
+
+router.delete('/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { data: assignment, error: fetchError } = await supabase
+      .from('teaching_assignments')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!assignment) {
+      return res.status(404).json({ success: false, message: 'Teaching assignment not found' });
+    }
+
+    const { error } = await supabase.from('teaching_assignments').delete().eq('id', assignment.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Teaching assignment removed' });
+  } catch (error) {
+    console.error('Delete teaching assignment error:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove teaching assignment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,605 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { loadTerm, loadCohort } = require('../services/academicCalendar');
+const { getTeacherScope, teachesCohort } = require('../services/teachingAssignments');
+const {
+  SESSION_STATUSES,
+  normalizeTime,
+  timesOverlap,
+  loadSlots,
+  getSlotConflict,
+  loadSessions,
+  loadSession,
+  generateSessions,
+  removeUpcomingSessions,
+  refreshSlotSessions,
+} = require('../services/timetable');
+
+const ADMIN_ROLES = new Set(['admin', 'super_admin']);
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const ensureAdmin = (req, res, next) => {
+  if (!req.user || !ADMIN_ROLES.has(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Only admins can manage the timetable' });
+  }
+  next();
+};
+
+const ensureStaff = (req, res, next) => {
+  if (!req.user || !(ADMIN_ROLES.has(req.user.role) || req.user.role === 'teacher')) {
+    return res.status(403).json({ success: false, message: 'Only teachers or admins can view the timetable' });
+  }
+  next();
+};
+
+const endTimeAfterStart = (value, { req }) => {
+  if (req.body.start_time && normalizeTime(value) <= normalizeTime(req.body.start_time)) {
+    throw new Error('end_time must be after start_time');
+  }
+  return true;
+};
+
+const periodValidators = [
+  body('name').trim().notEmpty().isLength({ max: 50 }).withMessage('Name is required (50 characters or less)'),
+  body('start_time').matches(TIME_PATTERN).withMessage('start_time must be a time (HH:MM)').customSanitizer(normalizeTime),
+  body('end_time').matches(TIME_PATTERN).withMessage('end_time must be a time (HH:MM)').customSanitizer(normalizeTime)
+    .custom(endTimeAfterStart),
+];
+
+const roomValidators = [
+  body('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (100 characters or less)'),
+  body('capacity').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Capacity must be at least 1').toInt(),
+  body('is_active').optional().isBoolean().toBoolean(),
+];
+
+const slotValidators = [
+  body('cohort_id').isInt({ min: 1 }).withMessage('cohort_id is required').toInt(),
+  body('module_id').isInt({ min: 1 }).withMessage('module_id is required').toInt(),
+  body('teacher_id').isInt({ min: 1 }).withMessage('teacher_id is required').toInt(),
+  body('period_id').isInt({ min: 1 }).withMessage('period_id is required').toInt(),
+  body('weekday').isInt({ min: 1, max: 7 }).withMessage('weekday must be 1 (Monday) to 7 (Sunday)').toInt(),
+  body('room_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).toInt(),
+];
+
+const findPeriodOverlap = async (period, excludeId) => {
+  const { data: periods, error } = await supabase.from('periods').select('id, name, start_time, end_time');
+  if (error) throw error;
+  return periods.find((p) => String(p.id) !== String(excludeId) && timesOverlap(p, period)) || null;
+};
+
+/**
+ * Checks a slot before it is saved: the teacher must be assigned to teach the module to the
+ * cohort, the period and room must exist and nobody may be double-booked. Resolves with the
+ * cohort or an `{ status, message }` error.
+ */
+const checkSlot = async (slot) => {
+  const cohort = await loadCohort(slot.cohort_id);
+  if (!cohort) return { error: { status: 404, message: 'Cohort not found' } };
+
+  const { data: assignment, error: assignmentError } = await supabase
+    .from('teaching_assignments')
+    .select('id')
+    .eq('teacher_id', slot.teacher_id)
+    .eq('module_id', slot.module_id)
+    .eq('cohort_id', slot.cohort_id)
+    .maybeSingle();
+
+  if (assignmentError) throw assignmentError;
+  if (!assignment) {
+    return { error: { status: 400, message: 'The teacher is not assigned to teach this module to this cohort' } };
+  }
+
+  const { data: period, error: periodError } = await supabase
+    .from('periods')
+    .select('id')
+    .eq('id', slot.period_id)
+    .maybeSingle();
+
+  if (periodError) throw periodError;
+  if (!period) return { error: { status: 404, message: 'Period not found' } };
+
+  if (slot.room_id) {
+    const { data: room, error: roomError } = await supabase
+      .from('rooms')
+      .select('id, is_active')
+      .eq('id', slot.room_id)
+      .maybeSingle();
+
+    if (roomError) throw roomError;
+    if (!room) return { error: { status: 404, message: 'Room not found' } };
+    if (!room.is_active) return { error: { status: 400, message: 'The room is not in use' } };
+  }
+
+  const conflict = await getSlotConflict(slot, cohort.academic_year_id, slot.id);
+  if (conflict) return { error: { status: 400, message: conflict } };
+
+  return { cohort };
+};
+
+/* --------------------------------- Periods -------------------------------- */
+
+router.get('/periods', authenticateToken, async (req, res) => {
+  try {
+    const { data: periods, error } = await supabase
+      .from('periods')
+      .select('*')
+      .order('start_time', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ success: true, periods });
+  } catch (error) {
+    console.error('List periods error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load periods' });
+  }
+});
+
+router.post('/periods', authenticateToken, ensureAdmin, periodValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, start_time, end_time } = req.body;
+
+    const overlap = await findPeriodOverlap({ start_time, end_time });
+    if (overlap) {
+      return res.status(400).json({ success: false, message: `The period overlaps ${overlap.name}` });
+    }
+
+    const { data: period, error } = await supabase
+      .from('periods')
+      .insert([{ name, start_time, end_time }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return res.status(400).json({ success: false, message: 'A period with this name already exists' });
+      throw error;
+    }
+
+    res.status(201).json({ success: true, message: 'Period created', period });
+  } catch (error) {
+    console.error('Create period error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create period' });
+  }
+});
+
+// New times apply to sessions generated from now on; existing sessions keep theirs
+router.put('/periods/:id', authenticateToken, ensureAdmin, periodValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, start_time, end_time } = req.body;
+
+    const overlap = await findPeriodOverlap({ start_time, end_time }, req.params.id);
+    if (overlap) {
+      return res.status(400).json({ success: false, message: `The period overlaps ${overlap.name}` });
+    }
+
+    const { data: period, error } = await supabase
+      .from('periods')
+      .update({ name, start_time, end_time, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Period not found' });
+      if (error.code === '23505') return res.status(400).json({ success: false, message: 'A period with this name already exists' });
+      throw error;
+    }
+
+    res.json({ success: true, message: 'Period updated', period });
+  } catch (error) {
+    console.error('Update period error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update period' });
+  }
+});
+
+router.delete('/periods/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { count: slotCount, error: slotError } = await supabase
+      .from('timetable_slots')
+      .select('id', { count: 'exact', head: true })
+      .eq('period_id', req.params.id);
+
+    if (slotError) throw slotError;
+    if (slotCount) {
+      return res.status(400).json({ success: false, message: 'The period is used by the timetable; move its lessons first' });
+    }
+
+    const { error, count } = await supabase
+      .from('periods')
+      .delete({ count: 'exact' })
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+    if (count === 0) return res.status(404).json({ success: false, message: 'Period not found' });
+
+    res.json({ success: true, message: 'Period deleted' });
+  } catch (error) {
+    console.error('Delete period error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete period' });
+  }
+});
+
+/* ---------------------------------- Rooms --------------------------------- */
+
+router.get('/rooms', authenticateToken, ensureStaff, async (req, res) => {
+  try {
+    const { data: rooms, error } = await supabase
+      .from('rooms')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ success: true, rooms: rooms.map((r) => ({ ...r, is_active: Boolean(r.is_active) })) });
+  } catch (error) {
+    console.error('List rooms error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load rooms' });
+  }
+});
+
+router.post('/rooms', authenticateToken, ensureAdmin, roomValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, capacity, is_active = true } = req.body;
+
+    const { data: room, error } = await supabase
+      .from('rooms')
+      .insert([{ name, capacity: capacity || null, is_active }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return res.status(400).json({ success: false, message: 'A room with this name already exists' });
+      throw error;
+    }
+
+    res.status(201).json({ success: true, message: 'Room created', room });
+  } catch (error) {
+    console.error('Create room error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create room' });
+  }
+});
+
+router.put('/rooms/:id', authenticateToken, ensureAdmin, roomValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, capacity, is_active } = req.body;
+    const updates = { name, capacity: capacity || null, updated_at: new Date().toISOString() };
+    if (is_active !== undefined) updates.is_active = is_active;
+
+    const { data: room, error } = await supabase
+      .from('rooms')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return res.status(404).json({ success: false, message: 'Room not found' });
+      if (error.code === '23505') return res.status(400).json({ success: false, message: 'A room with this name already exists' });
+      throw error;
+    }
+
+    res.json({ success: true, message: 'Room updated', room });
+  } catch (error) {
+    console.error('Update room error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update room' });
+  }
+});
+
+// Lessons in a removed room stay on the timetable without a room
+router.delete('/rooms/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { error, count } = await supabase
+      .from('rooms')
+      .delete({ count: 'exact' })
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+    if (count === 0) return res.status(404).json({ success: false, message: 'Room not found' });
+
+    res.json({ success: true, message: 'Room deleted' });
+  } catch (error) {
+    console.error('Delete room error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete room' });
+  }
+});
+
+/* ------------------------------ Weekly slots ------------------------------ */
+
+// Teachers only see the timetables of the cohorts they teach
+router.get(
+  '/slots',
+  authenticateToken,
+  ensureStaff,
+  [
+    query('cohortId').optional().isInt({ min: 1 }),
+    query('teacherId').optional().isInt({ min: 1 }),
+    query('academicYearId').optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { cohortId, teacherId, academicYearId } = req.query;
+      let cohortIds = cohortId ? [cohortId] : undefined;
+
+      if (req.user.role === 'teacher') {
+        const scope = await getTeacherScope(req.user.id);
+        if (cohortId && !teachesCohort(scope, cohortId)) {
+          return res.status(403).json({ success: false, message: 'You can only view the timetables of cohorts you teach' });
+        }
+        cohortIds = cohortIds || scope.cohort_ids;
+      }
+
+      res.json({ success: true, slots: await loadSlots({ cohortIds, teacherId, academicYearId }) });
+    } catch (error) {
+      console.error('List timetable slots error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load the timetable' });
+    }
+  }
+);
+
+router.post('/slots', authenticateToken, ensureAdmin, slotValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const slot = {
+      cohort_id: req.body.cohort_id,
+      module_id: req.body.module_id,
+      teacher_id: req.body.teacher_id,
+      period_id: req.body.period_id,
+      weekday: req.body.weekday,
+      room_id: req.body.room_id || null,
+    };
+
+    const { cohort, error: slotError } = await checkSlot(slot);
+    if (slotError) {
+      return res.status(slotError.status).json({ success: false, message: slotError.message });
+    }
+
+    const { data: created, error } = await supabase
+      .from('timetable_slots')
+      .insert([{ ...slot, created_by: req.user.id }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await refreshSlotSessions(created.id, cohort.academic_year_id);
+
+    res.status(201).json({ success: true, message: 'Lesson added to the timetable', slot: created });
+  } catch (error) {
+    console.error('Create timetable slot error:', error);
+    res.status(500).json({ success: false, message: 'Failed to add the lesson' });
+  }
+});
+
+// Upcoming sessions follow the change; past and today's sessions stay as they were
+router.put('/slots/:id', authenticateToken, ensureAdmin, slotValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('timetable_slots')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Lesson not found' });
+    }
+
+    const slot = {
+      cohort_id: req.body.cohort_id,
+      module_id: req.body.module_id,
+      teacher_id: req.body.teacher_id,
+      period_id: req.body.period_id,
+      weekday: req.body.weekday,
+      room_id: req.body.room_id || null,
+    };
+
+    const { cohort, error: slotError } = await checkSlot({ ...slot, id: existing.id });
+    if (slotError) {
+      return res.status(slotError.status).json({ success: false, message: slotError.message });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('timetable_slots')
+      .update({ ...slot, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await refreshSlotSessions(existing.id, cohort.academic_year_id);
+
+    res.json({ success: true, message: 'Lesson updated', slot: updated });
+  } catch (error) {
+    console.error('Update timetable slot error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update the lesson' });
+  }
+});
+
+router.delete('/slots/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('timetable_slots')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Lesson not found' });
+    }
+
+    await removeUpcomingSessions(existing.id);
+
+    const { error } = await supabase.from('timetable_slots').delete().eq('id', existing.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Lesson removed from the timetable' });
+  } catch (error) {
+    console.error('Delete timetable slot error:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove the lesson' });
+  }
+});
+
+/* -------------------------------- Sessions -------------------------------- */
+
+// Creates the term's sessions from the weekly timetable; running it again only fills gaps
+router.post('/terms/:termId/generate', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const term = await loadTerm(req.params.termId);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const created = await generateSessions(term);
+
+    res.json({
+      success: true,
+      message: created ? `${created} session(s) scheduled for ${term.name}` : 'All sessions were already scheduled',
+      created,
+    });
+  } catch (error) {
+    console.error('Generate sessions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate sessions' });
+  }
+});
+
+router.get(
+  '/sessions',
+  authenticateToken,
+  ensureStaff,
+  [
+    query('termId').optional().isInt({ min: 1 }),
+    query('cohortId').optional().isInt({ min: 1 }),
+    query('teacherId').optional().isInt({ min: 1 }),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('status').optional().isIn(SESSION_STATUSES),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { termId, cohortId, teacherId, from, to, status } = req.query;
+      let cohortIds = cohortId ? [cohortId] : undefined;
+
+      if (req.user.role === 'teacher') {
+        const scope = await getTeacherScope(req.user.id);
+        if (cohortId && !teachesCohort(scope, cohortId)) {
+          return res.status(403).json({ success: false, message: 'You can only view the sessions of cohorts you teach' });
+        }
+        cohortIds = cohortIds || scope.cohort_ids;
+      }
+
+      res.json({ success: true, sessions: await loadSessions({ termId, cohortIds, teacherId, from, to, status }) });
+    } catch (error) {
+      console.error('List sessions error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load sessions' });
+    }
+  }
+);
+
+// Cancel or reinstate a session, or move it to another room. Admins can change any session,
+// teachers only their own.
+router.patch(
+  '/sessions/:id',
+  authenticateToken,
+  ensureStaff,
+  [
+    body('status').optional().isIn(SESSION_STATUSES).withMessage(`Status must be one of ${SESSION_STATUSES.join(', ')}`),
+    body('cancel_reason').optional({ nullable: true }).trim().isLength({ max: 255 }),
+    body('room_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const session = await loadSession(req.params.id);
+      if (!session) {
+        return res.status(404).json({ success: false, message: 'Session not found' });
+      }
+
+      if (req.user.role === 'teacher' && String(session.teacher_id) !== String(req.user.id)) {
+        return res.status(403).json({ success: false, message: 'You can only change your own sessions' });
+      }
+
+      const updates = { updated_at: new Date().toISOString() };
+
+      if (req.body.status) {
+        updates.status = req.body.status;
+        updates.cancel_reason = req.body.status === 'cancelled' ? (req.body.cancel_reason || null) : null;
+      }
+
+      if (req.body.room_id !== undefined) {
+        updates.room_id = req.body.room_id || null;
+
+        if (updates.room_id) {
+          const { data: bookings, error: bookingsError } = await supabase
+            .from('class_sessions')
+            .select('id, start_time, end_time')
+            .eq('room_id', updates.room_id)
+            .eq('session_date', session.session_date)
+            .eq('status', 'scheduled')
+            .neq('id', session.id);
+
+          if (bookingsError) throw bookingsError;
+          if (bookings.some((b) => timesOverlap(b, session))) {
+            return res.status(400).json({ success: false, message: 'The room is already booked at that time' });
+          }
+        }
+      }
+
+      const { error } = await supabase.from('class_sessions').update(updates).eq('id', session.id);
+      if (error) throw error;
+
+      res.json({ success: true, message: 'Session updated', session: await loadSession(session.id) });
+    } catch (error) {
+      console.error('Update session error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update session' });
+    }
+  }
+);
+
+module.exports = router;
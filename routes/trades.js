@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  LEVELS,
+  formatTrade,
+  loadTrades,
+  countTradeStudents,
+  renameTradeReferences,
+  countTradeReferences,
+} = require('../services/trades');
+
+const ADMIN_ROLES = new Set(['admin', 'super_admin']);
+
+const ensureAdmin = (req, res, next) => {
+  if (!req.user || !ADMIN_ROLES.has(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'Only admins can manage the programs catalog' });
+  }
+  next();
+};
+
+const levelsValidator = (levels) => {
+  if (!Array.isArray(levels) || !levels.length) throw new Error('At least one level is required');
+  if (levels.some((l) => !LEVELS.includes(l))) throw new Error(`Levels must be among ${LEVELS.join(', ')}`);
+  return true;
+};
+
+const tradeValidators = [
+  body('code').trim().notEmpty().isLength({ max: 20 }).withMessage('Code is required (20 characters or less)')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Code may only contain letters, digits, - and _')
+    .customSanitizer((value) => value.toUpperCase()),
+  body('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (100 characters or less)'),
+  body('description').optional({ nullable: true }).isString().trim(),
+  body('levels').optional().custom(levelsValidator),
+  body('capacity').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Capacity must be a positive number').toInt(),
+  body('is_active').optional().isBoolean().toBoolean(),
+];
+
+const tradeFields = (reqBody) => ({
+  code: reqBody.code,
+  name: reqBody.name,
+  description: reqBody.description || null,
+  levels: LEVELS.filter((l) => (reqBody.levels || LEVELS).includes(l)).join(','),
+  capacity: reqBody.capacity || null,
+  is_active: reqBody.is_active ?? true,
+});
+
+// Codes and names are unique without regard to case
+const findDuplicate = async ({ code, name }, excludeId) => {
+  const trades = await loadTrades();
+  return trades.find((t) => String(t.id) !== String(excludeId) &&
+    (t.code.toLowerCase() === code.toLowerCase() || t.name.toLowerCase() === name.toLowerCase()));
+};
+
+// Public program list for the website
+router.get('/', async (req, res) => {
+  try {
+    const trades = await loadTrades({ activeOnly: true });
+
+    res.json({
+      success: true,
+      trades: trades.map((t) => ({
+        code: t.code,
+        name: t.name,
+        description: t.description,
+        levels: t.levels,
+        capacity: t.capacity,
+      })),
+    });
+  } catch (error) {
+    console.error('List trades error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load programs' });
+  }
+});
+
+// Whole catalog including inactive trades, with current enrolment
+router.get('/all', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const trades = await loadTrades();
+
+    const { data: students, error } = await supabase
+      .from('students')
+      .select('trade')
+      .eq('status', 'active');
+
+    if (error) throw error;
+
+    const enrolled = {};
+    students.forEach((s) => { enrolled[s.trade] = (enrolled[s.trade] || 0) + 1; });
+
+    res.json({
+      success: true,
+      trades: trades.map((t) => ({
+        ...t,
+        enrolled: enrolled[t.name] || 0,
+        seats_left: t.capacity === null ? null : Math.max(0, t.capacity - (enrolled[t.name] || 0)),
+      })),
+    });
+  } catch (error) {
+    console.error('List all trades error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load programs' });
+  }
+});
+
+router.post('/', authenticateToken, ensureAdmin, tradeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const fields = tradeFields(req.body);
+    if (await findDuplicate(fields)) {
+      return res.status(400).json({ success: false, message: 'A program with this code or name already exists' });
+    }
+
+    const { data: trade, error } = await supabase
+      .from('trades')
+      .insert([fields])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, message: 'Program created', trade: formatTrade(trade) });
+  } catch (error) {
+    console.error('Create trade error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create program' });
+  }
+});
+
+// Renaming a trade renames it everywhere it is stored
+router.put('/:id', authenticateToken, ensureAdmin, tradeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('trades')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Program not found' });
+    }
+
+    const fields = tradeFields(req.body);
+    if (await findDuplicate(fields, existing.id)) {
+      return res.status(400).json({ success: false, message: 'A program with this code or name already exists' });
+    }
+
+    if (fields.capacity !== null && fields.capacity < (await countTradeStudents(existing.name))) {
+      return res.status(400).json({ success: false, message: 'Capacity cannot be below the number of students already enrolled' });
+    }
+
+    const { data: trade, error } = await supabase
+      .from('trades')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (fields.name !== existing.name) {
+      await renameTradeReferences(existing.name, fields.name);
+    }
+
+    res.json({ success: true, message: 'Program updated', trade: formatTrade(trade) });
+  } catch (error) {
+    console.error('Update trade error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update program' });
+  }
+});
+
+// Trades still referenced anywhere can only be deactivated
+router.delete('/:id', authenticateToken, ensureAdmin, async (req, res) => {
+  try {
+    const { data: trade, error: fetchError } = await supabase
+      .from('trades')
+      .select('id, name')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!trade) {
+      return res.status(404).json({ success: false, message: 'Program not found' });
+    }
+
+    const references = await countTradeReferences(trade.name);
+    if (Object.keys(references).length) {
+      return res.status(400).json({
+        success: false,
+        message: 'This program is still in use; deactivate it instead',
+        references,
+      });
+    }
+
+    const { error } = await supabase.from('trades').delete().eq('id', trade.id);
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Program deleted' });
+  } catch (error) {
+    console.error('Delete trade error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete program' });
+  }
+});
+
+module.exports = router;
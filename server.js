@@ -5,6 +5,16 @@ require('dotenv').config();
 
 const app = express();
 
+// Proxies in front of the API whose X-Forwarded-For header req.ip may use: a hop count
+// (e.g. 1 behind a single load balancer), addresses/subnets, or 'true'/'false'. The default only
+// trusts a proxy on the same machine, so clients cannot choose the address recorded for them.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return 'loopback';
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors());
 
@@ -54,6 +64,9 @@ const studentAnalyticsRoutes = require('./routes/studentAnalytics');
 const studentAttendanceRoutes = require('./routes/studentAttendance');
 const studentAssignmentsRoutes = require('./routes/studentAssignments');
 const studentNotificationsRoutes = require('./routes/studentNotifications');
+const studentGradebookRoutes = require('./routes/studentGradebook');
+const studentCompetenciesRoutes = require('./routes/studentCompetencies');
+const studentTimetableRoutes = require('./routes/studentTimetable');
 const blogRoutes = require('./routes/blog');
 const institutionTransfersRoutes = require('./routes/institutionTransfers');
 const teacherAuthRoutes = require('./routes/teacherAuth');
@@ -61,8 +74,22 @@ const teacherStatsRoutes = require('./routes/teacherStats');
 const teacherStudentsRoutes = require('./routes/teacherStudents');
 const teacherAssignmentsRoutes = require('./routes/teacherAssignments');
 const teacherAttendanceRoutes = require('./routes/teacherAttendance');
+const teacherSessionsRoutes = require('./routes/teacherSessions');
 const examsRoutes = require('./routes/exams');
+const questionBankRoutes = require('./routes/questionBank');
+const markingRoutes = require('./routes/marking');
+const gradingScalesRoutes = require('./routes/gradingScales');
 const resultsRoutes = require('./routes/results');
+const gradebooksRoutes = require('./routes/gradebooks');
+const reportCardsRoutes = require('./routes/reportCards');
+const academicCalendarRoutes = require('./routes/academicCalendar');
+const promotionsRoutes = require('./routes/promotions');
+const tradesRoutes = require('./routes/trades');
+const modulesRoutes = require('./routes/modules');
+const teachingAssignmentsRoutes = require('./routes/teachingAssignments');
+const competenciesRoutes = require('./routes/competencies');
+const timetableRoutes = require('./routes/timetable');
+const absenceAlertsRoutes = require('./routes/absenceAlerts');
 const adminStudentsRoutes = require('./routes/adminStudents');
 const adminUsersRoutes = require('./routes/adminUsers');
 const analyticsRoutes = require('./routes/analytics');
@@ -79,15 +106,32 @@ app.use('/api/student/analytics', studentAnalyticsRoutes);
 app.use('/api/student/attendance', studentAttendanceRoutes);
 app.use('/api/student/assignments', studentAssignmentsRoutes);
 app.use('/api/student/notifications', studentNotificationsRoutes);
+app.use('/api/student/gradebook', studentGradebookRoutes);
+app.use('/api/student/competencies', studentCompetenciesRoutes);
+app.use('/api/student/timetable', studentTimetableRoutes);
 app.use('/api/teacher/auth', teacherAuthRoutes);
 app.use('/api/teacher/stats', teacherStatsRoutes);
 app.use('/api/teacher/students', teacherStudentsRoutes);
 app.use('/api/teacher/assignments', teacherAssignmentsRoutes);
 app.use('/api/teacher/attendance', teacherAttendanceRoutes);
+app.use('/api/teacher/sessions', teacherSessionsRoutes);
 app.use('/api/blog', blogRoutes);
 app.use('/api/transfers', institutionTransfersRoutes);
 app.use('/api/exams', examsRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/marking', markingRoutes);
+app.use('/api/grading-scales', gradingScalesRoutes);
 app.use('/api/results', resultsRoutes);
+app.use('/api/gradebooks', gradebooksRoutes);
+app.use('/api/report-cards', reportCardsRoutes);
+app.use('/api/academic', academicCalendarRoutes);
+app.use('/api/promotions', promotionsRoutes);
+app.use('/api/trades', tradesRoutes);
+app.use('/api/modules', modulesRoutes);
+app.use('/api/teaching-assignments', teachingAssignmentsRoutes);
+app.use('/api/competencies', competenciesRoutes);
+app.use('/api/timetable', timetableRoutes);
+app.use('/api/absence-alerts', absenceAlertsRoutes);
 app.use('/api/admin/students', adminStudentsRoutes);
 app.use('/api/admin/users', adminUsersRoutes);
 app.use('/api/analytics', analyticsRoutes);
@@ -0,0 +1,272 @@
+const { supabase } = require('../config/database');
+const smsService = require('./sms');
+const { toDateString } = require('./academicCalendar');
+const { addDays } = require('./timetable');
+const { summarizeAttendance } = require('./attendance');
+
+const ABSENCE_RULE_TYPES = ['consecutive_absences', 'monthly_rate'];
+const ALERT_STATUSES = ['open', 'resolved'];
+
+// How far back attendance is read when looking for a streak of absences
+const STREAK_LOOKBACK_DAYS = 60;
+
+const formatRule = (row) => ({
+  ...row,
+  threshold: Number(row.threshold),
+  min_sessions: Number(row.min_sessions || 0),
+  notify_guardian: Boolean(row.notify_guardian),
+  is_active: Boolean(row.is_active),
+});
+
+const loadAbsenceRules = async () => {
+  const { data, error } = await supabase
+    .from('absence_rules')
+    .select('*')
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data.map(formatRule);
+};
+
+// Per rule type the most specific rule wins, in the same order as grading scales; an inactive
+// rule still wins, which is how a trade or level is left out of the checks
+const resolveAbsenceRule = (rules, ruleType, { trade, level } = {}) => {
+  const ofType = rules.filter((r) => r.rule_type === ruleType);
+  const matches = (r, t, l) => (r.trade || null) === t && (r.level || null) === l;
+  return (
+    (trade && level && ofType.find((r) => matches(r, trade, level))) ||
+    (trade && ofType.find((r) => matches(r, trade, null))) ||
+    (level && ofType.find((r) => matches(r, null, level))) ||
+    ofType.find((r) => matches(r, null, null)) ||
+    null
+  );
+};
+
+// Oldest first; lessons on the same day by their start time
+const sortChronologically = (rows) => [...rows].sort((a, b) =>
+  toDateString(a.date).localeCompare(toDateString(b.date)) ||
+  String(a.session?.start_time || '').localeCompare(String(b.session?.start_time || '')));
+
+// The absences the student's most recent registers end with, or null when the last one was attended
+const findAbsenceStreak = (rows) => {
+  const sorted = sortChronologically(rows);
+  let length = 0;
+  while (length < sorted.length && sorted[sorted.length - 1 - length].status === 'absent') length++;
+
+  if (!length) return null;
+  return { length, start: toDateString(sorted[sorted.length - length].date) };
+};
+
+/**
+ * Checks one rule against a student's attendance rows (those of the lookback window up to
+ * `asOf`). Returns what was found — the value, the key the alert is stored under and a
+ * sentence for the messages — or null when the rule does not fire.
+ */
+const evaluateRule = (rule, rows, asOf) => {
+  if (rule.rule_type === 'consecutive_absences') {
+    const streak = findAbsenceStreak(rows);
+    if (!streak || streak.length < rule.threshold) return null;
+    return {
+      value: streak.length,
+      period_key: streak.start,
+      reason: `missed ${streak.length} lessons in a row since ${streak.start}`,
+    };
+  }
+
+  if (rule.rule_type === 'monthly_rate') {
+    const month = toDateString(asOf).slice(0, 7);
+    const summary = summarizeAttendance(rows.filter((row) => toDateString(row.date).startsWith(month)));
+    if (!summary.sessions || summary.sessions < rule.min_sessions || summary.rate >= rule.threshold) return null;
+    return {
+      value: summary.rate,
+      period_key: month,
+      reason: `attended only ${summary.rate}% of lessons this month (${summary.attended} of ${summary.sessions})`,
+    };
+  }
+
+  return null;
+};
+
+// Teachers of each student's cohorts in the current academic year, keyed by student id
+const loadStudentTeacherIds = async (studentIds) => {
+  const { data: memberships, error: membershipsError } = await supabase
+    .from('cohort_students')
+    .select('student_id, cohort:cohorts!inner(id, academic_year:academic_years(is_current))')
+    .in('student_id', studentIds.length ? studentIds : [0]);
+
+  if (membershipsError) throw membershipsError;
+
+  const current = memberships.filter((m) => m.cohort?.academic_year?.is_current);
+  const cohortIds = [...new Set(current.map((m) => m.cohort.id))];
+
+  const { data: assignments, error } = await supabase
+    .from('teaching_assignments')
+    .select('teacher_id, cohort_id')
+    .in('cohort_id', cohortIds.length ? cohortIds : [0]);
+
+  if (error) throw error;
+
+  const teachers = new Map();
+  current.forEach((m) => {
+    const ids = teachers.get(String(m.student_id)) || new Set();
+    assignments
+      .filter((a) => String(a.cohort_id) === String(m.cohort.id))
+      .forEach((a) => ids.add(a.teacher_id));
+    teachers.set(String(m.student_id), ids);
+  });
+  return teachers;
+};
+
+// An alert already raised for the same streak or month
+const alreadyAlerted = (alerts, student, rule, finding) => alerts.some((a) =>
+  String(a.student_id) === String(student.id) &&
+  a.rule_type === rule.rule_type &&
+  (rule.rule_type === 'consecutive_absences'
+    ? toDateString(a.created_at) >= finding.period_key
+    : a.period_key === finding.period_key));
+
+/**
+ * Stores the alert, notifies the student and their teachers and texts the guardian when the
+ * rule asks for it. Resolves with null when the same alert was stored in the meantime.
+ */
+const raiseAlert = async (student, rule, finding, teacherIds) => {
+  const message = `${student.full_name} has ${finding.reason}`;
+
+  const { data: alert, error } = await supabase
+    .from('absence_alerts')
+    .insert([{
+      rule_id: rule.id,
+      student_id: student.id,
+      rule_type: rule.rule_type,
+      period_key: finding.period_key,
+      value: finding.value,
+      message: message.slice(0, 255),
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return null;
+    throw error;
+  }
+
+  const notifications = [
+    {
+      user_id: student.id,
+      user_type: 'student',
+      title: 'Attendance warning',
+      message: `You have ${finding.reason}. Please speak to your teachers about catching up.`,
+      type: 'warning',
+    },
+    ...[...teacherIds].map((teacherId) => ({
+      user_id: teacherId,
+      user_type: 'teacher',
+      title: 'Student at risk: absences',
+      message,
+      type: 'warning',
+    })),
+  ];
+
+  const { error: notificationsError } = await supabase.from('notifications').insert(notifications);
+  if (notificationsError) throw notificationsError;
+
+  // With SMS switched off the alert stays `skipped` rather than counting as a failed send
+  if (!rule.notify_guardian || !student.guardian_phone || !smsService.enabled) return alert;
+
+  const sms = await smsService.sendAbsenceAlertSMS(student.guardian_phone, student.guardian_name, student.full_name, finding.reason);
+  const smsStatus = sms.success ? 'sent' : 'failed';
+
+  const { error: smsError } = await supabase
+    .from('absence_alerts')
+    .update({ sms_status: smsStatus })
+    .eq('id', alert.id);
+
+  if (smsError) throw smsError;
+  return { ...alert, sms_status: smsStatus };
+};
+
+/**
+ * Runs the absence rules over the attendance of active students (all of them, or
+ * `studentIds`) as of `asOf` and raises an alert for every rule that fires and was not
+ * already alerted for the same streak or month. Resolves with the alerts raised.
+ */
+const runAbsenceChecks = async ({ studentIds, asOf = new Date() } = {}) => {
+  const rules = await loadAbsenceRules();
+  if (!rules.some((r) => r.is_active)) return [];
+
+  let studentsQuery = supabase
+    .from('students')
+    .select('id, full_name, trade, level, guardian_name, guardian_phone')
+    .eq('status', 'active');
+  if (studentIds) studentsQuery = studentsQuery.in('id', studentIds.length ? studentIds : [0]);
+
+  const { data: students, error: studentsError } = await studentsQuery;
+  if (studentsError) throw studentsError;
+  if (!students.length) return [];
+
+  const ids = students.map((s) => s.id);
+  const today = toDateString(asOf);
+  const monthStart = `${today.slice(0, 7)}-01`;
+  const lookbackStart = addDays(today, -STREAK_LOOKBACK_DAYS);
+  const from = monthStart < lookbackStart ? monthStart : lookbackStart;
+
+  const { data: rows, error: rowsError } = await supabase
+    .from('attendance')
+    .select('student_id, date, status, session:class_sessions(start_time)')
+    .in('student_id', ids)
+    .gte('date', from)
+    .lte('date', today);
+
+  if (rowsError) throw rowsError;
+
+  const { data: alerts, error: alertsError } = await supabase
+    .from('absence_alerts')
+    .select('student_id, rule_type, period_key, created_at')
+    .in('student_id', ids)
+    .gte('created_at', from);
+
+  if (alertsError) throw alertsError;
+
+  const rowsByStudent = new Map();
+  rows.forEach((row) => {
+    const key = String(row.student_id);
+    if (!rowsByStudent.has(key)) rowsByStudent.set(key, []);
+    rowsByStudent.get(key).push(row);
+  });
+
+  const findings = [];
+  students.forEach((student) => {
+    const studentRows = rowsByStudent.get(String(student.id)) || [];
+    if (!studentRows.length) return;
+
+    ABSENCE_RULE_TYPES.forEach((ruleType) => {
+      const rule = resolveAbsenceRule(rules, ruleType, { trade: student.trade, level: student.level });
+      if (!rule || !rule.is_active) return;
+
+      const finding = evaluateRule(rule, studentRows, asOf);
+      if (finding && !alreadyAlerted(alerts, student, rule, finding)) findings.push({ student, rule, finding });
+    });
+  });
+
+  if (!findings.length) return [];
+
+  const teachers = await loadStudentTeacherIds([...new Set(findings.map((f) => f.student.id))]);
+
+  const raised = [];
+  for (const { student, rule, finding } of findings) {
+    const alert = await raiseAlert(student, rule, finding, teachers.get(String(student.id)) || new Set());
+    if (alert) raised.push(alert);
+  }
+  return raised;
+};
+
+module.exports = {
+  ABSENCE_RULE_TYPES,
+  ALERT_STATUSES,
+  formatRule,
+  loadAbsenceRules,
+  resolveAbsenceRule,
+  findAbsenceStreak,
+  evaluateRule,
+  runAbsenceChecks,
+};
@@ -0,0 +1,134 @@
+const { supabase } = require('../config/database');
+
+const toDateString = (value) => (value instanceof Date ? value.toISOString() : String(value)).slice(0, 10);
+
+const loadTerm = async (id) => {
+  const { data, error } = await supabase
+    .from('terms')
+    .select('*, academic_year:academic_years(id, name, is_current)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const loadAcademicYear = async (id) => {
+  const { data, error } = await supabase
+    .from('academic_years')
+    .select('*, terms(id, name, start_date, end_date)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// The academic year marked as current, or null before one is set up
+const loadCurrentAcademicYear = async () => {
+  const { data, error } = await supabase
+    .from('academic_years')
+    .select('*')
+    .eq('is_current', true)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// The term whose dates include `date`, or null during holidays
+const findTermForDate = async (date = new Date()) => {
+  const day = toDateString(date);
+  const { data, error } = await supabase
+    .from('terms')
+    .select('*, academic_year:academic_years(id, name, is_current)')
+    .lte('start_date', day)
+    .gte('end_date', day)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const loadCohort = async (id) => {
+  const { data, error } = await supabase
+    .from('cohorts')
+    .select('*, academic_year:academic_years(id, name, start_date, end_date), members:cohort_students(student_id)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  return {
+    ...data,
+    student_ids: (data.members || []).map((m) => m.student_id),
+    members: undefined,
+  };
+};
+
+// The cohort of a trade and level in an academic year (there is at most one)
+const findCohort = async ({ academicYearId, trade, level }) => {
+  const { data, error } = await supabase
+    .from('cohorts')
+    .select('id')
+    .eq('academic_year_id', academicYearId)
+    .eq('trade', trade)
+    .eq('level', level)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? loadCohort(data.id) : null;
+};
+
+/**
+ * Turns `termId` / `academicYearId` filters into the dates and term ids they cover.
+ * Resolves with `{ period: null }` when no filter is given and `{ error }` when the
+ * term or year does not exist; a term wins when both are given.
+ */
+const resolvePeriod = async ({ termId, academicYearId } = {}) => {
+  if (termId) {
+    const term = await loadTerm(termId);
+    if (!term) return { error: 'Term not found' };
+    return {
+      period: {
+        term_ids: [term.id],
+        start_date: toDateString(term.start_date),
+        end_date: toDateString(term.end_date),
+        term,
+      },
+    };
+  }
+
+  if (academicYearId) {
+    const year = await loadAcademicYear(academicYearId);
+    if (!year) return { error: 'Academic year not found' };
+    return {
+      period: {
+        term_ids: (year.terms || []).map((t) => t.id),
+        start_date: toDateString(year.start_date),
+        end_date: toDateString(year.end_date),
+        academic_year: year,
+      },
+    };
+  }
+
+  return { period: null };
+};
+
+// Term ids can be empty for a year without terms; `in` needs at least one value
+const termIdsFilter = (period) => (period.term_ids.length ? period.term_ids : [0]);
+
+module.exports = {
+  toDateString,
+  loadTerm,
+  loadAcademicYear,
+  loadCurrentAcademicYear,
+  findTermForDate,
+  loadCohort,
+  findCohort,
+  resolvePeriod,
+  termIdsFilter,
+};
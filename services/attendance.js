@@ -0,0 +1,76 @@
+const { supabase } = require('../config/database');
+const { ATTENDED_STATUSES } = require('./gradebook');
+const { toDateString, loadCohort } = require('./academicCalendar');
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'excused', 'absent'];
+
+// Lesson details shown next to an attendance row
+const ATTENDANCE_SESSION_SELECT = `
+  session:class_sessions(id, session_date, start_time, end_time, module:modules(id, code, name), period:periods(id, name))
+`;
+
+/**
+ * Counts attendance rows by status. Each row is one class session (registers taken before
+ * sessions existed count as one session for their day); `days` is the number of distinct
+ * dates with a register and `rate` the share of sessions attended.
+ */
+const summarizeAttendance = (rows) => {
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map((status) => [status, 0]));
+  rows.forEach((row) => {
+    if (counts[row.status] !== undefined) counts[row.status]++;
+  });
+
+  const sessions = ATTENDANCE_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+  const attended = ATTENDED_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+
+  return {
+    ...counts,
+    sessions,
+    days: new Set(rows.filter((row) => row.date).map((row) => toDateString(row.date))).size,
+    attended,
+    rate: sessions ? Math.round((attended / sessions) * 1000) / 10 : null,
+  };
+};
+
+// The session's cohort roster with the marks recorded so far (null until the register is taken)
+const loadSessionRegister = async (session) => {
+  const cohort = await loadCohort(session.cohort_id);
+  const studentIds = cohort ? cohort.student_ids : [];
+
+  const { data: students, error: studentsError } = await supabase
+    .from('students')
+    .select('id, username, full_name')
+    .in('id', studentIds.length ? studentIds : [0])
+    .order('full_name', { ascending: true });
+
+  if (studentsError) throw studentsError;
+
+  const { data: marks, error: marksError } = await supabase
+    .from('attendance')
+    .select('student_id, status, remarks, recorded_by, updated_at')
+    .eq('session_id', session.id);
+
+  if (marksError) throw marksError;
+
+  const marksByStudent = new Map(marks.map((m) => [String(m.student_id), m]));
+
+  return students.map((student) => {
+    const mark = marksByStudent.get(String(student.id));
+    return {
+      student_id: student.id,
+      username: student.username,
+      full_name: student.full_name,
+      status: mark ? mark.status : null,
+      remarks: mark ? mark.remarks : null,
+      recorded_by: mark ? mark.recorded_by : null,
+      recorded_at: mark ? mark.updated_at : null,
+    };
+  });
+};
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  ATTENDANCE_SESSION_SELECT,
+  summarizeAttendance,
+  loadSessionRegister,
+};
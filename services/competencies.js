@@ -0,0 +1,360 @@
+const { supabase } = require('../config/database');
+const { loadExamTotals } = require('./gradebook');
+const { safeParseOptions } = require('./questions');
+
+const COMPETENCY_STATUSES = ['competent', 'not_yet_competent', 'not_assessed'];
+
+// Link tables between assessed work and the outcomes it covers
+const OUTCOME_LINKS = {
+  exams: ['exam_learning_outcomes', 'exam_id'],
+  assignments: ['assignment_learning_outcomes', 'assignment_id'],
+};
+
+const roundTo = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const sortOutcomes = (outcomes) => [...outcomes].sort((a, b) =>
+  (a.position - b.position) || String(a.code).localeCompare(String(b.code), undefined, { numeric: true }));
+
+const formatModule = (row) => ({
+  ...row,
+  competent_mark: Number(row.competent_mark ?? 70),
+  outcomes: sortOutcomes(row.outcomes || []),
+});
+
+const MODULE_SELECT = `
+  id, trade, level, code, name, description, competent_mark,
+  outcomes:learning_outcomes(id, module_id, code, description, position)
+`;
+
+// Modules of a trade and level with their learning outcomes, in code order
+const loadCurriculum = async ({ trade, level } = {}) => {
+  let modulesQuery = supabase.from('modules').select(MODULE_SELECT);
+  if (trade) modulesQuery = modulesQuery.eq('trade', trade);
+  if (level) modulesQuery = modulesQuery.eq('level', level);
+
+  const { data, error } = await modulesQuery.order('code', { ascending: true });
+
+  if (error) throw error;
+  return data.map(formatModule);
+};
+
+const loadModule = async (id) => {
+  const { data, error } = await supabase
+    .from('modules')
+    .select(MODULE_SELECT)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? formatModule(data) : null;
+};
+
+// Returns an error message unless every outcome exists and belongs to a module of the class.
+// Without a level (bank items), any module of the trade will do.
+const getOutcomesError = async (outcomeIds, { trade, level }) => {
+  const ids = [...new Set(outcomeIds.map(String))];
+  if (!ids.length) return null;
+
+  const { data: outcomes, error } = await supabase
+    .from('learning_outcomes')
+    .select('id, module:modules(trade, level)')
+    .in('id', ids);
+
+  if (error) throw error;
+
+  if (outcomes.length !== ids.length) return 'Learning outcome not found';
+  if (outcomes.some((o) => !o.module || o.module.trade !== trade || (level && o.module.level !== level))) {
+    return `Learning outcomes must belong to ${level ? `${trade} ${level}` : trade} modules`;
+  }
+  return null;
+};
+
+// Outcomes linked to each of the given exams or assignments, keyed by their id
+const loadOutcomeLinks = async (source, ids) => {
+  const [table, column] = OUTCOME_LINKS[source];
+  const links = new Map(ids.map((id) => [String(id), []]));
+  if (!ids.length) return links;
+
+  const { data, error } = await supabase
+    .from(table)
+    .select(`${column}, outcome:learning_outcomes(id, module_id, code, description, position)`)
+    .in(column, ids);
+
+  if (error) throw error;
+
+  data.forEach((row) => {
+    if (row.outcome) links.get(String(row[column]))?.push(row.outcome);
+  });
+  links.forEach((outcomes, id) => links.set(id, sortOutcomes(outcomes)));
+  return links;
+};
+
+const replaceOutcomeLinks = async (source, id, outcomeIds) => {
+  const [table, column] = OUTCOME_LINKS[source];
+
+  const { error: deleteError } = await supabase.from(table).delete().eq(column, id);
+  if (deleteError) throw deleteError;
+
+  const uniqueIds = [...new Set(outcomeIds.map(Number))];
+  if (!uniqueIds.length) return;
+
+  const { error } = await supabase
+    .from(table)
+    .insert(uniqueIds.map((outcomeId) => ({ [column]: id, outcome_id: outcomeId })));
+
+  if (error) throw error;
+};
+
+/**
+ * Marked work that shows each student's level in each outcome, keyed by `studentId:outcomeId`.
+ *
+ * An exam counts through its graded result. Questions tagged with an outcome give that outcome
+ * the share of their marks earned in the counted attempt; outcomes linked to the whole exam get
+ * the exam percentage. Paper results only have a total, so their tagged outcomes get the exam
+ * percentage too. Assignments count through their 0-100 grade. Pending results, ungraded
+ * submissions and work a student never did are not evidence either way.
+ */
+const collectEvidence = async (outcomeIds, studentIds) => {
+  const evidence = new Map();
+  const add = (studentId, outcomeId, item) => {
+    const key = `${studentId}:${outcomeId}`;
+    if (!evidence.has(key)) evidence.set(key, []);
+    evidence.get(key).push(item);
+  };
+
+  if (!outcomeIds.length || !studentIds.length) return evidence;
+
+  const { data: examLinks, error: examLinksError } = await supabase
+    .from('exam_learning_outcomes')
+    .select('exam_id, outcome_id')
+    .in('outcome_id', outcomeIds);
+
+  if (examLinksError) throw examLinksError;
+
+  const { data: taggedQuestions, error: questionsError } = await supabase
+    .from('questions')
+    .select('id, exam_id, marks, outcome_id, is_drawn')
+    .in('outcome_id', outcomeIds);
+
+  if (questionsError) throw questionsError;
+
+  const examIds = [...new Set([...examLinks, ...taggedQuestions].map((row) => row.exam_id))];
+
+  if (examIds.length) {
+    const { data: exams, error: examsError } = await supabase
+      .from('exams')
+      .select('id, title, total_marks')
+      .in('id', examIds);
+
+    if (examsError) throw examsError;
+
+    const examsById = new Map(exams.map((e) => [String(e.id), e]));
+    const examTotals = await loadExamTotals(exams);
+
+    const { data: results, error: resultsError } = await supabase
+      .from('results')
+      .select('student_id, exam_id, attempt_id, score, status, mode')
+      .in('exam_id', examIds)
+      .in('student_id', studentIds)
+      .eq('status', 'graded');
+
+    if (resultsError) throw resultsError;
+
+    const attemptIds = results.map((r) => r.attempt_id).filter(Boolean);
+    const { data: attempts, error: attemptsError } = await supabase
+      .from('exam_attempts')
+      .select('id, question_ids')
+      .in('id', attemptIds.length ? attemptIds : [0]);
+
+    if (attemptsError) throw attemptsError;
+
+    const servedByAttempt = new Map(attempts.map((a) => {
+      const ids = safeParseOptions(a.question_ids, null);
+      return [String(a.id), ids ? new Set(ids.map(String)) : null];
+    }));
+
+    const taggedIds = taggedQuestions.map((q) => q.id);
+    const { data: answers, error: answersError } = await supabase
+      .from('student_answers')
+      .select('student_id, attempt_id, question_id, marks_awarded')
+      .in('question_id', taggedIds.length ? taggedIds : [0])
+      .in('student_id', studentIds);
+
+    if (answersError) throw answersError;
+
+    // Answers saved before attempts were tracked have no attempt id
+    const answerMarks = new Map(answers.map((a) => [
+      `${a.student_id}:${a.attempt_id || 'none'}:${a.question_id}`,
+      Number(a.marks_awarded) || 0,
+    ]));
+
+    const linksByExam = new Map();
+    examLinks.forEach((l) => {
+      const key = String(l.exam_id);
+      if (!linksByExam.has(key)) linksByExam.set(key, new Set());
+      linksByExam.get(key).add(String(l.outcome_id));
+    });
+
+    const questionsByExam = new Map();
+    taggedQuestions.forEach((q) => {
+      const key = String(q.exam_id);
+      if (!questionsByExam.has(key)) questionsByExam.set(key, []);
+      questionsByExam.get(key).push(q);
+    });
+
+    results.forEach((result) => {
+      const exam = examsById.get(String(result.exam_id));
+      if (!exam) return;
+
+      const total = examTotals.get(String(exam.id)) || 0;
+      const examPercent = total > 0 ? Math.min(100, (Number(result.score) / total) * 100) : null;
+      const item = { source: 'exam', id: exam.id, title: exam.title };
+      const wholeExam = new Set(linksByExam.get(String(exam.id)) || []);
+      const tagged = questionsByExam.get(String(exam.id)) || [];
+
+      if (result.mode === 'paper') {
+        tagged.forEach((q) => wholeExam.add(String(q.outcome_id)));
+      } else {
+        // Questions served in the counted attempt: its recorded selection, otherwise the fixed questions
+        const served = result.attempt_id ? servedByAttempt.get(String(result.attempt_id)) : null;
+        const byOutcome = new Map();
+        tagged
+          .filter((q) => (served ? served.has(String(q.id)) : !q.is_drawn))
+          .forEach((q) => {
+            const key = String(q.outcome_id);
+            if (!byOutcome.has(key)) byOutcome.set(key, { earned: 0, possible: 0, count: 0 });
+            const entry = byOutcome.get(key);
+            entry.possible += Number(q.marks) || 0;
+            entry.earned += answerMarks.get(`${result.student_id}:${result.attempt_id || 'none'}:${q.id}`) || 0;
+            entry.count++;
+          });
+
+        byOutcome.forEach((entry, outcomeId) => {
+          wholeExam.delete(outcomeId);
+          if (entry.possible > 0) {
+            add(result.student_id, outcomeId, {
+              ...item,
+              percent: roundTo((entry.earned / entry.possible) * 100),
+              questions: entry.count,
+            });
+          }
+        });
+      }
+
+      if (examPercent !== null) {
+        wholeExam.forEach((outcomeId) => add(result.student_id, outcomeId, { ...item, percent: roundTo(examPercent) }));
+      }
+    });
+  }
+
+  const { data: assignmentLinks, error: assignmentLinksError } = await supabase
+    .from('assignment_learning_outcomes')
+    .select('assignment_id, outcome_id, assignment:assignments(id, title)')
+    .in('outcome_id', outcomeIds);
+
+  if (assignmentLinksError) throw assignmentLinksError;
+
+  if (assignmentLinks.length) {
+    const { data: submissions, error: submissionsError } = await supabase
+      .from('student_assignment_submissions')
+      .select('student_id, assignment_id, grade')
+      .in('assignment_id', [...new Set(assignmentLinks.map((l) => l.assignment_id))])
+      .in('student_id', studentIds)
+      .not('grade', 'is', null);
+
+    if (submissionsError) throw submissionsError;
+
+    submissions.forEach((s) => {
+      assignmentLinks
+        .filter((l) => String(l.assignment_id) === String(s.assignment_id))
+        .forEach((l) => add(s.student_id, l.outcome_id, {
+          source: 'assignment',
+          id: l.assignment_id,
+          title: l.assignment?.title || null,
+          percent: roundTo(Math.min(100, Number(s.grade) || 0)),
+        }));
+    });
+  }
+
+  return evidence;
+};
+
+// Outcome and module decisions for one student from their evidence
+const assessModule = (module, evidenceFor) => {
+  const outcomes = module.outcomes.map((o) => {
+    const items = evidenceFor(o.id);
+    const percent = items.length ? roundTo(average(items.map((i) => i.percent))) : null;
+    let status = 'not_assessed';
+    if (percent !== null) status = percent >= module.competent_mark ? 'competent' : 'not_yet_competent';
+
+    return { id: o.id, code: o.code, description: o.description, status, percent, evidence: items };
+  });
+
+  const assessed = outcomes.filter((o) => o.status !== 'not_assessed');
+  const competent = outcomes.filter((o) => o.status === 'competent');
+
+  let status = 'not_assessed';
+  if (outcomes.length && competent.length === outcomes.length) status = 'competent';
+  else if (assessed.length) status = 'not_yet_competent';
+
+  return {
+    module_id: module.id,
+    code: module.code,
+    name: module.name,
+    competent_mark: module.competent_mark,
+    status,
+    percent: assessed.length ? roundTo(average(assessed.map((o) => o.percent))) : null,
+    outcomes_competent: competent.length,
+    outcomes_total: outcomes.length,
+    outcomes,
+  };
+};
+
+const summarizeMatrix = (modules) => ({
+  modules_total: modules.length,
+  competent: modules.filter((m) => m.status === 'competent').length,
+  not_yet_competent: modules.filter((m) => m.status === 'not_yet_competent').length,
+  not_assessed: modules.filter((m) => m.status === 'not_assessed').length,
+});
+
+/**
+ * Competency matrices of students in one trade and level, keyed by student id. Each matrix
+ * lists the class's modules with a decision per learning outcome and per module.
+ */
+const buildCompetencyMatrices = async ({ trade, level, studentIds }) => {
+  const modules = await loadCurriculum({ trade, level });
+  const outcomeIds = modules.flatMap((m) => m.outcomes.map((o) => o.id));
+  const evidence = await collectEvidence(outcomeIds, studentIds);
+
+  const matrices = new Map();
+  studentIds.forEach((studentId) => {
+    const assessed = modules.map((m) => assessModule(m, (outcomeId) => evidence.get(`${studentId}:${outcomeId}`) || []));
+    matrices.set(String(studentId), { modules: assessed, summary: summarizeMatrix(assessed) });
+  });
+
+  return { modules, matrices };
+};
+
+const buildStudentCompetencies = async (student, level = student.level) => {
+  const { matrices } = await buildCompetencyMatrices({ trade: student.trade, level, studentIds: [student.id] });
+  return { trade: student.trade, level, ...matrices.get(String(student.id)) };
+};
+
+module.exports = {
+  COMPETENCY_STATUSES,
+  formatModule,
+  loadCurriculum,
+  loadModule,
+  getOutcomesError,
+  loadOutcomeLinks,
+  replaceOutcomeLinks,
+  collectEvidence,
+  assessModule,
+  buildCompetencyMatrices,
+  buildStudentCompetencies,
+};
@@ -0,0 +1,57 @@
+const { supabase } = require('../config/database');
+
+const fetchStudentCohort = async (studentId) => {
+  const { data: student, error } = await supabase
+    .from('students')
+    .select('id, trade, level')
+    .eq('id', studentId)
+    .single();
+
+  if (error) throw error;
+  return student;
+};
+
+// Ids of the allow-listed exams the student is on
+const loadAllowListedExamIds = async (studentId) => {
+  const { data, error } = await supabase
+    .from('exam_allowed_students')
+    .select('exam_id')
+    .eq('student_id', studentId);
+
+  if (error) throw error;
+  return new Set(data.map((r) => String(r.exam_id)));
+};
+
+// Same rule as getStudentExamAccess, for lists checked against loadAllowListedExamIds
+const canStudentAccessExam = (exam, student, allowListed) =>
+  exam.trade === student.trade &&
+  exam.level === student.level &&
+  (!exam.use_allow_list || allowListed.has(String(exam.id)));
+
+// Exams are limited to the student's trade and level and, when enabled, to the allow-list
+const getStudentExamAccess = async (exam, student) => {
+  if (exam.trade !== student.trade || exam.level !== student.level) {
+    return { allowed: false, message: 'This exam is not available for your class' };
+  }
+
+  if (exam.use_allow_list) {
+    const { data: entry, error } = await supabase
+      .from('exam_allowed_students')
+      .select('student_id')
+      .eq('exam_id', exam.id)
+      .eq('student_id', student.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!entry) return { allowed: false, message: 'You are not on the list of students for this exam' };
+  }
+
+  return { allowed: true };
+};
+
+module.exports = {
+  fetchStudentCohort,
+  loadAllowListedExamIds,
+  canStudentAccessExam,
+  getStudentExamAccess,
+};
@@ -0,0 +1,281 @@
+const { seededShuffle } = require('./questions');
+const { renderPdf, drawBrandedHeader, addPageNumbers } = require('./pdf');
+
+const PAPER_DOCUMENTS = ['paper', 'answer_key', 'answer_sheet'];
+const PAPER_VERSION_LABELS = ['A', 'B', 'C', 'D'];
+
+// Types that can be answered by shading bubbles on the answer sheet
+const BUBBLE_TYPES = new Set(['MCQ', 'TF', 'MULTI']);
+
+const ESSAY_LINES = 12;
+
+const letterFor = (index) => String.fromCharCode(65 + index);
+
+const formatMarks = (marks) => `${marks} mark${Number(marks) === 1 ? '' : 's'}`;
+
+/**
+ * Question order for one printed version. Version A keeps the authored order; the others
+ * shuffle the questions and their options with a seed that only depends on the exam and
+ * the label, so the same version can be rebuilt later to grade the scripts.
+ */
+const arrangePaperVersion = (questions, exam, label) => {
+  if (label === PAPER_VERSION_LABELS[0]) return questions;
+
+  const seed = `${exam.id}:paper:${label}`;
+  return seededShuffle(questions, seed).map((q) => (
+    ['MCQ', 'MULTI', 'MATCHING'].includes(q.type) ? { ...q, options: seededShuffle(q.options, `${seed}:${q.id}`) } : q
+  ));
+};
+
+const buildPaperVersions = (questions, exam, count = 1) =>
+  PAPER_VERSION_LABELS.slice(0, count).map((label) => ({
+    label,
+    questions: arrangePaperVersion(questions, exam, label),
+  }));
+
+// The letter(s) a printed option list gives for an answer, e.g. "B" or "A, C"
+const answerLetters = (question, answers) =>
+  (Array.isArray(answers) ? answers : [answers])
+    .map((answer) => question.options.findIndex((o) => String(o).trim().toLowerCase() === String(answer).trim().toLowerCase()))
+    .filter((index) => index >= 0)
+    .map(letterFor)
+    .sort()
+    .join(', ');
+
+const describeKey = (question) => {
+  switch (question.type) {
+    case 'MCQ':
+    case 'TF':
+    case 'MULTI':
+      return `${answerLetters(question, question.correct_answer)}  (${[].concat(question.correct_answer).join('; ')})`;
+    case 'SHORT':
+      return `Accept: ${[].concat(question.correct_answer).join(' / ')}`;
+    case 'NUMERIC':
+      return Number(question.tolerance) ? `${question.correct_answer} (+/- ${question.tolerance})` : String(question.correct_answer);
+    case 'MATCHING':
+      return question.prompts
+        .map((prompt, index) => `${index + 1}-${answerLetters(question, question.correct_answer[prompt])}`)
+        .join('  ');
+    case 'ESSAY':
+      return question.correct_answer ? `Marking notes: ${question.correct_answer}` : 'Marked by the teacher';
+    default:
+      return '';
+  }
+};
+
+const examSubtitle = (exam, label, versionCount) => [
+  exam.trade,
+  exam.level,
+  exam.exam_code ? `Code ${exam.exam_code}` : null,
+  versionCount > 1 ? `Version ${label}` : null,
+].filter(Boolean).join('  |  ');
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+};
+
+const drawCandidateFields = (doc) => {
+  const left = doc.page.margins.left;
+  doc.font('Helvetica').fontSize(10);
+  doc.text('Name: ____________________________________', left, doc.y, { continued: true });
+  doc.text('   Student ID: __________________');
+  doc.moveDown(0.5);
+};
+
+const drawPaperVersion = (doc, { exam, branding, totalMarks, version, versionCount }) => {
+  drawBrandedHeader(doc, branding, exam.title, examSubtitle(exam, version.label, versionCount));
+  drawCandidateFields(doc);
+
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+
+  doc.font('Helvetica').fontSize(10)
+    .text(`${exam.duration_minutes ? `Duration: ${exam.duration_minutes} minutes    ` : ''}Total: ${formatMarks(totalMarks)}`, left, doc.y, { width });
+  if (exam.description) doc.text(exam.description, { width });
+  doc.font('Helvetica-Oblique').fontSize(9)
+    .text('Answer all questions. Objective questions may be answered on the separate answer sheet.', { width });
+  doc.moveDown();
+
+  version.questions.forEach((question, index) => {
+    ensureSpace(doc, 60);
+    doc.font('Helvetica-Bold').fontSize(11).text(`${index + 1}. `, left, doc.y, { continued: true });
+    doc.font('Helvetica').text(`${question.question_text}  `, { continued: true });
+    doc.font('Helvetica-Oblique').fontSize(9).text(`(${formatMarks(question.marks)})`, { width });
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(10);
+
+    switch (question.type) {
+      case 'MCQ':
+      case 'TF':
+      case 'MULTI':
+        if (question.type === 'MULTI') doc.font('Helvetica-Oblique').text('Select all that apply.', left + 15).font('Helvetica');
+        question.options.forEach((option, optionIndex) => {
+          doc.text(`${letterFor(optionIndex)}. ${option}`, left + 15, doc.y, { width: width - 15 });
+        });
+        break;
+      case 'MATCHING':
+        doc.font('Helvetica-Oblique').text('Match each item with the correct letter.', left + 15).font('Helvetica');
+        question.prompts.forEach((prompt, promptIndex) => {
+          const rowY = doc.y;
+          doc.text(`${promptIndex + 1}. ${prompt}  ______`, left + 15, rowY, { width: width / 2 - 20 });
+          const leftBottom = doc.y;
+          if (question.options[promptIndex] !== undefined) {
+            doc.text(`${letterFor(promptIndex)}. ${question.options[promptIndex]}`, left + width / 2, rowY, { width: width / 2 });
+          }
+          doc.y = Math.max(doc.y, leftBottom);
+        });
+        // Extra choices (if any) are listed under the right-hand column
+        question.options.slice(question.prompts.length).forEach((option, extraIndex) => {
+          doc.text(`${letterFor(question.prompts.length + extraIndex)}. ${option}`, left + width / 2, doc.y, { width: width / 2 });
+        });
+        break;
+      case 'ESSAY':
+        for (let i = 0; i < ESSAY_LINES; i++) {
+          ensureSpace(doc, 20);
+          doc.moveDown(0.8);
+          doc.moveTo(left + 15, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).stroke();
+        }
+        break;
+      default:
+        doc.moveDown(0.8);
+        doc.moveTo(left + 15, doc.y).lineTo(left + width / 2, doc.y).lineWidth(0.5).stroke();
+    }
+
+    doc.moveDown();
+  });
+};
+
+const drawAnswerKeyVersion = (doc, { exam, branding, totalMarks, version, versionCount }) => {
+  drawBrandedHeader(doc, branding, `${exam.title} - Answer key`, examSubtitle(exam, version.label, versionCount));
+
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+
+  doc.font('Helvetica-Oblique').fontSize(9)
+    .text(`Confidential. Total: ${formatMarks(totalMarks)}. Answers marked "A, C" need every listed option.`, left, doc.y, { width });
+  doc.moveDown();
+
+  version.questions.forEach((question, index) => {
+    ensureSpace(doc, 30);
+    doc.font('Helvetica-Bold').fontSize(10).text(`${index + 1}. [${question.type}, ${formatMarks(question.marks)}] `, left, doc.y, { continued: true, width });
+    doc.font('Helvetica').text(describeKey(question));
+    doc.moveDown(0.4);
+  });
+};
+
+const BUBBLE_RADIUS = 6;
+const ROW_HEIGHT = 20;
+const SHEET_COLUMNS = 3;
+
+const drawBubble = (doc, x, y, label) => {
+  doc.circle(x, y, BUBBLE_RADIUS).lineWidth(0.7).stroke();
+  doc.font('Helvetica').fontSize(6).text(label, x - BUBBLE_RADIUS, y - 3, { width: BUBBLE_RADIUS * 2, align: 'center' });
+};
+
+const drawAnswerSheetVersion = (doc, { exam, branding, version, versionCount }) => {
+  drawBrandedHeader(doc, branding, `${exam.title} - Answer sheet`, examSubtitle(exam, version.label, versionCount));
+  drawCandidateFields(doc);
+
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+
+  if (versionCount > 1) {
+    doc.font('Helvetica-Bold').fontSize(10).text('Version:', left, doc.y);
+    const rowY = doc.y - 6;
+    PAPER_VERSION_LABELS.slice(0, versionCount).forEach((label, i) => drawBubble(doc, left + 70 + i * 22, rowY, label));
+    doc.y = rowY + ROW_HEIGHT;
+  }
+
+  doc.font('Helvetica-Oblique').fontSize(9)
+    .text('Shade one bubble per question (all that apply for "select all" questions). Use a dark pen or pencil.', left, doc.y, { width });
+  doc.moveDown();
+
+  const numbered = version.questions.map((question, index) => ({ question, number: index + 1 }));
+  const bubbled = numbered.filter(({ question }) => BUBBLE_TYPES.has(question.type));
+  const written = numbered.filter(({ question }) => !BUBBLE_TYPES.has(question.type));
+
+  const columnWidth = width / SHEET_COLUMNS;
+  let top = doc.y;
+  let row = 0;
+  let column = 0;
+  let usedRows = 0;
+
+  bubbled.forEach(({ question, number }) => {
+    if (top + (row + 1) * ROW_HEIGHT > doc.page.height - doc.page.margins.bottom) {
+      column++;
+      row = 0;
+      if (column === SHEET_COLUMNS) {
+        doc.addPage();
+        top = doc.page.margins.top;
+        column = 0;
+        usedRows = 0;
+      }
+    }
+
+    const x = left + column * columnWidth;
+    const y = top + row * ROW_HEIGHT + BUBBLE_RADIUS;
+    doc.font('Helvetica-Bold').fontSize(9).text(String(number).padStart(2, ' '), x, y - 4, { width: 20, align: 'right' });
+    question.options.forEach((option, optionIndex) => {
+      const label = question.type === 'TF' ? String(option).charAt(0) : letterFor(optionIndex);
+      drawBubble(doc, x + 35 + optionIndex * 18, y, label);
+    });
+    row++;
+    usedRows = Math.max(usedRows, row);
+  });
+
+  doc.x = left;
+  doc.y = top + usedRows * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+  if (written.length) {
+    ensureSpace(doc, 40);
+    doc.font('Helvetica-Oblique').fontSize(9).text(
+      `Questions ${written.map((w) => w.number).join(', ')} are answered in the question paper.`,
+      left,
+      doc.y,
+      { width }
+    );
+  }
+};
+
+const DRAWERS = {
+  paper: drawPaperVersion,
+  answer_key: drawAnswerKeyVersion,
+  answer_sheet: drawAnswerSheetVersion,
+};
+
+const DOCUMENT_TITLES = {
+  paper: 'Question paper',
+  answer_key: 'Answer key',
+  answer_sheet: 'Answer sheet',
+};
+
+/**
+ * Renders one printable document for every version; each version starts on a new page.
+ * `questions` are normalized exam questions including the answer key.
+ */
+const renderExamDocument = ({ document, exam, questions, branding, versionCount = 1 }) => {
+  const totalMarks = questions.reduce((sum, q) => sum + (Number(q.marks) || 0), 0);
+  const versions = buildPaperVersions(questions, exam, versionCount);
+
+  return renderPdf((doc) => {
+    doc.info.Title = `${exam.title} - ${DOCUMENT_TITLES[document]}`;
+    doc.info.Author = branding.site_name;
+
+    versions.forEach((version, index) => {
+      if (index > 0) doc.addPage();
+      DRAWERS[document](doc, { exam, branding, totalMarks, version, versionCount });
+    });
+
+    addPageNumbers(doc, DOCUMENT_TITLES[document]);
+  });
+};
+
+module.exports = {
+  PAPER_DOCUMENTS,
+  PAPER_VERSION_LABELS,
+  arrangePaperVersion,
+  buildPaperVersions,
+  renderExamDocument,
+};
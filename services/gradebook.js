@@ -0,0 +1,361 @@
+const { supabase } = require('../config/database');
+const { getGradingScale, describeScore } = require('./grading');
+const { loadTerm, findCohort } = require('./academicCalendar');
+
+const COMPONENT_SOURCES = ['exams', 'assignments', 'attendance'];
+const GRADEBOOK_STATUSES = ['draft', 'locked', 'published'];
+
+// Attendance statuses that count as being in class, as in the student analytics
+const ATTENDED_STATUSES = ['present', 'late', 'excused'];
+
+const roundTo = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Returns an error message when the weighted components are not usable
+const getComponentsError = (components) => {
+  if (!Array.isArray(components) || !components.length) return 'At least one component is required';
+
+  for (const c of components) {
+    if (!c || !String(c.name || '').trim()) return 'Every component needs a name';
+    if (!COMPONENT_SOURCES.includes(c.source)) return `Component source must be one of ${COMPONENT_SOURCES.join(', ')}`;
+    if (!Number.isFinite(Number(c.weight)) || Number(c.weight) <= 0 || Number(c.weight) > 100) {
+      return 'Component weights must be between 0 and 100';
+    }
+    if (c.exam_id && c.source !== 'exams') return 'Only exam components can name an exam';
+  }
+
+  const examIds = components.filter((c) => c.exam_id).map((c) => String(c.exam_id));
+  if (new Set(examIds).size !== examIds.length) return 'An exam can only be used by one component';
+
+  const pooled = components.filter((c) => c.source !== 'exams' || !c.exam_id).map((c) => c.source);
+  if (new Set(pooled).size !== pooled.length) return 'Each source can only be pooled once';
+
+  const total = components.reduce((sum, c) => sum + Number(c.weight), 0);
+  if (Math.abs(total - 100) > 0.01) return `Component weights must add up to 100 (currently ${roundTo(total)})`;
+
+  return null;
+};
+
+const formatComponent = (row) => ({
+  id: row.id,
+  name: row.name,
+  source: row.source,
+  exam_id: row.exam_id || null,
+  weight: Number(row.weight),
+});
+
+const loadGradebook = async (id) => {
+  const { data, error } = await supabase
+    .from('gradebooks')
+    .select('*, components:gradebook_components(id, name, source, exam_id, weight)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  return {
+    ...data,
+    components: (data.components || []).map(formatComponent).sort((a, b) => a.id - b.id),
+  };
+};
+
+const replaceComponents = async (gradebookId, components) => {
+  const { error: deleteError } = await supabase.from('gradebook_components').delete().eq('gradebook_id', gradebookId);
+  if (deleteError) throw deleteError;
+
+  const { error: insertError } = await supabase
+    .from('gradebook_components')
+    .insert(components.map((c) => ({
+      gradebook_id: gradebookId,
+      name: String(c.name).trim(),
+      source: c.source,
+      exam_id: c.exam_id || null,
+      weight: Number(c.weight),
+    })));
+  if (insertError) throw insertError;
+};
+
+const endOfDay = (date) => `${String(date).slice(0, 10)}T23:59:59.999Z`;
+const startOfDay = (date) => `${String(date).slice(0, 10)}T00:00:00.000Z`;
+
+// An exam counts towards the gradebook's calendar term when it was set for that term. Gradebooks
+// without a calendar term fall back to the exams opening (or created, when unscheduled) in their dates.
+const isInTerm = (exam, gradebook) => {
+  if (gradebook.term_id) return String(exam.term_id) === String(gradebook.term_id);
+  const at = new Date(exam.opens_at || exam.created_at);
+  return at >= new Date(startOfDay(gradebook.start_date)) && at <= new Date(endOfDay(gradebook.end_date));
+};
+
+// Assignments of the gradebook's calendar term, or due within its dates when it has none
+const filterAssignmentsByTerm = (assignmentsQuery, gradebook) => (gradebook.term_id
+  ? assignmentsQuery.eq('term_id', gradebook.term_id)
+  : assignmentsQuery.gte('deadline', startOfDay(gradebook.start_date)).lte('deadline', endOfDay(gradebook.end_date)));
+
+/**
+ * Students of the gradebook: the roster of its cohort (its trade and level in the term's
+ * academic year), so students who have since moved up or changed trade stay in the term they
+ * were taught in. Gradebooks without a calendar term use the students currently in the class.
+ */
+const loadGradebookStudents = async (gradebook) => {
+  let studentsQuery = supabase.from('students').select('id, username, full_name');
+
+  if (gradebook.term_id) {
+    const term = await loadTerm(gradebook.term_id);
+    const cohort = term && await findCohort({ academicYearId: term.academic_year_id, trade: gradebook.trade, level: gradebook.level });
+    const studentIds = cohort ? cohort.student_ids : [];
+    studentsQuery = studentsQuery.in('id', studentIds.length ? studentIds : [0]);
+  } else {
+    studentsQuery = studentsQuery.eq('trade', gradebook.trade).eq('level', gradebook.level);
+  }
+
+  const { data, error } = await studentsQuery.order('full_name', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+const loadExamTotals = async (exams) => {
+  const missing = exams.filter((e) => !e.total_marks).map((e) => e.id);
+  const totals = new Map(exams.map((e) => [String(e.id), Number(e.total_marks) || 0]));
+  if (!missing.length) return totals;
+
+  const { data: questions, error } = await supabase
+    .from('questions')
+    .select('exam_id, marks')
+    .in('exam_id', missing)
+    .eq('is_drawn', false);
+
+  if (error) throw error;
+  questions.forEach((q) => totals.set(String(q.exam_id), totals.get(String(q.exam_id)) + (Number(q.marks) || 0)));
+  return totals;
+};
+
+/**
+ * Live marks for every student of the gradebook's cohort.
+ *
+ * Each component yields a percentage per student: exams from the counted result (a missing
+ * result scores 0), assignments from the 0-100 grade (a missing submission scores 0) and
+ * attendance from the share of recorded class sessions attended. Components with nothing to assess in
+ * the term, or no attendance recorded for a student, are left out and the remaining weights
+ * are scaled up. Unmarked exam answers or ungraded submissions keep the final mark pending.
+ */
+const computeGradebook = async (gradebook) => {
+  const students = await loadGradebookStudents(gradebook);
+
+  const { data: cohortExams, error: examsError } = await supabase
+    .from('exams')
+    .select('id, title, total_marks, term_id, opens_at, created_at')
+    .eq('trade', gradebook.trade)
+    .eq('level', gradebook.level);
+
+  if (examsError) throw examsError;
+
+  const namedExamIds = new Set(gradebook.components.filter((c) => c.exam_id).map((c) => String(c.exam_id)));
+  const pooledExams = cohortExams.filter((e) => !namedExamIds.has(String(e.id)) && isInTerm(e, gradebook));
+  const usedExams = cohortExams.filter((e) => namedExamIds.has(String(e.id)) || pooledExams.includes(e));
+  const examTotals = await loadExamTotals(usedExams);
+
+  const studentIds = students.map((s) => s.id);
+  const results = new Map();
+  if (usedExams.length && studentIds.length) {
+    const { data, error } = await supabase
+      .from('results')
+      .select('student_id, exam_id, score, status')
+      .in('exam_id', usedExams.map((e) => e.id))
+      .in('student_id', studentIds);
+
+    if (error) throw error;
+    data.forEach((r) => results.set(`${r.student_id}:${r.exam_id}`, r));
+  }
+
+  const { data: assignments, error: assignmentsError } = await filterAssignmentsByTerm(
+    supabase
+      .from('assignments')
+      .select('id, title, deadline')
+      .eq('trade', gradebook.trade)
+      .eq('level', gradebook.level),
+    gradebook
+  );
+
+  if (assignmentsError) throw assignmentsError;
+
+  const submissions = new Map();
+  if (assignments.length && studentIds.length) {
+    const { data, error } = await supabase
+      .from('student_assignment_submissions')
+      .select('student_id, assignment_id, grade')
+      .in('assignment_id', assignments.map((a) => a.id))
+      .in('student_id', studentIds);
+
+    if (error) throw error;
+    data.forEach((s) => submissions.set(`${s.student_id}:${s.assignment_id}`, s));
+  }
+
+  const attendance = new Map();
+  if (studentIds.length) {
+    const { data, error } = await supabase
+      .from('attendance')
+      .select('student_id, status')
+      .in('student_id', studentIds)
+      .gte('date', String(gradebook.start_date).slice(0, 10))
+      .lte('date', String(gradebook.end_date).slice(0, 10));
+
+    if (error) throw error;
+    data.forEach((row) => {
+      const key = String(row.student_id);
+      if (!attendance.has(key)) attendance.set(key, { sessions: 0, attended: 0 });
+      const entry = attendance.get(key);
+      entry.sessions++;
+      if (ATTENDED_STATUSES.includes(row.status)) entry.attended++;
+    });
+  }
+
+  const examPercent = (studentId, exam) => {
+    const result = results.get(`${studentId}:${exam.id}`);
+    if (!result) return { percent: 0, pending: false };
+    const total = examTotals.get(String(exam.id)) || 0;
+    return {
+      percent: total > 0 ? Math.min(100, (Number(result.score) / total) * 100) : 0,
+      pending: result.status === 'pending',
+    };
+  };
+
+  const components = gradebook.components.map((c) => {
+    let items = [];
+    if (c.source === 'exams') {
+      items = (c.exam_id ? cohortExams.filter((e) => String(e.id) === String(c.exam_id)) : pooledExams)
+        .map((e) => ({ id: e.id, title: e.title }));
+    } else if (c.source === 'assignments') {
+      items = assignments.map((a) => ({ id: a.id, title: a.title }));
+    }
+    return { ...c, items, available: c.source === 'attendance' ? attendance.size > 0 : items.length > 0 };
+  });
+
+  const scale = await getGradingScale({ trade: gradebook.trade, level: gradebook.level });
+
+  const rows = students.map((student) => {
+    const scores = {};
+    let pending = false;
+
+    components.forEach((c) => {
+      if (!c.available) {
+        scores[c.id] = null;
+        return;
+      }
+
+      if (c.source === 'exams') {
+        const marks = c.items.map((item) => examPercent(student.id, item));
+        if (marks.some((m) => m.pending)) pending = true;
+        scores[c.id] = roundTo(average(marks.map((m) => m.percent)));
+      } else if (c.source === 'assignments') {
+        const grades = c.items.map((item) => {
+          const submission = submissions.get(`${student.id}:${item.id}`);
+          if (submission && (submission.grade === null || submission.grade === undefined)) pending = true;
+          return submission ? Number(submission.grade) || 0 : 0;
+        });
+        scores[c.id] = roundTo(average(grades));
+      } else {
+        const record = attendance.get(String(student.id));
+        scores[c.id] = record && record.sessions ? roundTo((record.attended / record.sessions) * 100) : null;
+      }
+    });
+
+    const counted = components.filter((c) => scores[c.id] !== null);
+    const weight = counted.reduce((sum, c) => sum + c.weight, 0);
+    const finalMark = weight > 0 ? roundTo(counted.reduce((sum, c) => sum + c.weight * scores[c.id], 0) / weight) : null;
+    const status = pending ? 'pending' : 'graded';
+    const { grade, passed } = finalMark === null
+      ? { grade: null, passed: null }
+      : describeScore(scale, finalMark, 100, status);
+
+    return {
+      student_id: student.id,
+      username: student.username,
+      full_name: student.full_name,
+      component_scores: scores,
+      final_mark: finalMark,
+      grade,
+      passed,
+      status,
+    };
+  });
+
+  return { components, students: rows, grading_scale: scale };
+};
+
+// Frozen marks of a locked or published gradebook
+const loadGradebookEntries = async (gradebookId, studentId) => {
+  let entriesQuery = supabase
+    .from('gradebook_entries')
+    .select('student_id, component_scores, final_mark, grade, passed, student:students(username, full_name)')
+    .eq('gradebook_id', gradebookId);
+
+  if (studentId) entriesQuery = entriesQuery.eq('student_id', studentId);
+
+  const { data, error } = await entriesQuery;
+  if (error) throw error;
+
+  return data
+    .map((row) => {
+      let scores = {};
+      try {
+        scores = JSON.parse(row.component_scores) || {};
+      } catch (parseError) {
+        scores = {};
+      }
+
+      return {
+        student_id: row.student_id,
+        username: row.student?.username,
+        full_name: row.student?.full_name,
+        component_scores: scores,
+        final_mark: row.final_mark === null ? null : Number(row.final_mark),
+        grade: row.grade,
+        passed: row.passed === null ? null : Boolean(row.passed),
+        status: 'graded',
+      };
+    })
+    .sort((a, b) => String(a.full_name).localeCompare(String(b.full_name)));
+};
+
+const saveGradebookEntries = async (gradebookId, rows) => {
+  const { error: deleteError } = await supabase.from('gradebook_entries').delete().eq('gradebook_id', gradebookId);
+  if (deleteError) throw deleteError;
+
+  if (!rows.length) return;
+
+  const { error: insertError } = await supabase
+    .from('gradebook_entries')
+    .insert(rows.map((row) => ({
+      gradebook_id: gradebookId,
+      student_id: row.student_id,
+      component_scores: JSON.stringify(row.component_scores),
+      final_mark: row.final_mark,
+      grade: row.grade,
+      passed: row.passed,
+    })));
+  if (insertError) throw insertError;
+};
+
+module.exports = {
+  COMPONENT_SOURCES,
+  GRADEBOOK_STATUSES,
+  ATTENDED_STATUSES,
+  startOfDay,
+  endOfDay,
+  isInTerm,
+  filterAssignmentsByTerm,
+  loadGradebookStudents,
+  loadExamTotals,
+  getComponentsError,
+  loadGradebook,
+  replaceComponents,
+  computeGradebook,
+  loadGradebookEntries,
+  saveGradebookEntries,
+};
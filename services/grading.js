@@ -0,0 +1,201 @@
+const { supabase } = require('../config/database');
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+// Used when no scale has been configured at all
+const DEFAULT_SCALE = {
+  id: null,
+  name: 'Default',
+  trade: null,
+  level: null,
+  pass_mark: 50,
+  bands: [
+    { grade: 'A', min_percentage: 80.01 },
+    { grade: 'B', min_percentage: 70 },
+    { grade: 'C', min_percentage: 50 },
+    { grade: 'Fail', min_percentage: 0 },
+  ],
+};
+
+const formatScale = (row) => ({
+  id: row.id,
+  name: row.name,
+  trade: row.trade,
+  level: row.level,
+  pass_mark: Number(row.pass_mark),
+  bands: (row.bands || [])
+    .map((b) => ({ grade: b.grade, min_percentage: Number(b.min_percentage) }))
+    .sort((a, b) => b.min_percentage - a.min_percentage),
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+const loadGradingScales = async () => {
+  const { data, error } = await supabase
+    .from('grading_scales')
+    .select('*, bands:grading_scale_bands(grade, min_percentage)')
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data.map(formatScale);
+};
+
+// The most specific scale wins: trade and level, then trade, then level, then the default
+const resolveGradingScale = (scales, { trade, level } = {}) => {
+  const matches = (s, t, l) => (s.trade || null) === t && (s.level || null) === l;
+  return (
+    (trade && level && scales.find((s) => matches(s, trade, level))) ||
+    (trade && scales.find((s) => matches(s, trade, null))) ||
+    (level && scales.find((s) => matches(s, null, level))) ||
+    scales.find((s) => matches(s, null, null)) ||
+    DEFAULT_SCALE
+  );
+};
+
+const getGradingScale = async (context) => resolveGradingScale(await loadGradingScales(), context);
+
+/**
+ * Turns a raw score into the percentage, grade and pass flag shown to students and staff.
+ * Results still awaiting marking get the grade 'Pending'.
+ */
+const describeScore = (scale, score, totalMarks, status = 'graded') => {
+  const percentage = totalMarks > 0 ? (Number(score) / totalMarks) * 100 : 0;
+
+  if (status === 'pending') {
+    return { percentage: Math.round(percentage), grade: 'Pending', passed: null };
+  }
+
+  const bands = scale.bands.length ? scale.bands : DEFAULT_SCALE.bands;
+  const exact = Math.round(percentage * 100) / 100;
+  const band = bands.find((b) => exact >= b.min_percentage) || bands[bands.length - 1];
+
+  return {
+    percentage: Math.round(percentage),
+    grade: band.grade,
+    passed: exact >= scale.pass_mark,
+  };
+};
+
+const SCORE_POLICIES = ['best', 'latest', 'average'];
+
+/**
+ * Stores the score that counts for a student under the exam's retake policy.
+ * `best` and `average` stay pending while any attempt still has unmarked answers;
+ * `latest` only depends on the most recent attempt.
+ */
+const syncExamResult = async (exam, studentId) => {
+  const { data: attempts, error } = await supabase
+    .from('exam_attempts')
+    .select('id, score, result_status, mode, submitted_at')
+    .eq('exam_id', exam.id)
+    .eq('student_id', studentId)
+    .neq('status', 'in_progress')
+    .not('score', 'is', null)
+    .order('started_at', { ascending: true });
+
+  if (error) throw error;
+  if (!attempts.length) return null;
+
+  const latest = attempts[attempts.length - 1];
+  const anyPending = attempts.some((a) => a.result_status === 'pending');
+  let counted = latest;
+  let score = Number(latest.score);
+  let status = latest.result_status || 'graded';
+
+  if (exam.score_policy === 'average') {
+    score = roundMarks(attempts.reduce((sum, a) => sum + Number(a.score), 0) / attempts.length);
+    status = anyPending ? 'pending' : 'graded';
+  } else if (exam.score_policy !== 'latest') {
+    // Ties go to the later attempt
+    counted = attempts.reduce((best, a) => (Number(a.score) >= Number(best.score) ? a : best), attempts[0]);
+    score = Number(counted.score);
+    status = anyPending ? 'pending' : 'graded';
+  }
+
+  const { error: resultError } = await supabase
+    .from('results')
+    .upsert({
+      student_id: studentId,
+      exam_id: exam.id,
+      attempt_id: counted.id,
+      attempt_count: attempts.length,
+      score,
+      status,
+      mode: counted.mode || 'online',
+      submitted_at: latest.submitted_at
+    }, { onConflict: 'student_id,exam_id' });
+
+  if (resultError) throw resultError;
+
+  return { score, status, attempt_id: counted.id, attempt_count: attempts.length };
+};
+
+/**
+ * Recomputes an attempt's score from its answers, then the student's counted result.
+ * An attempt stays 'pending' while any of its answers has no marks awarded.
+ */
+const recalculateResult = async (studentId, examId, attemptId) => {
+  let answersQuery = supabase
+    .from('student_answers')
+    .select('marks_awarded, question:questions!inner(exam_id)')
+    .eq('student_id', studentId)
+    .eq('question.exam_id', examId);
+
+  // Answers saved before attempts were tracked have no attempt id
+  answersQuery = attemptId ? answersQuery.eq('attempt_id', attemptId) : answersQuery.is('attempt_id', null);
+
+  const { data: answers, error } = await answersQuery;
+
+  if (error) throw error;
+
+  const pendingCount = answers.filter((a) => a.marks_awarded === null || a.marks_awarded === undefined).length;
+  const score = roundMarks(answers.reduce((sum, a) => sum + (Number(a.marks_awarded) || 0), 0));
+  const status = pendingCount > 0 ? 'pending' : 'graded';
+
+  if (!attemptId) {
+    const { error: updateError } = await supabase
+      .from('results')
+      .update({ score, status })
+      .eq('student_id', studentId)
+      .eq('exam_id', examId);
+
+    if (updateError) throw updateError;
+    return { score, status, pending_count: pendingCount };
+  }
+
+  const { error: attemptError } = await supabase
+    .from('exam_attempts')
+    .update({ score, result_status: status })
+    .eq('id', attemptId);
+
+  if (attemptError) throw attemptError;
+
+  const { data: exam, error: examError } = await supabase
+    .from('exams')
+    .select('id, score_policy')
+    .eq('id', examId)
+    .single();
+
+  if (examError) throw examError;
+
+  const result = await syncExamResult(exam, studentId);
+
+  return {
+    attempt_score: score,
+    attempt_status: status,
+    score: result.score,
+    status: result.status,
+    pending_count: pendingCount,
+  };
+};
+
+module.exports = {
+  DEFAULT_SCALE,
+  loadGradingScales,
+  resolveGradingScale,
+  getGradingScale,
+  describeScore,
+  SCORE_POLICIES,
+  syncExamResult,
+  recalculateResult,
+};
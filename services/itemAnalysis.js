@@ -0,0 +1,162 @@
+const { normalizeQuestion, parseStoredAnswer } = require('./questions');
+
+// Share of candidates in each of the top and bottom groups (the classic 27% rule)
+const GROUP_FRACTION = 0.27;
+
+// Below this many responses the statistics are too noisy to flag anything
+const MIN_RESPONSES_FOR_FLAGS = 5;
+
+const TOO_EASY_PERCENT = 90;
+
+const roundTo = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const normalize = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Counts how often each option was picked; answers that match no option are reported as "Other"
+const buildDistribution = (question, responses) => {
+  const counts = new Map(question.options.map((option) => [normalize(option), 0]));
+  const keys = new Set(
+    (Array.isArray(question.correct_answer) ? question.correct_answer : [question.correct_answer]).map(normalize)
+  );
+  let other = 0;
+
+  responses.forEach((r) => {
+    if (r.answer === null) return;
+    const picked = Array.isArray(r.answer) ? r.answer : [r.answer];
+    picked.forEach((value) => {
+      const key = normalize(value);
+      if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+      else other++;
+    });
+  });
+
+  const answered = responses.filter((r) => r.answer !== null).length;
+  const distribution = question.options.map((option) => {
+    const count = counts.get(normalize(option));
+    return {
+      option,
+      count,
+      percent: answered ? roundTo((count / answered) * 100, 1) : 0,
+      is_key: keys.has(normalize(option)),
+    };
+  });
+
+  if (other) {
+    distribution.push({ option: 'Other', count: other, percent: answered ? roundTo((other / answered) * 100, 1) : 0, is_key: false });
+  }
+
+  return distribution;
+};
+
+// True when a wrong option attracts more of the strongest candidates than the key does
+const distractorBeatsKey = (question, upperResponses) => {
+  if (!['MCQ', 'TF'].includes(question.type) || !upperResponses.length) return false;
+
+  const key = normalize(question.correct_answer);
+  const picks = new Map();
+  upperResponses.forEach((r) => {
+    if (r.answer === null) return;
+    const value = normalize(r.answer);
+    picks.set(value, (picks.get(value) || 0) + 1);
+  });
+
+  const keyPicks = picks.get(key) || 0;
+  return [...picks.entries()].some(([value, count]) => value !== key && count > keyPicks);
+};
+
+/**
+ * Per-question statistics for one sitting of an exam.
+ *
+ * `questions` are exam question rows; `candidates` is one entry per student with their
+ * counted `score`, the ids of the questions they were served and their answer rows.
+ * Unanswered questions count as wrong; essay answers that are not marked yet are left out.
+ */
+const analyzeItems = ({ questions, candidates }) => {
+  const ranked = [...candidates].sort((a, b) => Number(b.score) - Number(a.score));
+  const groupSize = ranked.length >= 2 ? Math.max(1, Math.round(ranked.length * GROUP_FRACTION)) : 0;
+  const upperIds = new Set(ranked.slice(0, groupSize).map((c) => String(c.student_id)));
+  const lowerIds = new Set(ranked.slice(ranked.length - groupSize).map((c) => String(c.student_id)));
+
+  const items = questions.map((row) => {
+    const question = normalizeQuestion(row, true);
+    const marks = Number(row.marks) || 0;
+
+    const responses = [];
+    candidates.forEach((candidate) => {
+      if (!candidate.question_ids.has(String(row.id))) return;
+
+      const answerRow = candidate.answers.get(String(row.id));
+      if (answerRow && answerRow.marks_awarded === null) return;
+
+      const awarded = answerRow
+        ? (answerRow.marks_awarded !== undefined ? Number(answerRow.marks_awarded) : (answerRow.is_correct ? marks : 0))
+        : 0;
+
+      responses.push({
+        student_id: String(candidate.student_id),
+        // Paper scores only carry marks, so their answers are blank
+        answer: answerRow && answerRow.answer !== '' ? parseStoredAnswer(row.type, answerRow.answer) : null,
+        is_correct: Boolean(answerRow?.is_correct),
+        fraction: marks > 0 ? awarded / marks : 0,
+      });
+    });
+
+    const answered = responses.filter((r) => r.answer !== null).length;
+    const correctCount = responses.filter((r) => r.is_correct).length;
+    const percentCorrect = responses.length ? roundTo((correctCount / responses.length) * 100, 1) : null;
+    const meanScore = average(responses.map((r) => r.fraction));
+
+    const upper = responses.filter((r) => upperIds.has(r.student_id));
+    const lower = responses.filter((r) => lowerIds.has(r.student_id));
+    const upperMean = average(upper.map((r) => r.fraction));
+    const lowerMean = average(lower.map((r) => r.fraction));
+    const discrimination = upperMean !== null && lowerMean !== null ? roundTo(upperMean - lowerMean) : null;
+
+    const flags = [];
+    if (responses.length >= MIN_RESPONSES_FOR_FLAGS) {
+      if ((discrimination !== null && discrimination < 0) || distractorBeatsKey(question, upper)) {
+        flags.push('possibly_miskeyed');
+      }
+      if (percentCorrect >= TOO_EASY_PERCENT) {
+        flags.push('too_easy');
+      }
+    }
+
+    return {
+      question_id: row.id,
+      bank_question_id: row.bank_question_id || null,
+      question_text: row.question_text,
+      type: row.type,
+      marks,
+      correct_answer: question.correct_answer,
+      responses: responses.length,
+      answered,
+      omitted: responses.length - answered,
+      correct_count: correctCount,
+      percent_correct: percentCorrect,
+      mean_score_percent: meanScore === null ? null : roundTo(meanScore * 100, 1),
+      discrimination_index: discrimination,
+      option_distribution: ['MCQ', 'TF', 'MULTI'].includes(row.type) ? buildDistribution(question, responses) : null,
+      flags,
+    };
+  });
+
+  return {
+    summary: {
+      candidates: candidates.length,
+      group_size: groupSize,
+      flagged_count: items.filter((item) => item.flags.length).length,
+      min_responses_for_flags: MIN_RESPONSES_FOR_FLAGS,
+    },
+    items,
+  };
+};
+
+module.exports = {
+  analyzeItems,
+};
@@ -0,0 +1,143 @@
+const { parseCsvRows } = require('./questionFormats');
+
+const IDENTITY_COLUMNS = ['student_id', 'username'];
+
+// Question columns are the printed question numbers: "q1", "Q2" or just "3"
+const QUESTION_COLUMN = /^q?(\d+)$/i;
+
+const hasValue = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Reads a CSV score grid into the same row shape as the JSON body. The header needs
+ * `student_id` or `username`, then either a `total` column or one column per question,
+ * plus an optional `version` column for shuffled papers.
+ */
+const parseScoreCsv = (content) => {
+  const [header = [], ...lines] = parseCsvRows(content);
+  const columns = header.map((h) => String(h).trim().toLowerCase());
+  const unknown = columns.filter((c) => c && ![...IDENTITY_COLUMNS, 'version', 'total'].includes(c) && !QUESTION_COLUMN.test(c));
+
+  if (!columns.some((c) => IDENTITY_COLUMNS.includes(c))) {
+    return { rows: [], errors: [{ row: 1, message: 'The header needs a student_id or username column' }] };
+  }
+  if (unknown.length) {
+    return { rows: [], errors: [{ row: 1, message: `Unknown column(s): ${unknown.join(', ')}` }] };
+  }
+
+  const rows = [];
+  lines.forEach((cells, index) => {
+    if (cells.every((cell) => !String(cell).trim())) return;
+
+    const entry = { row: index + 2, marks: {} };
+    columns.forEach((column, i) => {
+      const value = cells[i] === undefined ? '' : String(cells[i]).trim();
+      const match = column.match(QUESTION_COLUMN);
+      if (match) entry.marks[Number(match[1])] = value;
+      else if (column) entry[column] = value;
+    });
+    rows.push(entry);
+  });
+
+  return { rows, errors: [] };
+};
+
+// JSON rows may give `marks` as an array in question order or as an object keyed by number
+const parseScoreJson = (rows) => {
+  if (!Array.isArray(rows)) {
+    return { rows: [], errors: [{ row: null, message: 'rows must be an array' }] };
+  }
+
+  return {
+    rows: rows.map((item, index) => {
+      const source = item && typeof item === 'object' ? item : {};
+      const marks = {};
+      if (Array.isArray(source.marks)) {
+        source.marks.forEach((value, i) => { marks[i + 1] = value; });
+      } else if (source.marks && typeof source.marks === 'object') {
+        Object.entries(source.marks).forEach(([key, value]) => {
+          const match = String(key).match(QUESTION_COLUMN);
+          marks[match ? Number(match[1]) : key] = value;
+        });
+      }
+
+      return {
+        row: index + 1,
+        student_id: source.student_id,
+        username: source.username,
+        version: source.version,
+        total: source.total,
+        marks,
+      };
+    }),
+    errors: [],
+  };
+};
+
+/**
+ * Checks one grid row against the questions of its paper version and computes the score.
+ * Per-question entries produce one answer row each; a blank cell counts as zero marks.
+ */
+const scoreGridRow = (entry, { questions, totalMarks }) => {
+  const fieldErrors = [];
+  const markEntries = Object.entries(entry.marks || {}).filter(([, value]) => hasValue(value));
+  const hasTotal = hasValue(entry.total);
+
+  if (hasTotal && markEntries.length) {
+    fieldErrors.push({ field: 'total', message: 'Enter either a total or per-question marks, not both' });
+  } else if (!hasTotal && !markEntries.length) {
+    fieldErrors.push({ field: 'total', message: 'Enter a total or per-question marks' });
+  }
+
+  if (fieldErrors.length) return { fieldErrors };
+
+  if (hasTotal) {
+    const total = Number(entry.total);
+    if (!Number.isFinite(total) || total < 0 || total > totalMarks) {
+      return { fieldErrors: [{ field: 'total', message: `Total must be between 0 and ${totalMarks}` }] };
+    }
+    return { fieldErrors, score: roundMarks(total), answers: null };
+  }
+
+  const awarded = new Map();
+  markEntries.forEach(([key, value]) => {
+    const number = Number(key);
+    const question = Number.isInteger(number) ? questions[number - 1] : null;
+    if (!question) {
+      fieldErrors.push({ field: `q${key}`, message: `The paper has no question ${key}` });
+      return;
+    }
+
+    const marks = Number(value);
+    if (!Number.isFinite(marks) || marks < 0 || marks > Number(question.marks)) {
+      fieldErrors.push({ field: `q${number}`, message: `Marks for question ${number} must be between 0 and ${question.marks}` });
+      return;
+    }
+    awarded.set(String(question.id), marks);
+  });
+
+  if (fieldErrors.length) return { fieldErrors };
+
+  const answers = questions.map((question) => {
+    const marks = awarded.get(String(question.id)) || 0;
+    return {
+      question_id: question.id,
+      answer: '',
+      is_correct: marks === Number(question.marks),
+      marks_awarded: marks,
+    };
+  });
+
+  return {
+    fieldErrors,
+    score: roundMarks(answers.reduce((sum, a) => sum + a.marks_awarded, 0)),
+    answers,
+  };
+};
+
+module.exports = {
+  parseScoreCsv,
+  parseScoreJson,
+  scoreGridRow,
+};
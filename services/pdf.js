@@ -0,0 +1,129 @@
+const PDFDocument = require('pdfkit');
+const { supabase } = require('../config/database');
+
+const DEFAULT_BRANDING = {
+  site_name: 'CSAM Zaccaria TVET',
+  site_tagline: 'Excellence in Technical Education',
+  contact_address: null,
+  contact_phone: null,
+  contact_email: null,
+};
+
+// Printed documents carry the school name and contacts from the site settings
+const loadBranding = async () => {
+  const { data, error } = await supabase
+    .from('site_settings')
+    .select('site_name, site_tagline, contact_address, contact_phone, contact_email')
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...DEFAULT_BRANDING, ...(data || {}) };
+};
+
+// Runs `draw` against a new A4 document and resolves with the finished file
+const renderPdf = (draw, options = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, ...options });
+  const chunks = [];
+
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+const drawBrandedHeader = (doc, branding, title, subtitle) => {
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const left = doc.page.margins.left;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(branding.site_name, left, doc.page.margins.top, { width, align: 'center' });
+  if (branding.site_tagline) {
+    doc.font('Helvetica-Oblique').fontSize(9).text(branding.site_tagline, { width, align: 'center' });
+  }
+
+  const contacts = [branding.contact_address, branding.contact_phone, branding.contact_email].filter(Boolean);
+  if (contacts.length) {
+    doc.font('Helvetica').fontSize(8).text(contacts.join('  |  '), { width, align: 'center' });
+  }
+
+  doc.moveDown(0.5);
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(1).stroke();
+  doc.moveDown(0.5);
+
+  doc.font('Helvetica-Bold').fontSize(13).text(title, left, doc.y, { width, align: 'center' });
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(10).text(subtitle, { width, align: 'center' });
+  }
+  doc.moveDown();
+};
+
+/**
+ * Draws a simple ruled table at the current position. `columns` are { label, width, align }
+ * with widths as fractions of the content width; rows are arrays of cell values.
+ */
+const drawTable = (doc, columns, rows, { fontSize = 9, rowHeight = 16 } = {}) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const xs = [];
+  columns.reduce((x, column) => { xs.push(x); return x + column.width * width; }, left);
+
+  const drawRow = (cells, font) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const y = doc.y;
+    doc.font(font).fontSize(fontSize);
+    cells.forEach((cell, i) => {
+      doc.text(cell === null || cell === undefined ? '-' : String(cell), xs[i] + 3, y + 4, {
+        width: columns[i].width * width - 6,
+        align: columns[i].align || 'left',
+        lineBreak: false,
+        ellipsis: true,
+      });
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).lineWidth(0.5).stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).stroke();
+  drawRow(columns.map((c) => c.label), 'Helvetica-Bold');
+  rows.forEach((cells) => drawRow(cells, 'Helvetica'));
+  doc.moveDown(0.5);
+};
+
+// Page numbers are written once the whole document is laid out
+const addPageNumbers = (doc, label) => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).text(
+      `${label ? `${label} - ` : ''}Page ${i - range.start + 1} of ${range.count}`,
+      doc.page.margins.left,
+      doc.page.height - 30,
+      { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center' }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+const sendPdf = (res, buffer, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(buffer);
+};
+
+module.exports = {
+  loadBranding,
+  renderPdf,
+  drawBrandedHeader,
+  drawTable,
+  addPageNumbers,
+  sendPdf,
+};
@@ -0,0 +1,157 @@
+const { supabase } = require('../config/database');
+
+// Events the exam client may post; start, resume and submit are recorded by the server
+const CLIENT_EVENT_TYPES = [
+  'blur',
+  'focus',
+  'visibility_hidden',
+  'visibility_visible',
+  'fullscreen_exit',
+  'fullscreen_enter',
+  'copy',
+  'cut',
+  'paste',
+  'reconnect',
+];
+
+// Thresholds above which an attempt is flagged for review
+const LIMITS = {
+  focusLosses: 3,
+  awaySeconds: 60,
+  fullscreenExits: 2,
+  clipboard: 1,
+  reconnects: 3,
+};
+
+const MAX_USER_AGENT_LENGTH = 255;
+
+// X-Forwarded-For is only honoured through Express's `trust proxy` setting (see server.js);
+// reading the header directly would let the client pick its own address
+const getClientIp = (req) => {
+  const ip = req.ip || req.socket?.remoteAddress || null;
+  return ip ? ip.replace(/^::ffff:/, '') : null;
+};
+
+const getClientInfo = (req) => ({
+  ip_address: getClientIp(req),
+  user_agent: req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, MAX_USER_AGENT_LENGTH) : null,
+});
+
+const recordAttemptEvents = async (attemptId, events, clientInfo) => {
+  if (!events.length) return [];
+
+  const now = new Date();
+  const { data, error } = await supabase
+    .from('exam_attempt_events')
+    .insert(events.map((event) => {
+      // Client clocks drift, so timestamps in the future are clamped to the server time
+      const occurredAt = event.occurred_at ? new Date(event.occurred_at) : now;
+      return {
+        attempt_id: attemptId,
+        event_type: event.type,
+        details: event.details ? JSON.stringify(event.details) : null,
+        ip_address: clientInfo.ip_address,
+        user_agent: clientInfo.user_agent,
+        occurred_at: (Number.isNaN(occurredAt.getTime()) || occurredAt > now ? now : occurredAt).toISOString(),
+      };
+    }))
+    .select('id');
+
+  if (error) throw error;
+  return data;
+};
+
+const recordAttemptEvent = (attemptId, type, clientInfo, details) =>
+  recordAttemptEvents(attemptId, [{ type, details }], clientInfo);
+
+/**
+ * Summarises an attempt's events in time order and lists the reasons it looks suspicious.
+ * Time away is measured from each blur/visibility_hidden to the next focus/visibility_visible.
+ */
+const summarizeAttemptEvents = (attempt, events) => {
+  const sorted = [...events].sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+  const counts = {};
+  const ipAddresses = new Set(attempt.ip_address ? [attempt.ip_address] : []);
+  const userAgents = new Set(attempt.user_agent ? [attempt.user_agent] : []);
+  let awaySince = null;
+  let awaySeconds = 0;
+
+  sorted.forEach((event) => {
+    counts[event.event_type] = (counts[event.event_type] || 0) + 1;
+    if (event.ip_address) ipAddresses.add(event.ip_address);
+    if (event.user_agent) userAgents.add(event.user_agent);
+
+    const at = new Date(event.occurred_at).getTime();
+    if (['blur', 'visibility_hidden'].includes(event.event_type)) {
+      if (awaySince === null) awaySince = at;
+    } else if (['focus', 'visibility_visible'].includes(event.event_type) && awaySince !== null) {
+      awaySeconds += Math.max(0, (at - awaySince) / 1000);
+      awaySince = null;
+    }
+  });
+
+  const focusLosses = (counts.blur || 0) + (counts.visibility_hidden || 0);
+  const clipboard = (counts.copy || 0) + (counts.cut || 0) + (counts.paste || 0);
+
+  const flags = [];
+  if (ipAddresses.size > 1) flags.push({ code: 'ip_changed', message: `Used ${ipAddresses.size} IP addresses` });
+  if (userAgents.size > 1) flags.push({ code: 'device_changed', message: `Used ${userAgents.size} browsers or devices` });
+  if (focusLosses >= LIMITS.focusLosses) flags.push({ code: 'focus_lost', message: `Left the exam ${focusLosses} times` });
+  if (awaySeconds >= LIMITS.awaySeconds) flags.push({ code: 'time_away', message: `Away from the exam for ${Math.round(awaySeconds)} seconds` });
+  if ((counts.fullscreen_exit || 0) >= LIMITS.fullscreenExits) flags.push({ code: 'fullscreen_exit', message: `Left fullscreen ${counts.fullscreen_exit} times` });
+  if (clipboard >= LIMITS.clipboard) flags.push({ code: 'clipboard', message: `${clipboard} copy/paste event(s)` });
+  if ((counts.reconnect || 0) >= LIMITS.reconnects) flags.push({ code: 'reconnects', message: `Reconnected ${counts.reconnect} times` });
+  if ((counts.resume || 0) > 0) flags.push({ code: 'reloaded', message: `Reloaded the exam ${counts.resume} time(s)` });
+
+  return {
+    event_counts: counts,
+    ip_addresses: [...ipAddresses],
+    user_agents: [...userAgents],
+    away_seconds: Math.round(awaySeconds),
+    flags,
+    // Reloads are common on flaky connections and are not suspicious on their own
+    suspicious: flags.some((f) => f.code !== 'reloaded'),
+  };
+};
+
+const formatAttemptEvent = (event) => {
+  let details = event.details;
+  if (typeof details === 'string') {
+    try {
+      details = JSON.parse(details);
+    } catch (error) {
+      details = null;
+    }
+  }
+
+  return {
+    type: event.event_type,
+    occurred_at: event.occurred_at,
+    ip_address: event.ip_address,
+    user_agent: event.user_agent,
+    details,
+  };
+};
+
+const loadAttemptEvents = async (attemptIds) => {
+  if (!attemptIds.length) return [];
+
+  const { data, error } = await supabase
+    .from('exam_attempt_events')
+    .select('id, attempt_id, event_type, details, ip_address, user_agent, occurred_at')
+    .in('attempt_id', attemptIds)
+    .order('occurred_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+module.exports = {
+  CLIENT_EVENT_TYPES,
+  getClientInfo,
+  recordAttemptEvents,
+  recordAttemptEvent,
+  summarizeAttemptEvents,
+  loadAttemptEvents,
+  formatAttemptEvent,
+};
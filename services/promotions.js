@@ -0,0 +1,313 @@
+const { supabase } = require('../config/database');
+const { ATTENDED_STATUSES } = require('./gradebook');
+const { toDateString } = require('./academicCalendar');
+
+const PROMOTION_ACTIONS = ['promote', 'repeat', 'graduate'];
+const PROMOTION_RUN_STATUSES = ['draft', 'applied'];
+const NEXT_LEVEL = { L1: 'L2', L2: 'L3', L3: 'L4', L4: 'L5' };
+
+// Used when no rule has been stored yet
+const DEFAULT_RULE = { id: null, trade: null, level: null, min_average: 50, min_attendance_rate: 75, require_all_passed: false };
+
+const roundTo = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const formatRule = (row) => ({
+  ...row,
+  min_average: Number(row.min_average),
+  min_attendance_rate: row.min_attendance_rate === null || row.min_attendance_rate === undefined ? null : Number(row.min_attendance_rate),
+  require_all_passed: Boolean(row.require_all_passed),
+});
+
+const loadPromotionRules = async () => {
+  const { data, error } = await supabase
+    .from('promotion_rules')
+    .select('*')
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data.map(formatRule);
+};
+
+// The most specific rule wins, in the same order as grading scales
+const resolvePromotionRule = (rules, { trade, level } = {}) => {
+  const matches = (r, t, l) => (r.trade || null) === t && (r.level || null) === l;
+  return (
+    (trade && level && rules.find((r) => matches(r, trade, level))) ||
+    (trade && rules.find((r) => matches(r, trade, null))) ||
+    (level && rules.find((r) => matches(r, null, level))) ||
+    rules.find((r) => matches(r, null, null)) ||
+    DEFAULT_RULE
+  );
+};
+
+// A promotion means the next level; finishing L5 means graduating
+const advanceAction = (level) => (NEXT_LEVEL[level] ? 'promote' : 'graduate');
+
+const targetLevel = (fromLevel, action) => {
+  if (action === 'promote') return NEXT_LEVEL[fromLevel] || null;
+  if (action === 'graduate') return null;
+  return fromLevel;
+};
+
+/**
+ * Collects the year's evidence for each student: the average of their final marks in the
+ * locked or published gradebooks overlapping the year, whether they passed all of them, and
+ * their attendance rate over the year. Students without any marks get a null average.
+ */
+const gatherEvidence = async (studentIds, year) => {
+  const evidence = new Map(studentIds.map((id) => [String(id), { marks: [], passed: [], sessions: 0, attended: 0 }]));
+  if (!studentIds.length) return evidence;
+
+  const start = toDateString(year.start_date);
+  const end = toDateString(year.end_date);
+
+  const { data: gradebooks, error: gradebooksError } = await supabase
+    .from('gradebooks')
+    .select('id')
+    .in('status', ['locked', 'published'])
+    .lte('start_date', end)
+    .gte('end_date', start);
+
+  if (gradebooksError) throw gradebooksError;
+
+  if (gradebooks.length) {
+    const { data: entries, error } = await supabase
+      .from('gradebook_entries')
+      .select('student_id, final_mark, passed')
+      .in('gradebook_id', gradebooks.map((g) => g.id))
+      .in('student_id', studentIds);
+
+    if (error) throw error;
+    entries.forEach((e) => {
+      const item = evidence.get(String(e.student_id));
+      if (!item || e.final_mark === null || e.final_mark === undefined) return;
+      item.marks.push(Number(e.final_mark));
+      item.passed.push(e.passed === null ? null : Boolean(e.passed));
+    });
+  }
+
+  const { data: attendance, error: attendanceError } = await supabase
+    .from('attendance')
+    .select('student_id, status')
+    .in('student_id', studentIds)
+    .gte('date', start)
+    .lte('date', end);
+
+  if (attendanceError) throw attendanceError;
+  attendance.forEach((row) => {
+    const item = evidence.get(String(row.student_id));
+    if (!item) return;
+    item.sessions++;
+    if (ATTENDED_STATUSES.includes(row.status)) item.attended++;
+  });
+
+  return new Map([...evidence].map(([id, item]) => [id, {
+    average: item.marks.length ? roundTo(item.marks.reduce((a, b) => a + b, 0) / item.marks.length) : null,
+    gradebook_count: item.marks.length,
+    all_passed: item.passed.every((p) => p !== false),
+    attendance_rate: item.sessions ? roundTo((item.attended / item.sessions) * 100) : null,
+  }]));
+};
+
+// Returns the proposed action and the reasons behind it
+const evaluateStudent = (student, evidence, rule) => {
+  const reasons = [];
+
+  if (evidence.average === null) {
+    reasons.push('No locked gradebook marks for the year');
+  } else if (evidence.average < rule.min_average) {
+    reasons.push(`Average ${evidence.average} is below ${rule.min_average}`);
+  }
+
+  if (rule.require_all_passed && evidence.average !== null && !evidence.all_passed) {
+    reasons.push('Did not pass every gradebook');
+  }
+
+  if (rule.min_attendance_rate !== null) {
+    if (evidence.attendance_rate === null) {
+      reasons.push('No attendance recorded for the year');
+    } else if (evidence.attendance_rate < rule.min_attendance_rate) {
+      reasons.push(`Attendance ${evidence.attendance_rate}% is below ${rule.min_attendance_rate}%`);
+    }
+  }
+
+  return { action: reasons.length ? 'repeat' : advanceAction(student.level), reasons };
+};
+
+/**
+ * Proposes an action for every active student in the run's scope. Overrides already made on
+ * the run are kept when the proposals are refreshed.
+ */
+const buildProposals = async (run, year, existing = []) => {
+  let studentsQuery = supabase
+    .from('students')
+    .select('id, trade, level')
+    .eq('status', 'active');
+
+  if (run.trade) studentsQuery = studentsQuery.eq('trade', run.trade);
+  if (run.level) studentsQuery = studentsQuery.eq('level', run.level);
+
+  const { data: students, error } = await studentsQuery;
+  if (error) throw error;
+
+  const [rules, evidence] = await Promise.all([
+    loadPromotionRules(),
+    gatherEvidence(students.map((s) => s.id), year),
+  ]);
+  const overrides = new Map(existing.filter((row) => row.overridden_by).map((row) => [String(row.student_id), row]));
+
+  return students.map((student) => {
+    const facts = evidence.get(String(student.id));
+    const rule = resolvePromotionRule(rules, { trade: student.trade, level: student.level });
+    const { action, reasons } = evaluateStudent(student, facts, rule);
+    const override = overrides.get(String(student.id));
+
+    return {
+      run_id: run.id,
+      student_id: student.id,
+      from_level: student.level,
+      average: facts.average,
+      attendance_rate: facts.attendance_rate,
+      gradebook_count: facts.gradebook_count,
+      proposed_action: action,
+      final_action: override ? override.final_action : action,
+      reasons: JSON.stringify(reasons),
+      override_reason: override ? override.override_reason : null,
+      overridden_by: override ? override.overridden_by : null,
+    };
+  });
+};
+
+const saveProposals = async (runId, rows) => {
+  const { error: deleteError } = await supabase.from('promotion_run_students').delete().eq('run_id', runId);
+  if (deleteError) throw deleteError;
+
+  if (!rows.length) return;
+
+  const { error: insertError } = await supabase.from('promotion_run_students').insert(rows);
+  if (insertError) throw insertError;
+};
+
+const formatRunStudent = (row) => ({
+  student_id: row.student_id,
+  username: row.student?.username,
+  full_name: row.student?.full_name,
+  trade: row.student?.trade,
+  from_level: row.from_level,
+  to_level: targetLevel(row.from_level, row.final_action),
+  average: row.average === null ? null : Number(row.average),
+  attendance_rate: row.attendance_rate === null ? null : Number(row.attendance_rate),
+  gradebook_count: row.gradebook_count,
+  proposed_action: row.proposed_action,
+  final_action: row.final_action,
+  overridden: Boolean(row.overridden_by),
+  override_reason: row.override_reason,
+  reasons: (() => {
+    try {
+      return JSON.parse(row.reasons || '[]');
+    } catch (e) {
+      return [];
+    }
+  })(),
+});
+
+const loadRunStudents = async (runId) => {
+  const { data, error } = await supabase
+    .from('promotion_run_students')
+    .select('*, student:students(username, full_name, trade, level, status)')
+    .eq('run_id', runId)
+    .order('student_id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+const summarizeRun = (rows) => PROMOTION_ACTIONS.reduce((summary, action) => ({
+  ...summary,
+  [action]: rows.filter((r) => r.final_action === action).length,
+}), { total: rows.length, overridden: rows.filter((r) => r.overridden_by).length });
+
+const recordLevelChange = async ({ studentId, fromLevel, toLevel, action, runId = null, reason = null, changedBy = null }) => {
+  const { error } = await supabase.from('student_level_history').insert([{
+    student_id: studentId,
+    from_level: fromLevel,
+    to_level: toLevel,
+    action,
+    run_id: runId,
+    reason,
+    changed_by: changedBy,
+  }]);
+
+  if (error) throw error;
+};
+
+/**
+ * Applies every decision of a draft run. Students whose level or status changed since the
+ * proposals were made are skipped and reported rather than moved twice.
+ */
+const applyRun = async (run, userId) => {
+  const rows = await loadRunStudents(run.id);
+  const applied = { promote: 0, repeat: 0, graduate: 0 };
+  const skipped = [];
+
+  for (const row of rows) {
+    const student = row.student;
+    if (!student || student.status !== 'active' || student.level !== row.from_level) {
+      skipped.push({ student_id: row.student_id, message: 'Student changed since the proposals were made' });
+      continue;
+    }
+
+    const toLevel = targetLevel(row.from_level, row.final_action);
+
+    if (row.final_action === 'promote') {
+      const { error } = await supabase.from('students').update({ level: toLevel }).eq('id', row.student_id);
+      if (error) throw error;
+    } else if (row.final_action === 'graduate') {
+      const { error } = await supabase
+        .from('students')
+        .update({ status: 'graduated', graduated_at: new Date().toISOString() })
+        .eq('id', row.student_id);
+      if (error) throw error;
+    }
+
+    await recordLevelChange({
+      studentId: row.student_id,
+      fromLevel: row.from_level,
+      toLevel,
+      action: row.final_action,
+      runId: run.id,
+      reason: row.override_reason,
+      changedBy: userId,
+    });
+    applied[row.final_action]++;
+  }
+
+  const { error } = await supabase
+    .from('promotion_runs')
+    .update({ status: 'applied', applied_by: userId, applied_at: new Date().toISOString() })
+    .eq('id', run.id);
+
+  if (error) throw error;
+
+  return { applied, skipped };
+};
+
+module.exports = {
+  PROMOTION_ACTIONS,
+  PROMOTION_RUN_STATUSES,
+  NEXT_LEVEL,
+  loadPromotionRules,
+  resolvePromotionRule,
+  targetLevel,
+  evaluateStudent,
+  buildProposals,
+  saveProposals,
+  formatRunStudent,
+  loadRunStudents,
+  summarizeRun,
+  recordLevelChange,
+  applyRun,
+};
@@ -0,0 +1,577 @@
+const { normalizeQuestion } = require('./questions');
+
+/**
+ * Import/export of exam questions.
+ *
+ * Every parser returns payloads shaped like the body of POST /api/exams/:id/questions,
+ * each with the `row` (CSV line or question number) it came from, so that they can be
+ * validated with the same rules and errors can be reported per row.
+ */
+
+const FORMATS = ['csv', 'gift', 'xml'];
+
+const CSV_COLUMNS = ['question_text', 'type', 'options', 'correct_answer', 'marks', 'time_limit', 'tolerance', 'partial_credit'];
+
+// Separates list values (options, accepted answers, matching pairs) inside one CSV cell
+const LIST_SEPARATOR = '|';
+const PAIR_SEPARATOR = '=';
+
+const splitList = (value) => String(value || '')
+  .split(LIST_SEPARATOR)
+  .map((v) => v.trim())
+  .filter(Boolean);
+
+const detectFormat = (filename, content) => {
+  const extension = String(filename || '').split('.').pop().toLowerCase();
+  if (extension === 'csv') return 'csv';
+  if (extension === 'gift' || extension === 'txt') return 'gift';
+  if (extension === 'xml') return 'xml';
+
+  const trimmed = String(content || '').trim();
+  if (trimmed.startsWith('<')) return 'xml';
+  if (/^question_text\s*,/i.test(trimmed)) return 'csv';
+  return 'gift';
+};
+
+/* ---------------------------------- CSV ---------------------------------- */
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+const parseCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const text = String(content).replace(/^﻿/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const parseCsv = (content) => {
+  const rows = parseCsvRows(content);
+  if (!rows.length) return { questions: [], errors: [{ row: 1, message: 'The file is empty' }] };
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const missing = ['question_text', 'type'].filter((c) => !header.includes(c));
+  if (missing.length) {
+    return { questions: [], errors: [{ row: 1, message: `Missing column(s): ${missing.join(', ')}` }] };
+  }
+
+  const questions = [];
+  rows.slice(1).forEach((cells, index) => {
+    if (cells.every((c) => c.trim() === '')) return;
+
+    const record = {};
+    header.forEach((column, i) => { record[column] = (cells[i] ?? '').trim(); });
+
+    const type = record.type.toUpperCase();
+    const payload = {
+      row: index + 2,
+      question_text: record.question_text,
+      type,
+      correct_answer: record.correct_answer,
+      marks: record.marks === '' || record.marks === undefined ? 1 : record.marks,
+    };
+
+    if (record.time_limit) payload.time_limit = record.time_limit;
+    if (record.tolerance) payload.tolerance = record.tolerance;
+    if (record.partial_credit) payload.partial_credit = record.partial_credit;
+
+    if (type === 'MATCHING') {
+      payload.options = splitList(record.options).map((pair) => {
+        const [left, ...right] = pair.split(PAIR_SEPARATOR);
+        return { left: left.trim(), right: right.join(PAIR_SEPARATOR).trim() };
+      });
+    } else if (type === 'MCQ' || type === 'MULTI') {
+      payload.options = splitList(record.options);
+    }
+
+    if (type === 'MULTI' || type === 'SHORT') {
+      payload.correct_answer = splitList(record.correct_answer);
+    }
+
+    questions.push(payload);
+  });
+
+  return { questions, errors: [] };
+};
+
+const toCsv = (rows) => {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  rows.forEach((row) => {
+    const q = normalizeQuestion(row, true);
+    let options = '';
+    let correct = q.correct_answer;
+
+    if (q.type === 'MATCHING') {
+      options = Object.entries(q.correct_answer || {}).map(([left, right]) => `${left}${PAIR_SEPARATOR}${right}`).join(LIST_SEPARATOR);
+      correct = '';
+    } else if (q.type === 'MCQ' || q.type === 'MULTI') {
+      options = q.options.join(LIST_SEPARATOR);
+    }
+
+    if (Array.isArray(correct)) correct = correct.join(LIST_SEPARATOR);
+
+    lines.push([
+      q.question_text,
+      q.type,
+      options,
+      correct,
+      q.marks,
+      q.time_limit,
+      q.tolerance ?? '',
+      q.partial_credit === undefined ? '' : q.partial_credit,
+    ].map(csvCell).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/* ---------------------------------- GIFT --------------------------------- */
+
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+
+const giftEscape = (value) => String(value ?? '').replace(GIFT_SPECIAL, (c) => `\\${c}`).replace(/\r?\n/g, ' ');
+
+const giftUnescape = (value) => String(value ?? '').replace(/\\([~=#{}:\\n])/g, (m, c) => (c === 'n' ? '\n' : c)).trim();
+
+// Finds the first unescaped occurrence of `char` from `start`
+const indexOfUnescaped = (text, char, start = 0) => {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Splits an answer block into its `=`/`~` prefixed entries, respecting escapes
+const splitGiftAnswers = (block) => {
+  const entries = [];
+  let current = null;
+
+  for (let i = 0; i < block.length; i++) {
+    const char = block[i];
+    if (char === '\\') {
+      if (current) current.text += char + (block[i + 1] || '');
+      i++;
+    } else if (char === '=' || char === '~') {
+      current = { marker: char, text: '' };
+      entries.push(current);
+    } else if (current) {
+      current.text += char;
+    }
+  }
+
+  return entries.map((e) => {
+    let text = e.text;
+    let weight = null;
+    const weightMatch = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = Number(weightMatch[1]);
+      text = text.slice(weightMatch[0].length);
+    }
+    const feedbackAt = indexOfUnescaped(text, '#');
+    if (feedbackAt >= 0) text = text.slice(0, feedbackAt);
+    return { marker: e.marker, weight, text };
+  });
+};
+
+const parseGiftQuestion = (chunk, row) => {
+  const meta = {};
+  const lines = chunk.split(/\r?\n/).filter((line) => {
+    const comment = line.match(/^\s*\/\/\s*(marks|time_limit|partial_credit)\s*:\s*(\S+)/i);
+    if (comment) meta[comment[1].toLowerCase()] = comment[2];
+    return !/^\s*\/\//.test(line);
+  });
+
+  let text = lines.join('\n').trim();
+  if (!text) return null;
+
+  // Optional ::title::
+  if (text.startsWith('::')) {
+    const end = text.indexOf('::', 2);
+    if (end > 0) text = text.slice(end + 2).trim();
+  }
+  // Optional [format] prefix
+  text = text.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+
+  const open = indexOfUnescaped(text, '{');
+  const close = open >= 0 ? indexOfUnescaped(text, '}', open) : -1;
+  if (open < 0 || close < 0) {
+    return { row, error: 'Missing answer block { ... }' };
+  }
+
+  const questionText = giftUnescape(`${text.slice(0, open)} ${text.slice(close + 1)}`.replace(/\s+/g, ' '));
+  const block = text.slice(open + 1, close).trim();
+  const payload = {
+    row,
+    question_text: questionText,
+    marks: meta.marks || 1,
+  };
+  if (meta.time_limit) payload.time_limit = meta.time_limit;
+  if (meta.partial_credit) payload.partial_credit = meta.partial_credit;
+
+  if (block === '') {
+    return { ...payload, type: 'ESSAY', correct_answer: '' };
+  }
+
+  if (/^(T|TRUE|F|FALSE)$/i.test(block)) {
+    return { ...payload, type: 'TF', correct_answer: /^T/i.test(block) ? 'True' : 'False' };
+  }
+
+  if (block.startsWith('#')) {
+    const [value, tolerance] = block.slice(1).split(':').map((v) => v.trim());
+    return { ...payload, type: 'NUMERIC', correct_answer: value, tolerance: tolerance || 0 };
+  }
+
+  const entries = splitGiftAnswers(block);
+  if (!entries.length) return { row, error: 'The answer block has no answers' };
+
+  if (entries.every((e) => e.marker === '=' && /->/.test(e.text))) {
+    return {
+      ...payload,
+      type: 'MATCHING',
+      options: entries.map((e) => {
+        const [left, right] = e.text.split('->');
+        return { left: giftUnescape(left), right: giftUnescape(right) };
+      }),
+    };
+  }
+
+  if (entries.every((e) => e.marker === '=')) {
+    return { ...payload, type: 'SHORT', correct_answer: entries.map((e) => giftUnescape(e.text)) };
+  }
+
+  const options = entries.map((e) => giftUnescape(e.text));
+  if (entries.some((e) => e.weight !== null)) {
+    return {
+      ...payload,
+      type: 'MULTI',
+      options,
+      correct_answer: entries.filter((e) => e.weight > 0).map((e) => giftUnescape(e.text)),
+    };
+  }
+
+  const correct = entries.filter((e) => e.marker === '=');
+  return {
+    ...payload,
+    type: 'MCQ',
+    options,
+    correct_answer: correct.length === 1 ? giftUnescape(correct[0].text) : '',
+  };
+};
+
+// Questions are separated by blank lines
+const parseGift = (content) => {
+  const chunks = String(content).replace(/^﻿/, '').split(/\r?\n\s*\r?\n/);
+  const questions = [];
+  const errors = [];
+  let pendingComments = '';
+
+  chunks.forEach((chunk) => {
+    if (!chunk.trim() || chunk.split(/\r?\n/).every((line) => /^\s*(\/\/.*)?$/.test(line))) {
+      // Comment-only chunks such as "// marks: 2" belong to the next question
+      if (chunk.trim()) pendingComments += `${chunk}\n`;
+      return;
+    }
+
+    const row = questions.length + errors.length + 1;
+    const parsed = parseGiftQuestion(`${pendingComments}${chunk}`, row);
+    pendingComments = '';
+    if (!parsed) return;
+    if (parsed.error) errors.push({ row, message: parsed.error });
+    else questions.push(parsed);
+  });
+
+  return { questions, errors };
+};
+
+const toGift = (rows) => rows.map((row, index) => {
+  const q = normalizeQuestion(row, true);
+  let block = '';
+
+  switch (q.type) {
+    case 'TF':
+      block = String(q.correct_answer).toLowerCase() === 'true' ? 'TRUE' : 'FALSE';
+      break;
+    case 'MCQ':
+      block = q.options
+        .map((o) => `${String(o).toLowerCase() === String(q.correct_answer).toLowerCase() ? '=' : '~'}${giftEscape(o)}`)
+        .join(' ');
+      break;
+    case 'MULTI': {
+      const correct = new Set(q.correct_answer.map((a) => String(a).toLowerCase()));
+      const right = Math.round((100 / (correct.size || 1)) * 100000) / 100000;
+      const wrong = Math.round((100 / Math.max(1, q.options.length - correct.size)) * 100000) / 100000;
+      block = q.options
+        .map((o) => (correct.has(String(o).toLowerCase()) ? `~%${right}%${giftEscape(o)}` : `~%-${wrong}%${giftEscape(o)}`))
+        .join(' ');
+      break;
+    }
+    case 'SHORT':
+      block = q.correct_answer.map((a) => `=${giftEscape(a)}`).join(' ');
+      break;
+    case 'NUMERIC':
+      block = `#${q.correct_answer}:${q.tolerance || 0}`;
+      break;
+    case 'MATCHING':
+      block = Object.entries(q.correct_answer || {}).map(([left, right]) => `=${giftEscape(left)} -> ${giftEscape(right)}`).join(' ');
+      break;
+    default:
+      block = '';
+  }
+
+  const meta = [`// marks: ${q.marks}`, `// time_limit: ${q.time_limit}`];
+  if (q.partial_credit !== undefined) meta.push(`// partial_credit: ${q.partial_credit}`);
+
+  return `${meta.join('\n')}\n::Q${index + 1}:: ${giftEscape(q.question_text)} {${block}}`;
+}).join('\n\n') + '\n';
+
+/* ------------------------------- Moodle XML ------------------------------ */
+
+const XML_TYPES = {
+  multichoice: 'MCQ',
+  truefalse: 'TF',
+  shortanswer: 'SHORT',
+  numerical: 'NUMERIC',
+  matching: 'MATCHING',
+  essay: 'ESSAY',
+};
+
+const xmlDecode = (value) => String(value ?? '')
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+  .replace(/&amp;/g, '&');
+
+const xmlEscape = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Question text is usually HTML in Moodle exports; keep the plain text only
+const stripHtml = (value) => xmlDecode(value).replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim();
+
+const xmlTag = (source, tag) => {
+  const match = String(source).match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : null;
+};
+
+const xmlTextOf = (source, tag) => {
+  const inner = xmlTag(source, tag);
+  if (inner === null) return null;
+  const text = xmlTag(inner, 'text');
+  return text === null ? stripHtml(inner) : stripHtml(text);
+};
+
+const xmlAll = (source, tag) => {
+  const matches = [];
+  const pattern = new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    matches.push({ attributes: match[1] || '', body: match[2] });
+  }
+  return matches;
+};
+
+const xmlAttribute = (attributes, name) => {
+  const match = String(attributes).match(new RegExp(`${name}\\s*=\\s*"([^"]*)"`));
+  return match ? match[1] : null;
+};
+
+const parseMoodleXml = (content) => {
+  const questions = [];
+  const errors = [];
+  let row = 0;
+
+  xmlAll(String(content), 'question').forEach(({ attributes, body }) => {
+    const moodleType = xmlAttribute(attributes, 'type');
+    // Categories are folders in Moodle, not questions
+    if (moodleType === 'category') return;
+
+    row++;
+    const type = XML_TYPES[moodleType];
+    if (!type) {
+      errors.push({ row, message: `Unsupported Moodle question type "${moodleType}"` });
+      return;
+    }
+
+    const payload = {
+      row,
+      question_text: xmlTextOf(body, 'questiontext') || '',
+      type,
+      marks: Math.max(1, Math.round(Number(xmlTag(body, 'defaultgrade')) || 1)),
+    };
+
+    const answers = xmlAll(body, 'answer').map((a) => ({
+      fraction: Number(xmlAttribute(a.attributes, 'fraction') || 0),
+      text: stripHtml(xmlTag(a.body, 'text') ?? a.body),
+      tolerance: xmlTag(a.body, 'tolerance'),
+    }));
+
+    switch (type) {
+      case 'MCQ': {
+        const single = (xmlTag(body, 'single') || 'true').trim() !== 'false';
+        payload.options = answers.map((a) => a.text);
+        if (single) {
+          const best = answers.reduce((top, a) => (a.fraction > (top?.fraction ?? -Infinity) ? a : top), null);
+          payload.correct_answer = best && best.fraction > 0 ? best.text : '';
+        } else {
+          payload.type = 'MULTI';
+          payload.correct_answer = answers.filter((a) => a.fraction > 0).map((a) => a.text);
+        }
+        break;
+      }
+      case 'TF': {
+        const correct = answers.find((a) => a.fraction > 0);
+        payload.correct_answer = correct && /^t/i.test(correct.text) ? 'True' : 'False';
+        break;
+      }
+      case 'SHORT':
+        payload.correct_answer = answers.filter((a) => a.fraction >= 100).map((a) => a.text);
+        break;
+      case 'NUMERIC': {
+        const correct = answers.find((a) => a.fraction >= 100) || answers[0];
+        payload.correct_answer = correct ? correct.text : '';
+        payload.tolerance = correct && correct.tolerance ? stripHtml(correct.tolerance) : 0;
+        break;
+      }
+      case 'MATCHING':
+        payload.options = xmlAll(body, 'subquestion').map((s) => ({
+          left: stripHtml(xmlTag(s.body.replace(/<answer>[\s\S]*<\/answer>/, ''), 'text') || ''),
+          right: stripHtml(xmlTag(xmlTag(s.body, 'answer') || '', 'text') || ''),
+        })).filter((p) => p.left);
+        break;
+      default:
+        payload.correct_answer = xmlTextOf(body, 'graderinfo') || '';
+    }
+
+    questions.push(payload);
+  });
+
+  if (!row && !errors.length) {
+    errors.push({ row: 1, message: 'No <question> elements found' });
+  }
+
+  return { questions, errors };
+};
+
+const xmlText = (value) => `<text>${xmlEscape(value)}</text>`;
+
+const toMoodleXml = (rows) => {
+  const items = rows.map((row, index) => {
+    const q = normalizeQuestion(row, true);
+    const moodleType = Object.keys(XML_TYPES).find((key) => XML_TYPES[key] === q.type) || 'multichoice';
+    const parts = [
+      `    <name>${xmlText(`Q${index + 1}`)}</name>`,
+      `    <questiontext format="plain_text">${xmlText(q.question_text)}</questiontext>`,
+      `    <defaultgrade>${q.marks}</defaultgrade>`,
+    ];
+
+    const answer = (fraction, text, extra = '') => `    <answer fraction="${fraction}">${xmlText(text)}${extra}</answer>`;
+
+    switch (q.type) {
+      case 'MCQ':
+        parts.push('    <single>true</single>');
+        q.options.forEach((o) => parts.push(answer(String(o).toLowerCase() === String(q.correct_answer).toLowerCase() ? 100 : 0, o)));
+        break;
+      case 'MULTI': {
+        parts.push('    <single>false</single>');
+        const correct = new Set(q.correct_answer.map((a) => String(a).toLowerCase()));
+        q.options.forEach((o) => {
+          const isKey = correct.has(String(o).toLowerCase());
+          const share = isKey ? 100 / (correct.size || 1) : -100 / Math.max(1, q.options.length - correct.size);
+          parts.push(answer(Math.round(share * 100000) / 100000, o));
+        });
+        break;
+      }
+      case 'TF':
+        parts.push(answer(String(q.correct_answer).toLowerCase() === 'true' ? 100 : 0, 'true'));
+        parts.push(answer(String(q.correct_answer).toLowerCase() === 'false' ? 100 : 0, 'false'));
+        break;
+      case 'SHORT':
+        q.correct_answer.forEach((a) => parts.push(answer(100, a)));
+        break;
+      case 'NUMERIC':
+        parts.push(answer(100, q.correct_answer, `<tolerance>${q.tolerance || 0}</tolerance>`));
+        break;
+      case 'MATCHING':
+        Object.entries(q.correct_answer || {}).forEach(([left, right]) => {
+          parts.push(`    <subquestion format="plain_text">${xmlText(left)}<answer>${xmlText(right)}</answer></subquestion>`);
+        });
+        break;
+      default:
+        if (row.correct_answer) parts.push(`    <graderinfo format="plain_text">${xmlText(row.correct_answer)}</graderinfo>`);
+    }
+
+    return `  <question type="${q.type === 'MULTI' ? 'multichoice' : moodleType}">\n${parts.join('\n')}\n  </question>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<quiz>\n${items.join('\n')}\n</quiz>\n`;
+};
+
+const parseQuestions = (format, content) => {
+  if (format === 'csv') return parseCsv(content);
+  if (format === 'xml') return parseMoodleXml(content);
+  return parseGift(content);
+};
+
+const exportQuestions = (format, rows) => {
+  if (format === 'csv') return { body: toCsv(rows), contentType: 'text/csv', extension: 'csv' };
+  if (format === 'xml') return { body: toMoodleXml(rows), contentType: 'application/xml', extension: 'xml' };
+  return { body: toGift(rows), contentType: 'text/plain', extension: 'gift' };
+};
+
+module.exports = {
+  FORMATS,
+  CSV_COLUMNS,
+  detectFormat,
+  parseCsvRows,
+  parseQuestions,
+  exportQuestions,
+};
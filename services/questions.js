@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const { body } = require('express-validator');
+
+/**
+ * Question types
+ * - MCQ: one option from `options`
+ * - TF: True or False
+ * - MULTI: several options; `correct_answer` holds the JSON list of correct options
+ * - SHORT: free text; `correct_answer` holds the JSON list of accepted answers
+ * - NUMERIC: a number, accepted within `tolerance` of `correct_answer`
+ * - MATCHING: `options` holds the JSON list of { left, right } pairs that form the key
+ * - ESSAY: open answer marked by a teacher; `correct_answer` holds optional marking notes
+ */
+const QUESTION_TYPES = ['MCQ', 'TF', 'MULTI', 'SHORT', 'NUMERIC', 'MATCHING', 'ESSAY'];
+
+// Types that cannot be auto-scored and go to the marking queue
+const MANUAL_TYPES = new Set(['ESSAY']);
+
+const isManuallyGraded = (type) => MANUAL_TYPES.has(type);
+
+// Types where a partly right answer can earn part of the marks
+const PARTIAL_CREDIT_TYPES = new Set(['MULTI', 'MATCHING']);
+
+const safeParseOptions = (value, fallback = []) => {
+  if (!value) {
+    return fallback;
+  }
+
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const hasText = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+const normalizeText = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim().startsWith('[')) return safeParseOptions(value, [value]);
+  return hasText(value) ? [value] : [];
+};
+
+// Accepts { left: right } objects or [{ left, right }] lists and returns [{ left, right }]
+const toPairs = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  if (Array.isArray(parsed)) {
+    return parsed.filter((p) => p && typeof p === 'object').map((p) => ({ left: p.left, right: p.right }));
+  }
+  if (parsed && typeof parsed === 'object') {
+    return Object.entries(parsed).map(([left, right]) => ({ left, right }));
+  }
+  return [];
+};
+
+// Returns the answer key in the shape clients send answers in
+const parseCorrectAnswer = (row) => {
+  switch (row.type) {
+    case 'MULTI':
+    case 'SHORT':
+      return toList(row.correct_answer);
+    case 'MATCHING':
+      return Object.fromEntries(toPairs(row.options).map((p) => [p.left, p.right]));
+    default:
+      return row.correct_answer;
+  }
+};
+
+// Student answers are stored as text; list and pair answers are kept as JSON
+const parseStoredAnswer = (type, answer) => {
+  if (answer === undefined || answer === null) return answer;
+  if (type === 'MULTI') return toList(answer);
+  if (type === 'MATCHING') return Object.fromEntries(toPairs(answer).map((p) => [p.left, p.right]));
+  return answer;
+};
+
+// Options are stored as a JSON string; TF, SHORT and NUMERIC questions never store options
+const serializeOptions = (type, options) => {
+  if (!['MCQ', 'MULTI', 'MATCHING'].includes(type) || !options) return null;
+  return typeof options === 'string' ? options : JSON.stringify(options);
+};
+
+// Column values for a question row (exam question or bank item) built from an API payload
+const serializeQuestionFields = ({ type, options, correct_answer, tolerance, partial_credit }) => {
+  const fields = {
+    options: serializeOptions(type, type === 'MATCHING' ? toPairs(options) : options),
+    correct_answer: correct_answer === undefined || correct_answer === null ? '' : String(correct_answer).trim(),
+    tolerance: null,
+    partial_credit: partial_credit === undefined ? true : Boolean(partial_credit),
+  };
+
+  if (type === 'MULTI' || type === 'SHORT') {
+    fields.correct_answer = JSON.stringify(toList(correct_answer).map((a) => String(a).trim()));
+  } else if (type === 'NUMERIC') {
+    fields.correct_answer = String(Number(correct_answer));
+    fields.tolerance = hasText(tolerance) ? Math.abs(Number(tolerance)) : 0;
+  } else if (type === 'MATCHING') {
+    fields.correct_answer = JSON.stringify(parseCorrectAnswer({ type, options: toPairs(options) }));
+  }
+
+  return fields;
+};
+
+// Fields copied when a bank item becomes an exam question
+const copyQuestionFields = (row) => ({
+  question_text: row.question_text,
+  type: row.type,
+  options: row.options,
+  correct_answer: row.correct_answer,
+  tolerance: row.tolerance,
+  partial_credit: row.partial_credit,
+  marks: row.marks,
+  time_limit: row.time_limit,
+  outcome_id: row.outcome_id ?? null
+});
+
+const normalizeQuestion = (row, includeAnswer = true) => {
+  let options = [];
+  let prompts;
+
+  if (row.type === 'TF') {
+    options = ['True', 'False'];
+  } else if (row.type === 'MCQ' || row.type === 'MULTI') {
+    options = safeParseOptions(row.options, []);
+  } else if (row.type === 'MATCHING') {
+    // Students get the left-hand prompts and the right-hand choices in a neutral order
+    const pairs = toPairs(row.options);
+    prompts = pairs.map((p) => p.left);
+    options = pairs.map((p) => p.right).sort((a, b) => String(a).localeCompare(String(b)));
+  }
+
+  return {
+    id: row.id,
+    question_text: row.question_text,
+    type: row.type,
+    options,
+    prompts,
+    correct_answer: includeAnswer ? parseCorrectAnswer(row) : undefined,
+    tolerance: includeAnswer && row.type === 'NUMERIC' ? Number(row.tolerance || 0) : undefined,
+    partial_credit: includeAnswer && PARTIAL_CREDIT_TYPES.has(row.type) ? row.partial_credit !== false && row.partial_credit !== 0 : undefined,
+    marks: row.marks,
+    time_limit: row.time_limit || 30,
+    outcome_id: row.outcome_id ?? null,
+  };
+};
+
+// Returns an error message when the type-specific parts of a question are invalid
+const getQuestionShapeError = ({ type, options, correct_answer, tolerance }) => {
+  switch (type) {
+    case 'MCQ': {
+      if (!Array.isArray(options) || options.length < 2) return 'MCQ questions require at least two options';
+      if (!hasText(correct_answer)) return 'Correct answer is required';
+      return null;
+    }
+    case 'TF': {
+      if (!['true', 'false'].includes(normalizeText(correct_answer ?? ''))) return 'True/False questions need True or False as the correct answer';
+      return null;
+    }
+    case 'MULTI': {
+      if (!Array.isArray(options) || options.length < 2) return 'Multi-select questions require at least two options';
+      const correct = toList(correct_answer);
+      if (!correct.length) return 'Select at least one correct option';
+      const optionSet = new Set(options.map(normalizeText));
+      if (correct.some((a) => !optionSet.has(normalizeText(a)))) return 'Every correct answer must be one of the options';
+      return null;
+    }
+    case 'SHORT': {
+      if (!toList(correct_answer).some(hasText)) return 'Provide at least one accepted answer';
+      return null;
+    }
+    case 'NUMERIC': {
+      if (!hasText(correct_answer) || !Number.isFinite(Number(correct_answer))) return 'Correct answer must be a number';
+      if (hasText(tolerance) && (!Number.isFinite(Number(tolerance)) || Number(tolerance) < 0)) return 'Tolerance must be a positive number';
+      return null;
+    }
+    case 'ESSAY':
+      return null;
+    case 'MATCHING': {
+      const pairs = toPairs(options);
+      if (pairs.length < 2) return 'Matching questions require at least two pairs';
+      if (pairs.some((p) => !hasText(p.left) || !hasText(p.right))) return 'Every pair needs a left and a right value';
+      if (new Set(pairs.map((p) => normalizeText(p.left))).size !== pairs.length) return 'Left-hand values must be unique';
+      return null;
+    }
+    default:
+      return `Type must be one of ${QUESTION_TYPES.join(', ')}`;
+  }
+};
+
+const questionShapeValidator = (value, { req }) => {
+  const message = getQuestionShapeError(req.body);
+  if (message) throw new Error(message);
+  return true;
+};
+
+// Shared by POST /api/exams/:id/questions and the question bank
+const questionValidators = [
+  body('question_text').trim().notEmpty().withMessage('Question text is required'),
+  body('type').isIn(QUESTION_TYPES).withMessage(`Type must be one of ${QUESTION_TYPES.join(', ')}`),
+  body('correct_answer').custom(questionShapeValidator),
+  body('tolerance').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Tolerance must be a positive number'),
+  body('partial_credit').optional().isBoolean().withMessage('partial_credit must be boolean').toBoolean(),
+  body('marks').isInt({ min: 1 }).withMessage('Marks must be at least 1'),
+  body('time_limit').optional().isInt({ min: 5 }).withMessage('Time limit must be at least 5 seconds'),
+  body('outcome_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('outcome_id must be a learning outcome id').toInt(),
+];
+
+const questionUpdateValidators = [
+  body('question_text').optional().trim().notEmpty(),
+  body('type').optional().isIn(QUESTION_TYPES),
+  body('time_limit').optional().isInt({ min: 5 }),
+  body('tolerance').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('partial_credit').optional().isBoolean().toBoolean(),
+  body('marks').optional().isInt({ min: 1 }),
+  body('outcome_id').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+];
+
+// The question as it would be after applying a partial update, in API payload shape
+const mergeQuestionPayload = (existing, payload) => {
+  const type = payload.type || existing.type;
+  const typeChanged = type !== existing.type;
+  const stored = normalizeQuestion(existing, true);
+
+  return {
+    type,
+    options: payload.options !== undefined
+      ? payload.options
+      : (typeChanged ? undefined : (type === 'MATCHING' ? toPairs(existing.options) : stored.options)),
+    correct_answer: payload.correct_answer !== undefined
+      ? payload.correct_answer
+      : (typeChanged ? undefined : (type === 'MATCHING' ? undefined : stored.correct_answer)),
+    tolerance: payload.tolerance !== undefined ? payload.tolerance : existing.tolerance,
+    partial_credit: payload.partial_credit !== undefined ? payload.partial_credit : existing.partial_credit,
+  };
+};
+
+const getQuestionUpdateError = (existing, payload) => getQuestionShapeError(mergeQuestionPayload(existing, payload));
+
+// Merges a partial update into an existing question row (exam question or bank item)
+const buildQuestionUpdate = (existing, payload) => {
+  const merged = mergeQuestionPayload(existing, payload);
+  return {
+    question_text: payload.question_text || existing.question_text,
+    type: merged.type,
+    ...serializeQuestionFields(merged),
+    marks: payload.marks || existing.marks,
+    time_limit: payload.time_limit || existing.time_limit,
+    outcome_id: payload.outcome_id !== undefined ? payload.outcome_id : (existing.outcome_id ?? null),
+    updated_at: new Date().toISOString()
+  };
+};
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Scores one answer against a question row.
+ * Returns the answer as it should be stored, whether it is fully correct and the marks earned.
+ * Essay answers come back with `marksAwarded: null` and `needsMarking: true`.
+ */
+const scoreAnswer = (question, rawAnswer) => {
+  const marks = Number(question.marks) || 0;
+  const isBlank = rawAnswer === undefined || rawAnswer === null ||
+    (typeof rawAnswer === 'string' && rawAnswer.trim() === '') ||
+    (Array.isArray(rawAnswer) && rawAnswer.length === 0);
+
+  if (isBlank) {
+    return { answer: null, isCorrect: false, marksAwarded: 0 };
+  }
+
+  const allowPartial = question.partial_credit !== false && question.partial_credit !== 0;
+  let fraction = 0;
+  let answer = typeof rawAnswer === 'string' ? rawAnswer.trim() : String(rawAnswer);
+
+  if (isManuallyGraded(question.type)) {
+    return { answer, isCorrect: false, marksAwarded: null, needsMarking: true };
+  }
+
+  switch (question.type) {
+    case 'MULTI': {
+      const selected = [...new Set(toList(rawAnswer).map(normalizeText))];
+      const correct = new Set(toList(question.correct_answer).map(normalizeText));
+      const hits = selected.filter((a) => correct.has(a)).length;
+      const wrong = selected.length - hits;
+      if (hits === correct.size && wrong === 0) fraction = 1;
+      else if (allowPartial && correct.size) fraction = Math.max(0, (hits - wrong) / correct.size);
+      answer = JSON.stringify(toList(rawAnswer));
+      break;
+    }
+    case 'MATCHING': {
+      const key = toPairs(question.options);
+      const given = new Map(toPairs(rawAnswer).map((p) => [normalizeText(p.left), normalizeText(p.right ?? '')]));
+      const matched = key.filter((p) => given.get(normalizeText(p.left)) === normalizeText(p.right)).length;
+      if (key.length && matched === key.length) fraction = 1;
+      else if (allowPartial && key.length) fraction = matched / key.length;
+      answer = JSON.stringify(Object.fromEntries(toPairs(rawAnswer).map((p) => [p.left, p.right])));
+      break;
+    }
+    case 'NUMERIC': {
+      const value = Number(String(rawAnswer).replace(',', '.'));
+      const expected = Number(question.correct_answer);
+      const tolerance = Math.abs(Number(question.tolerance) || 0);
+      // Small epsilon so that e.g. 0.1 + 0.2 style float noise does not fail an exact answer
+      fraction = Number.isFinite(value) && Math.abs(value - expected) <= tolerance + 1e-9 ? 1 : 0;
+      break;
+    }
+    case 'SHORT': {
+      const accepted = toList(question.correct_answer).map(normalizeText);
+      fraction = accepted.includes(normalizeText(rawAnswer)) ? 1 : 0;
+      break;
+    }
+    default:
+      fraction = answer.toLowerCase() === String(question.correct_answer).toLowerCase() ? 1 : 0;
+  }
+
+  return {
+    answer,
+    isCorrect: fraction === 1,
+    marksAwarded: roundMarks(marks * fraction),
+  };
+};
+
+// Deterministic shuffle: the same seed always yields the same order, so a student who
+// reloads the exam sees exactly what they saw before
+const seededShuffle = (items, seed) => {
+  let state = crypto.createHash('md5').update(String(seed)).digest().readUInt32LE(0);
+  const random = () => {
+    // mulberry32
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Orders normalized questions (and their options) for one student according to the exam settings.
+// Answers are graded by option text, so reordering options never affects scoring.
+const arrangeQuestionsForStudent = (questions, exam, studentKey) => {
+  const seed = `${exam.id}:${studentKey}`;
+  const ordered = exam.shuffle_questions ? seededShuffle(questions, seed) : questions;
+
+  if (!exam.shuffle_options) return ordered;
+
+  return ordered.map((q) => (
+    ['MCQ', 'MULTI', 'MATCHING'].includes(q.type) ? { ...q, options: seededShuffle(q.options, `${seed}:${q.id}`) } : q
+  ));
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  isManuallyGraded,
+  safeParseOptions,
+  serializeOptions,
+  serializeQuestionFields,
+  copyQuestionFields,
+  parseCorrectAnswer,
+  parseStoredAnswer,
+  normalizeQuestion,
+  getQuestionShapeError,
+  getQuestionUpdateError,
+  questionValidators,
+  questionUpdateValidators,
+  buildQuestionUpdate,
+  scoreAnswer,
+  seededShuffle,
+  arrangeQuestionsForStudent,
+};
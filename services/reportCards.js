@@ -0,0 +1,295 @@
+const archiver = require('archiver');
+const { supabase } = require('../config/database');
+const { getGradingScale, describeScore } = require('./grading');
+const {
+  isInTerm,
+  filterAssignmentsByTerm,
+  loadExamTotals,
+  loadGradebookEntries,
+} = require('./gradebook');
+const { renderPdf, drawBrandedHeader, drawTable } = require('./pdf');
+const { summarizeAttendance } = require('./attendance');
+
+const formatPercent = (value) => (value === null || value === undefined ? null : `${Number(value).toFixed(1)}%`);
+
+// Equal final marks share a position, e.g. 1, 2, 2, 4
+const rankEntries = (entries) => {
+  const ranked = entries.filter((e) => e.final_mark !== null).sort((a, b) => b.final_mark - a.final_mark);
+  const positions = new Map();
+  ranked.forEach((entry, index) => {
+    const previous = ranked[index - 1];
+    positions.set(
+      String(entry.student_id),
+      previous && previous.final_mark === entry.final_mark ? positions.get(String(previous.student_id)) : index + 1
+    );
+  });
+  return { positions, classSize: ranked.length };
+};
+
+/**
+ * Report card data for a locked or published gradebook: the frozen gradebook marks plus the
+ * term's exam results, assignment grades, attendance counts and the teacher's remarks.
+ * Pass `studentIds` to build only some cards; positions are always ranked on the whole class.
+ */
+const buildReportCards = async (gradebook, studentIds = null) => {
+  const entries = await loadGradebookEntries(gradebook.id);
+  const { positions, classSize } = rankEntries(entries);
+  const wanted = studentIds ? new Set(studentIds.map(String)) : null;
+  const selected = entries.filter((e) => !wanted || wanted.has(String(e.student_id)));
+  if (!selected.length) return [];
+
+  const ids = selected.map((e) => e.student_id);
+  const scale = await getGradingScale({ trade: gradebook.trade, level: gradebook.level });
+
+  const { data: cohortExams, error: examsError } = await supabase
+    .from('exams')
+    .select('id, title, total_marks, term_id, opens_at, created_at')
+    .eq('trade', gradebook.trade)
+    .eq('level', gradebook.level);
+
+  if (examsError) throw examsError;
+
+  const namedExamIds = new Set(gradebook.components.filter((c) => c.exam_id).map((c) => String(c.exam_id)));
+  const termExams = cohortExams
+    .filter((e) => namedExamIds.has(String(e.id)) || isInTerm(e, gradebook))
+    .sort((a, b) => new Date(a.opens_at || a.created_at) - new Date(b.opens_at || b.created_at));
+  const examTotals = await loadExamTotals(termExams);
+
+  let results = [];
+  if (termExams.length) {
+    const { data, error } = await supabase
+      .from('results')
+      .select('student_id, exam_id, score, status, mode')
+      .in('exam_id', termExams.map((e) => e.id))
+      .in('student_id', ids);
+
+    if (error) throw error;
+    results = data;
+  }
+
+  const { data: assignments, error: assignmentsError } = await filterAssignmentsByTerm(
+    supabase
+      .from('assignments')
+      .select('id, title, deadline')
+      .eq('trade', gradebook.trade)
+      .eq('level', gradebook.level),
+    gradebook
+  ).order('deadline', { ascending: true });
+
+  if (assignmentsError) throw assignmentsError;
+
+  let submissions = [];
+  if (assignments.length) {
+    const { data, error } = await supabase
+      .from('student_assignment_submissions')
+      .select('student_id, assignment_id, grade')
+      .in('assignment_id', assignments.map((a) => a.id))
+      .in('student_id', ids);
+
+    if (error) throw error;
+    submissions = data;
+  }
+
+  const { data: attendanceRows, error: attendanceError } = await supabase
+    .from('attendance')
+    .select('student_id, status, date')
+    .in('student_id', ids)
+    .gte('date', String(gradebook.start_date).slice(0, 10))
+    .lte('date', String(gradebook.end_date).slice(0, 10));
+
+  if (attendanceError) throw attendanceError;
+
+  const { data: remarkRows, error: remarksError } = await supabase
+    .from('report_card_remarks')
+    .select('student_id, remarks')
+    .eq('gradebook_id', gradebook.id)
+    .in('student_id', ids);
+
+  if (remarksError) throw remarksError;
+
+  const { data: students, error: studentsError } = await supabase
+    .from('students')
+    .select('id, username, full_name, trade, level')
+    .in('id', ids);
+
+  if (studentsError) throw studentsError;
+
+  const studentsById = new Map(students.map((s) => [String(s.id), s]));
+  const remarksByStudent = new Map(remarkRows.map((r) => [String(r.student_id), r.remarks]));
+
+  return selected.map((entry) => {
+    const key = String(entry.student_id);
+    const student = studentsById.get(key) || { id: entry.student_id, username: entry.username, full_name: entry.full_name };
+
+    const attendance = summarizeAttendance(attendanceRows.filter((row) => String(row.student_id) === key));
+
+    return {
+      gradebook: {
+        id: gradebook.id,
+        term: gradebook.term,
+        trade: gradebook.trade,
+        level: gradebook.level,
+        start_date: gradebook.start_date,
+        end_date: gradebook.end_date,
+        status: gradebook.status,
+      },
+      student: {
+        id: student.id,
+        username: student.username,
+        full_name: student.full_name,
+      },
+      components: gradebook.components.map((c) => ({
+        name: c.name,
+        weight: c.weight,
+        score: entry.component_scores[c.id] ?? null,
+      })),
+      final_mark: entry.final_mark,
+      grade: entry.grade,
+      passed: entry.passed,
+      position: positions.get(key) || null,
+      class_size: classSize,
+      exams: termExams.map((exam) => {
+        const result = results.find((r) => String(r.exam_id) === String(exam.id) && String(r.student_id) === key);
+        const total = examTotals.get(String(exam.id)) || 0;
+        if (!result) return { title: exam.title, score: null, total_marks: total, percentage: null, grade: null, mode: null };
+        const { percentage, grade } = describeScore(scale, result.score, total, result.status || 'graded');
+        return { title: exam.title, score: Number(result.score), total_marks: total, percentage, grade, mode: result.mode || 'online' };
+      }),
+      assignments: assignments.map((assignment) => {
+        const submission = submissions.find((s) => String(s.assignment_id) === String(assignment.id) && String(s.student_id) === key);
+        return {
+          title: assignment.title,
+          submitted: Boolean(submission),
+          grade: submission && submission.grade !== null ? Number(submission.grade) : null,
+        };
+      }),
+      attendance,
+      remarks: remarksByStudent.get(key) || null,
+    };
+  });
+};
+
+const drawReportCard = (doc, card, branding) => {
+  const { gradebook, student } = card;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  drawBrandedHeader(doc, branding, 'End-of-term report card', `${gradebook.term}  |  ${gradebook.trade}  |  ${gradebook.level}`);
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Student: ', left, doc.y, { continued: true });
+  doc.font('Helvetica').text(`${student.full_name || ''}    `, { continued: true });
+  doc.font('Helvetica-Bold').text('Student ID: ', { continued: true });
+  doc.font('Helvetica').text(student.username || String(student.id));
+  doc.font('Helvetica').fontSize(9).text(`Term: ${String(gradebook.start_date).slice(0, 10)} to ${String(gradebook.end_date).slice(0, 10)}`);
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Assessment summary', left);
+  doc.moveDown(0.3);
+  drawTable(doc, [
+    { label: 'Component', width: 0.6 },
+    { label: 'Weight', width: 0.2, align: 'right' },
+    { label: 'Score', width: 0.2, align: 'right' },
+  ], card.components.map((c) => [c.name, `${c.weight}%`, formatPercent(c.score)]));
+
+  doc.font('Helvetica-Bold').fontSize(11).text(
+    `Final mark: ${formatPercent(card.final_mark) || '-'}    Grade: ${card.grade || '-'}    `
+      + `Result: ${card.passed === null ? '-' : card.passed ? 'Pass' : 'Fail'}`
+      + (card.position ? `    Position: ${card.position} of ${card.class_size}` : ''),
+    left
+  );
+  doc.moveDown();
+
+  if (card.exams.length) {
+    doc.font('Helvetica-Bold').fontSize(11).text('Exams', left);
+    doc.moveDown(0.3);
+    drawTable(doc, [
+      { label: 'Exam', width: 0.5 },
+      { label: 'Score', width: 0.2, align: 'right' },
+      { label: '%', width: 0.15, align: 'right' },
+      { label: 'Grade', width: 0.15, align: 'center' },
+    ], card.exams.map((e) => [
+      e.mode === 'paper' ? `${e.title} (paper)` : e.title,
+      e.score === null ? 'Not taken' : `${e.score} / ${e.total_marks}`,
+      formatPercent(e.percentage),
+      e.grade,
+    ]));
+  }
+
+  if (card.assignments.length) {
+    doc.font('Helvetica-Bold').fontSize(11).text('Assignments', left);
+    doc.moveDown(0.3);
+    drawTable(doc, [
+      { label: 'Assignment', width: 0.7 },
+      { label: 'Grade', width: 0.3, align: 'right' },
+    ], card.assignments.map((a) => [a.title, a.submitted ? (a.grade === null ? 'Not graded' : `${a.grade} / 100`) : 'Not submitted']));
+  }
+
+  const { attendance } = card;
+  doc.font('Helvetica-Bold').fontSize(11).text('Attendance', left);
+  doc.font('Helvetica').fontSize(9).text(attendance.sessions
+    ? `${attendance.sessions} session(s) over ${attendance.days} day(s) recorded: ${attendance.present} present, ${attendance.late} late, `
+      + `${attendance.excused} excused, ${attendance.absent} absent (${formatPercent(attendance.rate)} attendance)`
+    : 'No attendance recorded for this term.');
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(11).text("Teacher's remarks", left);
+  const boxTop = doc.y + 2;
+  doc.font('Helvetica').fontSize(9).text(card.remarks || '', left + 5, boxTop + 5, { width: width - 10 });
+  const boxHeight = Math.max(50, doc.y - boxTop + 5);
+  doc.rect(left, boxTop, width, boxHeight).lineWidth(0.5).stroke();
+  doc.y = boxTop + boxHeight + 30;
+
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+  const signatureY = doc.y;
+  doc.font('Helvetica').fontSize(9);
+  doc.text('______________________________', left, signatureY);
+  doc.text('Class teacher', left, doc.y);
+  doc.text('______________________________', left + width / 2, signatureY);
+  doc.text('Head of school', left + width / 2, signatureY + 11);
+  doc.x = left;
+};
+
+// One card per page
+const renderReportCardsPdf = (cards, branding) => renderPdf((doc) => {
+  doc.info.Title = cards.length === 1
+    ? `Report card - ${cards[0].student.full_name} - ${cards[0].gradebook.term}`
+    : `Report cards - ${cards[0].gradebook.term}`;
+  doc.info.Author = branding.site_name;
+
+  cards.forEach((card, index) => {
+    if (index > 0) doc.addPage();
+    drawReportCard(doc, card, branding);
+  });
+});
+
+const safeFilePart = (value) => String(value || '').replace(/[^A-Za-z0-9_-]+/g, '_');
+
+const reportCardFilename = (card) =>
+  `${safeFilePart(card.student.username || card.student.id)}-${safeFilePart(card.gradebook.term)}-report-card.pdf`;
+
+// Builds one PDF per student and resolves with the zip archive
+const buildReportCardZip = async (cards, branding) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const chunks = [];
+
+  const finished = new Promise((resolve, reject) => {
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+  });
+
+  for (const card of cards) {
+    archive.append(await renderReportCardsPdf([card], branding), { name: reportCardFilename(card) });
+  }
+  archive.finalize();
+
+  return finished;
+};
+
+module.exports = {
+  buildReportCards,
+  renderReportCardsPdf,
+  buildReportCardZip,
+  reportCardFilename,
+  safeFilePart,
+};
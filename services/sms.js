@@ -29,13 +29,33 @@ class SMSService {
    * @param {string} notes - Additional notes from admin
    */
   async sendApplicationStatusSMS(phoneNumber, studentName, status, program, notes = '') {
+    const message = this.formatStatusMessage(studentName, status, program, notes);
+    return this.sendSMS(phoneNumber, message);
+  }
+
+  /**
+   * Send SMS to a student's guardian about chronic absence
+   * @param {string} phoneNumber - Guardian's phone number
+   * @param {string} guardianName - Guardian's name (optional)
+   * @param {string} studentName - Student's name
+   * @param {string} reason - What was detected, e.g. "3 consecutive absences"
+   */
+  async sendAbsenceAlertSMS(phoneNumber, guardianName, studentName, reason) {
+    const message = this.formatAbsenceMessage(guardianName, studentName, reason);
+    return this.sendSMS(phoneNumber, message);
+  }
+
+  /**
+   * Send a message through the configured provider
+   * @param {string} phoneNumber - Recipient's phone number
+   * @param {string} message - Message text
+   */
+  async sendSMS(phoneNumber, message) {
     if (!this.enabled) {
       console.log('SMS service is disabled. Enable it by setting SMS_ENABLED=true in .env');
       return { success: false, message: 'SMS service disabled' };
     }
 
-    const message = this.formatStatusMessage(studentName, status, program, notes);
-
     try {
       switch (this.provider) {
         case 'africastalking':
@@ -69,6 +89,15 @@ class SMSService {
     }
   }
 
+  /**
+   * Format the absence alert message
+   */
+  formatAbsenceMessage(guardianName, studentName, reason) {
+    const schoolName = 'CSAM Zaccaria TVET';
+
+    return `Dear ${guardianName || 'Parent/Guardian'}, ${studentName} has ${reason} at ${schoolName}. Please contact the school to discuss their attendance.`;
+  }
+
   /**
    * Send via Africa's Talking
    * Documentation: https://africastalking.com/sms
@@ -0,0 +1,134 @@
+const { supabase } = require('../config/database');
+const { loadCurrentAcademicYear } = require('./academicCalendar');
+const { LEVELS } = require('./trades');
+
+const ASSIGNMENT_SELECT = `
+  id, teacher_id, module_id, cohort_id, created_at,
+  teacher:teachers(id, full_name, username, trade),
+  module:modules(id, code, name, trade, level),
+  cohort:cohorts(id, name, trade, level, academic_year_id)
+`;
+
+const loadTeachingAssignments = async ({ teacherId, moduleId, cohortId } = {}) => {
+  let assignmentsQuery = supabase.from('teaching_assignments').select(ASSIGNMENT_SELECT);
+
+  if (teacherId) assignmentsQuery = assignmentsQuery.eq('teacher_id', teacherId);
+  if (moduleId) assignmentsQuery = assignmentsQuery.eq('module_id', moduleId);
+  if (cohortId) assignmentsQuery = assignmentsQuery.eq('cohort_id', cohortId);
+
+  const { data, error } = await assignmentsQuery.order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+};
+
+const loadCohortStudentIds = async (cohortIds) => {
+  if (!cohortIds.length) return [];
+
+  const { data: members, error } = await supabase
+    .from('cohort_students')
+    .select('student_id')
+    .in('cohort_id', cohortIds);
+
+  if (error) throw error;
+  return [...new Set(members.map((m) => m.student_id))];
+};
+
+/**
+ * A teacher without teaching assignments this year keeps the scope they had before
+ * assignments existed: every level of their home trade and the students registered in it.
+ */
+const getTradeScope = async (teacherId, academicYear) => {
+  const { data: teacher, error } = await supabase
+    .from('teachers')
+    .select('trade')
+    .eq('id', teacherId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!teacher || !teacher.trade) {
+    return { assignments: [], classes: [], trades: [], cohort_ids: [], student_ids: [], fallback: true };
+  }
+
+  let cohortIds = [];
+  if (academicYear) {
+    const { data: cohorts, error: cohortsError } = await supabase
+      .from('cohorts')
+      .select('id')
+      .eq('academic_year_id', academicYear.id)
+      .eq('trade', teacher.trade);
+
+    if (cohortsError) throw cohortsError;
+    cohortIds = cohorts.map((c) => c.id);
+  }
+
+  const { data: students, error: studentsError } = await supabase
+    .from('students')
+    .select('id')
+    .eq('trade', teacher.trade);
+
+  if (studentsError) throw studentsError;
+
+  return {
+    assignments: [],
+    classes: LEVELS.map((level) => ({ trade: teacher.trade, level })),
+    trades: [teacher.trade],
+    cohort_ids: cohortIds,
+    student_ids: [...new Set([...students.map((s) => s.id), ...(await loadCohortStudentIds(cohortIds))])],
+    fallback: true,
+  };
+};
+
+/**
+ * What a teacher may work with: the trade/level classes of the cohorts they teach in the
+ * current academic year, those cohorts, and the students on their rosters. Past years'
+ * assignments stay on record but no longer grant access.
+ */
+const getTeacherScope = async (teacherId) => {
+  const academicYear = await loadCurrentAcademicYear();
+  const assignments = (await loadTeachingAssignments({ teacherId }))
+    .filter((a) => a.cohort && academicYear && String(a.cohort.academic_year_id) === String(academicYear.id));
+
+  if (!assignments.length) return getTradeScope(teacherId, academicYear);
+
+  const classes = new Map();
+  const cohortIds = new Set();
+  assignments.forEach((a) => {
+    cohortIds.add(a.cohort.id);
+    classes.set(`${a.cohort.trade}:${a.cohort.level}`, { trade: a.cohort.trade, level: a.cohort.level });
+  });
+
+  return {
+    assignments,
+    classes: [...classes.values()],
+    trades: [...new Set([...classes.values()].map((c) => c.trade))],
+    cohort_ids: [...cohortIds],
+    student_ids: await loadCohortStudentIds([...cohortIds]),
+    fallback: false,
+  };
+};
+
+// Without a level, any class of the trade counts
+const teachesClass = (scope, trade, level) =>
+  scope.classes.some((c) => c.trade === trade && (!level || c.level === level));
+
+const teachesStudent = (scope, studentId) => scope.student_ids.some((id) => String(id) === String(studentId));
+
+const teachesCohort = (scope, cohortId) => scope.cohort_ids.some((id) => String(id) === String(cohortId));
+
+// `in` needs at least one value
+const scopeStudentIds = (scope) => (scope.student_ids.length ? scope.student_ids : [0]);
+
+// Admins are not limited; teachers must teach the class
+const canAccessClass = async (user, trade, level) =>
+  user.role !== 'teacher' || teachesClass(await getTeacherScope(user.id), trade, level);
+
+module.exports = {
+  loadTeachingAssignments,
+  getTeacherScope,
+  teachesClass,
+  teachesStudent,
+  teachesCohort,
+  scopeStudentIds,
+  canAccessClass,
+};
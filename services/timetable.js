@@ -0,0 +1,244 @@
+const { supabase } = require('../config/database');
+const { toDateString, loadAcademicYear } = require('./academicCalendar');
+
+// Weekdays are numbered 1 (Monday) to 7 (Sunday)
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const SESSION_STATUSES = ['scheduled', 'cancelled'];
+
+// Sessions are inserted in batches so a long term does not become one huge request
+const INSERT_BATCH_SIZE = 500;
+
+const parseDay = (date) => new Date(`${toDateString(date)}T00:00:00.000Z`);
+
+const isoWeekday = (date) => parseDay(date).getUTCDay() || 7;
+
+const addDays = (date, days) => {
+  const day = parseDay(date);
+  day.setUTCDate(day.getUTCDate() + days);
+  return toDateString(day);
+};
+
+// Monday and Sunday of the week that contains `date`
+const weekBounds = (date) => {
+  const start = addDays(date, 1 - isoWeekday(date));
+  return { start, end: addDays(start, 6) };
+};
+
+// Times are compared as HH:MM:SS strings
+const normalizeTime = (value) => {
+  const [hours = '00', minutes = '00', seconds = '00'] = String(value).split(':');
+  return `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:${seconds.padStart(2, '0')}`;
+};
+
+const timesOverlap = (a, b) =>
+  normalizeTime(a.start_time) < normalizeTime(b.end_time) && normalizeTime(b.start_time) < normalizeTime(a.end_time);
+
+const SLOT_SELECT = `
+  id, cohort_id, module_id, teacher_id, room_id, period_id, weekday, created_at,
+  cohort:cohorts!inner(id, name, trade, level, academic_year_id),
+  module:modules(id, code, name),
+  teacher:teachers(id, full_name),
+  room:rooms(id, name),
+  period:periods(id, name, start_time, end_time)
+`;
+
+const formatSlot = (row) => ({ ...row, weekday_name: WEEKDAYS[row.weekday - 1] });
+
+const sortByTime = (a, b) =>
+  (a.weekday - b.weekday) || normalizeTime(a.period?.start_time || '').localeCompare(normalizeTime(b.period?.start_time || ''));
+
+const loadSlots = async ({ cohortIds, teacherId, academicYearId, slotIds } = {}) => {
+  let slotsQuery = supabase.from('timetable_slots').select(SLOT_SELECT);
+
+  if (cohortIds) slotsQuery = slotsQuery.in('cohort_id', cohortIds.length ? cohortIds : [0]);
+  if (teacherId) slotsQuery = slotsQuery.eq('teacher_id', teacherId);
+  if (academicYearId) slotsQuery = slotsQuery.eq('cohort.academic_year_id', academicYearId);
+  if (slotIds) slotsQuery = slotsQuery.in('id', slotIds.length ? slotIds : [0]);
+
+  const { data, error } = await slotsQuery;
+
+  if (error) throw error;
+  return data.map(formatSlot).sort(sortByTime);
+};
+
+// Returns an error message when the slot's cohort, teacher or room is already busy in that
+// period of the same academic year
+const getSlotConflict = async (slot, academicYearId, excludeId) => {
+  const busy = (await loadSlots({ academicYearId })).filter((s) =>
+    String(s.id) !== String(excludeId) &&
+    Number(s.weekday) === Number(slot.weekday) &&
+    String(s.period_id) === String(slot.period_id));
+
+  if (busy.some((s) => String(s.cohort_id) === String(slot.cohort_id))) {
+    return 'The cohort already has a lesson in this period';
+  }
+  if (busy.some((s) => String(s.teacher_id) === String(slot.teacher_id))) {
+    return 'The teacher already teaches another lesson in this period';
+  }
+  if (slot.room_id && busy.some((s) => String(s.room_id) === String(slot.room_id))) {
+    return 'The room is already booked in this period';
+  }
+  return null;
+};
+
+const SESSION_SELECT = `
+  *,
+  cohort:cohorts(id, name, trade, level),
+  module:modules(id, code, name),
+  teacher:teachers(id, full_name),
+  room:rooms(id, name),
+  period:periods(id, name)
+`;
+
+const formatSession = (row) => ({
+  ...row,
+  session_date: toDateString(row.session_date),
+  weekday: isoWeekday(row.session_date),
+  weekday_name: WEEKDAYS[isoWeekday(row.session_date) - 1],
+});
+
+const loadSessions = async ({ termId, cohortIds, teacherId, from, to, status } = {}) => {
+  let sessionsQuery = supabase.from('class_sessions').select(SESSION_SELECT);
+
+  if (termId) sessionsQuery = sessionsQuery.eq('term_id', termId);
+  if (cohortIds) sessionsQuery = sessionsQuery.in('cohort_id', cohortIds.length ? cohortIds : [0]);
+  if (teacherId) sessionsQuery = sessionsQuery.eq('teacher_id', teacherId);
+  if (from) sessionsQuery = sessionsQuery.gte('session_date', toDateString(from));
+  if (to) sessionsQuery = sessionsQuery.lte('session_date', toDateString(to));
+  if (status) sessionsQuery = sessionsQuery.eq('status', status);
+
+  const { data, error } = await sessionsQuery
+    .order('session_date', { ascending: true })
+    .order('start_time', { ascending: true });
+
+  if (error) throw error;
+  return data.map(formatSession);
+};
+
+const loadSession = async (id) => {
+  const { data, error } = await supabase
+    .from('class_sessions')
+    .select(SESSION_SELECT)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? formatSession(data) : null;
+};
+
+/**
+ * Creates the sessions of a term from the timetable slots of its academic year: one per slot
+ * for every day of the term that falls on the slot's weekday, from `fromDate` on when given.
+ * Sessions that already exist are left alone, so generating again only fills the gaps.
+ */
+const generateSessions = async (term, { slotIds, fromDate } = {}) => {
+  const slots = await loadSlots({ academicYearId: term.academic_year_id, slotIds });
+  if (!slots.length) return 0;
+
+  const { data: existing, error: existingError } = await supabase
+    .from('class_sessions')
+    .select('slot_id, session_date')
+    .eq('term_id', term.id)
+    .in('slot_id', slots.map((s) => s.id));
+
+  if (existingError) throw existingError;
+
+  const taken = new Set(existing.map((s) => `${s.slot_id}:${toDateString(s.session_date)}`));
+  const termStart = toDateString(term.start_date);
+  const start = fromDate && toDateString(fromDate) > termStart ? toDateString(fromDate) : termStart;
+  const end = toDateString(term.end_date);
+
+  const rows = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    const weekday = isoWeekday(day);
+    slots
+      .filter((slot) => Number(slot.weekday) === weekday && !taken.has(`${slot.id}:${day}`))
+      .forEach((slot) => rows.push({
+        term_id: term.id,
+        slot_id: slot.id,
+        cohort_id: slot.cohort_id,
+        module_id: slot.module_id,
+        teacher_id: slot.teacher_id,
+        room_id: slot.room_id,
+        period_id: slot.period_id,
+        session_date: day,
+        start_time: slot.period.start_time,
+        end_time: slot.period.end_time,
+      }));
+  }
+
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase.from('class_sessions').insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+    if (error) throw error;
+  }
+
+  return rows.length;
+};
+
+// Upcoming sessions of a slot; today's session is kept since it may already be under way
+const removeUpcomingSessions = async (slotId) => {
+  const { error } = await supabase
+    .from('class_sessions')
+    .delete()
+    .eq('slot_id', slotId)
+    .gt('session_date', toDateString(new Date()));
+
+  if (error) throw error;
+};
+
+/**
+ * Brings the upcoming sessions of a changed slot in line with it. Only terms whose sessions
+ * have already been generated are touched; the others get the slot when they are generated.
+ */
+const refreshSlotSessions = async (slotId, academicYearId) => {
+  await removeUpcomingSessions(slotId);
+
+  const year = await loadAcademicYear(academicYearId);
+  const tomorrow = addDays(new Date(), 1);
+
+  for (const term of (year?.terms || []).filter((t) => toDateString(t.end_date) >= tomorrow)) {
+    const { count, error } = await supabase
+      .from('class_sessions')
+      .select('id', { count: 'exact', head: true })
+      .eq('term_id', term.id);
+
+    if (error) throw error;
+    if (count) await generateSessions({ ...term, academic_year_id: academicYearId }, { slotIds: [slotId], fromDate: tomorrow });
+  }
+};
+
+// Cohort ids whose timetable a student follows
+const loadStudentCohortIds = async (studentId) => {
+  const { data, error } = await supabase
+    .from('cohort_students')
+    .select('cohort_id')
+    .eq('student_id', studentId);
+
+  if (error) throw error;
+  return data.map((m) => m.cohort_id);
+};
+
+// Sessions grouped by weekday, Monday first
+const groupByWeekday = (sessions, start) => WEEKDAYS.map((name, index) => {
+  const date = addDays(start, index);
+  return { weekday: index + 1, name, date, sessions: sessions.filter((s) => s.session_date === date) };
+});
+
+module.exports = {
+  WEEKDAYS,
+  SESSION_STATUSES,
+  isoWeekday,
+  addDays,
+  weekBounds,
+  normalizeTime,
+  timesOverlap,
+  loadSlots,
+  getSlotConflict,
+  loadSessions,
+  loadSession,
+  generateSessions,
+  removeUpcomingSessions,
+  refreshSlotSessions,
+  loadStudentCohortIds,
+  groupByWeekday,
+};
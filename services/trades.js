@@ -0,0 +1,123 @@
+const { body } = require('express-validator');
+const { supabase } = require('../config/database');
+
+const LEVELS = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+// Tables that store a trade name as text, and the column holding it
+const TRADE_REFERENCES = [
+  ['students', 'trade'],
+  ['teachers', 'trade'],
+  ['exams', 'trade'],
+  ['assignments', 'trade'],
+  ['gradebooks', 'trade'],
+  ['question_bank', 'trade'],
+  ['modules', 'trade'],
+  ['grading_scales', 'trade'],
+  ['cohorts', 'trade'],
+  ['promotion_rules', 'trade'],
+  ['absence_rules', 'trade'],
+  ['student_applications', 'program'],
+];
+
+const parseLevels = (value) => {
+  const levels = String(value || '').split(',').map((l) => l.trim()).filter((l) => LEVELS.includes(l));
+  return levels.length ? LEVELS.filter((l) => levels.includes(l)) : [...LEVELS];
+};
+
+const formatTrade = (row) => ({
+  ...row,
+  levels: parseLevels(row.levels),
+  capacity: row.capacity === null || row.capacity === undefined ? null : Number(row.capacity),
+  is_active: Boolean(row.is_active),
+});
+
+const loadTrades = async ({ activeOnly = false } = {}) => {
+  let tradesQuery = supabase.from('trades').select('*');
+  if (activeOnly) tradesQuery = tradesQuery.eq('is_active', true);
+
+  const { data, error } = await tradesQuery.order('name', { ascending: true });
+
+  if (error) throw error;
+  return data.map(formatTrade);
+};
+
+// Matches a submitted trade against the active catalog by name or code, ignoring case
+const findTrade = async (value) => {
+  const wanted = String(value || '').trim().toLowerCase();
+  if (!wanted) return null;
+
+  const trades = await loadTrades({ activeOnly: true });
+  return trades.find((t) => t.name.toLowerCase() === wanted || t.code.toLowerCase() === wanted) || null;
+};
+
+/**
+ * Validator chain for a trade field: the value must name an active catalog trade and is
+ * replaced by the catalog's spelling of it.
+ */
+const tradeField = (field = 'trade', { label = 'Trade' } = {}) => body(field)
+  .trim()
+  .notEmpty()
+  .withMessage(`${label} is required`)
+  .bail()
+  .custom(async (value) => {
+    if (!(await findTrade(value))) throw new Error(`${label} is not in the programs catalog`);
+    return true;
+  })
+  .bail()
+  .customSanitizer(async (value) => (await findTrade(value)).name);
+
+// Checks that the trade named in `tradeField` is offered at the level being validated
+const levelOfferedValidator = (tradeFieldName = 'trade') => async (level, { req }) => {
+  const trade = await findTrade(req.body[tradeFieldName]);
+  if (trade && !trade.levels.includes(level)) {
+    throw new Error(`${trade.name} is not offered at ${level}`);
+  }
+  return true;
+};
+
+// Active students registered in the trade, for the capacity check
+const countTradeStudents = async (name) => {
+  const { count, error } = await supabase
+    .from('students')
+    .select('id', { count: 'exact', head: true })
+    .eq('trade', name)
+    .eq('status', 'active');
+
+  if (error) throw error;
+  return count || 0;
+};
+
+// Keeps every stored reference in step when a trade is renamed
+const renameTradeReferences = async (oldName, newName) => {
+  for (const [table, column] of TRADE_REFERENCES) {
+    const { error } = await supabase.from(table).update({ [column]: newName }).eq(column, oldName);
+    if (error) throw error;
+  }
+};
+
+const countTradeReferences = async (name) => {
+  const counts = {};
+  for (const [table, column] of TRADE_REFERENCES) {
+    const { count, error } = await supabase
+      .from(table)
+      .select('*', { count: 'exact', head: true })
+      .eq(column, name);
+
+    if (error) throw error;
+    if (count) counts[table] = count;
+  }
+  return counts;
+};
+
+module.exports = {
+  LEVELS,
+  parseLevels,
+  formatTrade,
+  loadTrades,
+  findTrade,
+  tradeField,
+  levelOfferedValidator,
+  countTradeStudents,
+  renameTradeReferences,
+  countTradeReferences,
+};